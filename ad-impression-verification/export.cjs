@@ -103,6 +103,7 @@ async function generateEvidencePack(runId) {
   const sequencesPath = path.join(runDir, 'sequences.json');
   const flagsPath = path.join(runDir, 'flags.json');
   const networkPath = path.join(runDir, 'network.json');
+  const metadataPath = path.join(runDir, 'run_metadata.json');
   const sequencesFromFile = fs.existsSync(sequencesPath)
     ? JSON.parse(fs.readFileSync(sequencesPath, 'utf8'))
     : [];
@@ -143,6 +144,11 @@ async function generateEvidencePack(runId) {
       archive.file(flagsPath, { name: 'flags.json' });
     }
     
+    // Add run_metadata.json (user agent, viewport and emulation)
+    if (fs.existsSync(metadataPath)) {
+      archive.file(metadataPath, { name: 'run_metadata.json' });
+    }
+    
     // Add network.json (HAR-like format)
     if (fs.existsSync(networkPath)) {
       archive.file(networkPath, { name: 'network.json' });
@@ -183,7 +189,9 @@ function generateSequencesCSV(sequences) {
     'Page URL',
     'Confidence',
     'Percent In View',
-    'Duration (ms)'
+    'Duration (ms)',
+    'Viewability Standards Met',
+    'Journey Step'
   ];
   
   const rows = sequences.map(seq => [
@@ -198,7 +206,9 @@ function generateSequencesCSV(sequences) {
     seq.pageUrl || '',
     seq.confidence || '',
     seq.percentInView || '',
-    seq.duration || ''
+    seq.duration || '',
+    (seq.standardsMet || []).join(' '),
+    seq.step || ''
   ]);
   
   return [
@@ -207,6 +217,32 @@ function generateSequencesCSV(sequences) {
   ].join('\n');
 }
 
+/**
+ * One line per journey step, with the events it produced
+ */
+function formatJourney(journey) {
+  if (!journey || journey.length === 0) {
+    return 'Not recorded (run predates scripted journeys)';
+  }
+  return journey.map(step =>
+    `${step.index}. ${step.name}: ${step.ok ? 'ok' : `failed (${step.error})`}` +
+    (step.navigatedTo ? ` -> ${step.navigatedTo}` : '')
+  ).join('\n');
+}
+
+/**
+ * One line per viewability standard measured in the run
+ */
+function formatStandardsBreakdown(byStandard) {
+  if (!byStandard || byStandard.length === 0) {
+    return 'Not measured (run predates multi-standard viewability)';
+  }
+  return byStandard.map(standard =>
+    `${standard.label}: ${standard.viewableImpressions}/${standard.measuredImpressions} measured creatives viewable` +
+    (standard.viewableRate !== null ? ` (${standard.viewableRate}%)` : '')
+  ).join('\n');
+}
+
 /**
  * Generate README.txt
  */
@@ -234,7 +270,7 @@ Files Included
 - sequences.csv: Timeline of all detected beacons (impressions, clicks, viewability)
 - flags.json: Campaigns/placements flagged for viewability discrepancies
 - network.json: Network request log (HAR-like format)
-- screenshots/: Page screenshots captured during scan
+- screenshots/: Page screenshots captured during scan, including one after each journey step
 - README.txt: This file
 
 How to Interpret
@@ -248,6 +284,14 @@ Viewability Rule Applied
 ------------------------
 ${summary.viewabilityRule || '50%/1s'} (${summary.viewabilityRule === '50%/1s' ? '50% visible for 1 second' : 'Custom rule'})
 
+User Journey
+------------
+${formatJourney(summary.journey)}
+
+Viewability by Standard
+-----------------------
+${formatStandardsBreakdown(summary.summary.viewabilityByStandard)}
+
 Discrepancy Threshold
 ---------------------
 ${summary.discrepancyThreshold}%
@@ -258,6 +302,9 @@ ${summary.reconciliation ? `
 Verified Viewability Rate: ${summary.reconciliation.verifiedViewabilityRate}%
 Detected vs Ad-server: ${summary.reconciliation.discrepancyVsAdserver !== null ? summary.reconciliation.discrepancyVsAdserver + '%' : 'N/A'}
 Detected vs DSP: ${summary.reconciliation.discrepancyVsDSP !== null ? summary.reconciliation.discrepancyVsDSP + '%' : 'N/A'}
+${(summary.reconciliation.viewabilityByStandard || []).map(standard =>
+  `${standard.label} viewable vs Ad-server: ${standard.viewableVsAdserver !== null ? standard.viewableVsAdserver + '%' : 'N/A'}`
+).join('\n')}
 ` : 'No delivery totals provided for reconciliation'}
 
 For questions or support, contact Cybertect support.
@@ -0,0 +1,299 @@
+/**
+ * Scripted User Journeys
+ * A small step DSL the ad impression scanner runs after page load, so ads
+ * that only render on infinite scroll, after a consent click, in sticky
+ * slots or on the next article are observed. Each step has a stable name
+ * (scroll_50, accept_consent, ...) used to tag the events it produced, the
+ * same way diagnosis.cjs tags its baseline/scroll/CTA steps.
+ *
+ * String form, steps separated by ";" or newlines:
+ *   scroll 50% | scroll 3000px | wait 2s | click <selector>
+ *   accept-consent [selector] | next-article [selector] | idle 5s
+ *
+ * Array form: [{ type: 'scroll', to: 50 }, { type: 'scroll', by: 3000 },
+ *   { type: 'wait', ms: 2000 }, { type: 'click', selector }, { type: 'accept_consent' },
+ *   { type: 'next_article' }, { type: 'idle', ms: 5000 }]
+ */
+
+const { ACCEPT_SELECTORS: CONSENT_SELECTORS, clickConsentButton } = require('../consent/consent-state.cjs');
+
+const STEP_TYPES = ['scroll', 'wait', 'click', 'accept_consent', 'next_article', 'idle'];
+
+// Same as the fixed scroll the scanner used before journeys existed
+const DEFAULT_JOURNEY = 'scroll 3000px; wait 2s';
+
+const SCROLL_INCREMENT_PX = 300;
+const SCROLL_INTERVAL_MS = 500;
+const CLICK_TIMEOUT_MS = 5000;
+const NAVIGATION_TIMEOUT_MS = 30000;
+
+// Journeys arrive over the API, so bound how long one can hold a browser
+const MAX_STEPS = 50;
+const MAX_STEP_WAIT_MS = 30000;
+const MAX_JOURNEY_MS = 180000;
+const MAX_SCROLL_PX = 50000;
+
+function aliasType(type) {
+  return String(type || '').trim().toLowerCase().replace(/-/g, '_')
+    .replace(/^acceptconsent$/, 'accept_consent')
+    .replace(/^nextarticle$/, 'next_article');
+}
+
+function parseDuration(value, where) {
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s)?$/.exec(String(value).trim());
+  if (!match) throw new Error(`${where}: expected a duration such as 2s or 500ms, got "${value}"`);
+  return Math.round(parseFloat(match[1]) * (match[2] === 'ms' ? 1 : 1000));
+}
+
+function checkWait(ms, type, where) {
+  if (ms > MAX_STEP_WAIT_MS) {
+    throw new Error(`${where}: ${type} may be at most ${MAX_STEP_WAIT_MS / 1000}s`);
+  }
+}
+
+function checkScroll(by, where) {
+  if (by > MAX_SCROLL_PX) {
+    throw new Error(`${where}: scroll may be at most ${MAX_SCROLL_PX}px`);
+  }
+}
+
+function parseStepString(text, where) {
+  const [word, ...restParts] = text.trim().split(/\s+/);
+  const type = aliasType(word);
+  const rest = restParts.join(' ');
+
+  switch (type) {
+    case 'scroll': {
+      const match = /^(\d+(?:\.\d+)?)\s*(%|px)$/.exec(rest);
+      if (!match) throw new Error(`${where}: scroll needs a target such as 50% or 3000px`);
+      if (match[2] === '%') return { type, to: parseFloat(match[1]) };
+      const by = parseFloat(match[1]);
+      checkScroll(by, where);
+      return { type, by };
+    }
+    case 'wait':
+    case 'idle': {
+      const ms = parseDuration(rest, where);
+      checkWait(ms, type, where);
+      return { type, ms };
+    }
+    case 'click':
+      if (!rest) throw new Error(`${where}: click needs a selector`);
+      return { type, selector: rest };
+    case 'accept_consent':
+    case 'next_article':
+      return rest ? { type, selector: rest } : { type };
+    default:
+      throw new Error(`${where}: unknown step "${word}" (expected ${STEP_TYPES.join(', ')})`);
+  }
+}
+
+function validateStep(step, where) {
+  const type = aliasType(step.type);
+  if (!STEP_TYPES.includes(type)) {
+    throw new Error(`${where}: unknown step type "${step.type}" (expected ${STEP_TYPES.join(', ')})`);
+  }
+  const normalized = { ...step, type };
+  if (type === 'scroll') {
+    const to = step.to !== undefined ? Number(step.to) : undefined;
+    const by = step.by !== undefined ? Number(step.by) : undefined;
+    if ((to === undefined) === (by === undefined)) throw new Error(`${where}: scroll needs exactly one of "to" (percent) or "by" (pixels)`);
+    if (to !== undefined && !(to >= 0 && to <= 100)) throw new Error(`${where}: scroll "to" must be a percentage between 0 and 100`);
+    if (by !== undefined && !(by > 0)) throw new Error(`${where}: scroll "by" must be a positive number of pixels`);
+    if (by !== undefined) checkScroll(by, where);
+  }
+  if (type === 'wait' || type === 'idle') {
+    if (!(Number(step.ms) >= 0)) throw new Error(`${where}: ${type} needs "ms"`);
+    checkWait(Number(step.ms), type, where);
+  }
+  if (type === 'click' && !step.selector) throw new Error(`${where}: click needs a selector`);
+  return normalized;
+}
+
+function baseName(step) {
+  switch (step.type) {
+    case 'scroll':
+      return step.to !== undefined ? `scroll_${step.to}` : `scroll_${step.by}px`;
+    case 'wait':
+    case 'idle':
+      return `${step.type}_${step.ms}ms`;
+    default:
+      return step.type;
+  }
+}
+
+/**
+ * Parse and validate a journey
+ * At most MAX_STEPS steps, each scroll by at most MAX_SCROLL_PX, each wait
+ * or idle at most MAX_STEP_WAIT_MS, and all of them together at most
+ * MAX_JOURNEY_MS.
+ * @param {string|Array} input - DSL string or array of step objects/strings
+ * @returns {Array} - [{ index, name, type, ...params }], index starting at 1
+ */
+function parseJourney(input = DEFAULT_JOURNEY) {
+  const items = Array.isArray(input)
+    ? input
+    : String(input).split(/[;\n]/).map(part => part.trim()).filter(Boolean);
+  if (items.length > MAX_STEPS) {
+    throw new Error(`journey has ${items.length} steps; at most ${MAX_STEPS} are allowed`);
+  }
+
+  const seen = new Map();
+  const steps = items.map((item, i) => {
+    const where = `journey step ${i + 1}`;
+    const step = typeof item === 'string' ? parseStepString(item, where) : validateStep(item || {}, where);
+    const base = baseName(step);
+    const count = (seen.get(base) || 0) + 1;
+    seen.set(base, count);
+    return { ...step, index: i + 1, name: count > 1 ? `${base}_${count}` : base };
+  });
+
+  const waitMs = steps.reduce((sum, step) => sum + (Number(step.ms) || 0), 0);
+  if (waitMs > MAX_JOURNEY_MS) {
+    throw new Error(`journey waits ${waitMs / 1000}s in total; at most ${MAX_JOURNEY_MS / 1000}s is allowed`);
+  }
+  return steps;
+}
+
+// Scrolls until the target, the page end or budgetMs, whichever comes first:
+// on infinite-scroll pages the target can keep moving away.
+async function scrollGradually(page, step, budgetMs) {
+  await page.evaluate(async ({ to, by, increment, interval, budgetMs }) => {
+    const stopAt = Date.now() + budgetMs;
+    const start = window.scrollY;
+    const target = to !== undefined
+      ? ((document.documentElement.scrollHeight - window.innerHeight) * to) / 100
+      : start + by;
+    const direction = target >= start ? 1 : -1;
+    await new Promise(resolve => {
+      const timer = setInterval(() => {
+        const remaining = target - window.scrollY;
+        if (Math.abs(remaining) < 1 || Date.now() >= stopAt) {
+          clearInterval(timer);
+          resolve();
+          return;
+        }
+        const before = window.scrollY;
+        window.scrollBy(0, direction * Math.min(increment, Math.abs(remaining)));
+        // Reached the bottom (or top) before the target
+        if (window.scrollY === before) {
+          clearInterval(timer);
+          resolve();
+        }
+      }, interval);
+    });
+  }, { to: step.to, by: step.by, increment: SCROLL_INCREMENT_PX, interval: SCROLL_INTERVAL_MS, budgetMs });
+}
+
+async function acceptConsent(page, step) {
+  const clicked = await clickConsentButton(page, 'accept', step.selector ? { selectors: [step.selector] } : {});
+  if (!clicked) throw new Error('No consent button found');
+  return clicked;
+}
+
+/**
+ * Pick the next article: rel="next" first, then the first same-origin link
+ * inside <article>/<main> whose path looks like an article, then any such link.
+ */
+async function findNextArticle(page, selector) {
+  return page.evaluate((customSelector) => {
+    const current = window.location.href.split('#')[0];
+    const candidates = [];
+    const push = el => {
+      if (!el || !el.href) return;
+      const href = el.href.split('#')[0];
+      if (href === current || new URL(href).origin !== window.location.origin) return;
+      candidates.push(href);
+    };
+
+    if (customSelector) {
+      document.querySelectorAll(customSelector).forEach(push);
+      return candidates[0] || null;
+    }
+
+    push(document.querySelector('link[rel="next"], a[rel="next"]'));
+    const looksLikeArticle = href => {
+      const path = new URL(href).pathname;
+      return path.split('/').some(part => part.split('-').length >= 4) || /\/\d{4}\/\d{2}\//.test(path) || /\d{5,}/.test(path);
+    };
+    const scoped = document.querySelectorAll('article a[href], main a[href]');
+    Array.from(scoped).forEach(a => looksLikeArticle(a.href) && push(a));
+    Array.from(document.querySelectorAll('a[href]')).forEach(a => looksLikeArticle(a.href) && push(a));
+    return candidates[0] || null;
+  }, selector || null);
+}
+
+async function runStep(page, step, budgetMs) {
+  switch (step.type) {
+    case 'scroll':
+      await scrollGradually(page, step, budgetMs);
+      return {};
+    case 'wait':
+      await page.waitForTimeout(step.ms);
+      return {};
+    case 'idle':
+      // Let the page settle: network quiet, capped at the step's duration
+      await page.waitForLoadState('networkidle', { timeout: step.ms }).catch(() => {});
+      return {};
+    case 'click':
+      await page.click(step.selector, { timeout: CLICK_TIMEOUT_MS });
+      return {};
+    case 'accept_consent':
+      return acceptConsent(page, step);
+    case 'next_article': {
+      const href = await findNextArticle(page, step.selector);
+      if (!href) throw new Error('No next article link found');
+      await page.goto(href, { waitUntil: 'domcontentloaded', timeout: NAVIGATION_TIMEOUT_MS });
+      return { navigatedTo: href };
+    }
+    default:
+      throw new Error(`Unknown step type ${step.type}`);
+  }
+}
+
+/**
+ * Run journey steps in order. A failing step is recorded and the journey
+ * continues, so one missing selector does not lose the rest of the run.
+ * Steps that would start after MAX_JOURNEY_MS are recorded as skipped.
+ * @param {Page} page - Playwright page
+ * @param {Array} steps - From parseJourney()
+ * @param {Object} hooks
+ * @param {Function} hooks.onStepStart - (step) => void, before the step runs
+ * @param {Function} hooks.onStepEnd - async (step, log) => void, after it finishes
+ * @returns {Promise<Array>} - [{ index, name, type, startedAt, endedAt, ok, error?, ...details }]
+ */
+async function runJourney(page, steps, { onStepStart, onStepEnd } = {}) {
+  const log = [];
+  const deadline = Date.now() + MAX_JOURNEY_MS;
+  for (const step of steps) {
+    if (Date.now() >= deadline) {
+      const now = Date.now();
+      log.push({ index: step.index, name: step.name, type: step.type, startedAt: now, endedAt: now, ok: false, skipped: true, error: 'Journey time limit reached' });
+      continue;
+    }
+    if (onStepStart) onStepStart(step);
+    const entry = { index: step.index, name: step.name, type: step.type, startedAt: Date.now() };
+    try {
+      Object.assign(entry, await runStep(page, step, deadline - entry.startedAt), { ok: true });
+    } catch (error) {
+      entry.ok = false;
+      entry.error = error.message;
+    }
+    entry.endedAt = Date.now();
+    log.push(entry);
+    if (onStepEnd) await onStepEnd(step, entry);
+  }
+  return log;
+}
+
+module.exports = {
+  STEP_TYPES,
+  DEFAULT_JOURNEY,
+  CONSENT_SELECTORS,
+  MAX_STEPS,
+  MAX_STEP_WAIT_MS,
+  MAX_JOURNEY_MS,
+  MAX_SCROLL_PX,
+  parseJourney,
+  runJourney
+};
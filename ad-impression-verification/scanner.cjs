@@ -14,12 +14,22 @@
  * - Ad stacking detection: Detects overlapping/hidden ad iframes with screenshots
  */
 
-const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
 const { processBeacon, classifyRequest } = require('./detectors.cjs');
 const { persistAffectedVendorsFromEvents } = require('./affected-vendors.cjs');
-const { generateViewabilityScript } = require('./viewability.cjs');
+const {
+  DEFAULT_STANDARDS,
+  parseViewabilityRule,
+  parseViewabilityStandards,
+  generateViewabilityScript,
+  summarizeViewability
+} = require('./viewability.cjs');
+const { DEFAULT_JOURNEY, parseJourney, runJourney } = require('./journey.cjs');
+const { attachFixtureReplay } = require('../replay/fixture-replay.cjs');
+const { attachConsentState, resolveConsentState } = require('../consent/consent-state.cjs');
+const { openBrowserSession, abortError } = require('../browser/browser-session.cjs');
+const { version: CRAWLER_VERSION } = require('../package.json');
 
 /**
  * Deduplication Helper
@@ -187,21 +197,6 @@ function stripCacheBusters(url) {
   }
 }
 
-/**
- * Parse viewability rule string (e.g., "50%/1s" -> { percent: 50, duration: 1000 })
- */
-function parseViewabilityRule(ruleString) {
-  const match = ruleString.match(/(\d+)%\/(\d+)s/);
-  if (match) {
-    return {
-      percent: parseInt(match[1]),
-      duration: parseInt(match[2]) * 1000
-    };
-  }
-  // Default
-  return { percent: 50, duration: 1000 };
-}
-
 /**
  * Slot Timeline Tracker
  * Tracks GAM_AD_REQUEST -> GPT_SLOT_RENDER correlations for verified impression calculation
@@ -576,14 +571,24 @@ async function scanAdImpressions(options) {
   const {
     url,
     viewabilityRule = '50%/1s',
+    viewabilityStandards = DEFAULT_STANDARDS,
+    journey = DEFAULT_JOURNEY,
     discrepancyThreshold = 10,
     deliveryTotals = null,
-    campaignLabel = null
+    campaignLabel = null,
+    consentState = process.env.CYBERTECT_CONSENT_STATE,
+    signal
   } = options;
+  const appliedConsentState = resolveConsentState(consentState);
   
   const runId = `run_${Date.now()}`;
-  const viewabilityConfig = parseViewabilityRule(viewabilityRule);
+  // The primary rule is always measured alongside the requested standards
+  const standards = parseViewabilityStandards([
+    ...(Array.isArray(viewabilityStandards) ? viewabilityStandards : String(viewabilityStandards).split(',')),
+    parseViewabilityRule(viewabilityRule)
+  ]);
   const delivery = parseDeliveryTotals(deliveryTotals);
+  const journeySteps = parseJourney(journey);
   
   // Runtime fingerprint: confirms new classification logic is being used
   console.log("✅ Cybertect AIV: using classifyRequest for all events");
@@ -610,17 +615,23 @@ async function scanAdImpressions(options) {
   // Initialize ad stacking detector
   const adStackingDetector = new AdStackingDetector();
   
-  let browser;
+  // Journey step currently running; every event is tagged with it
+  let activeStep = { index: 0, name: 'page_load' };
+  const stepTag = () => ({ step: activeStep.name, stepIndex: activeStep.index });
+  // Changes when a next_article step navigates
+  let currentPageUrl = url;
+  
+  let session;
   let page;
   
   const scanStartedAt = Date.now();
   try {
-    browser = await chromium.launch({
-      headless: true,
-      args: ['--no-sandbox', '--disable-dev-shm-usage']
-    });
-    
-    const context = await browser.newContext();
+    // options.browser shares a browser between scans; options.signal aborts this one
+    session = await openBrowserSession(options);
+    const { context } = session;
+    // Registered first so it runs after the recorder below (last route wins)
+    await attachFixtureReplay(context);
+    await attachConsentState(context, appliedConsentState);
     page = await context.newPage();
     
     // Set up HAR recording
@@ -630,7 +641,7 @@ async function scanAdImpressions(options) {
         method: route.request().method(),
         timestamp: Date.now()
       });
-      route.continue();
+      route.fallback();
     });
     
     // Collect viewability events from console
@@ -642,6 +653,8 @@ async function scanAdImpressions(options) {
           const event = JSON.parse(jsonStr);
           viewabilityEvents.push({
             ...event,
+            ...stepTag(),
+            pageUrl: currentPageUrl,
             timestamp: event.timestamp || Date.now()
           });
         } catch (e) {
@@ -655,6 +668,8 @@ async function scanAdImpressions(options) {
           const event = JSON.parse(jsonStr);
           gptEvents.push({
             ...event,
+            ...stepTag(),
+            pageUrl: currentPageUrl,
             timestamp: event.timestamp || Date.now()
           });
         } catch (e) {
@@ -747,7 +762,7 @@ async function scanAdImpressions(options) {
     
     // Inject viewability measurement script (before page load)
     await page.addInitScript({
-      content: generateViewabilityScript(viewabilityConfig)
+      content: generateViewabilityScript(standards)
     });
     
     // Track network requests for beacons
@@ -755,7 +770,7 @@ async function scanAdImpressions(options) {
     page.on('request', request => {
       const frame = request.frame();
       const frameUrl = frame ? frame.url() : null;
-      const beacon = processBeacon(request, frameUrl, url);
+      const beacon = processBeacon(request, frameUrl, currentPageUrl);
       
       if (beacon) {
         const now = Date.now();
@@ -775,7 +790,7 @@ async function scanAdImpressions(options) {
       const request = response.request();
       const frame = response.frame();
       const frameUrl = frame ? frame.url() : null;
-      const beacon = processBeacon(request, frameUrl, url);
+      const beacon = processBeacon(request, frameUrl, currentPageUrl);
       
       if (beacon) {
         const now = Date.now();
@@ -843,6 +858,7 @@ async function scanAdImpressions(options) {
         // Add to sequences ONCE (only in response handler)
         sequences.push({
           ...beacon,
+          ...stepTag(),
           status: response.status()
         });
       }
@@ -891,9 +907,10 @@ async function scanAdImpressions(options) {
               requestUrl: frameUrl,
               status: 200,
               frameUrl: frameUrl,
-              pageUrl: url,
+              pageUrl: currentPageUrl,
               confidence: classification.confidence,
-              source: 'navigation'
+              source: 'navigation',
+              ...stepTag()
             });
           } else {
             // No correlation - add as SUSPECT_CLICK
@@ -906,9 +923,10 @@ async function scanAdImpressions(options) {
               requestUrl: frameUrl,
               status: 200,
               frameUrl: frameUrl,
-              pageUrl: url,
+              pageUrl: currentPageUrl,
               confidence: 0.3,
-              source: 'navigation'
+              source: 'navigation',
+              ...stepTag()
             });
           }
         }
@@ -934,7 +952,7 @@ async function scanAdImpressions(options) {
       
       if (gptAvailable) {
         // Re-inject the script to ensure GPT hooks are attached
-        const scriptContent = generateViewabilityScript(viewabilityConfig);
+        const scriptContent = generateViewabilityScript(standards);
         await page.evaluate(scriptContent);
       }
     } catch (e) {
@@ -948,33 +966,23 @@ async function scanAdImpressions(options) {
     });
     screenshots.push({ name: 'initial_load.png', data: screenshot1 });
     
-    // Scroll to trigger lazy-loaded ads
-    await page.evaluate(async () => {
-      await new Promise(resolve => {
-        let scrolls = 0;
-        const maxScrolls = 10;
-        const timer = setInterval(() => {
-          window.scrollBy(0, 300);
-          scrolls++;
-          if (scrolls >= maxScrolls) {
-            clearInterval(timer);
-            resolve();
-          }
-        }, 500);
-      });
-    });
-    
-    await page.waitForTimeout(2000);
-    
-    // Take screenshot after scroll
-    const screenshot2 = await page.screenshot({ 
-      path: null, 
-      fullPage: false 
+    // Run the user journey (default: the fixed scroll used before journeys)
+    const journeyLog = await runJourney(page, journeySteps, {
+      onStepStart: step => {
+        activeStep = step;
+      },
+      onStepEnd: async (step, entry) => {
+        if (entry.navigatedTo) currentPageUrl = entry.navigatedTo;
+        const shot = await page.screenshot({ path: null, fullPage: false }).catch(() => null);
+        if (shot) {
+          screenshots.push({ name: `step_${String(step.index).padStart(2, '0')}_${step.name}.png`, data: shot });
+        }
+      }
     });
-    screenshots.push({ name: 'after_scroll.png', data: screenshot2 });
+    activeStep = { index: journeySteps.length + 1, name: 'settle' };
     
-    // Wait for viewability events to accumulate
-    await page.waitForTimeout(viewabilityConfig.duration + 1000);
+    // Wait for viewability events to accumulate (longest standard wins)
+    await page.waitForTimeout(Math.max(...standards.map(standard => standard.duration)) + 1000);
     
     // Take final screenshot
     const screenshot3 = await page.screenshot({ 
@@ -1018,8 +1026,8 @@ async function scanAdImpressions(options) {
         placement: gptEvent.placement || gptEvent.adUnitPath || gptEvent.slotId,
         requestUrl: 'gpt-event',
         status: 200,
-        frameUrl: url,
-        pageUrl: url,
+        frameUrl: gptEvent.pageUrl || url,
+        pageUrl: gptEvent.pageUrl || url,
         confidence: 1.0,
         slotId: gptEvent.slotId,
         adUnitPath: gptEvent.adUnitPath,
@@ -1027,15 +1035,25 @@ async function scanAdImpressions(options) {
         sizes: gptEvent.sizes,
         isEmpty: gptEvent.isEmpty,
         percentInView: gptEvent.percentInView,
-        duration: gptEvent.duration
+        duration: gptEvent.duration,
+        step: gptEvent.step,
+        stepIndex: gptEvent.stepIndex
       });
     });
     
-    // Add fallback viewability events (when GPT not available)
+    // Add fallback viewability events (when GPT not available). The in-page
+    // tracker logs an event each time a creative meets another standard, so
+    // fold them into one row per creative carrying every standard it met.
+    const inPageViewability = new Map();
     viewabilityEvents.forEach(viewEvent => {
       // Only add if it's not a GPT event (those are already added above)
-      if (viewEvent.type === 'VIEWABILITY' && viewEvent.source === 'intersection') {
-        sequences.push({
+      if (viewEvent.type !== 'VIEWABILITY' || viewEvent.source !== 'intersection') return;
+      const pageUrl = viewEvent.pageUrl || url;
+      const key = `${pageUrl}|${viewEvent.creativeId}|${viewEvent.placement}`;
+      const row = inPageViewability.get(key);
+      const met = viewEvent.standardsMet || (viewEvent.standard ? [viewEvent.standard] : []);
+      if (!row) {
+        inPageViewability.set(key, {
           ts: viewEvent.timestamp,
           type: 'VIEWABILITY',
           vendor: 'In-Page Measurement',
@@ -1043,18 +1061,35 @@ async function scanAdImpressions(options) {
           placement: viewEvent.placement,
           requestUrl: 'in-page-measurement',
           status: 200,
-          frameUrl: url,
-          pageUrl: url,
+          frameUrl: pageUrl,
+          pageUrl,
           confidence: 0.8,
           percentInView: viewEvent.percentInView,
-          duration: viewEvent.duration
+          duration: viewEvent.duration,
+          standardsMet: met.slice(),
+          step: viewEvent.step,
+          stepIndex: viewEvent.stepIndex
         });
+        return;
       }
+      row.ts = Math.min(row.ts, viewEvent.timestamp);
+      row.percentInView = Math.max(row.percentInView || 0, viewEvent.percentInView || 0);
+      row.duration = Math.max(row.duration || 0, viewEvent.duration || 0);
+      met.forEach(id => { if (!row.standardsMet.includes(id)) row.standardsMet.push(id); });
     });
+    inPageViewability.forEach(row => sequences.push(row));
     
     // Sort sequences by timestamp
     sequences.sort((a, b) => a.ts - b.ts);
     
+    // Which journey step produced which events
+    const eventsByStep = {};
+    sequences.forEach(seq => {
+      const stepName = seq.step || 'unknown_step';
+      eventsByStep[stepName] = eventsByStep[stepName] || {};
+      eventsByStep[stepName][seq.type] = (eventsByStep[stepName][seq.type] || 0) + 1;
+    });
+    
     // Calculate summary using new event taxonomy with deduplication applied
     const tagLibraryLoads = sequences.filter(s => s.type === 'TAG_LIBRARY');
     const idSyncEvents = sequences.filter(s => s.type === 'ID_SYNC');
@@ -1165,6 +1200,10 @@ async function scanAdImpressions(options) {
       }
     });
     
+    // In-page measurement: which standards each creative met
+    const viewability = summarizeViewability(viewabilityEvents, standards);
+    const standardsByCreative = new Map(viewability.creatives.map(c => [c.creativeId, c.standardsMet]));
+    
     // Calculate flags
     const flags = [];
     byCreative.forEach((stats, creativeId) => {
@@ -1178,6 +1217,7 @@ async function scanAdImpressions(options) {
             placement: stats.placement,
             impressions: stats.impressions,
             viewable: stats.viewable,
+            standardsMet: standardsByCreative.get(creativeId) || [],
             discrepancy: Math.round(discrepancy * 100) / 100,
             message: `Viewability gap: ${Math.round(discrepancy)}% (${stats.viewable}/${stats.impressions} verified)`
           });
@@ -1208,7 +1248,16 @@ async function scanAdImpressions(options) {
         adserverImpressions: delivery.adserverImps,
         dspImpressions: delivery.dspImps,
         detectedClicks: clicks,
-        reportedClicks: delivery.clicks
+        reportedClicks: delivery.clicks,
+        viewabilityByStandard: viewability.byStandard.map(standard => ({
+          id: standard.id,
+          label: standard.label,
+          viewableImpressions: standard.viewableImpressions,
+          viewableRate: standard.viewableRate,
+          viewableVsAdserver: delivery.adserverImps > 0
+            ? Math.round((standard.viewableImpressions / delivery.adserverImps) * 100 * 100) / 100
+            : null
+        }))
       };
     }
     
@@ -1232,10 +1281,12 @@ async function scanAdImpressions(options) {
       servedImpressions: servedImpressions, // GPT_SLOT_RENDER (deduped)
       verifiedImpressions: verifiedImpressions, // Strict correlation required
       viewableImpressions: viewableVerified,
+      viewabilityByStandard: viewability.byStandard,
       clicks: clicks,
       discrepancyPercent: discrepancyPercent, // null if no viewability data
       sequencesCount: sequences.length,
       flagsCount: flags.length,
+      eventsByStep,
       diagnostic: {
         tagLibraryLoads: tagLibraryLoads.length,
         idSyncCount: idSyncEvents.length,
@@ -1264,7 +1315,12 @@ async function scanAdImpressions(options) {
       runId,
       url,
       campaignLabel,
+      consentState: appliedConsentState ? appliedConsentState.id : null,
+      emulation: session.emulation,
       viewabilityRule,
+      viewabilityStandards: standards,
+      viewabilityCreatives: viewability.creatives,
+      journey: journeyLog,
       discrepancyThreshold,
       scanTimestamp: new Date().toISOString(),
       summary,
@@ -1280,6 +1336,23 @@ async function scanAdImpressions(options) {
       JSON.stringify(runData, null, 2)
     );
     
+    // RunMetadata (src/evidence/pack-writer.ts): the device and network the
+    // run used, so it can be repeated
+    fs.writeFileSync(
+      path.join(runDir, 'run_metadata.json'),
+      JSON.stringify({
+        runId,
+        url,
+        startedAt: scanStartedAt,
+        finishedAt: Date.now(),
+        userAgent: await page.evaluate(() => navigator.userAgent),
+        viewport: page.viewportSize(),
+        locale: session.emulation && session.emulation.locale ? session.emulation.locale : undefined,
+        crawlerVersion: CRAWLER_VERSION,
+        emulation: session.emulation
+      }, null, 2)
+    );
+    
     fs.writeFileSync(
       path.join(runDir, 'sequences.json'),
       JSON.stringify(sequences, null, 2)
@@ -1327,11 +1400,12 @@ async function scanAdImpressions(options) {
     return runData;
     
   } catch (error) {
+    if (signal && signal.aborted) throw abortError(signal);
     console.error('Scan error:', error);
     throw error;
   } finally {
-    if (browser) {
-      await browser.close();
+    if (session) {
+      await session.close();
     }
   }
 }
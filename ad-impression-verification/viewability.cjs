@@ -1,22 +1,113 @@
 /**
  * Viewability Measurement Module
- * Injects scripts to measure ad viewability using IntersectionObserver
+ * Injects scripts to measure ad viewability using IntersectionObserver.
+ * One run measures several standards at once (MRC display, MRC video,
+ * large-format and custom client rules); each tracked creative reports
+ * which of them it met.
  */
 
+/**
+ * Built-in standards. Percent of pixels in view, continuous duration in ms.
+ */
+const VIEWABILITY_STANDARDS = {
+  mrc_display: { id: 'mrc_display', label: 'MRC display (50%/1s)', percent: 50, duration: 1000 },
+  mrc_video: { id: 'mrc_video', label: 'MRC video (50%/2s)', percent: 50, duration: 2000 },
+  large_format: { id: 'large_format', label: 'Large format (30%/1s)', percent: 30, duration: 1000 }
+};
+
+const DEFAULT_STANDARDS = ['mrc_display', 'mrc_video', 'large_format'];
+
+const RULE_PATTERN = /^\s*(\d+(?:\.\d+)?)%\s*\/\s*(\d+(?:\.\d+)?)s\s*$/;
+
+/**
+ * Parse viewability rule string (e.g., "50%/1s" -> { percent: 50, duration: 1000 })
+ */
+function parseViewabilityRule(ruleString) {
+  const match = RULE_PATTERN.exec(String(ruleString || ''));
+  if (match) {
+    return {
+      percent: parseFloat(match[1]),
+      duration: Math.round(parseFloat(match[2]) * 1000)
+    };
+  }
+  // Default
+  return { percent: 50, duration: 1000 };
+}
+
+function formatRule(percent, duration) {
+  return `${percent}%/${duration / 1000}s`;
+}
+
+/**
+ * Turn a { percent, duration } rule into a standard, reusing the built-in id
+ * when the thresholds match one.
+ */
+function standardFromRule(rule, label) {
+  const preset = Object.values(VIEWABILITY_STANDARDS)
+    .find(standard => standard.percent === rule.percent && standard.duration === rule.duration);
+  if (preset && !label) return { ...preset };
+  return {
+    id: rule.id || `custom_${rule.percent}pct_${rule.duration}ms`,
+    label: label || rule.label || `Custom (${formatRule(rule.percent, rule.duration)})`,
+    percent: rule.percent,
+    duration: rule.duration
+  };
+}
+
+/**
+ * Resolve the standards to measure in one run.
+ * @param {string|Array} input - Comma-separated list or array of built-in ids
+ *   ("mrc_video"), rule strings ("40%/3s") or { id?, label?, percent, duration }
+ * @returns {Array} - [{ id, label, percent, duration }], de-duplicated by id
+ */
+function parseViewabilityStandards(input = DEFAULT_STANDARDS) {
+  const items = Array.isArray(input) ? input : String(input).split(',');
+  const standards = new Map();
+
+  items.forEach(item => {
+    let standard;
+    if (item && typeof item === 'object') {
+      const percent = Number(item.percent);
+      const duration = Number(item.duration);
+      if (!(percent > 0 && percent <= 100) || !(duration >= 0)) {
+        throw new Error(`Invalid viewability standard ${JSON.stringify(item)}: expected percent 1-100 and duration in ms`);
+      }
+      standard = standardFromRule({ id: item.id, percent, duration }, item.label);
+    } else {
+      const value = String(item).trim();
+      if (!value) return;
+      if (VIEWABILITY_STANDARDS[value]) {
+        standard = { ...VIEWABILITY_STANDARDS[value] };
+      } else if (RULE_PATTERN.test(value)) {
+        standard = standardFromRule(parseViewabilityRule(value));
+      } else {
+        throw new Error(`Unknown viewability standard "${value}" (expected ${Object.keys(VIEWABILITY_STANDARDS).join(', ')} or a rule like 50%/1s)`);
+      }
+    }
+    if (!standards.has(standard.id)) standards.set(standard.id, standard);
+  });
+
+  return Array.from(standards.values());
+}
+
 /**
  * Generate viewability measurement script to inject into page
- * @param {Object} rule - { percent: number, duration: number } e.g., { percent: 50, duration: 1000 }
+ * @param {Array|Object} standards - Standards from parseViewabilityStandards(),
+ *   or a single legacy rule { percent, duration } e.g. { percent: 50, duration: 1000 }
  * @returns {string} - JavaScript code to inject
  */
-function generateViewabilityScript(rule) {
-  const percent = rule.percent || 50;
-  const duration = rule.duration || 1000; // milliseconds
+function generateViewabilityScript(standards) {
+  const list = Array.isArray(standards)
+    ? standards
+    : [standardFromRule({ percent: (standards && standards.percent) || 50, duration: (standards && standards.duration) || 1000 })];
+  const thresholds = Array.from(new Set([0, ...list.map(standard => standard.percent / 100)])).sort((a, b) => a - b);
   
   return `
 (function() {
   'use strict';
   
-  const VIEWABILITY_RULE = { percent: ${percent}, duration: ${duration} };
+  const VIEWABILITY_STANDARDS = ${JSON.stringify(list)};
+  const OBSERVER_THRESHOLDS = ${JSON.stringify(thresholds)};
   const viewabilityEvents = [];
   
   // Function to hook Google Publisher Tag events
@@ -154,122 +245,115 @@ function generateViewabilityScript(rule) {
   // Track viewability for each element
   const trackedElements = new Map();
   
+  function percentInViewOf(element) {
+    const rect = element.getBoundingClientRect();
+    const viewportHeight = window.innerHeight;
+    const viewportWidth = window.innerWidth;
+    
+    const visibleWidth = Math.max(0, Math.min(rect.right, viewportWidth) - Math.max(rect.left, 0));
+    const visibleHeight = Math.max(0, Math.min(rect.bottom, viewportHeight) - Math.max(rect.top, 0));
+    const visibleArea = visibleWidth * visibleHeight;
+    const totalArea = rect.width * rect.height;
+    
+    return totalArea > 0 ? (visibleArea / totalArea) * 100 : 0;
+  }
+  
   function trackElement(element, creativeId, placement) {
     if (trackedElements.has(element)) return;
     
-    let inViewTime = 0;
-    let lastInView = null;
+    const resolvedCreativeId = creativeId || element.id || 'unknown';
+    const resolvedPlacement = placement || 'unknown';
+    // Per standard: when the current continuous in-view stretch started
+    const inViewSince = {};
+    const timers = {};
+    const standardsMet = [];
+    let lastPercent = 0;
     let observer = null;
+    let interval = null;
+    
+    const stopTracking = () => {
+      if (observer) observer.disconnect();
+      if (interval) clearInterval(interval);
+      // Keep the entry so periodic rescans do not start measuring it again
+      trackedElements.set(element, { creativeId: resolvedCreativeId, placement: resolvedPlacement, standardsMet, done: true });
+    };
     
-    const checkViewability = () => {
-      const rect = element.getBoundingClientRect();
-      const viewportHeight = window.innerHeight;
-      const viewportWidth = window.innerWidth;
+    const markMet = (standard) => {
+      if (standardsMet.includes(standard.id)) return;
+      standardsMet.push(standard.id);
       
-      const visibleWidth = Math.max(0, Math.min(rect.right, viewportWidth) - Math.max(rect.left, 0));
-      const visibleHeight = Math.max(0, Math.min(rect.bottom, viewportHeight) - Math.max(rect.top, 0));
-      const visibleArea = visibleWidth * visibleHeight;
-      const totalArea = rect.width * rect.height;
+      const event = {
+        type: 'VIEWABILITY',
+        source: 'intersection',
+        standard: standard.id,
+        standardsMet: standardsMet.slice(),
+        creativeId: resolvedCreativeId,
+        placement: resolvedPlacement,
+        timestamp: Date.now(),
+        percentInView: Math.round(lastPercent),
+        duration: Date.now() - inViewSince[standard.id],
+        elementId: element.id || null,
+        elementTag: element.tagName || null
+      };
       
-      const percentInView = totalArea > 0 ? (visibleArea / totalArea) * 100 : 0;
-      const isInView = percentInView >= VIEWABILITY_RULE.percent;
+      viewabilityEvents.push(event);
+      console.log('[CYBERTECT_VIEWABILITY]', JSON.stringify(event));
       
+      // Stop tracking once every standard is met
+      if (standardsMet.length === VIEWABILITY_STANDARDS.length) {
+        stopTracking();
+      }
+    };
+    
+    // Start or reset each standard's timer from the latest in-view percentage
+    const update = (percentInView) => {
+      lastPercent = percentInView;
       const now = Date.now();
-      
-      if (isInView) {
-        if (lastInView === null) {
-          lastInView = now;
-        }
-        inViewTime = now - lastInView;
-        
-        if (inViewTime >= VIEWABILITY_RULE.duration) {
-          // Emit viewability event (fallback when GPT not available)
-          const event = {
-            type: 'VIEWABILITY',
-            source: 'intersection',
-            creativeId: creativeId || element.id || 'unknown',
-            placement: placement || 'unknown',
-            timestamp: now,
-            percentInView: Math.round(percentInView),
-            duration: inViewTime,
-            elementId: element.id || null,
-            elementTag: element.tagName || null
-          };
-          
-          viewabilityEvents.push(event);
-          console.log('[CYBERTECT_VIEWABILITY]', JSON.stringify(event));
-          
-          // Stop tracking once viewability is met
-          if (observer) {
-            observer.disconnect();
-            trackedElements.delete(element);
+      VIEWABILITY_STANDARDS.forEach(standard => {
+        if (standardsMet.includes(standard.id)) return;
+        if (percentInView >= standard.percent) {
+          if (inViewSince[standard.id] == null) {
+            inViewSince[standard.id] = now;
+            timers[standard.id] = setTimeout(() => {
+              if (inViewSince[standard.id] != null) markMet(standard);
+            }, standard.duration);
           }
+        } else {
+          inViewSince[standard.id] = null;
+          clearTimeout(timers[standard.id]);
         }
-      } else {
-        lastInView = null;
-        inViewTime = 0;
-      }
+      });
     };
     
+    const trackedEvent = {
+      type: 'VIEWABILITY_TRACKED',
+      source: 'intersection',
+      creativeId: resolvedCreativeId,
+      placement: resolvedPlacement,
+      timestamp: Date.now(),
+      elementId: element.id || null,
+      elementTag: element.tagName || null
+    };
+    console.log('[CYBERTECT_VIEWABILITY]', JSON.stringify(trackedEvent));
+    
     // Use IntersectionObserver for efficient tracking
     try {
       observer = new IntersectionObserver((entries) => {
         entries.forEach(entry => {
-          if (entry.isIntersecting) {
-            const rect = entry.boundingClientRect;
-            const visibleArea = entry.intersectionArea;
-            const totalArea = rect.width * rect.height;
-            const percentInView = totalArea > 0 ? (visibleArea / totalArea) * 100 : 0;
-            
-            if (percentInView >= VIEWABILITY_RULE.percent) {
-              const now = Date.now();
-              if (lastInView === null) {
-                lastInView = now;
-              }
-              
-              setTimeout(() => {
-                const elapsed = Date.now() - lastInView;
-                if (elapsed >= VIEWABILITY_RULE.duration) {
-                  const event = {
-                    type: 'VIEWABILITY',
-                    source: 'intersection',
-                    creativeId: creativeId || element.id || 'unknown',
-                    placement: placement || 'unknown',
-                    timestamp: Date.now(),
-                    percentInView: Math.round(percentInView),
-                    duration: elapsed,
-                    elementId: element.id || null,
-                    elementTag: element.tagName || null
-                  };
-                  
-                  viewabilityEvents.push(event);
-                  console.log('[CYBERTECT_VIEWABILITY]', JSON.stringify(event));
-                  
-                  if (observer) {
-                    observer.disconnect();
-                    trackedElements.delete(element);
-                  }
-                }
-              }, VIEWABILITY_RULE.duration);
-            } else {
-              lastInView = null;
-            }
-          } else {
-            lastInView = null;
-          }
+          update(entry.isIntersecting ? entry.intersectionRatio * 100 : 0);
         });
       }, {
-        threshold: [VIEWABILITY_RULE.percent / 100],
+        threshold: OBSERVER_THRESHOLDS,
         rootMargin: '0px'
       });
       
       observer.observe(element);
-      trackedElements.set(element, { observer, creativeId, placement });
+      trackedElements.set(element, { observer, creativeId: resolvedCreativeId, placement: resolvedPlacement, standardsMet });
     } catch (e) {
       console.warn('[Cybertect] IntersectionObserver failed:', e);
       // Fallback to polling
-      const interval = setInterval(checkViewability, 100);
-      trackedElements.set(element, { interval, creativeId, placement });
+      interval = setInterval(() => update(percentInViewOf(element)), 100);
+      trackedElements.set(element, { interval, creativeId: resolvedCreativeId, placement: resolvedPlacement, standardsMet });
     }
   }
   
@@ -331,14 +415,78 @@ function generateViewabilityScript(rule) {
   // Expose for debugging
   window.__cybertectViewability = {
     events: viewabilityEvents,
+    standards: VIEWABILITY_STANDARDS,
     tracked: trackedElements.size,
+    creatives: function() {
+      return Array.from(trackedElements.values()).map(entry => ({
+        creativeId: entry.creativeId,
+        placement: entry.placement,
+        standardsMet: entry.standardsMet.slice()
+      }));
+    },
     rescan: scanForAds
   };
 })();
 `;
 }
 
+/**
+ * Roll in-page viewability events up per creative and per standard
+ * @param {Array} events - VIEWABILITY and VIEWABILITY_TRACKED events from the page
+ * @param {Array} standards - Standards the run measured
+ * @returns {Object} - { creatives: [{ creativeId, placement, standardsMet }],
+ *   byStandard: [{ id, label, percent, duration, measuredImpressions, viewableImpressions, viewableRate }] }
+ */
+function summarizeViewability(events, standards) {
+  const creatives = new Map();
+  const creativeFor = event => {
+    const key = event.creativeId || 'unknown';
+    if (!creatives.has(key)) {
+      creatives.set(key, { creativeId: key, placement: event.placement || 'unknown', standardsMet: [] });
+    }
+    return creatives.get(key);
+  };
+  
+  (events || []).forEach(event => {
+    if (event.source !== 'intersection') return;
+    if (event.type === 'VIEWABILITY_TRACKED') {
+      creativeFor(event);
+    } else if (event.type === 'VIEWABILITY') {
+      const creative = creativeFor(event);
+      // Events from before multi-standard measurement carry no standard id
+      const met = event.standard ? [event.standard] : ['mrc_display'];
+      met.concat(event.standardsMet || []).forEach(id => {
+        if (!creative.standardsMet.includes(id)) creative.standardsMet.push(id);
+      });
+    }
+  });
+  
+  const creativeList = Array.from(creatives.values());
+  const measuredImpressions = creativeList.length;
+  const byStandard = standards.map(standard => {
+    const viewableImpressions = creativeList.filter(c => c.standardsMet.includes(standard.id)).length;
+    return {
+      id: standard.id,
+      label: standard.label,
+      percent: standard.percent,
+      duration: standard.duration,
+      measuredImpressions,
+      viewableImpressions,
+      viewableRate: measuredImpressions > 0
+        ? Math.round((viewableImpressions / measuredImpressions) * 100 * 100) / 100
+        : null
+    };
+  });
+  
+  return { creatives: creativeList, byStandard };
+}
+
 module.exports = {
-  generateViewabilityScript
+  VIEWABILITY_STANDARDS,
+  DEFAULT_STANDARDS,
+  parseViewabilityRule,
+  parseViewabilityStandards,
+  generateViewabilityScript,
+  summarizeViewability
 };
 
@@ -0,0 +1,301 @@
+/**
+ * Evidence Compaction
+ * Fits evidence into a provider's token budget before it is put in a prompt.
+ * The rows of every array (sequences, flags, network groups, iframe
+ * anomalies...) are ranked by severity and novelty, the best rows are kept
+ * while the budget allows, and the long tail is summarized statistically.
+ * A compaction block on the result records exactly what was omitted.
+ */
+
+// Rough size of a token in pretty-printed JSON
+const CHARS_PER_TOKEN = 4;
+
+// Arrays up to this length are never compacted, and are the starting point of every collection
+const MIN_ROWS = 3;
+
+// A repeat of an already ranked signature (same type and host) loses this much severity per repeat
+const NOVELTY_PENALTY = 1.5;
+
+const TAIL_TOP = 5;
+
+// Token budget for the evidence part of the prompt; leaves room for the
+// system prompt and the answer within each provider's context window
+const TOKEN_BUDGETS = { openai: 24000, gemini: 48000, perplexity: 12000, local: 3000 };
+const DEFAULT_TOKEN_BUDGET = 12000;
+const PROVIDER_ALIASES = { chatgpt: 'openai', google: 'gemini', ollama: 'local' };
+const BUDGET_ENV = {
+  openai: 'OPENAI_TOKEN_BUDGET',
+  gemini: 'GEMINI_TOKEN_BUDGET',
+  perplexity: 'PERPLEXITY_TOKEN_BUDGET',
+  local: 'LOCAL_LLM_TOKEN_BUDGET'
+};
+
+const SEVERITY_WORDS = { critical: 4, high: 3, fail: 3, failed: 3, medium: 2, warn: 2, warning: 2, low: 1 };
+const SEVERITY_KEYS = ['severity', 'risk', 'level', 'status', 'verdict'];
+const SEQUENCE_WEIGHTS = {
+  SUSPECT_CLICK: 4,
+  IMPRESSION: 3,
+  BEACON: 3,
+  CLICK_REDIRECT: 2,
+  ID_SYNC: 2,
+  SYNC: 2,
+  IFRAME: 2,
+  GPT_SLOT_RENDER: 1,
+  RENDER: 1,
+  GPT_VIEWABLE: 1,
+  VIEWABLE: 1
+};
+const SUSPICIOUS_PATTERN = /fraud|stack|hidden|offscreen|tiny|duplicat|inflat|suspect|stuff|spoof|phantom|inject|unauthori|violation/i;
+const URL_KEYS = ['endpoint', 'url', 'requestUrl', 'frameUrl', 'iframeId', 'domain', 'src'];
+const KIND_KEYS = ['type', 'kind', 'category'];
+
+/**
+ * Token budget for a provider
+ * <PROVIDER>_TOKEN_BUDGET (LOCAL_LLM_TOKEN_BUDGET for local) overrides
+ * AI_TOKEN_BUDGET, which overrides the built-in default.
+ * @param {string} providerName - Provider name (openai, gemini, perplexity, local)
+ * @returns {number} - Token budget for the evidence
+ */
+function tokenBudgetFor(providerName) {
+  const name = String(providerName || '').toLowerCase();
+  const id = PROVIDER_ALIASES[name] || name;
+  return Number(process.env[BUDGET_ENV[id]]) ||
+    Number(process.env.AI_TOKEN_BUDGET) ||
+    TOKEN_BUDGETS[id] ||
+    DEFAULT_TOKEN_BUDGET;
+}
+
+/**
+ * Estimate the tokens a value takes in a pretty-printed prompt
+ * @param {*} value - JSON-serializable value
+ * @returns {number} - Estimated tokens
+ */
+function estimateTokens(value) {
+  return Math.ceil((JSON.stringify(value, null, 2) || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Compact evidence to a token budget
+ * @param {object|array} evidence - Evidence to compact (not modified)
+ * @param {object} options - Compaction options
+ * @param {number} options.tokenBudget - Token budget for the compacted evidence
+ * @param {string[]} options.preserve - Top-level keys that are never compacted
+ * @returns {object} - { evidence, compaction } where evidence carries the compaction block
+ */
+function compactEvidence(evidence, { tokenBudget = DEFAULT_TOKEN_BUDGET, preserve = [] } = {}) {
+  const holder = { root: JSON.parse(JSON.stringify(evidence)) };
+  const tokensBefore = estimateTokens(holder.root);
+  // The record itself takes room, so count it before deciding anything must go
+  const fits = estimateTokens(withRecord(holder.root, compactionRecord([], tokenBudget, tokensBefore))) <= tokenBudget;
+  const collections = fits ? [] : findCollections(holder, preserve);
+
+  collections.forEach(collection => {
+    collection.keep = Math.min(MIN_ROWS, collection.ranked.length);
+  });
+  const build = () => {
+    collections.forEach(collection => {
+      // Kept rows stay in their original order so sequences still read chronologically
+      collection.parent[collection.key] = collection.ranked
+        .slice(0, collection.keep)
+        .sort((a, b) => a.index - b.index)
+        .map(entry => entry.row);
+    });
+    return withRecord(holder.root, compactionRecord(collections, tokenBudget, tokensBefore));
+  };
+
+  // Add rows round-robin, best ranked first, while they fit
+  let tokens = estimateTokens(build());
+  let growing = collections.filter(collection => collection.keep < collection.ranked.length);
+  while (growing.length > 0) {
+    growing = growing.filter(collection => {
+      const cost = estimateTokens(collection.ranked[collection.keep].row) + 1;
+      if (tokens + cost > tokenBudget) return false;
+      collection.keep++;
+      tokens += cost;
+      return collection.keep < collection.ranked.length;
+    });
+  }
+
+  // The estimate above ignores indentation, so trim the largest collection until the result fits
+  let compacted = build();
+  while (estimateTokens(compacted) > tokenBudget) {
+    const largest = collections.reduce((max, collection) => (!max || collection.keep > max.keep ? collection : max), null);
+    if (!largest || largest.keep === 0) break;
+    largest.keep -= Math.max(1, Math.ceil(largest.keep * 0.1));
+    compacted = build();
+  }
+
+  const compaction = compacted.compaction;
+  compaction.estimated_tokens_after = estimateTokens(compacted);
+  compaction.over_budget = compaction.estimated_tokens_after > tokenBudget;
+  return { evidence: compacted, compaction };
+}
+
+/**
+ * Compact a v1 case brief to a provider's token budget
+ * The limitations and deterministic rules are never compacted, and a
+ * limitation is added when rows were omitted.
+ * @param {object} caseBrief - Canonical case brief (not modified)
+ * @param {number} tokenBudget - Token budget for the brief
+ * @returns {object} - Compacted case brief with a compaction block
+ */
+function compactCaseBrief(caseBrief, tokenBudget) {
+  const { evidence: brief, compaction } = compactEvidence(caseBrief, {
+    tokenBudget,
+    preserve: ['limitations', 'deterministic_rules', 'compaction']
+  });
+  if (compaction.omitted_rows > 0) {
+    brief.limitations = [
+      ...(brief.limitations || []),
+      `Case brief compacted to a ${tokenBudget}-token budget: ${compaction.omitted_rows} lower-ranked row(s) omitted and summarized in compaction.omitted`
+    ];
+  }
+  return brief;
+}
+
+/**
+ * Rank rows by severity, demoting repeats of the same type and host
+ * @param {array} rows - Collection rows
+ * @returns {object[]} - [{ row, index, severity, signature }] best first
+ */
+function rankRows(rows) {
+  const scored = rows.map((row, index) => ({ row, index, severity: rowSeverity(row), signature: rowSignature(row) }));
+  scored.sort((a, b) => b.severity - a.severity || a.index - b.index);
+
+  const repeats = {};
+  scored.forEach(entry => {
+    const repeat = repeats[entry.signature] || 0;
+    repeats[entry.signature] = repeat + 1;
+    entry.rank = entry.severity - NOVELTY_PENALTY * repeat;
+  });
+  return scored.sort((a, b) => b.rank - a.rank || a.index - b.index);
+}
+
+function rowSeverity(row) {
+  if (row === null || typeof row !== 'object') {
+    return SUSPICIOUS_PATTERN.test(String(row)) ? 2 : 0;
+  }
+  let severity = 0;
+  SEVERITY_KEYS.forEach(key => {
+    if (typeof row[key] === 'string') severity += SEVERITY_WORDS[row[key].toLowerCase()] || 0;
+  });
+  if (typeof row.type === 'string') severity += SEQUENCE_WEIGHTS[row.type.toUpperCase()] || 0;
+  if (typeof row.discrepancy === 'number') severity += Math.min(Math.abs(row.discrepancy), 100) / 25;
+  if (typeof row.count === 'number' && row.count > 0) severity += Math.log2(row.count + 1) / 2;
+  if (Array.isArray(row.reason)) severity += row.reason.length;
+  if (SUSPICIOUS_PATTERN.test(JSON.stringify(row))) severity += 2;
+  return severity;
+}
+
+function rowSignature(row) {
+  if (row === null || typeof row !== 'object') return hostOf(String(row));
+  const kind = KIND_KEYS.map(key => row[key]).find(value => typeof value === 'string') || '';
+  const url = URL_KEYS.map(key => row[key]).find(value => typeof value === 'string');
+  return `${kind}|${url ? hostOf(url) : ''}`;
+}
+
+// Host of a URL or of a scheme-less endpoint such as securepubads.g.doubleclick.net/pcs/view
+function hostOf(text) {
+  try {
+    return new URL(text).hostname;
+  } catch (error) {
+    const match = text.match(/^([a-z0-9-]+(?:\.[a-z0-9-]+)+)(?:[/:?]|$)/i);
+    return match ? match[1].toLowerCase() : text;
+  }
+}
+
+/**
+ * Find every array longer than MIN_ROWS; rows themselves are not searched
+ * @returns {object[]} - [{ parent, key, path, ranked }]
+ */
+function findCollections(holder, preserve) {
+  const collections = [];
+  (function walk(parent, key, pathText) {
+    const value = parent[key];
+    if (Array.isArray(value)) {
+      if (value.length > MIN_ROWS) {
+        collections.push({ parent, key, path: pathText || '$', ranked: rankRows(value) });
+      }
+    } else if (value && typeof value === 'object') {
+      Object.keys(value).forEach(child => {
+        if (pathText === '' && preserve.includes(child)) return;
+        walk(value, child, pathText ? `${pathText}.${child}` : child);
+      });
+    }
+  })(holder, 'root', '');
+  return collections;
+}
+
+function compactionRecord(collections, tokenBudget, tokensBefore) {
+  const omitted = collections
+    .filter(collection => collection.keep < collection.ranked.length)
+    .map(collection => {
+      const tail = collection.ranked.slice(collection.keep).sort((a, b) => a.index - b.index).map(entry => entry.row);
+      return {
+        path: collection.path,
+        total: collection.ranked.length,
+        kept: collection.keep,
+        omitted: tail.length,
+        summary: summarizeTail(tail)
+      };
+    });
+  return {
+    token_budget: tokenBudget,
+    estimated_tokens_before: tokensBefore,
+    omitted_rows: omitted.reduce((sum, entry) => sum + entry.omitted, 0),
+    omitted
+  };
+}
+
+/**
+ * Describe omitted rows statistically: kinds, hosts and numeric ranges
+ * @param {array} rows - Omitted rows
+ * @returns {object} - Tail summary
+ */
+function summarizeTail(rows) {
+  const summary = {};
+  const objects = rows.filter(row => row && typeof row === 'object' && !Array.isArray(row));
+
+  const kinds = objects.map(row => KIND_KEYS.map(key => row[key]).find(value => typeof value === 'string')).filter(Boolean);
+  if (kinds.length > 0) summary.by_type = topCounts(kinds);
+
+  const hosts = rows.map(row => {
+    if (row === null || typeof row !== 'object') return typeof row === 'string' ? hostOf(row) : null;
+    const url = URL_KEYS.map(key => row[key]).find(value => typeof value === 'string');
+    return url ? hostOf(url) : null;
+  }).filter(Boolean);
+  if (hosts.length > 0) {
+    summary.distinct_hosts = new Set(hosts).size;
+    summary.top_hosts = topCounts(hosts);
+  }
+
+  const numericKeys = [...new Set(objects.flatMap(row => Object.keys(row).filter(key => typeof row[key] === 'number')))];
+  numericKeys.slice(0, TAIL_TOP).forEach(key => {
+    const values = objects.map(row => row[key]).filter(value => typeof value === 'number').sort((a, b) => a - b);
+    summary[key] = {
+      min: values[0],
+      median: values[Math.floor(values.length / 2)],
+      max: values[values.length - 1],
+      sum: Math.round(values.reduce((sum, value) => sum + value, 0) * 100) / 100
+    };
+  });
+  return summary;
+}
+
+function topCounts(values) {
+  const counts = {};
+  values.forEach(value => { counts[value] = (counts[value] || 0) + 1; });
+  return Object.fromEntries(Object.entries(counts).sort((a, b) => b[1] - a[1]).slice(0, TAIL_TOP));
+}
+
+function withRecord(root, record) {
+  if (Array.isArray(root)) return { rows: root, compaction: record };
+  return { ...root, compaction: record };
+}
+
+module.exports = {
+  compactEvidence,
+  compactCaseBrief,
+  tokenBudgetFor,
+  estimateTokens
+};
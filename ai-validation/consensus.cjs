@@ -0,0 +1,271 @@
+/**
+ * Consensus Validation
+ * Sends one case brief to several providers and merges their opinions
+ * into a single AI validation result with an agreement score and the
+ * findings the providers disagree on.
+ */
+
+const crypto = require('crypto');
+const { createProvider } = require('./providers/provider-factory.cjs');
+const { groundValidation } = require('./grounding.cjs');
+const { compactCaseBrief, tokenBudgetFor } = require('./compaction.cjs');
+
+// Ties between verdict labels resolve to the more severe one
+const LABEL_SEVERITY = { PASS: 0, WARN: 1, FAIL: 2 };
+const RISK_SEVERITY = { LOW: 0, MEDIUM: 1, HIGH: 2 };
+
+// Two finding titles name the same issue when this share of their words overlap
+const TITLE_SIMILARITY = 0.5;
+
+// Weights of the agreement score components (sum to 1)
+const AGREEMENT_WEIGHTS = { verdict: 0.5, findings: 0.3, confidence: 0.2 };
+
+const MIN_OPINIONS = 2;
+
+/**
+ * Parse a provider list from an array or a comma-separated string
+ * @param {string|string[]} providers - Provider names
+ * @returns {string[]} - Unique, lower-cased provider names
+ */
+function parseProviderList(providers) {
+  const list = Array.isArray(providers) ? providers : String(providers || '').split(',');
+  return [...new Set(list.map(p => String(p).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * Run the same case brief through every provider
+ * @param {string[]} providerNames - Providers to ask (at least two)
+ * @param {object} caseBrief - Canonical case brief
+ * @param {string} templateId - Validation template ID
+ * @param {object} templateObj - Template with systemPrompt and promptVersion
+ * @returns {Promise<object>} - Merged AI validation result with a consensus block
+ */
+async function runConsensusValidation(providerNames, caseBrief, templateId, templateObj) {
+  const opinions = await collectOpinions(providerNames, caseBrief, templateId, templateObj);
+  return mergeValidations(opinions, caseBrief, templateObj.promptVersion);
+}
+
+/**
+ * Ask every provider for its grounded opinion without merging them
+ * @param {string[]} providerNames - Providers to ask (at least two)
+ * @param {object} caseBrief - Canonical case brief
+ * @param {string} templateId - Validation template ID
+ * @param {object} templateObj - Template with systemPrompt and promptVersion
+ * @returns {Promise<object[]>} - [{ id, result }] or [{ id, provider, model, error }]
+ */
+async function collectOpinions(providerNames, caseBrief, templateId, templateObj) {
+  if (providerNames.length < MIN_OPINIONS) {
+    throw new Error(`Consensus needs at least ${MIN_OPINIONS} providers, got ${providerNames.length}`);
+  }
+
+  // Create every provider first so a missing API key fails before any call is made
+  const providers = providerNames.map(name => createProvider(name));
+
+  // Each provider gets the brief compacted to its own token budget
+  const briefs = providerNames.map(name => compactCaseBrief(caseBrief, tokenBudgetFor(name)));
+
+  const settled = await Promise.allSettled(providers.map((provider, index) =>
+    provider.validateCase(briefs[index], templateId, templateObj.systemPrompt, templateObj.promptVersion)
+  ));
+
+  return settled.map((outcome, index) => {
+    const provider = providers[index];
+    if (outcome.status === 'fulfilled') {
+      // Ground each opinion first so hallucinated findings never count as a vote
+      const result = groundValidation(outcome.value, caseBrief);
+      result.compaction = briefs[index].compaction;
+      return { id: providerNames[index], result };
+    }
+    console.error(`[AI Validation] ${providerNames[index]} failed:`, outcome.reason.message);
+    return {
+      id: providerNames[index],
+      provider: provider.providerName,
+      model: provider.modelName,
+      error: outcome.reason.message
+    };
+  });
+}
+
+/**
+ * Merge provider opinions into one AI validation result
+ * @param {object[]} opinions - [{ id, result }] or [{ id, provider, model, error }]
+ * @param {object} caseBrief - Canonical case brief
+ * @param {string} promptVersion - Template prompt version
+ * @returns {object} - AI validation result with a consensus block
+ */
+function mergeValidations(opinions, caseBrief, promptVersion) {
+  const succeeded = opinions.filter(opinion => opinion.result);
+  if (succeeded.length < MIN_OPINIONS) {
+    const failures = opinions.filter(opinion => opinion.error).map(opinion => `${opinion.id}: ${opinion.error}`);
+    throw new Error(`Consensus needs at least ${MIN_OPINIONS} successful providers, got ${succeeded.length}` +
+      (failures.length ? ` (${failures.join('; ')})` : ''));
+  }
+
+  // Verdict: majority label, ties go to the more severe label
+  const votes = { PASS: [], WARN: [], FAIL: [] };
+  succeeded.forEach(opinion => votes[opinion.result.verdict.label].push(opinion));
+  const label = Object.keys(votes).sort((a, b) =>
+    votes[b].length - votes[a].length || LABEL_SEVERITY[b] - LABEL_SEVERITY[a]
+  )[0];
+  const majority = votes[label];
+  const verdictAgreement = majority.length / succeeded.length;
+
+  const confidences = succeeded.map(opinion => opinion.result.verdict.confidence);
+  const confidenceSpread = Math.max(...confidences) - Math.min(...confidences);
+  const confidence = Math.round(
+    majority.reduce((sum, opinion) => sum + opinion.result.verdict.confidence, 0) / majority.length
+  );
+
+  const clusters = clusterFindings(succeeded);
+  const findingAgreement = clusters.length === 0
+    ? 1
+    : clusters.reduce((sum, cluster) => sum + cluster.citedBy.length / succeeded.length, 0) / clusters.length;
+
+  const agreementScore = Math.round(100 * (
+    AGREEMENT_WEIGHTS.verdict * verdictAgreement +
+    AGREEMENT_WEIGHTS.findings * findingAgreement +
+    AGREEMENT_WEIGHTS.confidence * (1 - confidenceSpread / 100)
+  ));
+
+  const allIds = succeeded.map(opinion => opinion.id);
+  const findings = clusters.map(cluster => ({
+    ...cluster.finding,
+    risk: cluster.risk,
+    cited_by: cluster.citedBy
+  }));
+
+  const disagreements = clusters
+    .filter(cluster => cluster.citedBy.length < succeeded.length || new Set(Object.values(cluster.riskBy)).size > 1)
+    .map(cluster => ({
+      title: cluster.finding.title,
+      cited_by: cluster.citedBy,
+      missing_from: allIds.filter(id => !cluster.citedBy.includes(id)),
+      risk_by_provider: cluster.riskBy
+    }));
+
+  const dissent = succeeded.filter(opinion => opinion.result.verdict.label !== label);
+  const rationale = `${majority.length} of ${succeeded.length} providers returned ${label}` +
+    (dissent.length ? ` (${dissent.map(o => `${o.id}: ${o.result.verdict.label}`).join(', ')})` : '') +
+    `. ${majority[0].result.verdict.rationale}`;
+
+  const limitations = [...new Set(succeeded.flatMap(opinion => opinion.result.limitations || []))];
+  opinions.filter(opinion => opinion.error).forEach(opinion => {
+    limitations.push(`${opinion.id} did not return a result: ${opinion.error}`);
+  });
+
+  const merged = {
+    verdict: { label, confidence, rationale },
+    findings,
+    duplicates: majority[0].result.duplicates,
+    limitations,
+    model_used: {
+      provider: 'Consensus',
+      model: succeeded.map(opinion => `${opinion.result.model_used.provider}/${opinion.result.model_used.model}`).join(', '),
+      run_at: new Date().toISOString()
+    },
+    prompt_version: promptVersion,
+    input_fingerprint: caseBrief.input_fingerprint
+  };
+
+  const grounded = succeeded.filter(opinion => opinion.result.grounding);
+  if (grounded.length > 0) {
+    const verified = grounded.reduce((sum, opinion) => sum + opinion.result.grounding.verified_refs, 0);
+    const total = grounded.reduce((sum, opinion) => sum + opinion.result.grounding.total_refs, 0);
+    const tagged = (key) => grounded.flatMap(opinion =>
+      opinion.result.grounding[key].map(entry => ({ ...entry, provider: opinion.id })));
+    merged.grounding = {
+      score: total === 0 ? 100 : Math.round(100 * verified / total),
+      verified_refs: verified,
+      total_refs: total,
+      unverified_refs: grounded.flatMap(opinion => opinion.result.grounding.unverified_refs),
+      removed_findings: tagged('removed_findings'),
+      downgraded_findings: tagged('downgraded_findings')
+    };
+  }
+
+  // The provider that saw the least decides what the merged result records as omitted
+  const compacted = succeeded.filter(opinion => opinion.result.compaction);
+  if (compacted.length > 0) {
+    merged.compaction = compacted.reduce((most, opinion) =>
+      opinion.result.compaction.omitted_rows > most.omitted_rows ? opinion.result.compaction : most,
+    compacted[0].result.compaction);
+  }
+
+  merged.output_fingerprint = crypto.createHash('sha256').update(JSON.stringify({
+    verdict: merged.verdict,
+    findings: merged.findings,
+    duplicates: merged.duplicates,
+    limitations: merged.limitations
+  })).digest('hex');
+
+  merged.consensus = {
+    agreement_score: agreementScore,
+    verdict_agreement: Math.round(verdictAgreement * 100),
+    finding_agreement: Math.round(findingAgreement * 100),
+    confidence_spread: confidenceSpread,
+    votes: Object.fromEntries(Object.entries(votes).map(([key, list]) => [key, list.map(o => o.id)])),
+    providers: opinions.map(opinion => opinion.result
+      ? {
+          id: opinion.id,
+          provider: opinion.result.model_used.provider,
+          model: opinion.result.model_used.model,
+          verdict: opinion.result.verdict.label,
+          confidence: opinion.result.verdict.confidence,
+          rationale: opinion.result.verdict.rationale,
+          findings: opinion.result.findings.map(finding => finding.title),
+          grounding_score: opinion.result.grounding ? opinion.result.grounding.score : null,
+          token_budget: opinion.result.compaction ? opinion.result.compaction.token_budget : null,
+          omitted_rows: opinion.result.compaction ? opinion.result.compaction.omitted_rows : 0,
+          output_fingerprint: opinion.result.output_fingerprint
+        }
+      : { id: opinion.id, provider: opinion.provider, model: opinion.model, error: opinion.error }),
+    disagreements
+  };
+
+  return merged;
+}
+
+/**
+ * Group the providers' findings by similar title
+ * @param {object[]} opinions - Successful opinions
+ * @returns {object[]} - [{ finding, risk, citedBy, riskBy }] in first-seen order
+ */
+function clusterFindings(opinions) {
+  const clusters = [];
+
+  opinions.forEach(opinion => {
+    opinion.result.findings.forEach(finding => {
+      const words = titleWords(finding.title);
+      const cluster = clusters.find(c => !c.citedBy.includes(opinion.id) && similarity(c.words, words) >= TITLE_SIMILARITY);
+      if (cluster) {
+        cluster.citedBy.push(opinion.id);
+        cluster.riskBy[opinion.id] = finding.risk;
+        // Keep the most severe risk any provider assigned
+        if (RISK_SEVERITY[finding.risk] > RISK_SEVERITY[cluster.risk]) cluster.risk = finding.risk;
+      } else {
+        clusters.push({ finding, words, risk: finding.risk, citedBy: [opinion.id], riskBy: { [opinion.id]: finding.risk } });
+      }
+    });
+  });
+
+  return clusters;
+}
+
+function titleWords(title) {
+  return new Set(String(title).toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length > 2));
+}
+
+// Jaccard similarity of two word sets
+function similarity(a, b) {
+  if (a.size === 0 && b.size === 0) return 1;
+  let shared = 0;
+  a.forEach(word => { if (b.has(word)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
+
+module.exports = {
+  runConsensusValidation,
+  collectOpinions,
+  mergeValidations,
+  parseProviderList
+};
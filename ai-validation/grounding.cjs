@@ -0,0 +1,372 @@
+/**
+ * Evidence Grounding
+ * Checks that what a model cites actually exists in the evidence it was
+ * given. Runs after schema validation: findings whose references cannot be
+ * resolved are stripped, partly grounded ones are downgraded with the
+ * unresolved references removed, and a grounding score is recorded so that
+ * unverifiable claims never reach the PDF.
+ */
+
+const crypto = require('crypto');
+
+const RISK_DOWNGRADE = { HIGH: 'MEDIUM', MEDIUM: 'LOW', LOW: 'LOW' };
+const STRENGTH_DOWNGRADE = { strong: 'moderate', moderate: 'weak', weak: 'weak' };
+const UNVERIFIED = '[unverified]';
+
+// Counts whose key names no case brief field are only grounded by a number this
+// large appearing in the evidence; small values match by coincidence
+const MIN_UNNAMED_COUNT = 10;
+
+// Dotted field citations in free text, e.g. iframe_anomalies.offscreen or CaseBrief.gpt_events.viewable
+const FIELD_PATH_PATTERN = /\b(?:CaseBrief\.)?([A-Za-z][A-Za-z0-9_]*(?:\.[A-Za-z0-9_]+)+)\b/g;
+
+/**
+ * Ground a v1 AI validation result against its case brief
+ * @param {object} aiValidation - Schema-valid AI validation result
+ * @param {object} caseBrief - Case brief the model was given
+ * @returns {object} - Grounded copy of the result with a grounding block
+ */
+function groundValidation(aiValidation, caseBrief) {
+  const index = indexEvidence(caseBrief);
+  const tally = { verified: 0, total: 0, unverified: [] };
+  const check = (ref, grounded) => {
+    tally.total++;
+    if (grounded) tally.verified++;
+    else tally.unverified.push(ref);
+    return grounded;
+  };
+
+  const result = JSON.parse(JSON.stringify(aiValidation));
+  const removed = [];
+  const downgraded = [];
+
+  result.findings = result.findings.filter(finding => {
+    const before = tally.unverified.length;
+    let verified = 0;
+    let cited = 0;
+    const cite = (ref, grounded) => {
+      cited++;
+      if (check(ref, grounded)) verified++;
+      return grounded;
+    };
+
+    const counts = {};
+    Object.entries(finding.evidence.counts || {}).forEach(([key, value]) => {
+      if (typeof value === 'number' && value === 0) {
+        counts[key] = value; // Absence is not a claim about the evidence
+      } else if (cite(`counts.${key}=${value}`, isGroundedCount(key, value, caseBrief, index))) {
+        counts[key] = value;
+      }
+    });
+
+    const examples = (finding.evidence.examples || []).filter(example => {
+      const identifiers = exampleIdentifiers(example);
+      if (identifiers.length === 0) return true; // Prose, not a reference
+      return identifiers.every(id => cite(`example:${id}`, index.hasString(id)));
+    });
+
+    finding.title = groundText(finding.title, caseBrief, cite);
+    finding.mechanism = groundText(finding.mechanism, caseBrief, cite);
+
+    const unverifiedRefs = tally.unverified.slice(before);
+    if (verified === 0) {
+      removed.push({
+        title: finding.title,
+        reason: cited === 0 ? 'cites no evidence from the case brief' : 'none of its references exist in the case brief',
+        unverified_refs: unverifiedRefs
+      });
+      return false;
+    }
+
+    finding.evidence = { ...finding.evidence, counts, examples };
+    if (unverifiedRefs.length > 0) {
+      const downgradedRisk = RISK_DOWNGRADE[finding.risk];
+      downgraded.push({ title: finding.title, risk_from: finding.risk, risk_to: downgradedRisk, unverified_refs: unverifiedRefs });
+      finding.risk = downgradedRisk;
+    }
+    return true;
+  });
+
+  result.verdict.rationale = groundText(result.verdict.rationale, caseBrief, check);
+
+  if (result.duplicates) {
+    const expected = typeof caseBrief.exact_duplicate_urls_count === 'number' ? caseBrief.exact_duplicate_urls_count : null;
+    const claimed = result.duplicates.exact_url_duplicates;
+    if (claimed !== 0 && !check(`duplicates.exact_url_duplicates=${claimed}`,
+      expected !== null ? claimed === expected : index.hasNumber(claimed))) {
+      result.duplicates.exact_url_duplicates = expected || 0;
+    }
+    result.duplicates.top_endpoints = (result.duplicates.top_endpoints || []).filter(ep =>
+      check(`duplicates.top_endpoints:${ep.endpoint}`, index.hasString(ep.endpoint) && index.hasNumber(ep.count))
+    );
+  }
+
+  const score = tally.total === 0 ? 100 : Math.round(100 * tally.verified / tally.total);
+  if (score < 100) {
+    result.verdict.confidence = Math.round(result.verdict.confidence * score / 100);
+  }
+  if (removed.length > 0) {
+    result.limitations = [
+      ...(result.limitations || []),
+      `${removed.length} finding(s) removed because their evidence could not be found in the case brief`
+    ];
+  }
+
+  result.grounding = {
+    score,
+    verified_refs: tally.verified,
+    total_refs: tally.total,
+    unverified_refs: tally.unverified,
+    removed_findings: removed,
+    downgraded_findings: downgraded
+  };
+
+  result.output_fingerprint = crypto.createHash('sha256').update(JSON.stringify({
+    verdict: result.verdict,
+    findings: result.findings,
+    duplicates: result.duplicates,
+    limitations: result.limitations
+  })).digest('hex');
+
+  return result;
+}
+
+/**
+ * Ground a v2 AI validation result against its evidence pack
+ * @param {object} result - Schema-valid v2 result
+ * @param {object} evidencePack - Normalized evidence pack the model was given
+ * @returns {object} - Grounded copy of the result with a grounding block
+ */
+function groundV2Result(result, evidencePack) {
+  const index = indexEvidence(evidencePack);
+  const tally = { verified: 0, total: 0, unverified: [] };
+  const removed = [];
+  const downgraded = [];
+
+  // Keeps only the resolvable refs; returns null when none resolve
+  const groundRefs = (refs) => {
+    const kept = refs.filter(ref => {
+      const grounded = resolveEvidenceRef(ref, evidencePack, index);
+      tally.total++;
+      if (grounded) tally.verified++;
+      else tally.unverified.push(ref);
+      return grounded;
+    });
+    return kept.length > 0 ? kept : null;
+  };
+
+  const grounded = JSON.parse(JSON.stringify(result));
+
+  grounded.key_findings = grounded.key_findings.filter(finding => {
+    const refs = finding.evidence_refs || [];
+    const kept = groundRefs(refs);
+    if (!kept) {
+      removed.push({
+        title: finding.title,
+        reason: refs.length === 0 ? 'cites no evidence_refs' : 'none of its evidence_refs exist in the evidence pack',
+        unverified_refs: refs
+      });
+      return false;
+    }
+    if (kept.length < refs.length) {
+      const confidence = Math.round(finding.confidence * kept.length / refs.length * 100) / 100;
+      downgraded.push({
+        title: finding.title,
+        confidence_from: finding.confidence,
+        confidence_to: confidence,
+        unverified_refs: refs.filter(ref => !kept.includes(ref))
+      });
+      finding.confidence = confidence;
+    }
+    finding.evidence_refs = kept;
+    return true;
+  });
+
+  grounded.inflation_signals = grounded.inflation_signals.filter(signal => {
+    const refs = signal.evidence_refs || [];
+    const kept = groundRefs(refs);
+    if (!kept) {
+      removed.push({
+        title: signal.signal,
+        reason: refs.length === 0 ? 'cites no evidence_refs' : 'none of its evidence_refs exist in the evidence pack',
+        unverified_refs: refs
+      });
+      return false;
+    }
+    if (kept.length < refs.length) {
+      const strength = STRENGTH_DOWNGRADE[signal.strength];
+      downgraded.push({
+        title: signal.signal,
+        strength_from: signal.strength,
+        strength_to: strength,
+        unverified_refs: refs.filter(ref => !kept.includes(ref))
+      });
+      signal.strength = strength;
+    }
+    signal.evidence_refs = kept;
+    return true;
+  });
+
+  const score = tally.total === 0 ? 100 : Math.round(100 * tally.verified / tally.total);
+  if (score < 100) {
+    grounded.confidence = Math.round(grounded.confidence * score) / 100;
+  }
+
+  grounded.grounding = {
+    score,
+    verified_refs: tally.verified,
+    total_refs: tally.total,
+    unverified_refs: tally.unverified,
+    removed_findings: removed,
+    downgraded_findings: downgraded
+  };
+
+  return grounded;
+}
+
+/**
+ * Resolve a v2 evidence_ref against the evidence pack
+ * Accepts artifact:<uri|name|id|sha256>, finding:<index>[-<evidence index>],
+ * finding:<id|type>, log:<telemetry path>, any URI in the pack, or a
+ * dotted path into the pack.
+ * @param {string} ref - Evidence reference from the model
+ * @param {object} evidencePack - Normalized evidence pack
+ * @returns {boolean} - True if the reference exists
+ */
+function resolveEvidenceRef(ref, evidencePack, index = indexEvidence(evidencePack)) {
+  if (typeof ref !== 'string' || ref.length === 0) return false;
+  if (index.strings.has(ref)) return true;
+
+  const [, scheme, value] = ref.match(/^([a-z_]+):(.+)$/i) || [];
+  if (scheme === 'artifact') {
+    return (evidencePack.artifacts || []).some(artifact =>
+      ['uri', 'url', 'name', 'id', 'path', 'sha256'].some(key => artifact[key] === value || artifact[key] === ref)
+    );
+  }
+  if (scheme === 'finding') {
+    const findings = evidencePack.findings || [];
+    const position = value.match(/^(\d+)(?:-(\d+))?$/);
+    if (position) {
+      const finding = findings[Number(position[1])];
+      if (!finding) return false;
+      return position[2] === undefined || Array.isArray(finding.evidence) && Number(position[2]) < finding.evidence.length;
+    }
+    return findings.some(finding => finding.id === value || finding.type === value);
+  }
+  if (scheme === 'log' || scheme === 'telemetry') {
+    return resolvePath(evidencePack.telemetry || {}, value) !== undefined ||
+      resolvePath(evidencePack, value) !== undefined;
+  }
+  return resolvePath(evidencePack, ref) !== undefined;
+}
+
+/**
+ * Walk the evidence once, collecting every string, number and keyed value it contains
+ * @param {object} source - Case brief or evidence pack
+ * @returns {object} - { strings, numbers, hasString(), hasNumber(), valuesForKey() }
+ */
+function indexEvidence(source) {
+  const strings = new Set();
+  const lowerStrings = new Set();
+  const locations = [];
+  const numbers = new Set();
+  const byKey = new Map();
+
+  (function walk(value, key) {
+    if (key !== undefined) {
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(value);
+    }
+    if (typeof value === 'string') {
+      strings.add(value);
+      lowerStrings.add(value.toLowerCase());
+      const location = hostPath(value);
+      if (location) locations.push(location);
+    } else if (typeof value === 'number') {
+      numbers.add(value);
+    } else if (Array.isArray(value)) {
+      value.forEach(item => walk(item));
+    } else if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([childKey, child]) => walk(child, childKey));
+    }
+  })(source);
+
+  return {
+    strings,
+    numbers,
+    // A whole value, or a URL named by its host and path: models drop the
+    // scheme, query and subdomains of endpoints they quote
+    hasString: (text) => {
+      const needle = String(text);
+      if (strings.has(needle) || lowerStrings.has(needle.toLowerCase())) return true;
+      const wanted = hostPath(needle);
+      return Boolean(wanted) && locations.some(location =>
+        (location.host === wanted.host || location.host.endsWith(`.${wanted.host}`)) &&
+        (wanted.path === '/' || location.path === wanted.path));
+    },
+    hasNumber: (n) => numbers.has(n),
+    valuesForKey: (key) => byKey.get(key) || []
+  };
+}
+
+// Host and path of a URL or a scheme-less host/path such as doubleclick.net/pcs/view
+function hostPath(text) {
+  if (/\s/.test(text)) return null;
+  const withScheme = /^https?:\/\//i.test(text) ? text : `https://${text}`;
+  let url;
+  try {
+    url = new URL(withScheme);
+  } catch {
+    return null;
+  }
+  if (!/^[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/i.test(url.hostname)) return null;
+  return { host: url.hostname.toLowerCase(), path: url.pathname.replace(/\/+$/, '') || '/' };
+}
+
+/**
+ * Resolve a dotted path such as gpt_events.slotRender or endpoints[0].count
+ * @returns {*} - The value, or undefined if the path does not exist
+ */
+function resolvePath(source, pathText) {
+  return String(pathText)
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(Boolean)
+    .reduce((value, key) => (value !== null && typeof value === 'object' && key in value ? value[key] : undefined), source);
+}
+
+// A count is grounded by the field it names, as a path (gpt_events.viewable) or a
+// key anywhere in the brief (viewable). A key that names no field is only
+// grounded by a large number appearing in the evidence.
+function isGroundedCount(key, value, caseBrief, index) {
+  if (typeof value !== 'number') return index.hasString(String(value));
+  const sizeOf = (named) => (Array.isArray(named) ? named.length : named);
+  const named = resolvePath(caseBrief, key);
+  if (named !== undefined) return sizeOf(named) === value;
+  const keyed = index.valuesForKey(key);
+  if (keyed.length > 0) return keyed.some(candidate => sizeOf(candidate) === value);
+  return value >= MIN_UNNAMED_COUNT && index.hasNumber(value);
+}
+
+// Identifier-like strings in an example; prose (anything with spaces) is not a reference
+function exampleIdentifiers(example) {
+  const values = typeof example === 'object' && example !== null ? Object.values(example) : [example];
+  return values.filter(value => typeof value === 'string' && value.length >= 3 && !/\s/.test(value));
+}
+
+// Replace dotted field citations that do not resolve in the case brief
+function groundText(text, caseBrief, cite) {
+  if (typeof text !== 'string') return text;
+  return text.replace(FIELD_PATH_PATTERN, (match, fieldPath) => {
+    const first = fieldPath.split('.')[0];
+    // Only snake_case or known top-level keys are field citations; example.com is not
+    if (!first.includes('_') && !(first in caseBrief)) return match;
+    return cite(`field:${fieldPath}`, resolvePath(caseBrief, fieldPath) !== undefined) ? match : UNVERIFIED;
+  });
+}
+
+module.exports = {
+  groundValidation,
+  groundV2Result,
+  resolveEvidenceRef
+};
@@ -7,7 +7,7 @@ const fs = require('fs');
 const path = require('path');
 const { parseEvidencePack } = require('./parser/evidence-pack-parser.cjs');
 const { getTemplate } = require('./templates/registry.cjs');
-const { createProvider } = require('./providers/provider-factory.cjs');
+const { applyRules, validateWithRules } = require('./rules-pipeline.cjs');
 const { generateEvidencePDF } = require('./pdf/generator.cjs');
 
 /**
@@ -16,6 +16,7 @@ const { generateEvidencePDF } = require('./pdf/generator.cjs');
  * @param {Buffer} options.zipBuffer - Evidence pack ZIP buffer
  * @param {string} options.uploadId - Unique upload identifier
  * @param {string} options.provider - Provider name (openai, gemini, perplexity)
+ * @param {string[]} options.providers - Two or more providers for consensus mode (overrides provider)
  * @param {string} options.template - Template ID
  * @param {object} options.findingsJson - Optional findings JSON
  * @param {boolean} options.redactionMode - Enable URL redaction
@@ -26,10 +27,12 @@ async function runValidation(options) {
     zipBuffer,
     uploadId,
     provider,
+    providers = null,
     template,
     findingsJson = null,
     redactionMode = false
   } = options;
+  const consensusMode = Array.isArray(providers) && providers.length > 0;
   
   console.log(`[AI Validation] Starting validation for upload ${uploadId}`);
   console.log(`[AI Validation] Provider: ${provider}, Template: ${template}`);
@@ -53,6 +56,10 @@ async function runValidation(options) {
       redactCaseBrief(caseBrief);
     }
     
+    // Run the deterministic rules first; their verdict goes to the model as facts
+    const rules = applyRules(caseBrief);
+    console.log(`[AI Validation] Deterministic rules verdict: ${rules.verdict} (score ${rules.score})`);
+    
     // Save case brief
     const caseBriefPath = path.join(runDir, 'case_brief.json');
     fs.writeFileSync(caseBriefPath, JSON.stringify(caseBrief, null, 2));
@@ -64,18 +71,16 @@ async function runValidation(options) {
       throw new Error(`Invalid template: ${template}`);
     }
     
-    // Step 3: Create AI provider
-    console.log('[AI Validation] Initializing AI provider...');
-    const aiProvider = createProvider(provider);
-    
-    // Step 4: Run AI validation
-    console.log('[AI Validation] Running AI validation...');
-    const aiValidation = await aiProvider.validateCase(
-      caseBrief,
-      template,
-      templateObj.systemPrompt,
-      templateObj.promptVersion
-    );
+    // Steps 3-4: Run AI validation, once per provider in consensus mode. Answers are
+    // grounded, checked against the hard gates, and replaced by the rules-only
+    // verdict when no provider is available or every answer was rejected
+    if (consensusMode) {
+      console.log(`[AI Validation] Running consensus validation across ${providers.join(', ')}...`);
+    } else {
+      console.log('[AI Validation] Running AI validation...');
+    }
+    const aiValidation = await validateWithRules(rules, caseBrief, { template, templateObj, provider, providers });
+    console.log(`[AI Validation] Evidence grounding score: ${aiValidation.grounding.score}%`);
     
     // Save AI validation result
     const aiValidationPath = path.join(runDir, 'ai_validation.json');
@@ -92,13 +97,20 @@ async function runValidation(options) {
     const metadata = {
       uploadId,
       runId: uploadId,
-      provider,
+      provider: consensusMode ? 'consensus' : provider,
       template,
       redactionMode,
       timestamp: new Date().toISOString(),
       verdict: aiValidation.verdict.label,
       confidence: aiValidation.verdict.confidence,
       findingsCount: aiValidation.findings.length,
+      groundingScore: aiValidation.grounding.score,
+      removedFindingsCount: aiValidation.grounding.removed_findings.length,
+      verdictSource: aiValidation.rules.source,
+      rulesVerdict: aiValidation.rules.verdict,
+      rejectedOutputs: aiValidation.rules.rejected.length,
+      tokenBudget: aiValidation.compaction ? aiValidation.compaction.token_budget : null,
+      omittedRows: aiValidation.compaction ? aiValidation.compaction.omitted_rows : 0,
       inputFingerprint: fingerprint,
       outputFingerprint: aiValidation.output_fingerprint,
       files: {
@@ -108,6 +120,19 @@ async function runValidation(options) {
       }
     };
     
+    if (consensusMode) {
+      metadata.providers = providers;
+    }
+    if (aiValidation.consensus) {
+      const { consensus } = aiValidation;
+      metadata.consensus = {
+        agreementScore: consensus.agreement_score,
+        disagreements: consensus.disagreements.map(d => d.title),
+        providers: consensus.providers.map(({ id, provider: name, model, verdict, confidence, error }) =>
+          ({ id, provider: name, model, verdict, confidence, error }))
+      };
+    }
+    
     const metadataPath = path.join(runDir, 'metadata.json');
     fs.writeFileSync(metadataPath, JSON.stringify(metadata, null, 2));
     console.log(`[AI Validation] Metadata saved: ${metadataPath}`);
@@ -133,7 +158,8 @@ async function runValidation(options) {
     const errorMetadata = {
       uploadId,
       runId: uploadId,
-      provider,
+      provider: consensusMode ? 'consensus' : provider,
+      providers: consensusMode ? providers : undefined,
       template,
       timestamp: new Date().toISOString(),
       error: error.message,
@@ -332,10 +332,9 @@ function extractImpressionBeacons(sequences) {
     }
   });
   
-  // Get top endpoints
+  // Busiest endpoints first; compaction trims the list to each provider's token budget
   beacons.key_endpoints = Object.entries(endpointCounts)
     .sort((a, b) => b[1] - a[1])
-    .slice(0, 10)
     .map(([endpoint]) => endpoint);
   
   return beacons;
@@ -563,6 +562,11 @@ function buildCaseBrief(extractDir, options = {}) {
   if (findings && findings.cms_monitor) {
     caseBrief.cms_monitor = findings.cms_monitor;
   }
+
+  // Add consent-state matrix data if available (consent/consent-matrix.cjs toConsentCaseBrief)
+  if (findings && findings.consent_matrix) {
+    caseBrief.consent_matrix = findings.consent_matrix;
+  }
   
   return caseBrief;
 }
@@ -86,6 +86,43 @@ async function generateEvidencePDF(aiValidation, caseBrief, outputPath) {
          .fillColor('#000000')
          .text(`Confidence: ${aiValidation.verdict.confidence}%`, { align: 'center' });
       
+      // Evidence grounding (only verified findings are listed below)
+      if (aiValidation.grounding) {
+        const { grounding } = aiValidation;
+        const removedNote = grounding.removed_findings.length > 0
+          ? `; ${grounding.removed_findings.length} unverifiable finding${grounding.removed_findings.length !== 1 ? 's' : ''} removed`
+          : '';
+        doc.fontSize(9)
+           .fillColor(grounding.score < 100 ? '#B45309' : '#4B5563')
+           .text(`Evidence grounding: ${grounding.score}% (${grounding.verified_refs} of ${grounding.total_refs} references verified${removedNote})`, { align: 'center' });
+        doc.fillColor('#000000');
+      }
+
+      // Deterministic rules verdict and who produced the final verdict
+      if (aiValidation.rules) {
+        const { rules } = aiValidation;
+        const closedGates = Object.entries(rules.gates).filter(([, open]) => !open).map(([gate]) => gate);
+        const source = rules.source === 'rules'
+          ? 'verdict from rules only'
+          : 'model verdict checked against hard gates';
+        const rejectedNote = rules.rejected.length > 0
+          ? `; ${rules.rejected.length} model answer${rules.rejected.length !== 1 ? 's' : ''} rejected`
+          : '';
+        doc.fontSize(9)
+           .fillColor(rules.source === 'rules' ? '#B45309' : '#4B5563')
+           .text(`Deterministic rules: ${rules.verdict} (score ${rules.score}${closedGates.length ? `, gates closed: ${closedGates.join(', ')}` : ''}) – ${source}${rejectedNote}`, { align: 'center' });
+        doc.fillColor('#000000');
+      }
+
+      // Rows the model never saw because of its token budget
+      if (aiValidation.compaction && aiValidation.compaction.omitted_rows > 0) {
+        const { compaction } = aiValidation;
+        doc.fontSize(9)
+           .fillColor('#B45309')
+           .text(`Case brief compacted to ${compaction.token_budget} tokens: ${compaction.omitted_rows} lower-ranked row${compaction.omitted_rows !== 1 ? 's' : ''} omitted (${compaction.omitted.map(o => o.path).join(', ')})`, { align: 'center' });
+        doc.fillColor('#000000');
+      }
+
       doc.fontSize(9)
          .font('Helvetica')
          .fillColor('#4B5563')
@@ -97,6 +134,47 @@ async function generateEvidencePDF(aiValidation, caseBrief, outputPath) {
       doc.moveDown(1);
       doc.fillColor('#000000');
       
+      // Per-provider breakdown (consensus mode)
+      if (aiValidation.consensus) {
+        const { consensus } = aiValidation;
+        const succeeded = consensus.providers.filter(p => !p.error).length;
+        
+        doc.fontSize(11)
+           .font('Helvetica-Bold')
+           .text(`Provider Consensus: ${consensus.agreement_score}% agreement (${succeeded} of ${consensus.providers.length} providers)`);
+        
+        doc.fontSize(8)
+           .font('Helvetica');
+        
+        consensus.providers.forEach(p => {
+          if (p.error) {
+            doc.fillColor('#DC2626')
+               .text(`• ${p.provider} (${p.model}): no result – ${p.error}`.substring(0, 140), { indent: 10 });
+          } else {
+            doc.fillColor('#000000')
+               .text(`• ${p.provider} (${p.model}): ${p.verdict} at ${p.confidence}% – ${p.findings.length} finding${p.findings.length !== 1 ? 's' : ''}`, { indent: 10 });
+          }
+        });
+        doc.fillColor('#000000');
+        
+        if (consensus.disagreements.length > 0) {
+          doc.font('Helvetica-Bold')
+             .text('Disagreements:', { indent: 10 });
+          doc.font('Helvetica')
+             .fillColor('#B45309');
+          consensus.disagreements.slice(0, 4).forEach(d => {
+            const missing = d.missing_from.length > 0 ? `not cited by ${d.missing_from.join(', ')}` : 'risk differs';
+            doc.text(`  • ${d.title} (${missing})`, { indent: 15 });
+          });
+          if (consensus.disagreements.length > 4) {
+            doc.text(`  • ...and ${consensus.disagreements.length - 4} more in ai_validation.json`, { indent: 15 });
+          }
+          doc.fillColor('#000000');
+        }
+        
+        doc.moveDown(0.8);
+      }
+      
       // Key Indicators section
       doc.fontSize(12)
          .font('Helvetica-Bold')
@@ -120,7 +198,8 @@ async function generateEvidencePDF(aiValidation, caseBrief, outputPath) {
             'LOW': '🟢'
           }[finding.risk] || '⚪';
           
-          doc.text(`${riskIcon} ${finding.title}`, { indent: 10 });
+          const citedBy = finding.cited_by ? ` (${finding.cited_by.join(', ')})` : '';
+          doc.text(`${riskIcon} ${finding.title}${citedBy}`, { indent: 10 });
           doc.fontSize(8)
              .fillColor('#6B7280')
              .text(finding.mechanism, { indent: 20 });
@@ -236,7 +315,26 @@ async function generateEvidencePDF(aiValidation, caseBrief, outputPath) {
         
         doc.moveDown(0.8);
       }
-      
+
+      // Corroboration section (consent-state matrix if available)
+      if (caseBrief.consent_matrix) {
+        doc.fontSize(11)
+           .font('Helvetica-Bold')
+           .text('Corroboration (Consent Matrix):');
+
+        doc.fontSize(8)
+           .font('Helvetica')
+           .text(`States: ${(caseBrief.consent_matrix.states || []).map(s => s.state).join(', ')}`, { indent: 10 });
+
+        (caseBrief.consent_matrix.violations || []).slice(0, 5).forEach(violation => {
+          doc.fillColor('#DC2626')
+             .text(`  • ${violation.detail}`, { indent: 15 });
+        });
+        doc.fillColor('#000000');
+
+        doc.moveDown(0.8);
+      }
+
       // Limitations
       if (aiValidation.limitations && aiValidation.limitations.length > 0) {
         doc.fontSize(9)
@@ -0,0 +1,95 @@
+/**
+ * Local LLM Provider
+ * Uses a self-hosted, OpenAI-compatible chat completions endpoint
+ * (llama.cpp server, Ollama, vLLM) so evidence never leaves the network.
+ *
+ * Configured with LOCAL_LLM_BASE_URL (e.g. http://localhost:11434/v1),
+ * LOCAL_LLM_MODEL and, for servers started with an API key, LOCAL_LLM_API_KEY.
+ */
+
+const BaseProvider = require('./base-provider.cjs');
+const axios = require('axios');
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_MODEL = 'llama3.1';
+// Local models on CPU can take minutes for a large case brief
+const DEFAULT_TIMEOUT_MS = 300000;
+
+class LocalProvider extends BaseProvider {
+  /**
+   * @param {string} baseUrl - OpenAI-compatible API root, up to and including /v1
+   * @param {string} model - Model name as the server knows it
+   * @param {object} options - { apiKey?, timeoutMs? }
+   */
+  constructor(baseUrl = DEFAULT_BASE_URL, model = DEFAULT_MODEL, options = {}) {
+    super('Local LLM', model);
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiUrl = `${this.baseUrl}/chat/completions`;
+    this.apiKey = options.apiKey || null;
+    this.timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  }
+
+  /**
+   * Validate case using the local model
+   * @param {object} caseBrief - Canonical case brief
+   * @param {string} templateId - Validation template ID
+   * @param {string} systemPrompt - Template system prompt
+   * @param {string} promptVersion - Template prompt version
+   * @returns {Promise<object>} - AI validation result
+   */
+  async validateCase(caseBrief, templateId, systemPrompt, promptVersion) {
+    const userPrompt = this.buildUserPrompt(caseBrief);
+
+    // API call function
+    const apiCall = async () => {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+      let response;
+      try {
+        response = await axios.post(
+          this.apiUrl,
+          {
+            model: this.modelName,
+            messages: [
+              {
+                role: 'system',
+                content: systemPrompt
+              },
+              {
+                role: 'user',
+                content: userPrompt
+              }
+            ],
+            temperature: 0.1,
+            response_format: { type: 'json_object' }, // JSON mode / grammar on servers that support it
+            stream: false
+          },
+          {
+            headers,
+            timeout: this.timeoutMs
+          }
+        );
+      } catch (error) {
+        if (error.code === 'ECONNREFUSED') {
+          throw new Error(`Local LLM not reachable at ${this.baseUrl}. Start the server or set LOCAL_LLM_BASE_URL.`);
+        }
+        throw error;
+      }
+
+      if (!response.data || !response.data.choices || !response.data.choices[0]) {
+        throw new Error('Invalid local LLM API response structure');
+      }
+
+      return response.data.choices[0].message.content;
+    };
+
+    // Process with retry
+    return await this.processWithRetry(caseBrief, systemPrompt, promptVersion, apiCall);
+  }
+}
+
+LocalProvider.DEFAULT_BASE_URL = DEFAULT_BASE_URL;
+LocalProvider.DEFAULT_MODEL = DEFAULT_MODEL;
+
+module.exports = LocalProvider;
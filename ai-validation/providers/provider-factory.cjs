@@ -6,23 +6,52 @@
 const OpenAIProvider = require('./openai-provider.cjs');
 const GeminiProvider = require('./gemini-provider.cjs');
 const PerplexityProvider = require('./perplexity-provider.cjs');
+const LocalProvider = require('./local-provider.cjs');
 const MockProvider = require('./mock-provider.cjs');
 
 // Enable mock mode if no API keys are available or MOCK_MODE is set
 const MOCK_MODE = process.env.MOCK_MODE === 'true' || 
                   (!process.env.OPENAI_API_KEY && !process.env.GEMINI_API_KEY && !process.env.PERPLEXITY_API_KEY);
 
+/**
+ * Local LLM settings from the environment
+ * @returns {object} - { baseUrl, model, apiKey, timeoutMs }
+ */
+function localConfig() {
+  return {
+    baseUrl: process.env.LOCAL_LLM_BASE_URL || LocalProvider.DEFAULT_BASE_URL,
+    model: process.env.LOCAL_LLM_MODEL || LocalProvider.DEFAULT_MODEL,
+    apiKey: process.env.LOCAL_LLM_API_KEY || null,
+    timeoutMs: Number(process.env.LOCAL_LLM_TIMEOUT_MS) || undefined
+  };
+}
+
+// Environment variable holding each cloud provider's API key
+const API_KEY_ENV = {
+  openai: 'OPENAI_API_KEY',
+  chatgpt: 'OPENAI_API_KEY',
+  gemini: 'GEMINI_API_KEY',
+  google: 'GEMINI_API_KEY',
+  perplexity: 'PERPLEXITY_API_KEY'
+};
+
+function isLocalProvider(normalizedName) {
+  return normalizedName === 'local' || normalizedName === 'ollama';
+}
+
 /**
  * Create provider instance
- * @param {string} providerName - Provider name (openai, gemini, perplexity)
- * @param {object} config - Provider configuration
+ * @param {string} providerName - Provider name (openai, gemini, perplexity, local)
+ * @param {object} config - Provider configuration; local also takes baseUrl and timeoutMs
  * @returns {BaseProvider} - Provider instance
  */
 function createProvider(providerName, config = {}) {
   const normalizedName = providerName.toLowerCase();
+  // The local provider needs no API key, so only an explicit MOCK_MODE mocks it
+  const mock = isLocalProvider(normalizedName) ? process.env.MOCK_MODE === 'true' : MOCK_MODE;
   
   // If in mock mode, return mock providers
-  if (MOCK_MODE || config.mock === true) {
+  if (mock || config.mock === true) {
     console.log(`🧪 Mock mode enabled for ${providerName}`);
     switch (normalizedName) {
       case 'openai':
@@ -33,6 +62,9 @@ function createProvider(providerName, config = {}) {
         return new MockProvider('Gemini (Mock)', 'gemini-2.0-mock');
       case 'perplexity':
         return new MockProvider('Perplexity (Mock)', 'sonar-mock');
+      case 'local':
+      case 'ollama':
+        return new MockProvider('Local LLM (Mock)', 'local-mock');
       default:
         return new MockProvider('MockAI', 'mock-1.0');
     }
@@ -63,8 +95,13 @@ function createProvider(providerName, config = {}) {
       }
       return new PerplexityProvider(perplexityKey, config.model);
     
+    case 'local':
+    case 'ollama':
+      const local = { ...localConfig(), ...config };
+      return new LocalProvider(local.baseUrl, local.model, { apiKey: local.apiKey, timeoutMs: local.timeoutMs });
+    
     default:
-      throw new Error(`Unknown provider: ${providerName}. Supported: openai, gemini, perplexity`);
+      throw new Error(`Unknown provider: ${providerName}. Supported: openai, gemini, perplexity, local`);
   }
 }
 
@@ -77,10 +114,37 @@ function listProviders() {
   return [
     { id: 'openai', name: `OpenAI ChatGPT${mockSuffix}`, defaultModel: 'gpt-4o', mock: MOCK_MODE },
     { id: 'gemini', name: `Google Gemini${mockSuffix}`, defaultModel: 'gemini-2.0-flash-exp', mock: MOCK_MODE },
-    { id: 'perplexity', name: `Perplexity${mockSuffix}`, defaultModel: 'llama-3.1-sonar-large-128k-online', mock: MOCK_MODE }
+    { id: 'perplexity', name: `Perplexity${mockSuffix}`, defaultModel: 'llama-3.1-sonar-large-128k-online', mock: MOCK_MODE },
+    localProviderEntry()
   ];
 }
 
+function localProviderEntry() {
+  const forcedMock = process.env.MOCK_MODE === 'true';
+  const { baseUrl, model } = localConfig();
+  return {
+    id: 'local',
+    name: `Local LLM${forcedMock ? ' (Mock Mode)' : ''}`,
+    defaultModel: model,
+    mock: forcedMock,
+    local: true,
+    baseUrl
+  };
+}
+
+/**
+ * Check whether a provider would give a real answer rather than a mock one
+ * @param {string} providerName - Provider name
+ * @returns {boolean} - True if the provider is configured and not mocked
+ */
+function isProviderAvailable(providerName) {
+  const normalizedName = providerName.toLowerCase();
+  if (isLocalProvider(normalizedName)) {
+    return process.env.MOCK_MODE !== 'true';
+  }
+  return !MOCK_MODE && Boolean(process.env[API_KEY_ENV[normalizedName]]);
+}
+
 /**
  * Check if mock mode is enabled
  * @returns {boolean} - True if mock mode is active
@@ -92,6 +156,7 @@ function isMockMode() {
 module.exports = {
   createProvider,
   listProviders,
+  isProviderAvailable,
   isMockMode
 };
 
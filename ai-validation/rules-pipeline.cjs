@@ -0,0 +1,152 @@
+/**
+ * Rules + Model Pipeline
+ * Runs the deterministic rules before the model, hands their verdict and
+ * rule trace to the model as facts, rejects model verdicts that contradict
+ * a hard gate, and falls back to a rules-only verdict when no provider is
+ * available, the providers failed, or every model answer was rejected.
+ */
+
+const { createProvider, isProviderAvailable } = require('./providers/provider-factory.cjs');
+const { collectOpinions, mergeValidations } = require('./consensus.cjs');
+const { groundValidation } = require('./grounding.cjs');
+const { compactCaseBrief, tokenBudgetFor } = require('./compaction.cjs');
+const {
+  RULES_PROMPT,
+  scoresTemplate,
+  runCaseBriefRules,
+  rulesFacts,
+  gateViolations,
+  buildRulesOnlyValidation
+} = require('./rules/case-brief-rules.cjs');
+
+const MIN_CONSENSUS_PROVIDERS = 2;
+
+/**
+ * Run the rules and attach their facts to the case brief
+ * @param {object} caseBrief - Canonical case brief (modified in place)
+ * @returns {object} - RuleResult
+ */
+function applyRules(caseBrief) {
+  const rules = runCaseBriefRules(caseBrief);
+  caseBrief.deterministic_rules = rulesFacts(rules);
+  return rules;
+}
+
+/**
+ * Validate a case brief with the model(s), constrained by the rules
+ * @param {object} rules - RuleResult from applyRules
+ * @param {object} caseBrief - Case brief carrying deterministic_rules
+ * @param {object} options - Validation options
+ * @param {string} options.template - Template ID
+ * @param {object} options.templateObj - Template with systemPrompt and promptVersion
+ * @param {string} options.provider - Provider name for single mode
+ * @param {string[]} options.providers - Providers for consensus mode (overrides provider)
+ * @returns {Promise<object>} - Grounded AI validation result with a rules block
+ */
+async function validateWithRules(rules, caseBrief, options) {
+  const { template, templateObj, provider, providers = null } = options;
+  const consensusMode = Array.isArray(providers) && providers.length > 0;
+  const modelTemplate = scoresTemplate(template)
+    ? { systemPrompt: `${templateObj.systemPrompt}\n\n${RULES_PROMPT}`, promptVersion: `${templateObj.promptVersion}+rules` }
+    : templateObj;
+
+  const requested = consensusMode ? providers : [provider];
+  const available = requested.filter(name => isProviderAvailable(name));
+  const needed = consensusMode ? MIN_CONSENSUS_PROVIDERS : 1;
+  if (available.length < needed) {
+    const missing = requested.filter(name => !available.includes(name));
+    return rulesOnly(rules, caseBrief, template, modelTemplate, `no AI provider available (${missing.join(', ')} not configured)`);
+  }
+
+  if (!consensusMode) {
+    // The model sees a brief compacted to its token budget; grounding checks the full brief
+    const modelBrief = compactCaseBrief(caseBrief, tokenBudgetFor(provider));
+    let answer;
+    try {
+      answer = await createProvider(provider).validateCase(modelBrief, template, modelTemplate.systemPrompt, modelTemplate.promptVersion);
+    } catch (error) {
+      console.error(`[AI Validation] ${provider} failed:`, error.message);
+      return rulesOnly(rules, caseBrief, template, modelTemplate, `${provider} failed: ${error.message}`);
+    }
+    const result = groundValidation(answer, caseBrief);
+    result.compaction = modelBrief.compaction;
+    const violations = gateViolations(result, rules, template);
+    if (violations.length > 0) {
+      const rejected = [rejection(provider, result, violations)];
+      return rulesOnly(rules, caseBrief, template, modelTemplate, `${provider} returned FAIL against a hard gate`, rejected);
+    }
+    return withRules(result, rules, 'model');
+  }
+
+  let opinions;
+  try {
+    opinions = await collectOpinions(available, caseBrief, template, modelTemplate);
+  } catch (error) {
+    return rulesOnly(rules, caseBrief, template, modelTemplate, `consensus validation failed: ${error.message}`);
+  }
+  const rejected = [];
+  const accepted = opinions.map(opinion => {
+    if (!opinion.result) return opinion;
+    const violations = gateViolations(opinion.result, rules, template);
+    if (violations.length === 0) return opinion;
+    rejected.push(rejection(opinion.id, opinion.result, violations));
+    return {
+      id: opinion.id,
+      provider: opinion.result.model_used.provider,
+      model: opinion.result.model_used.model,
+      error: `FAIL rejected, contradicts ${violations.join(', ')}`
+    };
+  });
+
+  if (accepted.filter(opinion => opinion.result).length < MIN_CONSENSUS_PROVIDERS) {
+    const failed = opinions.filter(opinion => opinion.error).map(opinion => `${opinion.id}: ${opinion.error}`);
+    const reasons = [
+      ...(rejected.length > 0 ? [`${rejected.length} provider(s) returned FAIL against a hard gate`] : []),
+      ...(failed.length > 0 ? [`provider errors (${failed.join('; ')})`] : [])
+    ];
+    return rulesOnly(rules, caseBrief, template, modelTemplate, reasons.join(' and '), rejected);
+  }
+
+  const merged = mergeValidations(accepted, caseBrief, modelTemplate.promptVersion);
+  requested.filter(name => !available.includes(name)).forEach(name => {
+    merged.limitations.push(`${name} was skipped because it is not configured`);
+  });
+  return withRules(merged, rules, 'model', { rejected });
+}
+
+function rejection(id, result, violations) {
+  return {
+    provider: id,
+    model: result.model_used.model,
+    verdict: result.verdict.label,
+    violations
+  };
+}
+
+function rulesOnly(rules, caseBrief, template, modelTemplate, reason, rejected = []) {
+  console.log(`[AI Validation] Using the rules-only verdict: ${reason}`);
+  const result = groundValidation(
+    buildRulesOnlyValidation(rules, caseBrief, modelTemplate.promptVersion, reason, template),
+    caseBrief
+  );
+  return withRules(result, rules, 'rules', { fallbackReason: reason, rejected });
+}
+
+function withRules(result, rules, source, { fallbackReason = null, rejected = [] } = {}) {
+  result.rules = {
+    verdict: rules.verdict,
+    score: rules.score,
+    confidence: rules.confidence,
+    gates: rules.gates,
+    classification: rules.classification,
+    source,
+    fallback_reason: fallbackReason,
+    rejected
+  };
+  return result;
+}
+
+module.exports = {
+  applyRules,
+  validateWithRules
+};
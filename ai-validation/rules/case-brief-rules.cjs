@@ -0,0 +1,258 @@
+/**
+ * Case Brief Rules
+ * Runs the deterministic rules engine on a v1 case brief: maps the brief
+ * onto the evidence-pack flags the engine scores, checks model verdicts
+ * against the hard gates, and builds a rules-only validation result when
+ * no model answer can be used.
+ */
+
+const crypto = require('crypto');
+const { runRules, FLAG_NAMES } = require('./rules-engine.cjs');
+
+// The schema has no insufficient-evidence label; WARN plus a limitation keeps it from reading as clean
+const RULES_LABEL = { PASS: 'PASS', WARN: 'WARN', FAIL: 'FAIL', INSUFFICIENT_EVIDENCE: 'WARN' };
+
+// Templates whose question the engine's flags answer; the gates mean nothing for the others
+const SCORED_TEMPLATES = ['ad-impression-inflation', 'analytics-inflation'];
+
+// Which engine counts back each top signal in a rules-only finding
+const SIGNAL_FLAGS = {
+  monetizedInflationSignals: ['duplicateAdImpression', 'autoRefreshInflation'],
+  structuralAbuseSignals: ['hiddenTinyFrames', 'pixelStuffing1x1', 'adStacking'],
+  telemetryManipulationSignals: ['phantomScroll', 'sessionInflation'],
+  analyticsAmplifiers: ['multipleGa4Ids', 'multipleGtmContainers', 'multipleGa4PageView']
+};
+
+const SIGNAL_DETAILS = {
+  monetizedInflationSignals: {
+    mechanism: 'More impression beacons fired than GPT slots rendered, so impressions were counted without a matching render.',
+    nextSteps: ['Compare impression_beacons.key_endpoints with the ad server delivery report for the scan window']
+  },
+  structuralAbuseSignals: {
+    mechanism: 'Ad iframes were rendered offscreen, hidden or at pixel size where no user could see them.',
+    nextSteps: ['Reproduce the page and inspect the listed iframes in the element inspector']
+  },
+  telemetryManipulationSignals: {
+    mechanism: 'Scroll or session telemetry was generated without matching user interaction.',
+    nextSteps: ['Replay the session with interaction logging enabled']
+  },
+  analyticsAmplifiers: {
+    mechanism: 'Several analytics properties or containers report the same page views.',
+    nextSteps: ['Confirm which analytics properties belong to the site owner']
+  }
+};
+
+// Appended to the template's system prompt whenever rules facts are in the case brief
+const RULES_PROMPT = `DETERMINISTIC RULES:
+CaseBrief.deterministic_rules holds the verdict, score, hard gates and rule trace computed by the deterministic rules engine. Treat them as established facts.
+- You must not return FAIL when any of deterministic_rules.gates (g1Monetization, g2EvidenceOk, g3BenignVendor) is false; such an answer is rejected.
+- If your verdict differs from deterministic_rules.verdict, explain why in the rationale using case brief fields.`;
+
+/**
+ * Map a case brief onto the evidence pack the rules engine scores
+ * Evidence refs point back into the case brief, e.g. iframe_anomalies.tiny[0].
+ * @param {object} caseBrief - Canonical case brief
+ * @returns {object} - Evidence pack with summaryFlags and network requests
+ */
+function caseBriefToRulesPack(caseBrief) {
+  const summaryFlags = {};
+  FLAG_NAMES.forEach(name => {
+    summaryFlags[name] = { count: 0, evidenceRefs: [] };
+  });
+  const setFlag = (name, refs) => {
+    summaryFlags[name] = { count: refs.length, evidenceRefs: refs };
+  };
+
+  // The parser files one iframe under every category it matches, so count each once
+  const anomalies = caseBrief.iframe_anomalies || {};
+  const seenFrames = new Set();
+  const frameRefs = [];
+  const pixelRefs = [];
+  ['offscreen', 'tiny', 'hidden'].forEach(category => {
+    (anomalies[category] || []).forEach((frame, i) => {
+      const key = JSON.stringify([frame.iframeId, frame.rect]);
+      if (seenFrames.has(key)) return;
+      seenFrames.add(key);
+      const ref = { type: 'iframe', id: frame.iframeId, pointer: `iframe_anomalies.${category}[${i}]` };
+      frameRefs.push(ref);
+      const rect = frame.rect || {};
+      if (rect.width > 0 && rect.width <= 1 && rect.height > 0 && rect.height <= 1) {
+        pixelRefs.push(ref);
+      }
+    });
+  });
+  setFlag('hiddenTinyFrames', frameRefs);
+  setFlag('pixelStuffing1x1', pixelRefs);
+
+  // Impression beacons beyond the rendered slots are duplicate impressions
+  const renders = caseBrief.gpt_events?.slotRender || 0;
+  const beacons = caseBrief.impression_beacons?.count || 0;
+  if (renders > 0 && beacons > renders) {
+    summaryFlags.duplicateAdImpression = {
+      count: beacons - renders,
+      evidenceRefs: [
+        { type: 'beacon', id: 'impression_beacons', pointer: 'impression_beacons.count' },
+        { type: 'gpt', id: 'gpt_events', pointer: 'gpt_events.slotRender' }
+      ]
+    };
+  }
+
+  const idRefs = (pattern) => (caseBrief.analytics_ids || [])
+    .map((id, i) => ({ type: 'analytics', id, pointer: `analytics_ids[${i}]` }))
+    .filter(ref => pattern.test(ref.id));
+  const ga4Refs = idRefs(/^G-/);
+  const gtmRefs = idRefs(/^GTM-/);
+  if (ga4Refs.length > 1) setFlag('multipleGa4Ids', ga4Refs);
+  if (gtmRefs.length > 1) setFlag('multipleGtmContainers', gtmRefs);
+
+  return {
+    runId: caseBrief.input_fingerprint,
+    targetUrl: caseBrief.site,
+    scannedAt: caseBrief.timestamp,
+    summaryFlags,
+    network: { requests: (caseBrief.endpoints || []).map(ep => ({ url: ep.endpoint })) }
+  };
+}
+
+/**
+ * Whether the rules engine scores a template
+ * @param {string} template - Template ID
+ * @returns {boolean}
+ */
+function scoresTemplate(template) {
+  return SCORED_TEMPLATES.includes(template);
+}
+
+/**
+ * Run the deterministic rules on a case brief
+ * @param {object} caseBrief - Canonical case brief
+ * @returns {object} - RuleResult
+ */
+function runCaseBriefRules(caseBrief) {
+  return runRules(caseBriefToRulesPack(caseBrief));
+}
+
+/**
+ * Rules facts as they are handed to the model in the case brief
+ * @param {object} rules - RuleResult
+ * @returns {object} - deterministic_rules block
+ */
+function rulesFacts(rules) {
+  return {
+    verdict: rules.verdict,
+    score: rules.score,
+    confidence: rules.confidence,
+    gates: rules.gates,
+    classification: rules.classification,
+    counts: rules.features.counts
+  };
+}
+
+/**
+ * Check a validation verdict against the hard gates
+ * FAIL is only allowed when every gate passed. Templates the engine does
+ * not score have no gates.
+ * @param {object} aiValidation - AI validation result
+ * @param {object} rules - RuleResult
+ * @param {string} template - Template ID
+ * @returns {string[]} - The gates the verdict contradicts, empty if none
+ */
+function gateViolations(aiValidation, rules, template) {
+  if (!scoresTemplate(template) || aiValidation.verdict.label !== 'FAIL') return [];
+  return rules.classification.ruleTrace
+    .filter(rule => !rule.passed)
+    .map(rule => `${rule.ruleId} (${rule.notes})`);
+}
+
+/**
+ * Build a v1 validation result from the rules alone
+ * @param {object} rules - RuleResult
+ * @param {object} caseBrief - Case brief carrying deterministic_rules
+ * @param {string} promptVersion - Template prompt version
+ * @param {string} reason - Why no model answer was used
+ * @param {string} template - Template ID
+ * @returns {object} - Schema-valid AI validation result
+ */
+function buildRulesOnlyValidation(rules, caseBrief, promptVersion, reason, template) {
+  const scored = scoresTemplate(template);
+  const conclusive = scored && rules.verdict !== 'INSUFFICIENT_EVIDENCE';
+  const confidence = conclusive ? rules.confidence : Math.min(rules.confidence, 40);
+  const counts = rules.features.counts;
+
+  const findings = !scored ? [] : rules.topSignals.map(signal => {
+    const evidenceCounts = {};
+    SIGNAL_FLAGS[signal.signalId].forEach(flag => {
+      if (counts[flag] > 0) evidenceCounts[`deterministic_rules.counts.${flag}`] = counts[flag];
+    });
+    return {
+      title: signal.summary,
+      mechanism: SIGNAL_DETAILS[signal.signalId].mechanism,
+      evidence: {
+        counts: evidenceCounts,
+        examples: signal.evidence.map(ref => {
+          const value = resolvePointer(caseBrief, ref.pointer);
+          return value && typeof value === 'object' ? value : { [ref.pointer]: value };
+        })
+      },
+      risk: signal.severity,
+      recommended_next_steps: SIGNAL_DETAILS[signal.signalId].nextSteps
+    };
+  });
+
+  const limitations = [...(caseBrief.limitations || [])];
+  if (!scored) {
+    limitations.push(`The deterministic rules do not score the ${template} template, so no verdict could be established`);
+  } else if (!conclusive) {
+    limitations.push('The deterministic rules found insufficient evidence for a verdict');
+  }
+  limitations.push(`Verdict produced by the deterministic rules engine only: ${reason}`);
+
+  const result = {
+    verdict: {
+      label: scored ? RULES_LABEL[rules.verdict] : 'WARN',
+      confidence,
+      rationale: scored
+        ? `Deterministic rules verdict ${rules.verdict}: ${rules.classification.primary}. ${rules.classification.rationale}.`
+        : `No model answer was available and the deterministic rules do not cover the ${template} template.`
+    },
+    findings,
+    duplicates: {
+      exact_url_duplicates: caseBrief.exact_duplicate_urls_count || 0,
+      top_endpoints: (caseBrief.endpoints || []).slice(0, 5).map(({ endpoint, count }) => ({ endpoint, count }))
+    },
+    limitations,
+    model_used: {
+      provider: 'Rules Engine',
+      model: 'deterministic-rules',
+      run_at: new Date().toISOString()
+    },
+    prompt_version: promptVersion,
+    input_fingerprint: caseBrief.input_fingerprint
+  };
+
+  result.output_fingerprint = crypto.createHash('sha256').update(JSON.stringify({
+    verdict: result.verdict,
+    findings: result.findings,
+    duplicates: result.duplicates,
+    limitations: result.limitations
+  })).digest('hex');
+
+  return result;
+}
+
+function resolvePointer(source, pointer) {
+  return String(pointer)
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .reduce((value, key) => (value !== null && typeof value === 'object' ? value[key] : undefined), source);
+}
+
+module.exports = {
+  RULES_PROMPT,
+  scoresTemplate,
+  caseBriefToRulesPack,
+  runCaseBriefRules,
+  rulesFacts,
+  gateViolations,
+  buildRulesOnlyValidation
+};
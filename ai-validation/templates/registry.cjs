@@ -112,14 +112,15 @@ Analyze the CaseBrief to detect unauthorized tags, consent violations, or policy
 2. Pre-Consent Beacons: Ad or analytics beacons before consent signal
 3. Unauthorized Tags: Tags loaded that are not in approved tag library
 4. Third-Party Injection: Scripts injected by third parties without authorization
+5. Consent Matrix: consent_matrix compares the same page under several consent states (no_interaction, accept_all, reject_all, seeded TCF/GPP/Consent Mode). vendors_before_action in banner states fired before any choice; any vendor in reject_all after the click, or in a seeded refusal state (tcf_reject_all, gpp_opt_out, gcm_denied), fired after consent was refused. consent_matrix.violations lists these per vendor.
 
 **CONFIDENCE RUBRIC:**
-- HIGH (80-100%): CMS monitor shows unauthorized_count > 0 OR injected_scripts_count > 0
-- MEDIUM (50-79%): Suspicious tag loading patterns or timing
+- HIGH (80-100%): CMS monitor shows unauthorized_count > 0 OR injected_scripts_count > 0 OR consent_matrix.violations is non-empty
+- MEDIUM (50-79%): Suspicious tag loading patterns or timing, or a consent state that could not be exercised (action_taken false)
 - LOW (0-49%): All tags appear authorized or insufficient data
 
 Return ONLY valid JSON conforming to the schema. Set verdict.label to "FAIL" for violations, "WARN" for suspicious patterns, "PASS" for compliance.`,
-    promptVersion: 'v1.0.0'
+    promptVersion: 'v1.1.0'
   },
   
   'id-sync-storm': {
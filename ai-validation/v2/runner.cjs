@@ -6,6 +6,7 @@ const addFormats = require('ajv-formats');
 const PDFDocument = require('pdfkit');
 const crypto = require('crypto');
 const { BASE_PROMPT } = require('./prompt-template.cjs');
+const { groundV2Result } = require('../grounding.cjs');
 const { createJob, updateJob, getJob } = require('./job-store.cjs');
 const resultSchema = require('../schemas/ai_validation_v2.schema.json');
 
@@ -152,9 +153,12 @@ async function executeJob(jobId) {
 
     const validated = assertSchema(rawResult);
 
+    // Drop or downgrade findings whose evidence_refs are not in the evidence pack
+    const grounded = groundV2Result(validated, normalizedEvidence);
+
     // Enrich with metadata even in mock mode
     const enriched = {
-      ...validated,
+      ...grounded,
       model_used: {
         provider: mockMode ? 'mock' : (job.provider || 'chatgpt'),
         model: mockMode ? 'mock-v2' : (job.model || 'gpt-4o'),
@@ -200,6 +204,12 @@ async function generatePdf(result, evidencePack, destPath) {
     doc.moveDown(0.5);
     doc.fontSize(12).text(`Verdict: ${result.verdict}`);
     doc.text(`Confidence: ${(result.confidence * 100).toFixed(1)}%`);
+    if (result.grounding) {
+      doc.text(`Evidence grounding: ${result.grounding.score}% (${result.grounding.verified_refs} of ${result.grounding.total_refs} references verified)`);
+      if (result.grounding.removed_findings.length) {
+        doc.text(`${result.grounding.removed_findings.length} finding(s) removed: their evidence_refs do not exist in the evidence pack`);
+      }
+    }
     doc.text(`Target: ${evidencePack.target?.domain || evidencePack.target?.url || 'Unknown'}`);
     doc.text(`Created: ${evidencePack.createdAt}`);
     doc.moveDown();
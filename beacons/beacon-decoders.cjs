@@ -0,0 +1,339 @@
+/**
+ * Beacon Decoders
+ * Turns analytics and ad beacons into normalized events so per-ID counts and
+ * duplicate detection work the same way for every vendor:
+ *
+ *   { vendor, accountId, eventName, page, params, batchSize, eventId, endpoint }
+ *
+ * Each decoder is { vendor, match(url), decode(url, body) } where url is a
+ * parsed URL and body the raw POST body (or null); decode returns one event
+ * per hit in the request. Built-in decoders cover GA, Meta /tr, TikTok,
+ * LinkedIn, Google Ads conversions, Adobe Analytics b/ss and Segment; more can
+ * be added with registerBeaconDecoder().
+ *
+ *   const events = decodeBeacon({ url, method, postData });  // null = not a beacon
+ *   const tracker = createBeaconTracker();
+ *   tracker.record(events, navigationId);
+ */
+
+const { splitGaRequest } = require('./ga4-session.cjs');
+
+const MAX_SAMPLES_PER_ID = 10;
+
+// Event names that mean "a page was viewed" for each vendor
+const PAGE_VIEW_EVENTS = new Set(['page_view', 'pageview', 'PageView', 'Pageview', 'page']);
+
+function hostMatches(url, suffix) {
+  return url.hostname === suffix || url.hostname.endsWith(`.${suffix}`);
+}
+
+function parseJsonBody(body) {
+  if (!body) return null;
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return null;
+  }
+}
+
+function parseFormBody(body) {
+  if (!body || body.trim().startsWith('{')) return null;
+  return new URLSearchParams(body);
+}
+
+function paramsObject(searchParams, filter = () => true) {
+  const params = {};
+  for (const [key, value] of searchParams.entries()) {
+    if (value !== '' && filter(key)) params[key] = value;
+  }
+  return params;
+}
+
+function decodeGoogleAnalytics(url, body) {
+  const ga4 = url.pathname.endsWith('/g/collect');
+  const { hits, truncated } = splitGaRequest(url, body);
+  // Lines past the body limit are not decoded but still count toward the batch
+  const batchSize = hits.length + (truncated ? truncated.droppedLines : 0);
+  return hits.map(hit => ({
+    accountId: hit.get('tid'),
+    eventName: hit.get('en') || hit.get('t') || (hit.get('dl') ? 'page_view' : null),
+    page: hit.get('dl'),
+    params: paramsObject(hit, key => /^(ep|epn|up|upn)\./.test(key)),
+    batchSize,
+    eventId: null,
+    protocol: ga4 ? 'ga4' : 'ua'
+  }));
+}
+
+function decodeMeta(url, body) {
+  const params = parseFormBody(body) || url.searchParams;
+  return [{
+    accountId: params.get('id'),
+    eventName: params.get('ev') || 'PageView',
+    page: params.get('dl'),
+    params: paramsObject(params, key => key.startsWith('cd[')),
+    batchSize: 1,
+    eventId: params.get('eid') || null
+  }];
+}
+
+function decodeTikTok(url, body) {
+  const json = parseJsonBody(body);
+  if (!json) {
+    return [{
+      accountId: url.searchParams.get('sdkid') || url.searchParams.get('pixel_code'),
+      eventName: url.searchParams.get('event'),
+      page: null,
+      params: {},
+      batchSize: 1,
+      eventId: null
+    }];
+  }
+  const items = Array.isArray(json.batch) ? json.batch : [json];
+  return items.map(item => ({
+    accountId: item.context?.pixel?.code || item.pixel_code || null,
+    eventName: item.event || null,
+    page: item.context?.page?.url || null,
+    params: item.properties || {},
+    batchSize: items.length,
+    eventId: item.event_id || item.message_id || null
+  }));
+}
+
+function decodeLinkedIn(url) {
+  const params = url.searchParams;
+  const conversionId = params.get('conversionId');
+  return [{
+    accountId: params.get('pid'),
+    eventName: conversionId ? `conversion:${conversionId}` : 'page_view',
+    page: params.get('url'),
+    params: paramsObject(params, key => ['conversionId', 'fmt', 'time'].includes(key)),
+    batchSize: 1,
+    eventId: params.get('eventId') || null
+  }];
+}
+
+function decodeGoogleAds(url) {
+  const params = url.searchParams;
+  const idMatch = url.pathname.match(/\/(\d{6,})\/?$/);
+  const label = params.get('label');
+  const remarketing = url.pathname.includes('viewthroughconversion') && !label;
+  return [{
+    accountId: idMatch ? `AW-${idMatch[1]}` : null,
+    eventName: params.get('en') || (remarketing ? 'remarketing' : 'conversion'),
+    page: params.get('url'),
+    params: paramsObject(params, key => ['label', 'value', 'currency_code'].includes(key)),
+    batchSize: 1,
+    eventId: params.get('oid') || null
+  }];
+}
+
+// s.t() calls are page views; s.tl() calls carry pe=lnk_o|lnk_d|lnk_e and pev2
+function decodeAdobe(url, body) {
+  const params = parseFormBody(body) || url.searchParams;
+  const suite = url.pathname.match(/\/b\/ss\/([^/]+)/);
+  const linkType = params.get('pe');
+  return [{
+    accountId: suite ? decodeURIComponent(suite[1]) : null,
+    eventName: linkType ? `${linkType}:${params.get('pev2') || ''}` : 'page_view',
+    page: params.get('g') || params.get('pageName'),
+    params: paramsObject(params, key => key === 'events' || key === 'pageName' || /^(v|c|prop|eVar)\d+$/.test(key)),
+    batchSize: 1,
+    eventId: null
+  }];
+}
+
+const SEGMENT_PATH_TYPES = { t: 'track', p: 'page', i: 'identify', s: 'screen', g: 'group', a: 'alias' };
+
+function decodeSegment(url, body) {
+  const json = parseJsonBody(body);
+  if (!json) return [];
+  const pathType = url.pathname.split('/').pop();
+  const items = Array.isArray(json.batch) ? json.batch : [json];
+  return items.map(item => {
+    const type = item.type || SEGMENT_PATH_TYPES[pathType] || pathType;
+    return {
+      accountId: item.writeKey || json.writeKey || null,
+      eventName: type === 'track' ? item.event : type,
+      page: item.context?.page?.url || item.properties?.url || null,
+      params: item.properties || {},
+      batchSize: items.length,
+      eventId: item.messageId || null
+    };
+  });
+}
+
+const BUILT_IN_DECODERS = [
+  {
+    vendor: 'google_analytics',
+    match: url => (hostMatches(url, 'google-analytics.com') || hostMatches(url, 'analytics.google.com') || url.hostname === 'stats.g.doubleclick.net') &&
+      /\/(g\/)?collect$/.test(url.pathname),
+    decode: decodeGoogleAnalytics
+  },
+  {
+    vendor: 'meta',
+    match: url => hostMatches(url, 'facebook.com') && /^\/tr\/?$/.test(url.pathname),
+    decode: decodeMeta
+  },
+  {
+    vendor: 'tiktok',
+    match: url => url.hostname === 'analytics.tiktok.com' && url.pathname.startsWith('/api/v2/pixel'),
+    decode: decodeTikTok
+  },
+  {
+    vendor: 'linkedin',
+    match: url => url.hostname === 'px.ads.linkedin.com' && /^\/(collect|attribution_trigger)\/?$/.test(url.pathname),
+    decode: decodeLinkedIn
+  },
+  {
+    vendor: 'google_ads',
+    match: url => (hostMatches(url, 'googleadservices.com') || url.hostname === 'googleads.g.doubleclick.net' || url.hostname === 'www.google.com') &&
+      /^\/pagead\/(conversion|viewthroughconversion|1p-conversion)\//.test(url.pathname),
+    decode: decodeGoogleAds
+  },
+  {
+    vendor: 'adobe_analytics',
+    match: url => /\/b\/ss\/[^/]+\//.test(url.pathname),
+    decode: decodeAdobe
+  },
+  {
+    vendor: 'segment',
+    match: url => url.hostname === 'api.segment.io' && url.pathname.startsWith('/v1/'),
+    decode: decodeSegment
+  }
+];
+
+const decoders = [...BUILT_IN_DECODERS];
+
+/**
+ * Add a decoder. Registered decoders are tried before the built-ins, so a
+ * decoder for the same endpoint replaces the built-in one.
+ */
+function registerBeaconDecoder(decoder) {
+  if (!decoder || typeof decoder.vendor !== 'string' || typeof decoder.match !== 'function' || typeof decoder.decode !== 'function') {
+    throw new Error('A beacon decoder needs a vendor, match(url) and decode(url, body)');
+  }
+  decoders.unshift(decoder);
+}
+
+/**
+ * Decode a request into normalized events. Returns null when no decoder
+ * claims the URL, and an empty array for a claimed request that could not
+ * be decoded.
+ */
+function decodeBeacon({ url, method = 'GET', postData = null }) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  const decoder = decoders.find(candidate => candidate.match(parsed));
+  if (!decoder) return null;
+
+  const body = method.toUpperCase() === 'POST' && typeof postData === 'string' ? postData : null;
+  let events;
+  try {
+    events = decoder.decode(parsed, body) || [];
+  } catch (error) {
+    return [];
+  }
+  const endpoint = `${parsed.hostname}${parsed.pathname}`;
+  return events.map(event => ({
+    vendor: decoder.vendor,
+    accountId: event.accountId || null,
+    eventName: event.eventName || null,
+    page: event.page || null,
+    params: event.params || {},
+    batchSize: event.batchSize || events.length,
+    eventId: event.eventId || null,
+    endpoint,
+    ...(event.protocol ? { protocol: event.protocol } : {})
+  }));
+}
+
+function isPageViewEvent(event) {
+  return PAGE_VIEW_EVENTS.has(event.eventName);
+}
+
+/**
+ * Per-ID counts (keyed vendor:accountId, like the scanner's GA hitsById) and
+ * duplicate detection across every decoded vendor. findings() lists:
+ * - duplicate_page_view: an ID sent more than one page view in one navigation
+ * - duplicate_event: an ID sent the same event with the same dedupe id twice
+ *   (Meta eid, Google Ads order id, Segment messageId, ...)
+ */
+function createBeaconTracker() {
+  const byId = {};
+  const pageViews = new Map();
+  const seenEventIds = new Map();
+  // One finding per key, updated as the count grows
+  const findings = new Map();
+
+  function record(events, navigationId = 0, timestamp = Date.now()) {
+    const ids = new Set();
+    (events || []).forEach(event => {
+      if (!event.accountId) return;
+      const id = `${event.vendor}:${event.accountId}`;
+      if (!byId[id]) {
+        byId[id] = { vendor: event.vendor, accountId: event.accountId, total: 0, requests: 0, events: {}, samples: [] };
+      }
+      const entry = byId[id];
+      ids.add(id);
+      entry.total += 1;
+      if (event.eventName) entry.events[event.eventName] = (entry.events[event.eventName] || 0) + 1;
+      if (entry.samples.length < MAX_SAMPLES_PER_ID) {
+        entry.samples.push({ timestamp, eventName: event.eventName, page: event.page, batchSize: event.batchSize, eventId: event.eventId });
+      }
+
+      if (isPageViewEvent(event)) {
+        const navKey = `${navigationId}|${id}`;
+        const count = (pageViews.get(navKey) || 0) + 1;
+        pageViews.set(navKey, count);
+        if (count > 1) {
+          findings.set(`page_view|${navKey}`, {
+            severity: 'high',
+            type: 'duplicate_page_view',
+            vendor: event.vendor,
+            accountId: event.accountId,
+            title: `Duplicate ${event.eventName}`,
+            details: `${event.vendor} ${event.accountId} sent ${count} ${event.eventName} events during one navigation.`,
+            evidence: { navigationId, count, page: event.page, endpoint: event.endpoint }
+          });
+        }
+      }
+
+      if (event.eventId) {
+        const eventKey = `${id}|${event.eventName}|${event.eventId}`;
+        const count = (seenEventIds.get(eventKey) || 0) + 1;
+        seenEventIds.set(eventKey, count);
+        if (count > 1) {
+          findings.set(`event|${eventKey}`, {
+            severity: 'high',
+            type: 'duplicate_event',
+            vendor: event.vendor,
+            accountId: event.accountId,
+            title: `Duplicate ${event.eventName}`,
+            details: `${event.vendor} ${event.accountId} sent ${event.eventName} with event id ${event.eventId} ${count} times.`,
+            evidence: { eventId: event.eventId, count, page: event.page, endpoint: event.endpoint }
+          });
+        }
+      }
+    });
+    ids.forEach(id => { byId[id].requests += 1; });
+  }
+
+  return {
+    byId,
+    record,
+    findings: () => Array.from(findings.values())
+  };
+}
+
+module.exports = {
+  BUILT_IN_DECODERS,
+  registerBeaconDecoder,
+  decodeBeacon,
+  isPageViewEvent,
+  createBeaconTracker
+};
@@ -0,0 +1,167 @@
+/**
+ * GA4 Sessions
+ * GA4 batches several events into one /g/collect request: the URL carries
+ * the shared params (tid, sid, sct, seg, dl, ...) and each line of the POST
+ * body is one event (en, _et, _ss, ep.*, ...). splitGaHits() turns a request
+ * into one param set per event.
+ *
+ * The session tracker follows sid, sct, seg, _s and _et per measurement ID
+ * and flags sequences a real browser cannot produce:
+ * - repeated_session_start: more than one session_start (or _ss) in one sid
+ * - engagement_exceeds_clock: a session reports more engagement time (_et)
+ *   than wall-clock time has passed since the scan started
+ */
+
+// Timer skew allowed between the page's engagement clock and ours
+const ENGAGEMENT_TOLERANCE_MS = 2000;
+const MAX_BODY_LENGTH = 64 * 1024;
+
+/**
+ * Split a GA request into one URLSearchParams per event, each holding the
+ * URL params overridden by that event's body line. Requests without a body
+ * are a single event. Only the lines within the first MAX_BODY_LENGTH
+ * characters are read; truncated says how much of a longer body was not.
+ * @returns {{ hits: URLSearchParams[], truncated: Object|null }} - truncated is
+ *   { bodyLength, readLength, droppedLines } when the body was cut
+ */
+function splitGaRequest(requestUrl, body) {
+  const url = typeof requestUrl === 'string' ? new URL(requestUrl) : requestUrl;
+  let truncated = null;
+  let text = typeof body === 'string' ? body : '';
+  if (text.length > MAX_BODY_LENGTH) {
+    // Cut at the last complete line so no event is read half-way
+    const cut = text.lastIndexOf('\n', MAX_BODY_LENGTH);
+    const kept = cut > 0 ? text.slice(0, cut).replace(/\r$/, '') : '';
+    truncated = {
+      bodyLength: text.length,
+      readLength: kept.length,
+      droppedLines: text.slice(kept.length).split(/\r?\n/).filter(line => line.trim()).length
+    };
+    text = kept;
+  }
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (!lines.length) return { hits: [new URLSearchParams(url.searchParams)], truncated };
+
+  const hits = lines.map(line => {
+    const merged = new URLSearchParams(url.searchParams);
+    for (const [key, value] of new URLSearchParams(line).entries()) merged.set(key, value);
+    return merged;
+  });
+  return { hits, truncated };
+}
+
+/**
+ * splitGaRequest() without the truncation record
+ */
+function splitGaHits(requestUrl, body) {
+  return splitGaRequest(requestUrl, body).hits;
+}
+
+function toNumber(value) {
+  const n = Number(value);
+  return value !== null && value !== '' && Number.isFinite(n) ? n : null;
+}
+
+function isSessionStart(params) {
+  return params.get('en') === 'session_start' || params.get('_ss') === '1';
+}
+
+function createGaSessionTracker(startTime = Date.now()) {
+  const byTid = {};
+  const findings = new Map();
+
+  function record(params, timestamp = Date.now()) {
+    const tid = params.get('tid');
+    const sid = params.get('sid');
+    if (!tid) return;
+
+    if (!byTid[tid]) byTid[tid] = { hits: 0, sessions: {}, maxSessionCount: null };
+    const entry = byTid[tid];
+    entry.hits += 1;
+
+    const sct = toNumber(params.get('sct'));
+    if (sct !== null) entry.maxSessionCount = Math.max(entry.maxSessionCount || 0, sct);
+    if (!sid) return;
+
+    if (!entry.sessions[sid]) {
+      entry.sessions[sid] = {
+        hits: 0,
+        sessionStarts: 0,
+        sessionCount: sct,
+        engaged: false,
+        engagementMs: 0,
+        maxHitSequence: null,
+        firstSeen: timestamp,
+        lastSeen: timestamp
+      };
+    }
+    const session = entry.sessions[sid];
+    session.hits += 1;
+    session.lastSeen = timestamp;
+    if (params.get('seg') === '1') session.engaged = true;
+
+    const hitSequence = toNumber(params.get('_s'));
+    if (hitSequence !== null) session.maxHitSequence = Math.max(session.maxHitSequence || 0, hitSequence);
+
+    if (isSessionStart(params)) {
+      session.sessionStarts += 1;
+      if (session.sessionStarts > 1) {
+        findings.set(`session_start|${tid}|${sid}`, {
+          severity: 'high',
+          type: 'repeated_session_start',
+          vendor: 'google_analytics',
+          title: 'Repeated session_start',
+          details: `Measurement ID ${tid} started session ${sid} ${session.sessionStarts} times.`,
+          evidence: { tid, sid, count: session.sessionStarts }
+        });
+      }
+    }
+
+    const engagement = toNumber(params.get('_et'));
+    if (engagement !== null && engagement > 0) {
+      session.engagementMs += engagement;
+      const elapsedMs = timestamp - startTime;
+      if (session.engagementMs > elapsedMs + ENGAGEMENT_TOLERANCE_MS) {
+        findings.set(`engagement|${tid}|${sid}`, {
+          severity: 'high',
+          type: 'engagement_exceeds_clock',
+          vendor: 'google_analytics',
+          title: 'Engagement time exceeds wall-clock time',
+          details: `Measurement ID ${tid} reported ${session.engagementMs}ms of engagement in session ${sid} after ${elapsedMs}ms of page time.`,
+          evidence: { tid, sid, engagementMs: session.engagementMs, elapsedMs }
+        });
+      }
+    }
+  }
+
+  // Per measurement ID: the session IDs seen, their count and total engagement
+  function summary() {
+    const result = {};
+    Object.entries(byTid).forEach(([tid, entry]) => {
+      const sessionIds = Object.keys(entry.sessions);
+      result[tid] = {
+        hits: entry.hits,
+        sessionIds,
+        sessionCount: sessionIds.length,
+        maxSessionCount: entry.maxSessionCount,
+        engagementMs: sessionIds.reduce((sum, sid) => sum + entry.sessions[sid].engagementMs, 0),
+        sessions: entry.sessions
+      };
+    });
+    return result;
+  }
+
+  return {
+    record,
+    summary,
+    findings: () => Array.from(findings.values())
+  };
+}
+
+module.exports = {
+  ENGAGEMENT_TOLERANCE_MS,
+  MAX_BODY_LENGTH,
+  splitGaRequest,
+  splitGaHits,
+  createGaSessionTracker
+};
@@ -0,0 +1,178 @@
+/**
+ * Soft Navigation Detector
+ * On single-page apps a route change is a history.pushState, not a page
+ * load, and the usual cause of page_view inflation is a router that fires
+ * both the gtag config page_view and a GTM History Change trigger. The
+ * detector hooks the History API and hashchange in the main frame, assigns
+ * each page_view hit to the navigation it followed, and reports how many
+ * page_views each measurement ID sent per navigation of each route.
+ *
+ *   const softNav = createSoftNavigationDetector(context);
+ *   await softNav.attach();
+ *   ... softNav.recordPageView({ tid, dl, timestamp }) for each page_view hit ...
+ *   const report = softNav.report();
+ */
+
+const BINDING_NAME = '__cybertectSoftNavigation';
+const MAX_NAVIGATIONS = 200;
+const MAX_SAMPLES_PER_ROUTE = 5;
+
+// Injected before any page script. The document itself is reported as a
+// hard navigation so hits can be split between page loads and route changes.
+const HISTORY_HOOK_SCRIPT = `
+(function() {
+  if (window.top !== window || window.__cybertectHistoryHooked) return;
+  window.__cybertectHistoryHooked = true;
+  var report = window['${BINDING_NAME}'];
+  if (typeof report !== 'function') return;
+
+  var current = location.href;
+  function record(kind) {
+    var url = location.href;
+    if (kind !== 'document' && url === current) return;
+    current = url;
+    try { report({ kind: kind, url: url, ts: Date.now() }); } catch (e) {}
+  }
+
+  ['pushState', 'replaceState'].forEach(function(method) {
+    var original = history[method];
+    if (typeof original !== 'function') return;
+    history[method] = function() {
+      var result = original.apply(this, arguments);
+      record(method);
+      return result;
+    };
+  });
+  window.addEventListener('popstate', function() { record('popstate'); });
+  window.addEventListener('hashchange', function() { record('hashchange'); });
+  record('document');
+})();
+`;
+
+/**
+ * Route key for a URL: the path, plus the hash when the app routes on it (#/...)
+ */
+function routeOf(url) {
+  try {
+    const parsed = new URL(url);
+    const hashRoute = parsed.hash.startsWith('#/') || parsed.hash.startsWith('#!/') ? parsed.hash : '';
+    return `${parsed.pathname}${hashRoute}`;
+  } catch (error) {
+    return url || '';
+  }
+}
+
+function isSoft(kind) {
+  return kind !== 'document';
+}
+
+/**
+ * Correlate page_view hits with navigations
+ * @param {Object} input - { navigations: [{ kind, url, ts }], pageViews: [{ tid, dl, timestamp }] }
+ * @returns {Object} - { navigations, routes, findings }
+ */
+function buildSoftNavigationReport({ navigations = [], pageViews = [] }) {
+  const ordered = navigations
+    .slice()
+    .sort((a, b) => a.ts - b.ts)
+    .map((nav, index) => ({ index, kind: nav.kind, url: nav.url, route: routeOf(nav.url), ts: nav.ts, soft: isSoft(nav.kind), pageViews: {} }));
+
+  const routes = new Map();
+  const routeFor = nav => {
+    if (!routes.has(nav.route)) {
+      routes.set(nav.route, { route: nav.route, navigations: 0, softNavigations: 0, pageViews: {}, duplicationFactor: {}, samples: [] });
+    }
+    return routes.get(nav.route);
+  };
+  ordered.forEach(nav => {
+    const route = routeFor(nav);
+    route.navigations += 1;
+    if (nav.soft) route.softNavigations += 1;
+  });
+
+  let unassigned = 0;
+  pageViews
+    .slice()
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .forEach(hit => {
+      if (!hit.tid) return;
+      // The hit belongs to the last navigation that happened before it
+      let nav = null;
+      for (let i = ordered.length - 1; i >= 0; i--) {
+        if (ordered[i].ts <= hit.timestamp) {
+          nav = ordered[i];
+          break;
+        }
+      }
+      if (!nav) {
+        unassigned += 1;
+        return;
+      }
+      nav.pageViews[hit.tid] = (nav.pageViews[hit.tid] || 0) + 1;
+      const route = routeFor(nav);
+      route.pageViews[hit.tid] = (route.pageViews[hit.tid] || 0) + 1;
+      if (route.samples.length < MAX_SAMPLES_PER_ROUTE) {
+        route.samples.push({ tid: hit.tid, dl: hit.dl || null, timestamp: hit.timestamp, navigation: nav.index, navigationKind: nav.kind, msAfterNavigation: hit.timestamp - nav.ts });
+      }
+    });
+
+  const findings = [];
+  routes.forEach(route => {
+    Object.entries(route.pageViews).forEach(([tid, count]) => {
+      const factor = Number((count / route.navigations).toFixed(2));
+      route.duplicationFactor[tid] = factor;
+      if (route.softNavigations > 0 && factor > 1) {
+        findings.push({
+          severity: 'high',
+          type: 'soft_navigation_page_view_duplication',
+          vendor: 'google_analytics',
+          title: 'Duplicate page_view on soft navigation',
+          details: `Measurement ID ${tid} sent ${count} page_view hits over ${route.navigations} navigations of ${route.route} (${factor}x, ${route.softNavigations} via the History API).`,
+          evidence: { tid, route: route.route, pageViews: count, navigations: route.navigations, softNavigations: route.softNavigations, duplicationFactor: factor, samples: route.samples.filter(s => s.tid === tid) }
+        });
+      }
+    });
+  });
+
+  return {
+    navigations: ordered.map(({ soft, ...nav }) => nav),
+    softNavigationCount: ordered.filter(nav => nav.soft).length,
+    routes: Array.from(routes.values()),
+    unassignedPageViews: unassigned,
+    findings
+  };
+}
+
+/**
+ * Detect soft navigations for one browser context
+ * @param {BrowserContext} context
+ * @returns {Object} - { attach, recordPageView, report }
+ */
+function createSoftNavigationDetector(context) {
+  const navigations = [];
+  const pageViews = [];
+
+  return {
+    async attach() {
+      await context.exposeBinding(BINDING_NAME, (source, navigation) => {
+        if (navigations.length < MAX_NAVIGATIONS) navigations.push(navigation);
+      });
+      await context.addInitScript({ content: HISTORY_HOOK_SCRIPT });
+    },
+
+    recordPageView({ tid, dl, timestamp = Date.now() }) {
+      pageViews.push({ tid, dl, timestamp });
+    },
+
+    report() {
+      return buildSoftNavigationReport({ navigations, pageViews });
+    }
+  };
+}
+
+module.exports = {
+  HISTORY_HOOK_SCRIPT,
+  routeOf,
+  buildSoftNavigationReport,
+  createSoftNavigationDetector
+};
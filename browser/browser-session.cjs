@@ -0,0 +1,96 @@
+/**
+ * Browser Session
+ * Launches Chromium for the scanners so a caller can share one browser
+ * between scans. When options.browser is given the scanner opens its own
+ * context in it and leaves the browser running; otherwise it launches a
+ * browser and closes it when done. Aborting options.signal closes the scan's
+ * context, so pending page calls fail and the scan ends early.
+ * options.emulation (see browser/emulation.cjs, default CYBERTECT_EMULATION)
+ * sets the context's device, locale, timezone, geolocation and network.
+ *
+ *   const session = await openBrowserSession(options, { userAgent });
+ *   try {
+ *     const page = await session.context.newPage();
+ *   } finally {
+ *     await session.close();
+ *   }
+ */
+
+const { resolveEmulation, emulationContextOptions, attachEmulation } = require('./emulation.cjs');
+
+const LAUNCH_OPTIONS = {
+  headless: true,
+  args: ['--no-sandbox', '--disable-dev-shm-usage']
+};
+
+function launchBrowser(launchOptions = {}) {
+  const { chromium } = require('playwright');
+  return chromium.launch({ ...LAUNCH_OPTIONS, ...launchOptions });
+}
+
+/**
+ * The error an aborted scan rejects with: the signal's reason when it is an
+ * Error, an AbortError otherwise
+ */
+function abortError(signal) {
+  if (signal && signal.reason instanceof Error) return signal.reason;
+  const error = new Error('Scan aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) throw abortError(signal);
+}
+
+/**
+ * Open a context in the caller's browser or a freshly launched one
+ * @param {Object} options - { browser?, signal?, launchOptions?, emulation? }
+ * @param {Object} contextOptions - passed to browser.newContext(); the emulation overrides them
+ * @returns {Promise<Object>} - { browser, context, owned, emulation, close() }
+ */
+async function openBrowserSession(options = {}, contextOptions = {}) {
+  const { signal, launchOptions } = options;
+  throwIfAborted(signal);
+  const emulation = resolveEmulation(options.emulation !== undefined ? options.emulation : process.env.CYBERTECT_EMULATION);
+
+  const owned = !options.browser;
+  const browser = options.browser || await launchBrowser(launchOptions);
+  let context;
+  try {
+    throwIfAborted(signal);
+    context = await browser.newContext({ ...contextOptions, ...emulationContextOptions(emulation) });
+    await attachEmulation(context, emulation);
+  } catch (error) {
+    if (owned) await browser.close().catch(() => {});
+    throw error;
+  }
+
+  const onAbort = () => {
+    context.close().catch(() => {});
+  };
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+  return {
+    browser,
+    context,
+    owned,
+    emulation,
+    async close() {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      if (owned) {
+        await browser.close();
+      } else {
+        await context.close().catch(() => {});
+      }
+    }
+  };
+}
+
+module.exports = {
+  LAUNCH_OPTIONS,
+  launchBrowser,
+  abortError,
+  throwIfAborted,
+  openBrowserSession
+};
@@ -0,0 +1,209 @@
+/**
+ * Device and Network Emulation
+ * Many inflation schemes only fire for mobile user agents, small viewports,
+ * some geos or slow connections. An emulation is a named device profile
+ * (iphone, android, tablet, desktop-1080p) plus optional locale, timezone,
+ * geolocation and network throttling overrides. openBrowserSession() applies
+ * it to the scan's context; scanners record the resolved emulation in their
+ * output so a run can be repeated. CYBERTECT_EMULATION applies a profile to
+ * every scanner without passing options through.
+ *
+ *   { profile: 'iphone', locale: 'de-DE', timezoneId: 'Europe/Berlin',
+ *     geolocation: '52.52,13.40', network: 'slow-3g' }
+ */
+
+const EMULATION_PROFILES = {
+  iphone: {
+    profile: 'iphone',
+    label: 'iPhone 13 (Safari)',
+    userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1',
+    viewport: { width: 390, height: 664 },
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true
+  },
+  android: {
+    profile: 'android',
+    label: 'Pixel 7 (Chrome)',
+    userAgent: 'Mozilla/5.0 (Linux; Android 14; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+    viewport: { width: 412, height: 839 },
+    deviceScaleFactor: 2.625,
+    isMobile: true,
+    hasTouch: true
+  },
+  tablet: {
+    profile: 'tablet',
+    label: 'iPad (Safari)',
+    userAgent: 'Mozilla/5.0 (iPad; CPU OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1',
+    viewport: { width: 810, height: 1080 },
+    deviceScaleFactor: 2,
+    isMobile: true,
+    hasTouch: true
+  },
+  'desktop-1080p': {
+    profile: 'desktop-1080p',
+    label: 'Desktop 1920x1080 (Chrome)',
+    userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    viewport: { width: 1920, height: 1080 },
+    deviceScaleFactor: 1,
+    isMobile: false,
+    hasTouch: false
+  }
+};
+
+// Chrome DevTools throttling presets
+const NETWORK_PROFILES = {
+  'slow-3g': { id: 'slow-3g', downloadKbps: 400, uploadKbps: 400, latencyMs: 2000 },
+  'fast-3g': { id: 'fast-3g', downloadKbps: 1440, uploadKbps: 675, latencyMs: 563 },
+  '4g': { id: '4g', downloadKbps: 9000, uploadKbps: 9000, latencyMs: 170 }
+};
+
+function resolveNetwork(network) {
+  if (!network) return null;
+  if (typeof network === 'string') {
+    const resolved = NETWORK_PROFILES[network.trim()];
+    if (!resolved) {
+      throw new Error(`Unknown network profile "${network}" (expected ${Object.keys(NETWORK_PROFILES).join(', ')} or { downloadKbps, uploadKbps, latencyMs })`);
+    }
+    return { ...resolved };
+  }
+  const downloadKbps = Number(network.downloadKbps);
+  const uploadKbps = Number(network.uploadKbps);
+  const latencyMs = Number(network.latencyMs || 0);
+  if (!(downloadKbps > 0) || !(uploadKbps > 0) || !(latencyMs >= 0)) {
+    throw new Error('Network throttling needs downloadKbps and uploadKbps above 0 and latencyMs of 0 or more');
+  }
+  return { id: network.id || 'custom', downloadKbps, uploadKbps, latencyMs };
+}
+
+function resolveGeolocation(geolocation) {
+  if (!geolocation) return null;
+  const [latitude, longitude, accuracy] = typeof geolocation === 'string'
+    ? geolocation.split(',').map(part => Number(part.trim()))
+    : [Number(geolocation.latitude), Number(geolocation.longitude), geolocation.accuracy !== undefined ? Number(geolocation.accuracy) : undefined];
+  if (!(latitude >= -90 && latitude <= 90) || !(longitude >= -180 && longitude <= 180)) {
+    throw new Error(`Invalid geolocation ${JSON.stringify(geolocation)}: expected "latitude,longitude" within -90..90 and -180..180`);
+  }
+  return accuracy >= 0 ? { latitude, longitude, accuracy } : { latitude, longitude };
+}
+
+function resolveLocale(locale) {
+  if (!locale) return null;
+  try {
+    return Intl.getCanonicalLocales(String(locale).trim())[0];
+  } catch (error) {
+    throw new Error(`Invalid locale "${locale}" (expected a BCP 47 tag such as en-GB)`);
+  }
+}
+
+function resolveTimezone(timezoneId) {
+  if (!timezoneId) return null;
+  const zone = String(timezoneId).trim();
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+  } catch (error) {
+    throw new Error(`Invalid timezone "${timezoneId}" (expected an IANA zone such as Europe/Berlin)`);
+  }
+  return zone;
+}
+
+/**
+ * @param {string|Object} emulation - Profile id, or { profile?, userAgent?,
+ *   viewport?, locale?, timezoneId?, geolocation?, network? }
+ * @returns {Object|null} - { profile, label, userAgent, viewport, deviceScaleFactor,
+ *   isMobile, hasTouch, locale, timezoneId, geolocation, network }
+ */
+function resolveEmulation(emulation) {
+  if (!emulation) return null;
+  const input = typeof emulation === 'string' ? { profile: emulation } : emulation;
+
+  let base = { profile: null, label: 'Custom', userAgent: null, viewport: null, deviceScaleFactor: null, isMobile: null, hasTouch: null };
+  if (input.profile) {
+    base = EMULATION_PROFILES[String(input.profile).trim()];
+    if (!base) {
+      throw new Error(`Unknown emulation profile "${input.profile}" (expected ${Object.keys(EMULATION_PROFILES).join(', ')})`);
+    }
+  }
+
+  let viewport = base.viewport;
+  if (input.viewport) {
+    const width = Number(input.viewport.width);
+    const height = Number(input.viewport.height);
+    if (!(width > 0) || !(height > 0)) {
+      throw new Error(`Invalid viewport ${JSON.stringify(input.viewport)}: expected { width, height } above 0`);
+    }
+    viewport = { width, height };
+  }
+
+  return {
+    ...base,
+    userAgent: input.userAgent || base.userAgent,
+    viewport: viewport ? { ...viewport } : null,
+    locale: resolveLocale(input.locale),
+    timezoneId: resolveTimezone(input.timezoneId),
+    geolocation: resolveGeolocation(input.geolocation),
+    network: resolveNetwork(input.network)
+  };
+}
+
+/**
+ * browser.newContext() options for a resolved emulation. The locale also sets
+ * Accept-Language on every request.
+ */
+function emulationContextOptions(emulation) {
+  if (!emulation) return {};
+  const options = {};
+  ['userAgent', 'viewport', 'deviceScaleFactor', 'isMobile', 'hasTouch', 'locale', 'timezoneId', 'geolocation'].forEach(key => {
+    if (emulation[key] !== null && emulation[key] !== undefined) options[key] = emulation[key];
+  });
+  if (emulation.geolocation) options.permissions = ['geolocation'];
+  return options;
+}
+
+async function throttlePage(context, page, network) {
+  try {
+    const cdp = await context.newCDPSession(page);
+    await cdp.send('Network.enable');
+    await cdp.send('Network.emulateNetworkConditions', {
+      offline: false,
+      latency: network.latencyMs,
+      downloadThroughput: (network.downloadKbps * 1024) / 8,
+      uploadThroughput: (network.uploadKbps * 1024) / 8
+    });
+  } catch (error) {
+    // Throttling needs the Chrome DevTools Protocol; the page is left unthrottled
+    console.warn(`Network throttling unavailable: ${error.message}`);
+  }
+}
+
+/**
+ * Throttle every page of a context. Pages the scanner opens are throttled
+ * before newPage() resolves, so their first navigation is covered too.
+ * @param {BrowserContext} context
+ * @param {Object|null} emulation - From resolveEmulation()
+ */
+async function attachEmulation(context, emulation) {
+  if (!emulation || !emulation.network) return;
+  const throttled = new WeakMap();
+  const throttle = page => {
+    if (!throttled.has(page)) throttled.set(page, throttlePage(context, page, emulation.network));
+    return throttled.get(page);
+  };
+
+  context.pages().forEach(throttle);
+  context.on('page', throttle);
+  const newPage = context.newPage.bind(context);
+  context.newPage = async (...args) => {
+    const page = await newPage(...args);
+    await throttle(page);
+    return page;
+  };
+}
+
+module.exports = {
+  EMULATION_PROFILES,
+  NETWORK_PROFILES,
+  resolveEmulation,
+  emulationContextOptions,
+  attachEmulation
+};
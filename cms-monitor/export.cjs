@@ -6,6 +6,7 @@
 const fs = require('fs');
 const path = require('path');
 const archiver = require('archiver');
+const { diffScripts } = require('./script-diff.cjs');
 
 /**
  * Generate HTML report
@@ -244,61 +245,14 @@ function generateHTMLReport(scanResult, baselineDiff = null) {
 function diffBaseline(currentScan, baseline) {
   if (!baseline) return null;
   
-  const currentScripts = new Map();
-  const baselineScripts = new Map();
-  
-  // Index current scripts by hash/src
-  currentScan.pageResults.forEach(pageResult => {
-    (pageResult.scripts || []).forEach(script => {
-      const key = script.hash || script.src;
-      if (key) {
-        currentScripts.set(key, script);
-      }
-    });
-  });
-  
-  // Index baseline scripts
-  (baseline.pageResults || []).forEach(pageResult => {
-    (pageResult.scripts || []).forEach(script => {
-      const key = script.hash || script.src;
-      if (key) {
-        baselineScripts.set(key, script);
-      }
-    });
-  });
-  
-  const newScripts = [];
-  const removedScripts = [];
-  const changedScripts = [];
-  
-  // Find new scripts
-  currentScripts.forEach((script, key) => {
-    if (!baselineScripts.has(key)) {
-      newScripts.push(script);
-    } else {
-      // Check if content changed (for inline scripts)
-      const baselineScript = baselineScripts.get(key);
-      if (script.type === 'inline' && baselineScript.type === 'inline' && script.hash !== baselineScript.hash) {
-        changedScripts.push({
-          current: script,
-          baseline: baselineScript
-        });
-      }
-    }
-  });
-  
-  // Find removed scripts
-  baselineScripts.forEach((script, key) => {
-    if (!currentScripts.has(key)) {
-      removedScripts.push(script);
-    }
-  });
+  const scriptsOf = scan => (scan.pageResults || []).flatMap(pageResult => pageResult.scripts || []);
+  const { added, removed, changed } = diffScripts(scriptsOf(currentScan), scriptsOf(baseline));
   
   return {
     baselineLabel: baseline.buildLabel || 'Unknown',
-    newScripts,
-    removedScripts,
-    changedScripts
+    newScripts: added,
+    removedScripts: removed,
+    changedScripts: changed
   };
 }
 
@@ -6,6 +6,11 @@
 const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
+const { attachFixtureReplay } = require('../replay/fixture-replay.cjs');
+const { attachConsentState, resolveConsentState } = require('../consent/consent-state.cjs');
+const { getRobotsPolicy } = require('../robots/robots.cjs');
+const { launchBrowser, openBrowserSession, throwIfAborted } = require('../browser/browser-session.cjs');
+const { resolveEmulation } = require('../browser/emulation.cjs');
 
 // #region agent log - Check Playwright executable path
 try {
@@ -502,8 +507,15 @@ async function scanCMSOutput(options) {
     crawlDepth = 1,
     samplePages = [],
     allowedPartners = [],
-    timeout = 30000
+    timeout = 30000,
+    respectRobots = true,
+    userAgent,
+    consentState = process.env.CYBERTECT_CONSENT_STATE,
+    emulation = process.env.CYBERTECT_EMULATION,
+    signal
   } = options;
+  const appliedConsentState = resolveConsentState(consentState);
+  const appliedEmulation = resolveEmulation(emulation);
   
   console.log(`[CMS Scanner] Starting scan for: ${baseUrl}`);
   console.log(`[CMS Scanner] Options:`, { buildLabel, crawlDepth, samplePagesCount: samplePages.length, allowedPartnersCount: allowedPartners.length });
@@ -528,16 +540,16 @@ async function scanCMSOutput(options) {
   }
   
   let browser;
+  // options.browser shares a browser between scans; each page still gets its own context
+  const ownsBrowser = !options.browser;
+  throwIfAborted(signal);
   try {
     // #region agent log
     fetch('http://127.0.0.1:7242/ingest/e933f9c9-0276-4ab0-af7d-7f6d057d32c0',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'cms-monitor/scanner.cjs:523',message:'Before browser launch',data:{hasChromium:!!chromium,chromiumType:typeof chromium},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'H1'})}).catch(()=>{});
     // #endregion
     
     console.log(`[CMS Scanner] Launching browser...`);
-    browser = await chromium.launch({
-      headless: true,
-      args: ['--no-sandbox', '--disable-dev-shm-usage']
-    });
+    browser = options.browser || await launchBrowser();
     
     // #region agent log
     fetch('http://127.0.0.1:7242/ingest/e933f9c9-0276-4ab0-af7d-7f6d057d32c0',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'cms-monitor/scanner.cjs:531',message:'Browser launched successfully',data:{browserPid:browser?._browserPid},timestamp:Date.now(),sessionId:'debug-session',hypothesisId:'H1'})}).catch(()=>{});
@@ -555,14 +567,45 @@ async function scanCMSOutput(options) {
   
   const pageResults = [];
   const screenshots = [];
+  const lastVisitByOrigin = new Map();
   
   try {
     for (let i = 0; i < pagesToScan.length; i++) {
+      throwIfAborted(signal);
       const url = pagesToScan[i];
       console.log(`[CMS Scanner] Scanning page ${i + 1}/${pagesToScan.length}: ${url}`);
       
+      if (respectRobots) {
+        const robots = await getRobotsPolicy(url, { userAgent });
+        if (!robots.isAllowed(url)) {
+          console.log(`[CMS Scanner] Skipping ${url}: disallowed by robots.txt`);
+          pageResults.push({
+            url,
+            error: 'Disallowed by robots.txt',
+            skippedByRobots: true,
+            scripts: [],
+            pixels: [],
+            networkRequests: [],
+            measurementIds: {},
+            widgetMap: {}
+          });
+          continue;
+        }
+        const origin = new URL(url).origin;
+        const lastVisit = lastVisitByOrigin.get(origin);
+        if (robots.crawlDelayMs && lastVisit) {
+          const waitMs = lastVisit + robots.crawlDelayMs - Date.now();
+          if (waitMs > 0) await new Promise(resolve => setTimeout(resolve, waitMs));
+        }
+        lastVisitByOrigin.set(origin, Date.now());
+      }
+      
+      let pageSession;
       try {
-        const page = await browser.newPage();
+        pageSession = await openBrowserSession({ browser, signal, emulation: appliedEmulation });
+        const page = await pageSession.context.newPage();
+        await attachFixtureReplay(page);
+        await attachConsentState(page, appliedConsentState);
         console.log(`[CMS Scanner] Page created, starting scan...`);
         
         const result = await scanPage(page, url, {
@@ -596,10 +639,11 @@ async function scanCMSOutput(options) {
           }
         }
         
-        await page.close();
+        await pageSession.close();
         console.log(`[CMS Scanner] Page closed`);
       } catch (pageError) {
         console.error(`[CMS Scanner] Error scanning page ${url}:`, pageError);
+        if (pageSession) await pageSession.close().catch(() => {});
         pageResults.push({
           url,
           error: pageError.message,
@@ -617,7 +661,7 @@ async function scanCMSOutput(options) {
     console.error(`[CMS Scanner] Fatal error during scanning:`, scanError);
     throw scanError;
   } finally {
-    if (browser) {
+    if (browser && ownsBrowser) {
       try {
         await browser.close();
         console.log(`[CMS Scanner] Browser closed`);
@@ -695,6 +739,8 @@ async function scanCMSOutput(options) {
     scanTimestamp: new Date().toISOString(),
     buildLabel,
     baseUrl,
+    consentState: appliedConsentState ? appliedConsentState.id : null,
+    emulation: appliedEmulation,
     pagesScanned: pageResults.map(r => r.url),
     pageResults,
     duplicates,
@@ -0,0 +1,69 @@
+/**
+ * Script-level diffing between two scans
+ * Shared by the CMS monitor's diffBaseline() and the CLI baseline comparison
+ * (src/baseline.ts). Scripts only need `src` (external) and `hash`.
+ *
+ * External scripts are identified by origin + path, so a cache-busting or
+ * version query change shows up as "changed" rather than removed + added.
+ * Inline scripts have no stable identity beyond their content hash, so an
+ * edited inline script is reported as one removed and one added.
+ */
+
+/**
+ * @param {object} script - { src?, hash? }
+ * @returns {string|null} - Identity key, or null when the script has neither
+ */
+function scriptIdentity(script) {
+  if (script.src) {
+    try {
+      const parsed = new URL(script.src);
+      return `src:${parsed.origin}${parsed.pathname}`;
+    } catch (error) {
+      return `src:${script.src.split(/[?#]/)[0]}`;
+    }
+  }
+  return script.hash ? `inline:${script.hash}` : null;
+}
+
+function indexScripts(scripts) {
+  const index = new Map();
+  (scripts || []).forEach(script => {
+    const key = scriptIdentity(script);
+    if (key && !index.has(key)) index.set(key, script);
+  });
+  return index;
+}
+
+/**
+ * @param {Array} currentScripts
+ * @param {Array} baselineScripts
+ * @returns {object} - { added, removed, changed: [{ current, baseline }] }
+ */
+function diffScripts(currentScripts, baselineScripts) {
+  const current = indexScripts(currentScripts);
+  const baseline = indexScripts(baselineScripts);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  current.forEach((script, key) => {
+    const previous = baseline.get(key);
+    if (!previous) {
+      added.push(script);
+    } else if (script.hash !== previous.hash || script.src !== previous.src) {
+      changed.push({ current: script, baseline: previous });
+    }
+  });
+
+  baseline.forEach((script, key) => {
+    if (!current.has(key)) removed.push(script);
+  });
+
+  return { added, removed, changed };
+}
+
+module.exports = {
+  scriptIdentity,
+  diffScripts
+};
@@ -0,0 +1,481 @@
+/**
+ * Consent-State Matrix
+ * Loads the same URL once per consent state (no interaction, accept all,
+ * reject all, seeded TCF v2 / GPP / Consent Mode v2 signals) in a fresh
+ * browser context and reports which tags, beacons, ID syncs and cookies fire
+ * in each. Tracking before the user chose anything, or after they rejected,
+ * is reported as a high-severity finding.
+ *
+ * Requests are tagged with the phase they happened in: before_action (page
+ * load until the banner click, or the whole run for states without a click)
+ * and after_action. Cookies are snapshotted at the same two points.
+ *
+ * Usage: node consent/consent-matrix.cjs <url> [state,state,...]
+ */
+
+const { classifyRequest } = require('../ad-impression-verification/detectors.cjs');
+const { attachFixtureReplay } = require('../replay/fixture-replay.cjs');
+const { parseConsentStates, consentSeedScript, clickConsentButton } = require('./consent-state.cjs');
+const { launchBrowser, openBrowserSession, throwIfAborted, abortError } = require('../browser/browser-session.cjs');
+
+const DEFAULT_MATRIX_STATES = ['no_interaction', 'accept_all', 'reject_all'];
+
+const DEFAULT_ACTION_DELAY_MS = 3000;
+const DEFAULT_OBSERVE_MS = 5000;
+const NAVIGATION_TIMEOUT_MS = 30000;
+const SAMPLE_URL_LENGTH = 200;
+
+// Hostname suffix -> vendor
+const TRACKING_HOSTS = [
+  ['google-analytics.com', 'google_analytics'],
+  ['analytics.google.com', 'google_analytics'],
+  ['googletagmanager.com', 'google_tag_manager'],
+  ['doubleclick.net', 'google_ads'],
+  ['googlesyndication.com', 'google_ads'],
+  ['googleadservices.com', 'google_ads'],
+  ['googletagservices.com', 'google_ads'],
+  ['adservice.google.com', 'google_ads'],
+  ['facebook.net', 'meta'],
+  ['facebook.com', 'meta'],
+  ['analytics.tiktok.com', 'tiktok'],
+  ['criteo.com', 'criteo'],
+  ['criteo.net', 'criteo'],
+  ['adnxs.com', 'xandr'],
+  ['amazon-adsystem.com', 'amazon_ads'],
+  ['scorecardresearch.com', 'comscore'],
+  ['taboola.com', 'taboola'],
+  ['outbrain.com', 'outbrain'],
+  ['hotjar.com', 'hotjar'],
+  ['clarity.ms', 'microsoft_clarity'],
+  ['bat.bing.com', 'microsoft_ads'],
+  ['ads.linkedin.com', 'linkedin'],
+  ['snap.licdn.com', 'linkedin'],
+  ['ads-twitter.com', 'x'],
+  ['analytics.twitter.com', 'x'],
+  ['pubmatic.com', 'pubmatic'],
+  ['rubiconproject.com', 'rubicon'],
+  ['openx.net', 'openx'],
+  ['teads.tv', 'teads'],
+  ['adsrvr.org', 'the_trade_desk'],
+  ['quantserve.com', 'quantcast'],
+  ['quantcount.com', 'quantcast'],
+  ['casalemedia.com', 'index_exchange'],
+  ['chartbeat.com', 'chartbeat'],
+  ['chartbeat.net', 'chartbeat'],
+  ['omtrdc.net', 'adobe'],
+  ['demdex.net', 'adobe'],
+  ['ct.pinterest.com', 'pinterest'],
+  ['tr.snapchat.com', 'snap'],
+  ['mc.yandex.ru', 'yandex']
+];
+
+// Consent platforms themselves load before consent by design
+const CMP_HOSTS = [
+  'cookielaw.org',
+  'onetrust.com',
+  'didomi.io',
+  'privacy-mgmt.com',
+  'consensu.org',
+  'cookiebot.com',
+  'usercentrics.eu',
+  'trustarc.com',
+  'cookieyes.com',
+  'fundingchoicesmessages.google.com'
+];
+
+// Cookie name -> vendor, for cookies set on the publisher's own domain
+const TRACKING_COOKIES = [
+  [/^_ga($|_)|^_gid$|^_gat/, 'google_analytics'],
+  [/^_gcl_|^IDE$|^DSID$|^test_cookie$|^__gads$|^__gpi$/, 'google_ads'],
+  [/^_fbp$|^_fbc$|^fr$/, 'meta'],
+  [/^_ttp$|^_tt_/, 'tiktok'],
+  [/^_hj/, 'hotjar'],
+  [/^_clck$|^_clsk$|^MUID$/, 'microsoft_clarity'],
+  [/^_uet/, 'microsoft_ads'],
+  [/^cto_/, 'criteo'],
+  [/^uuid2$|^anj$/, 'xandr'],
+  [/^_pin_unauth$/, 'pinterest'],
+  [/^_scid/, 'snap'],
+  [/^li_|^bcookie$|^lidc$/, 'linkedin'],
+  [/^TDID$|^TDCPM$/, 'the_trade_desk'],
+  [/^__qca$/, 'quantcast'],
+  [/^_chartbeat/, 'chartbeat'],
+  [/^AMCV_|^s_(cc|sq|vi|fid|ecid)$/, 'adobe']
+];
+
+// GA hits sent while ad_storage and analytics_storage are both denied
+// (gcs=G100, G1--, ...) are Consent Mode's cookieless pings, not tracking
+const COOKIELESS_GCS = /[?&]gcs=G1[0-][0-]/;
+
+function hostMatches(host, suffix) {
+  return host === suffix || host.endsWith(`.${suffix}`);
+}
+
+function trackingVendor(host) {
+  const match = TRACKING_HOSTS.find(([suffix]) => hostMatches(host, suffix));
+  return match ? match[1] : null;
+}
+
+// Approximate registrable domain: keeps three labels for ccTLD second levels (news.co.uk)
+function siteOf(host) {
+  const labels = host.replace(/^\./, '').split('.');
+  const keep = labels.length > 2 && labels[labels.length - 1].length === 2 && labels[labels.length - 2].length <= 3 ? 3 : 2;
+  return labels.slice(-keep).join('.');
+}
+
+/**
+ * Classify one request seen during a consent run
+ * @param {Object} request - { url, method, resourceType }
+ * @param {string} pageHost - Hostname of the scanned page (first party)
+ * @returns {Object|null} - { vendor, kind: 'tag'|'beacon'|'id_sync', cookieless } or null when it is not tracking
+ */
+function classifyTrackingRequest(request, pageHost) {
+  let parsed;
+  try {
+    parsed = new URL(request.url);
+  } catch (e) {
+    return null;
+  }
+  const host = parsed.hostname.toLowerCase();
+  if (CMP_HOSTS.some(suffix => hostMatches(host, suffix))) return null;
+
+  const classified = classifyRequest({
+    url: request.url,
+    hostname: host,
+    path: parsed.pathname,
+    method: request.method,
+    resourceType: request.resourceType
+  });
+  const isIdSync = Boolean(classified && classified.type === 'ID_SYNC');
+
+  let vendor = trackingVendor(host);
+  if (!vendor) {
+    // Unknown third parties only count when they look like ad tech
+    if (pageHost && siteOf(host) === siteOf(pageHost)) return null;
+    if (!classified || !['ID_SYNC', 'IMPRESSION_BEACON'].includes(classified.type)) return null;
+    vendor = siteOf(host);
+  }
+
+  const kind = isIdSync ? 'id_sync' : request.resourceType === 'script' ? 'tag' : 'beacon';
+  return { vendor, kind, cookieless: vendor === 'google_analytics' && COOKIELESS_GCS.test(request.url) };
+}
+
+/**
+ * @param {Object} cookie - Playwright cookie { name, domain }
+ * @returns {string|null} - Vendor, or null for cookies that are not tracking
+ */
+function trackingCookieVendor(cookie) {
+  const byName = TRACKING_COOKIES.find(([pattern]) => pattern.test(cookie.name));
+  if (byName) return byName[1];
+  return trackingVendor(String(cookie.domain || '').replace(/^\./, '').toLowerCase());
+}
+
+function groupEntries(entries) {
+  const groups = new Map();
+  entries.forEach(entry => {
+    const key = `${entry.vendor}|${entry.phase}`;
+    if (!groups.has(key)) {
+      groups.set(key, { vendor: entry.vendor, phase: entry.phase, count: 0, cookieless: 0, sample: entry.url.substring(0, SAMPLE_URL_LENGTH) });
+    }
+    const group = groups.get(key);
+    group.count += 1;
+    if (entry.cookieless) group.cookieless += 1;
+  });
+  return Array.from(groups.values());
+}
+
+/**
+ * Reduce one state's raw observations to what fired in it
+ * @param {Object} run - { state, url, action, requests: [{ url, method, resourceType, phase }], cookies: { before, after }, cmp }
+ * @returns {Object} - { state, label, refusal, seeded, action, cmp, tags, beacons, idSyncs, cookies }
+ */
+function summarizeStateRun(run) {
+  let pageHost = null;
+  try {
+    pageHost = new URL(run.url).hostname.toLowerCase();
+  } catch (e) {
+    // Leave first-party detection off for unparsable URLs
+  }
+
+  const entries = run.requests
+    .map(request => {
+      const tracking = classifyTrackingRequest(request, pageHost);
+      return tracking ? { ...tracking, url: request.url, phase: request.phase } : null;
+    })
+    .filter(Boolean);
+
+  // Without a click the whole run is one phase, like its requests
+  const acted = Boolean(run.action && run.action.clicked);
+  const cookieKey = cookie => `${cookie.name}|${cookie.domain}`;
+  const before = new Set((run.cookies.before || []).map(cookieKey));
+  const cookies = (run.cookies.after || [])
+    .map(cookie => {
+      const vendor = trackingCookieVendor(cookie);
+      if (!vendor) return null;
+      const phase = acted && !before.has(cookieKey(cookie)) ? 'after_action' : 'before_action';
+      return { name: cookie.name, domain: cookie.domain, vendor, phase };
+    })
+    .filter(Boolean);
+
+  return {
+    state: run.state.id,
+    label: run.state.label,
+    refusal: run.state.refusal,
+    seeded: Boolean(run.state.seed),
+    action: run.action,
+    cmp: run.cmp || null,
+    tags: groupEntries(entries.filter(entry => entry.kind === 'tag')),
+    beacons: groupEntries(entries.filter(entry => entry.kind === 'beacon')),
+    idSyncs: groupEntries(entries.filter(entry => entry.kind === 'id_sync')),
+    cookies
+  };
+}
+
+/**
+ * Which observations in a state are violations, and of which kind.
+ * Banner states: anything before the click (or with no click) is pre-consent;
+ * anything after a successful reject click is post-rejection. Seeded refusal
+ * states: everything is post-rejection.
+ */
+function violationType(summary, phase) {
+  if (summary.seeded) return summary.refusal ? 'post_rejection_tracking' : null;
+  if (phase === 'before_action') return 'pre_consent_tracking';
+  if (summary.refusal && summary.action && summary.action.clicked) return 'post_rejection_tracking';
+  return null;
+}
+
+/**
+ * One finding per vendor and violation type, listing the states it happened in
+ * @param {Array} summaries - From summarizeStateRun()
+ * @returns {Array} - [{ type, severity, detail, vendor, states, evidence }]
+ */
+function findConsentViolations(summaries) {
+  const byKey = new Map();
+  const record = (type, summary, vendor, field, amount, sample) => {
+    const key = `${type}|${vendor}`;
+    if (!byKey.has(key)) byKey.set(key, { type, vendor, states: new Set(), requests: 0, cookies: 0, samples: [] });
+    const entry = byKey.get(key);
+    entry.states.add(summary.state);
+    entry[field] += amount;
+    if (sample && entry.samples.length < 3 && !entry.samples.includes(sample)) entry.samples.push(sample);
+  };
+
+  summaries.forEach(summary => {
+    [...summary.tags, ...summary.beacons, ...summary.idSyncs].forEach(group => {
+      const type = violationType(summary, group.phase);
+      const count = group.count - group.cookieless;
+      if (type && count > 0) record(type, summary, group.vendor, 'requests', count, group.sample);
+    });
+    summary.cookies.forEach(cookie => {
+      const type = violationType(summary, cookie.phase);
+      if (type) record(type, summary, cookie.vendor, 'cookies', 1, `cookie ${cookie.name} (${cookie.domain})`);
+    });
+  });
+
+  const findings = Array.from(byKey.values()).map(entry => {
+    const states = Array.from(entry.states);
+    const what = [
+      entry.requests ? `${entry.requests} tracking request(s)` : null,
+      entry.cookies ? `${entry.cookies} cookie(s)` : null
+    ].filter(Boolean).join(' and ');
+    const when = entry.type === 'pre_consent_tracking' ? 'before consent' : 'after consent was refused';
+    return {
+      type: entry.type,
+      severity: 'high',
+      detail: `${entry.vendor} fired ${what} ${when} (${states.join(', ')})`,
+      vendor: entry.vendor,
+      states,
+      evidence: entry.samples.join('\n')
+    };
+  });
+
+  summaries
+    .filter(summary => summary.action && !summary.action.clicked)
+    .forEach(summary => {
+      findings.push({
+        type: 'consent_action_unavailable',
+        severity: summary.action.choice === 'reject' ? 'low' : 'info',
+        detail: `No ${summary.action.choice} button found on the consent banner (${summary.state}); the state was observed without a click`,
+        states: [summary.state]
+      });
+    });
+
+  return findings;
+}
+
+/**
+ * Vendor x state matrix of request and cookie counts
+ * @param {Array} summaries - From summarizeStateRun()
+ * @returns {Array} - [{ vendor, states: { [stateId]: { tags, beacons, idSyncs, cookies } } }]
+ */
+function buildVendorMatrix(summaries) {
+  const vendors = new Map();
+  const cell = (vendor, state) => {
+    if (!vendors.has(vendor)) vendors.set(vendor, {});
+    const states = vendors.get(vendor);
+    if (!states[state]) states[state] = { tags: 0, beacons: 0, idSyncs: 0, cookies: 0 };
+    return states[state];
+  };
+  summaries.forEach(summary => {
+    ['tags', 'beacons', 'idSyncs'].forEach(field => {
+      summary[field].forEach(group => { cell(group.vendor, summary.state)[field] += group.count; });
+    });
+    summary.cookies.forEach(cookie => { cell(cookie.vendor, summary.state).cookies += 1; });
+  });
+  return Array.from(vendors.entries())
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([vendor, states]) => ({ vendor, states }));
+}
+
+async function observeState(browser, url, state, { actionDelayMs, observeMs, userAgent, signal, emulation }) {
+  const session = await openBrowserSession({ browser, signal, emulation }, userAgent ? { userAgent } : {});
+  const { context } = session;
+  try {
+    await attachFixtureReplay(context);
+    if (state.seed) await context.addInitScript({ content: consentSeedScript(state.seed) });
+    const page = await context.newPage();
+
+    let phase = 'before_action';
+    const requests = [];
+    page.on('request', request => {
+      requests.push({ url: request.url(), method: request.method(), resourceType: request.resourceType(), phase });
+    });
+
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: NAVIGATION_TIMEOUT_MS });
+    // Let the banner render and any pre-consent tags fire
+    await page.waitForTimeout(actionDelayMs);
+    const cookiesBefore = await context.cookies();
+
+    let action = null;
+    if (state.action) {
+      const clicked = await clickConsentButton(page, state.action);
+      action = { choice: state.action, clicked: Boolean(clicked), matched: clicked ? clicked.matched : null };
+      if (clicked) phase = 'after_action';
+    }
+    await page.waitForTimeout(observeMs);
+
+    const cookiesAfter = await context.cookies();
+    const cmp = await page.evaluate(() => ({
+      tcfapi: typeof window.__tcfapi === 'function',
+      gpp: typeof window.__gpp === 'function'
+    })).catch(() => null);
+
+    return { state, url, action, requests, cookies: { before: cookiesBefore, after: cookiesAfter }, cmp, emulation: session.emulation };
+  } finally {
+    await session.close();
+  }
+}
+
+/**
+ * Run the consent-state matrix for one URL
+ * Every state gets its own context in one browser: options.browser when
+ * given (left running), otherwise one launched for the run.
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {string|Array} [options.states] - Consent states to compare (default: no_interaction, accept_all, reject_all)
+ * @param {number} [options.actionDelayMs] - Wait after load before clicking the banner
+ * @param {number} [options.observeMs] - Observation window after the click
+ * @param {string} [options.userAgent]
+ * @param {Object} [options.emulation] - Device and network (default CYBERTECT_EMULATION), see browser/emulation.cjs
+ * @param {Browser} [options.browser] - Shared browser
+ * @param {AbortSignal} [options.signal] - Aborts the run
+ * @returns {Promise<Object>} - { url, scannedAt, emulation, states, matrix, findings }
+ */
+async function runConsentMatrix(url, options = {}) {
+  const {
+    states = DEFAULT_MATRIX_STATES,
+    actionDelayMs = DEFAULT_ACTION_DELAY_MS,
+    observeMs = DEFAULT_OBSERVE_MS,
+    userAgent,
+    signal,
+    emulation
+  } = options;
+  const resolved = parseConsentStates(states);
+  throwIfAborted(signal);
+
+  console.log(`[ConsentMatrix] ${url}: ${resolved.map(state => state.id).join(', ')}`);
+  const browser = options.browser || await launchBrowser(options.launchOptions);
+  const summaries = [];
+  let appliedEmulation = null;
+  try {
+    for (const state of resolved) {
+      throwIfAborted(signal);
+      try {
+        const run = await observeState(browser, url, state, { actionDelayMs, observeMs, userAgent, signal, emulation });
+        appliedEmulation = run.emulation;
+        summaries.push(summarizeStateRun(run));
+      } catch (error) {
+        if (signal && signal.aborted) throw abortError(signal);
+        console.error(`[ConsentMatrix] ${state.id} failed:`, error.message);
+        summaries.push({ state: state.id, label: state.label, error: error.message, tags: [], beacons: [], idSyncs: [], cookies: [] });
+      }
+    }
+  } finally {
+    if (!options.browser) await browser.close();
+  }
+
+  return {
+    url,
+    scannedAt: new Date().toISOString(),
+    emulation: appliedEmulation,
+    states: summaries,
+    matrix: buildVendorMatrix(summaries),
+    findings: findConsentViolations(summaries.filter(summary => !summary.error))
+  };
+}
+
+/**
+ * Compact block for the AI case brief (consent_matrix), read by the
+ * consent-tag-governance template
+ * @param {Object} result - From runConsentMatrix()
+ * @returns {Object}
+ */
+function toConsentCaseBrief(result) {
+  const vendorsIn = (summary, phase) => Array.from(new Set(
+    [...summary.tags, ...summary.beacons, ...summary.idSyncs, ...summary.cookies]
+      .filter(entry => !phase || entry.phase === phase)
+      .map(entry => entry.vendor)
+  )).sort();
+
+  return {
+    url: result.url,
+    scanned_at: result.scannedAt,
+    states: result.states.map(summary => ({
+      state: summary.state,
+      action_taken: summary.action ? summary.action.clicked : null,
+      error: summary.error || null,
+      vendors_before_action: summary.error ? [] : vendorsIn(summary, 'before_action'),
+      vendors_after_action: summary.error ? [] : vendorsIn(summary, 'after_action'),
+      tracking_cookies: summary.cookies.map(cookie => cookie.name)
+    })),
+    violations: result.findings
+      .filter(finding => finding.severity === 'high')
+      .map(finding => ({ type: finding.type, vendor: finding.vendor, states: finding.states, detail: finding.detail }))
+  };
+}
+
+module.exports = {
+  DEFAULT_MATRIX_STATES,
+  classifyTrackingRequest,
+  trackingCookieVendor,
+  summarizeStateRun,
+  findConsentViolations,
+  buildVendorMatrix,
+  runConsentMatrix,
+  toConsentCaseBrief
+};
+
+if (require.main === module) {
+  const [url, states] = process.argv.slice(2);
+  if (!url) {
+    console.log('Usage: node consent/consent-matrix.cjs <url> [state,state,...]');
+    process.exitCode = 1;
+  } else {
+    runConsentMatrix(url, states ? { states } : {})
+      .then(result => console.log(JSON.stringify(result, null, 2)))
+      .catch(error => {
+        console.error(error.message);
+        process.exitCode = 1;
+      });
+  }
+}
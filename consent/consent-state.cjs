@@ -0,0 +1,332 @@
+/**
+ * Consent States
+ * Puts a page into a known consent state before scanning: no interaction,
+ * accept all or reject all on the site's banner, and/or pre-seeded TCF v2,
+ * GPP and Google Consent Mode v2 signals. Scanners call
+ * attachConsentState(context, options.consentState) next to
+ * attachFixtureReplay(); CYBERTECT_CONSENT_STATE applies a state to every
+ * scanner without passing options through.
+ */
+
+// Accept buttons of common consent platforms, checked in every frame
+const ACCEPT_SELECTORS = [
+  '#onetrust-accept-btn-handler',
+  '#didomi-notice-agree-button',
+  '.fc-cta-consent',
+  '.qc-cmp2-summary-buttons button[mode="primary"]',
+  'button.sp_choice_type_11',
+  '#truste-consent-button',
+  '.cky-btn-accept',
+  '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll',
+  '#L2AGLb',
+  'button:has-text("Accept all")',
+  // Exact text: has-text("Accept") would also match "Continue without accepting"
+  'button:text-is("Accept")',
+  'button:has-text("Aceptar")',
+  'button:has-text("Accepter")',
+  'button:has-text("Akzeptieren")'
+];
+
+const REJECT_SELECTORS = [
+  '#onetrust-reject-all-handler',
+  '#didomi-notice-disagree-button',
+  '.fc-cta-do-not-consent',
+  '.qc-cmp2-summary-buttons button[mode="secondary"]',
+  'button.sp_choice_type_13',
+  '.cky-btn-reject',
+  '#CybotCookiebotDialogBodyButtonDecline',
+  '#W0wltc',
+  'button:has-text("Reject all")',
+  'button:has-text("Reject")',
+  'button:has-text("Decline")',
+  'button:has-text("Rechazar")',
+  'button:has-text("Refuser")',
+  'button:has-text("Ablehnen")'
+];
+
+// Text fallback for banners without a known platform
+const CONSENT_KEYWORDS = {
+  accept: ['accept all', 'accept', 'agree', 'allow all', 'aceptar', 'estoy de acuerdo', 'i agree', 'allow cookies', 'accept cookies'],
+  reject: ['reject all', 'reject', 'decline', 'refuse', 'disagree', 'do not agree', 'rechazar', 'no acepto', 'refuser', 'ablehnen', 'only necessary', 'necessary only', 'continue without accepting']
+};
+
+// Whole words only, so "agree" does not match "Disagree" nor "accept" match "accepting"
+function hasKeyword(text, keywords) {
+  return keywords.some(keyword => {
+    const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(text);
+  });
+}
+
+const CONSENT_STATES = {
+  no_interaction: { id: 'no_interaction', label: 'No interaction', action: null, seed: null },
+  accept_all: { id: 'accept_all', label: 'Accept all', action: 'accept', seed: null },
+  reject_all: { id: 'reject_all', label: 'Reject all', action: 'reject', seed: null },
+  tcf_accept_all: { id: 'tcf_accept_all', label: 'TCF v2: all purposes granted', action: null, seed: { tcf: 'accept' } },
+  tcf_reject_all: { id: 'tcf_reject_all', label: 'TCF v2: all purposes refused', action: null, seed: { tcf: 'reject' } },
+  gpp_opt_out: { id: 'gpp_opt_out', label: 'GPP: US opt-out of sale and sharing', action: null, seed: { gpp: 'opt_out' } },
+  gcm_denied: { id: 'gcm_denied', label: 'Consent Mode v2: all denied', action: null, seed: { gcm: 'denied' } },
+  gcm_granted: { id: 'gcm_granted', label: 'Consent Mode v2: all granted', action: null, seed: { gcm: 'granted' } }
+};
+
+/**
+ * @param {string|Object} state - Built-in id or { id, label?, action?, seed? }
+ * @returns {Object|null} - { id, label, action, seed, refusal }
+ */
+function resolveConsentState(state) {
+  if (!state) return null;
+  let resolved;
+  if (typeof state === 'string') {
+    resolved = CONSENT_STATES[state.trim()];
+    if (!resolved) {
+      throw new Error(`Unknown consent state "${state}" (expected ${Object.keys(CONSENT_STATES).join(', ')} or an object with action/seed)`);
+    }
+  } else {
+    if (!state.id) throw new Error('Custom consent states need an id');
+    if (state.action && !['accept', 'reject'].includes(state.action)) {
+      throw new Error(`Consent state ${state.id}: action must be "accept" or "reject"`);
+    }
+    resolved = { label: state.id, action: null, seed: null, ...state };
+  }
+  return { ...resolved, refusal: isRefusal(resolved) };
+}
+
+/**
+ * Parse a list of consent states, e.g. for the consent matrix
+ * @param {string|Array} input - Comma-separated ids, or an array of ids/objects
+ * @returns {Array} - Resolved states, de-duplicated by id
+ */
+function parseConsentStates(input) {
+  const items = Array.isArray(input)
+    ? input
+    : String(input || '').split(',').map(part => part.trim()).filter(Boolean);
+  if (!items.length) throw new Error('At least one consent state is required');
+
+  const byId = new Map();
+  items.forEach(item => {
+    const state = resolveConsentState(item);
+    if (state && !byId.has(state.id)) byId.set(state.id, state);
+  });
+  return Array.from(byId.values());
+}
+
+/**
+ * Whether tracking should stop in this state: the user rejected, or the
+ * seeded signals refuse consent / opt out.
+ */
+function isRefusal(state) {
+  if (state.action === 'reject') return true;
+  const seed = state.seed || {};
+  return seed.tcf === 'reject' || seed.gpp === 'opt_out' || seed.gcm === 'denied' ||
+    Boolean(seed.tcf && seed.tcf.consent === false) ||
+    Boolean(seed.gpp && seed.gpp.optOut) ||
+    Boolean(seed.gcm && seed.gcm.ad_storage === 'denied');
+}
+
+function gcmSignals(gcm) {
+  if (gcm && typeof gcm === 'object') return gcm;
+  const value = gcm === 'granted' ? 'granted' : 'denied';
+  return {
+    ad_storage: value,
+    ad_user_data: value,
+    ad_personalization: value,
+    analytics_storage: value
+  };
+}
+
+/**
+ * Init script that installs the seeded CMP APIs before any page script runs.
+ * __tcfapi/__gpp are defined with a no-op setter so the site's own CMP stub
+ * cannot replace them.
+ * @param {Object} seed - { tcf?: 'accept'|'reject'|{ tcString, consent }, gpp?: 'opt_out'|'opt_in'|{ gppString, applicableSections, optOut }, gcm?: 'granted'|'denied'|{...} }
+ * @returns {string}
+ */
+function consentSeedScript(seed) {
+  const tcf = seed.tcf
+    ? (typeof seed.tcf === 'object' ? seed.tcf : { consent: seed.tcf === 'accept' })
+    : null;
+  const gpp = seed.gpp
+    ? (typeof seed.gpp === 'object' ? seed.gpp : { optOut: seed.gpp === 'opt_out' })
+    : null;
+  const gcm = seed.gcm ? gcmSignals(seed.gcm) : null;
+
+  return `
+(function() {
+  'use strict';
+  function pin(name, fn) {
+    try {
+      Object.defineProperty(window, name, { configurable: false, get: function() { return fn; }, set: function() {} });
+    } catch (e) {
+      window[name] = fn;
+    }
+  }
+
+  var TCF = ${JSON.stringify(tcf)};
+  if (TCF) {
+    var all = function(value) {
+      return new Proxy({}, { get: function(target, key) { return typeof key === 'string' ? value : undefined; } });
+    };
+    var tcData = {
+      tcString: TCF.tcString || '',
+      gdprApplies: true,
+      cmpId: 0,
+      cmpVersion: 1,
+      tcfPolicyVersion: 4,
+      eventStatus: 'tcloaded',
+      cmpStatus: 'loaded',
+      listenerId: 1,
+      isServiceSpecific: true,
+      purposeOneTreatment: false,
+      purpose: { consents: all(TCF.consent), legitimateInterests: all(TCF.consent) },
+      vendor: { consents: all(TCF.consent), legitimateInterests: all(TCF.consent) },
+      specialFeatureOptins: all(TCF.consent),
+      publisher: { consents: all(TCF.consent), legitimateInterests: all(TCF.consent) }
+    };
+    pin('__tcfapi', function(command, version, callback) {
+      if (typeof callback !== 'function') return;
+      if (command === 'ping') {
+        callback({ gdprApplies: true, cmpLoaded: true, cmpStatus: 'loaded', displayStatus: 'hidden', apiVersion: '2.2', cmpId: 0, cmpVersion: 1 }, true);
+      } else if (command === 'getTCData' || command === 'addEventListener') {
+        callback(tcData, true);
+      } else if (command === 'removeEventListener') {
+        callback(true);
+      }
+    });
+  }
+
+  var GPP = ${JSON.stringify(gpp)};
+  if (GPP) {
+    var optOut = GPP.optOut ? 1 : 2;
+    var gppData = {
+      gppVersion: '1.1',
+      cmpStatus: 'loaded',
+      cmpDisplayStatus: 'hidden',
+      signalStatus: 'ready',
+      supportedAPIs: ['7:usnat'],
+      cmpId: 0,
+      gppString: GPP.gppString || '',
+      applicableSections: GPP.applicableSections || [7],
+      parsedSections: { usnat: [{ SaleOptOut: optOut, SharingOptOut: optOut, TargetedAdvertisingOptOut: optOut, Gpc: !!GPP.optOut }] }
+    };
+    pin('__gpp', function(command, callback) {
+      if (typeof callback !== 'function') return gppData;
+      if (command === 'addEventListener') {
+        callback({ eventName: 'signalStatus', listenerId: 1, data: 'ready', pingData: gppData }, true);
+      } else if (command === 'removeEventListener') {
+        callback(true, true);
+      } else {
+        callback(gppData, true);
+      }
+    });
+  }
+
+  var GCM = ${JSON.stringify(gcm)};
+  if (GCM) {
+    window.dataLayer = window.dataLayer || [];
+    var gtag = function() { window.dataLayer.push(arguments); };
+    gtag('consent', 'default', GCM);
+    gtag('consent', 'update', GCM);
+  }
+})();
+`;
+}
+
+/**
+ * Click the accept or reject button of the consent banner
+ * @param {Page} page - Playwright page
+ * @param {string} choice - 'accept' | 'reject'
+ * @param {Object} [options]
+ * @param {Array} [options.selectors] - Only try these selectors
+ * @param {Array} [options.keywords] - Button text fallback (defaults per choice)
+ * @returns {Promise<Object|null>} - { matched, frameUrl } or null when nothing was clicked
+ */
+async function clickConsentButton(page, choice, options = {}) {
+  const selectors = options.selectors || (choice === 'reject' ? REJECT_SELECTORS : ACCEPT_SELECTORS);
+  for (const frame of page.frames()) {
+    for (const selector of selectors) {
+      try {
+        const button = frame.locator(selector).first();
+        if (await button.isVisible()) {
+          await button.click({ timeout: 5000 });
+          return { matched: selector, frameUrl: frame.url() };
+        }
+      } catch (e) {
+        // Detached frame or invalid selector for this platform, try the next one
+      }
+    }
+  }
+  if (options.selectors) return null;
+
+  const keywords = options.keywords || CONSENT_KEYWORDS[choice] || [];
+  // "I do not agree" holds an accept keyword too: a button naming the other
+  // choice is never clicked
+  const opposite = CONSENT_KEYWORDS[choice === 'reject' ? 'accept' : 'reject'] || [];
+  try {
+    const buttons = await page.$$('button, a, [role="button"]');
+    for (const button of buttons) {
+      try {
+        const text = ((await button.textContent()) || '').toLowerCase().trim();
+        if (text && !hasKeyword(text, opposite) && hasKeyword(text, keywords) && await button.isVisible()) {
+          await button.click();
+          return { matched: `text:${text.substring(0, 50)}`, frameUrl: page.url() };
+        }
+      } catch (e) {
+        // Continue to next button
+      }
+    }
+  } catch (e) {
+    // Page closed or navigating
+  }
+  return null;
+}
+
+/**
+ * Apply a consent state to a context or page for the rest of the scan.
+ * Seeds are installed as init scripts; accept/reject clicks the banner after
+ * each page load.
+ * @param {BrowserContext|Page} target
+ * @param {string|Object} [state] - Defaults to CYBERTECT_CONSENT_STATE
+ * @returns {Promise<Object|null>} - The resolved state, or null when none applies
+ */
+async function attachConsentState(target, state = process.env.CYBERTECT_CONSENT_STATE) {
+  const resolved = resolveConsentState(state);
+  if (!resolved) return null;
+
+  if (resolved.seed) {
+    await target.addInitScript({ content: consentSeedScript(resolved.seed) });
+  }
+
+  if (resolved.action) {
+    const watch = page => {
+      page.on('load', async () => {
+        try {
+          // Give the CMP time to render its banner
+          await page.waitForTimeout(1000);
+          await clickConsentButton(page, resolved.action);
+        } catch (e) {
+          // Page closed before the banner appeared
+        }
+      });
+    };
+    if (typeof target.pages === 'function') {
+      target.pages().forEach(watch);
+      target.on('page', watch);
+    } else {
+      watch(target);
+    }
+  }
+
+  return resolved;
+}
+
+module.exports = {
+  ACCEPT_SELECTORS,
+  REJECT_SELECTORS,
+  CONSENT_KEYWORDS,
+  CONSENT_STATES,
+  resolveConsentState,
+  parseConsentStates,
+  consentSeedScript,
+  clickConsentButton,
+  attachConsentState
+};
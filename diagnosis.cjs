@@ -1,7 +1,12 @@
-const { chromium } = require('playwright');
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const { attachFixtureReplay } = require('./replay/fixture-replay.cjs');
+const { attachConsentState, resolveConsentState } = require('./consent/consent-state.cjs');
+const { createStorageRecorder } = require('./storage/storage-inventory.cjs');
+const { getRobotsPolicy } = require('./robots/robots.cjs');
+const { openBrowserSession, throwIfAborted } = require('./browser/browser-session.cjs');
+const { resolveEmulation } = require('./browser/emulation.cjs');
 
 // ID Extractors
 // GA4 IDs: G- + 10 alphanumerics with at least one digit
@@ -183,37 +188,45 @@ async function extractInternalLinks(page, baseUrl) {
   }
 }
 
-async function crawlPages(baseUrl, maxPages = 5, pageSampleStrategy = 'sitemap') {
+async function crawlPages(baseUrl, maxPages = 5, pageSampleStrategy = 'sitemap', robotsOptions = {}, browserOptions = {}) {
+  const { respectRobots = true, userAgent } = robotsOptions;
+  const robots = respectRobots ? await getRobotsPolicy(baseUrl, { userAgent }) : null;
+  // The base URL was requested explicitly; discovered pages must pass robots.txt
+  const allowed = url => !robots || robots.isAllowed(url);
   const pages = [baseUrl];
   const baseHostname = new URL(baseUrl).hostname;
 
   if (maxPages <= 1) return pages;
 
   if (pageSampleStrategy === 'sitemap') {
-    const sitemapUrls = await fetchSitemap(baseUrl);
+    const sitemapUrls = (await fetchSitemap(baseUrl)).filter(allowed);
     pages.push(...sitemapUrls.slice(0, maxPages - 1));
   }
 
   if (pages.length < maxPages && (pageSampleStrategy === 'links' || pageSampleStrategy === 'sitemap')) {
+    let session;
     try {
-      const browser = await chromium.launch({ headless: true });
-      const context = await browser.newContext();
+      session = await openBrowserSession(browserOptions);
+      const { context } = session;
+      await attachFixtureReplay(context);
       const page = await context.newPage();
       await page.goto(baseUrl, { waitUntil: 'domcontentloaded', timeout: 15000 });
       const links = await extractInternalLinks(page, baseUrl);
-      await browser.close();
+      await session.close();
+      session = null;
       
       // Add unique links not already in pages
       const existing = new Set(pages);
       for (const link of links) {
         if (pages.length >= maxPages) break;
-        if (!existing.has(link)) {
+        if (!existing.has(link) && allowed(link)) {
           pages.push(link);
           existing.add(link);
         }
       }
     } catch (error) {
       // Continue with just baseUrl if crawling fails
+      if (session) await session.close().catch(() => {});
     }
   }
 
@@ -221,9 +234,13 @@ async function crawlPages(baseUrl, maxPages = 5, pageSampleStrategy = 'sitemap')
 }
 
 // Page Scanner
-async function scanPage(url, includeTelemetryReplay = true, timeoutMs = 30000) {
-  const browser = await chromium.launch({ headless: true, args: ['--no-sandbox', '--disable-dev-shm-usage'] });
-  const context = await browser.newContext();
+async function scanPage(url, includeTelemetryReplay = true, timeoutMs = 30000, consentState = null, browserOptions = {}) {
+  const session = await openBrowserSession(browserOptions);
+  const { context } = session;
+  await attachFixtureReplay(context);
+  await attachConsentState(context, consentState);
+  const storage = createStorageRecorder(context);
+  await storage.attach();
   const page = await context.newPage();
 
   const inventory = {
@@ -285,8 +302,10 @@ async function scanPage(url, includeTelemetryReplay = true, timeoutMs = 30000) {
       }
     });
 
+    await storage.checkpoint(page, 'start');
     await page.goto(url, { waitUntil: 'domcontentloaded', timeout: timeoutMs });
     await page.waitForTimeout(2000);
+    await storage.checkpoint(page, 'page_load');
 
     // Extract from HTML
     const html = await page.content();
@@ -347,6 +366,7 @@ async function scanPage(url, includeTelemetryReplay = true, timeoutMs = 30000) {
       // Baseline - no interaction
       const baselineStart = Date.now();
       await page.waitForTimeout(3000);
+      await storage.checkpoint(page, 'baseline_no_interaction');
       const baselineRequests = networkRequests.filter(r => r.timestamp >= baselineStart);
       const baselineCounts = countRequestsByVendor(baselineRequests);
       const baselineAnomalies = detectAnomalies(baselineRequests, 'baseline');
@@ -391,6 +411,7 @@ async function scanPage(url, includeTelemetryReplay = true, timeoutMs = 30000) {
       // Scroll to 100%
       await scrollToPercent(page, 100);
       await page.waitForTimeout(500);
+      await storage.checkpoint(page, 'scroll');
       telemetrySteps.push({
         page: url,
         step: 'scroll_100',
@@ -402,6 +423,7 @@ async function scanPage(url, includeTelemetryReplay = true, timeoutMs = 30000) {
       const ctaClicked = await clickProminentCTA(page);
       if (ctaClicked) {
         await page.waitForTimeout(1000);
+        await storage.checkpoint(page, 'cta_click');
         telemetrySteps.push({
           page: url,
           step: 'cta_click',
@@ -417,7 +439,7 @@ async function scanPage(url, includeTelemetryReplay = true, timeoutMs = 30000) {
   } catch (error) {
     console.error(`Error scanning page ${url}:`, error.message);
   } finally {
-    await browser.close();
+    await session.close();
   }
 
   // Convert Sets to Arrays for JSON serialization
@@ -434,6 +456,7 @@ async function scanPage(url, includeTelemetryReplay = true, timeoutMs = 30000) {
     url,
     inventory: serializedInventory,
     telemetrySteps,
+    storageInventory: storage.inventory(url),
     screenshotPath
   };
 }
@@ -701,6 +724,13 @@ function generateChecklist(findings, drift) {
         action: `Audit CMS/plugin injection for ${finding.evidence.ids[0]}; search theme templates; verify tag ownership; remove unknown IDs; require publisher sign-off.`,
         why: 'Rogue IDs may indicate unauthorized tracking.'
       });
+    } else if (finding.type === 'cookie_duplication') {
+      checklist.push({
+        severity: finding.severity,
+        owner: 'devops',
+        action: `Set ${finding.evidence.cookie} on a single cookie domain (cookie_domain: 'auto' or one explicit domain) and remove the copies on ${finding.evidence.copies.map(c => c.domain).join(', ')}.`,
+        why: 'Copies of the same ID cookie split users and sessions across client IDs.'
+      });
     }
   });
 
@@ -722,23 +752,42 @@ async function diagnoseAnalytics(url, options = {}) {
     maxPages = 5,
     includeTelemetryReplay = true,
     pageSampleStrategy = 'sitemap',
-    timeoutMs = 30000
+    timeoutMs = 30000,
+    respectRobots = true,
+    userAgent,
+    consentState = process.env.CYBERTECT_CONSENT_STATE,
+    emulation = process.env.CYBERTECT_EMULATION,
+    browser,
+    signal
   } = options;
+  const appliedConsentState = resolveConsentState(consentState);
+  const appliedEmulation = resolveEmulation(emulation);
+  // options.browser shares a browser between scans; options.signal aborts this one
+  const browserOptions = { browser, signal, emulation: appliedEmulation };
 
   console.log(`\n🔍 Starting Analytics Integrity Diagnosis for: ${url}`);
   console.log(`   Max pages: ${maxPages}, Telemetry replay: ${includeTelemetryReplay}, Strategy: ${pageSampleStrategy}`);
 
   // Crawl pages
-  const pagesToScan = await crawlPages(url, maxPages, pageSampleStrategy);
+  const pagesToScan = await crawlPages(url, maxPages, pageSampleStrategy, { respectRobots, userAgent }, browserOptions);
   console.log(`   Found ${pagesToScan.length} page(s) to scan`);
 
+  // Honour Crawl-delay between page loads on the same site
+  const robots = respectRobots ? await getRobotsPolicy(url, { userAgent }) : null;
+  const crawlDelayMs = robots && robots.crawlDelayMs ? robots.crawlDelayMs : 0;
+
   // Scan each page
   const pagesData = [];
   for (const pageUrl of pagesToScan) {
+    throwIfAborted(signal);
+    if (crawlDelayMs && pagesData.length > 0) {
+      await new Promise(resolve => setTimeout(resolve, crawlDelayMs));
+    }
     console.log(`   Scanning: ${pageUrl}`);
-    const pageData = await scanPage(pageUrl, includeTelemetryReplay, timeoutMs);
+    const pageData = await scanPage(pageUrl, includeTelemetryReplay, timeoutMs, appliedConsentState, browserOptions);
     pagesData.push(pageData);
   }
+  throwIfAborted(signal);
 
   // Aggregate inventory
   const aggregatedInventory = {
@@ -788,6 +837,13 @@ async function diagnoseAnalytics(url, options = {}) {
   const rogueFindings = detectRogueIds(pagesData);
   const allFindings = [...collisionFindings, ...rogueFindings];
 
+  // Duplicated and competing cookies, per page
+  pagesData.forEach(pageData => {
+    (pageData.storageInventory ? pageData.storageInventory.findings : []).forEach(finding => {
+      allFindings.push({ ...finding, evidence: { page: pageData.url, ...finding.evidence } });
+    });
+  });
+
   // Add drift findings
   driftData.pageDeltas.forEach(delta => {
     Object.keys(delta.missing).forEach(vendor => {
@@ -860,6 +916,8 @@ async function diagnoseAnalytics(url, options = {}) {
   const result = {
     url,
     scannedAt: new Date().toISOString(),
+    consentState: appliedConsentState ? appliedConsentState.id : null,
+    emulation: appliedEmulation,
     pagesScanned: pagesToScan,
     inventory: serializedInventory,
     findings: allFindings,
@@ -869,6 +927,7 @@ async function diagnoseAnalytics(url, options = {}) {
       steps: allTelemetrySteps
     },
     checklist,
+    storage: pagesData.map(pageData => ({ page: pageData.url, ...pageData.storageInventory })),
     artifacts: {
       screenshots,
       requestLog: null // Could be enhanced to save network requests
@@ -882,6 +941,7 @@ async function diagnoseAnalytics(url, options = {}) {
 // Export functions for testing
 module.exports = { 
   diagnoseAnalytics,
+  crawlPages,
   normalizeGa4Id,
   normalizeUaId,
   normalizeGtmId,
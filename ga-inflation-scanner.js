@@ -2,19 +2,25 @@
 // Usage: node ga-inflation-scanner.js https://example.com
 
 const { chromium } = require('playwright');
+const scoringEngine = require('./scoring/rules-engine.cjs');
+const { splitGaRequest, createGaSessionTracker } = require('./beacons/ga4-session.cjs');
 
-async function runScan(targetUrl) {
+async function runScan(targetUrl, options = {}) {
+  const scoringRules = scoringEngine.loadScoringRules(options.scoringRules);
   const result = {
     url: targetUrl,
     observed_seconds: 12,
     verdict: 'PASS',
     risk_score: 0,
+    scoring_rules: scoringEngine.rulesReference(scoringRules),
     signals: [],
     metrics: {},
     evidence: {
       sample_events: [],
       ad_impression_query_ids: [],
-      measurement_ids: []
+      measurement_ids: [],
+      session_anomalies: [],
+      truncated_requests: []
     }
   };
 
@@ -32,6 +38,7 @@ async function runScan(targetUrl) {
   let browser;
   const observationWindowMs = 12_000;
   const startTime = Date.now();
+  const sessions = createGaSessionTracker(startTime);
 
   const GA_ENDPOINTS = [
     'https://www.google-analytics.com/g/collect',
@@ -52,10 +59,15 @@ async function runScan(targetUrl) {
       if (GA_ENDPOINTS.some(endpoint => url.startsWith(endpoint))) {
         const timestamp = Date.now();
         try {
-          const event = normalizeGaRequest(url, timestamp);
-          trackedEvents.push(event);
-          if (event.tid) measurementIds.add(event.tid);
-          if (event.ep && event.ep.query_id) observedQueryIds.add(event.ep.query_id);
+          const { hits, truncated } = splitGaRequest(url, request.postData());
+          if (truncated) result.evidence.truncated_requests.push({ url: url.substring(0, 200), ...truncated });
+          hits.forEach(params => {
+            const event = normalizeGaRequest(params, timestamp);
+            sessions.record(params, timestamp);
+            trackedEvents.push(event);
+            if (event.tid) measurementIds.add(event.tid);
+            if (event.ep && event.ep.query_id) observedQueryIds.add(event.ep.query_id);
+          });
         } catch (err) {
           // ignore malformed GA requests but keep scanning
         }
@@ -80,7 +92,8 @@ async function runScan(targetUrl) {
 
   try {
     const metrics = computeMetrics(trackedEvents, startTime, observationWindowMs);
-    const scoring = scoreSignals(metrics);
+    metrics.sessions_by_tid = sessions.summary();
+    const scoring = scoreSignals(metrics, scoringRules);
 
     result.metrics = metrics;
     result.signals = scoring.signals;
@@ -89,6 +102,7 @@ async function runScan(targetUrl) {
     result.evidence.sample_events = trackedEvents.slice(0, 10);
     result.evidence.ad_impression_query_ids = Array.from(observedQueryIds).slice(0, 20);
     result.evidence.measurement_ids = Array.from(measurementIds);
+    result.evidence.session_anomalies = sessions.findings();
 
     return result;
   } catch (err) {
@@ -99,10 +113,8 @@ async function runScan(targetUrl) {
   }
 }
 
-function normalizeGaRequest(requestUrl, timestamp) {
-  const parsed = new URL(requestUrl);
-  const params = parsed.searchParams;
-
+// One event from a GA request: its URL params merged with one POST body line (see splitGaRequest)
+function normalizeGaRequest(params, timestamp) {
   const event = {
     timestamp,
     tid: params.get('tid') || null,
@@ -113,6 +125,8 @@ function normalizeGaRequest(requestUrl, timestamp) {
     sid: params.get('sid') || null,
     sct: params.get('sct') || null,
     seg: params.get('seg') || null,
+    _s: params.get('_s') || null,
+    _et: params.get('_et') || null,
     _p: params.get('_p') || null,
     ep: {}
   };
@@ -143,6 +157,10 @@ function computeMetrics(events, startTime, windowMs) {
       viewabilityKeys.some(term => k.toLowerCase().includes(term)))
   );
   const selfReferrer = events.some(evt => evt.dl && evt.dr && evt.dl === evt.dr);
+  const pageviewsByTid = {};
+  events
+    .filter(evt => evt.tid && (evt.en === 'page_view' || evt.en === 'pageview'))
+    .forEach(evt => { pageviewsByTid[evt.tid] = (pageviewsByTid[evt.tid] || 0) + 1; });
 
   return {
     total_events: totalEvents,
@@ -153,52 +171,27 @@ function computeMetrics(events, startTime, windowMs) {
     first_ad_impression_ms: firstImpression,
     has_viewability_params: hasViewability,
     self_referrer: selfReferrer,
+    pageviews_by_tid: Object.entries(pageviewsByTid).map(([tid, count]) => ({ tid, count })),
     observed_seconds: windowMs / 1000
   };
 }
 
-function scoreSignals(metrics) {
-  let score = 0;
-  const signals = [];
-
-  const addSignal = (id, severity, detail, points) => {
-    score += points;
-    signals.push({ id, severity, detail });
+// Scored with the same rules file as scanner.cjs (scoring/rules/*.yaml) so
+// both scanners reach the same verdict for the same telemetry.
+function scoreSignals(metrics, rules) {
+  const facts = {
+    adImpressionCount: metrics.total_ad_impression,
+    uniqueQueryIds: metrics.unique_query_id_count,
+    queryIdUniquenessRatio: metrics.total_ad_impression > 0
+      ? metrics.unique_query_id_count / metrics.total_ad_impression
+      : 0,
+    hasViewabilityParams: metrics.has_viewability_params,
+    measurementIdCount: metrics.unique_tid_count,
+    selfReferrer: metrics.self_referrer,
+    pageviewsByMeasurementId: metrics.pageviews_by_tid
   };
 
-  if (metrics.total_ad_impression >= 5) {
-    addSignal('rapid_impressions', 'high', '5+ ad_impression events within 12s', 30);
-  }
-
-  if (metrics.unique_query_id_count >= 3) {
-    addSignal('query_id_churn', 'med', 'Multiple unique query_id values detected', 20);
-  }
-
-  if (
-    metrics.total_ad_impression > 0 &&
-    metrics.unique_query_id_count / metrics.total_ad_impression >= 0.8
-  ) {
-    addSignal('query_id_ratio', 'med', 'High ratio of unique query IDs per impression', 15);
-  }
-
-  if (!metrics.has_viewability_params) {
-    addSignal('no_viewability', 'med', 'No viewability parameters present', 15);
-  }
-
-  if (metrics.unique_tid_count > 1) {
-    addSignal('multi_tids', 'low', 'Multiple measurement IDs used simultaneously', 10);
-  }
-
-  if (metrics.self_referrer) {
-    addSignal('self_referrer', 'low', 'Self-referring GA hits detected', 5);
-  }
-
-  const cappedScore = Math.min(score, 100);
-  let verdict = 'PASS';
-  if (cappedScore >= 60) verdict = 'HIGH_RISK';
-  else if (cappedScore >= 30) verdict = 'SUSPICIOUS';
-
-  return { score: cappedScore, verdict, signals };
+  return scoringEngine.scoreSignals(facts, rules);
 }
 
 if (require.main === module) {
@@ -1,4 +1,6 @@
-const { chromium } = require('playwright');
+const { attachFixtureReplay } = require('./replay/fixture-replay.cjs');
+const { attachConsentState } = require('./consent/consent-state.cjs');
+const { openBrowserSession, abortError } = require('./browser/browser-session.cjs');
 
 /**
  * Injected Telemetry Monitor Scanner
@@ -133,11 +135,13 @@ function createHash(vendor, artifactKind, url) {
 async function scanInjectedTelemetry(url, options = {}) {
   const {
     maxWaitMs = 10000,
-    idleWaitMs = 1500
+    idleWaitMs = 1500,
+    consentState,
+    signal
   } = options;
 
   const startedAt = new Date().toISOString();
-  let browser;
+  let session;
   let page;
   
   // Storage for findings
@@ -168,15 +172,13 @@ async function scanInjectedTelemetry(url, options = {}) {
       throw new Error(`Invalid URL: ${url}`);
     }
 
-    // Launch browser
-    browser = await chromium.launch({
-      headless: true,
-      args: ['--no-sandbox', '--disable-dev-shm-usage']
-    });
-    
-    const context = await browser.newContext({
+    // Launch browser (or open a context in options.browser)
+    session = await openBrowserSession(options, {
       userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
     });
+    const { context } = session;
+    await attachFixtureReplay(context);
+    const appliedConsentState = await attachConsentState(context, consentState);
     
     page = await context.newPage();
     
@@ -451,6 +453,8 @@ async function scanInjectedTelemetry(url, options = {}) {
       url: targetUrl,
       startedAt: startedAt,
       finishedAt: finishedAt,
+      consentState: appliedConsentState ? appliedConsentState.id : null,
+      emulation: session.emulation,
       findings: findings,
       summary: summary,
       evidencePack: {
@@ -462,13 +466,14 @@ async function scanInjectedTelemetry(url, options = {}) {
     };
 
   } catch (error) {
+    if (signal && signal.aborted) throw abortError(signal);
     throw new Error(`Scan failed: ${error.message}`);
   } finally {
-    if (browser) {
-      await browser.close();
+    if (session) {
+      await session.close();
     }
   }
 }
 
-module.exports = { scanInjectedTelemetry };
+module.exports = { scanInjectedTelemetry, classifyVendor };
 
@@ -0,0 +1,338 @@
+/**
+ * Fixture Record/Replay
+ * Records a page visit into a bundle (HAR + DOM snapshot + metadata) and
+ * replays it through Playwright routing so every scanner sees the same
+ * network responses offline.
+ *
+ * Bundle layout:
+ *   bundle.json     - { version, url, recordedAt, userAgent, viewport, source }
+ *   recording.har   - HAR 1.2 log with embedded response bodies
+ *   dom.html        - DOM snapshot taken after the page settled
+ *
+ * Scanners call attachFixtureReplay(context) right after creating their
+ * browser context; it is a no-op unless CYBERTECT_REPLAY_BUNDLE is set.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BUNDLE_VERSION = 1;
+const BUNDLE_FILES = {
+  meta: 'bundle.json',
+  har: 'recording.har',
+  dom: 'dom.html'
+};
+
+// Headers that no longer describe the body once it has been decoded into the HAR
+const STRIPPED_RESPONSE_HEADERS = new Set([
+  'content-length',
+  'content-encoding',
+  'transfer-encoding',
+  'connection'
+]);
+
+/**
+ * Load a fixture bundle from disk
+ * @param {string} bundleDir - Bundle directory
+ * @returns {object} - { dir, meta, entries, dom }
+ */
+function loadFixtureBundle(bundleDir) {
+  const metaPath = path.join(bundleDir, BUNDLE_FILES.meta);
+  if (!fs.existsSync(metaPath)) {
+    throw new Error(`Fixture bundle not found: ${bundleDir}`);
+  }
+  const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+
+  const harPath = path.join(bundleDir, BUNDLE_FILES.har);
+  const har = fs.existsSync(harPath) ? JSON.parse(fs.readFileSync(harPath, 'utf8')) : { log: { entries: [] } };
+
+  const domPath = path.join(bundleDir, BUNDLE_FILES.dom);
+  const dom = fs.existsSync(domPath) ? fs.readFileSync(domPath, 'utf8') : null;
+
+  return {
+    dir: bundleDir,
+    meta,
+    entries: (har.log && har.log.entries) || [],
+    dom
+  };
+}
+
+function stripQuery(url) {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname}`;
+  } catch (e) {
+    return url;
+  }
+}
+
+function stripHash(url) {
+  const idx = url.indexOf('#');
+  return idx === -1 ? url : url.slice(0, idx);
+}
+
+/**
+ * Convert a HAR entry into route.fulfill() options
+ * @param {object} entry - HAR entry
+ * @returns {object} - Fulfill options
+ */
+function entryToFulfill(entry) {
+  const response = entry.response || {};
+  const content = response.content || {};
+  const headers = {};
+  (response.headers || []).forEach(h => {
+    const name = h.name.toLowerCase();
+    if (STRIPPED_RESPONSE_HEADERS.has(name)) return;
+    // Multiple Set-Cookie headers are joined the way Playwright expects
+    headers[name] = headers[name] ? `${headers[name]}\n${h.value}` : h.value;
+  });
+
+  let body = '';
+  if (typeof content.text === 'string') {
+    body = content.encoding === 'base64' ? Buffer.from(content.text, 'base64') : content.text;
+  }
+  if (content.mimeType && !headers['content-type']) {
+    headers['content-type'] = content.mimeType;
+  }
+
+  return { status: response.status || 200, headers, body };
+}
+
+/**
+ * Build a route handler that serves requests from a loaded bundle.
+ * Requests are matched on method + exact URL first, then on method + URL
+ * without query string (cache-busters, correlators), consuming entries in
+ * recorded order so repeated beacons replay in sequence. The page URL falls
+ * back to the DOM snapshot when the HAR has no document entry. Anything else
+ * is answered with an empty 204 so replays never touch the network.
+ * @param {object} bundle - Result of loadFixtureBundle()
+ * @returns {object} - { handle(route), stats }
+ */
+function createReplayHandler(bundle) {
+  const exact = new Map();
+  const loose = new Map();
+  const push = (map, key, entry) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(entry);
+  };
+
+  bundle.entries.forEach(entry => {
+    const method = (entry.request && entry.request.method) || 'GET';
+    const url = stripHash(entry.request.url);
+    push(exact, `${method} ${url}`, entry);
+    push(loose, `${method} ${stripQuery(url)}`, entry);
+  });
+
+  const cursors = new Map();
+  const take = (map, key) => {
+    const candidates = map.get(key);
+    if (!candidates || candidates.length === 0) return null;
+    const cursorKey = `${map === exact ? 'exact' : 'loose'}:${key}`;
+    const idx = cursors.get(cursorKey) || 0;
+    cursors.set(cursorKey, idx + 1);
+    // Once the recording is exhausted keep serving the last response
+    return candidates[Math.min(idx, candidates.length - 1)];
+  };
+
+  const pageUrl = bundle.meta && bundle.meta.url ? stripHash(bundle.meta.url) : null;
+  const stats = { served: 0, servedFromDom: 0, missed: 0, misses: [] };
+
+  async function handle(route) {
+    const request = route.request();
+    const method = request.method();
+    const url = stripHash(request.url());
+
+    const entry = take(exact, `${method} ${url}`) || take(loose, `${method} ${stripQuery(url)}`);
+    if (entry) {
+      stats.served++;
+      return route.fulfill(entryToFulfill(entry));
+    }
+
+    if (bundle.dom && pageUrl && method === 'GET' && (url === pageUrl || stripQuery(url) === stripQuery(pageUrl))) {
+      stats.servedFromDom++;
+      return route.fulfill({ status: 200, headers: { 'content-type': 'text/html; charset=utf-8' }, body: bundle.dom });
+    }
+
+    stats.missed++;
+    if (stats.misses.length < 200) stats.misses.push(`${method} ${url}`);
+    return route.fulfill({ status: 204, body: '' });
+  }
+
+  return { handle, stats };
+}
+
+/**
+ * Route a browser context (or page) through a fixture bundle.
+ * @param {object} target - Playwright BrowserContext or Page
+ * @param {string} [bundleDir] - Defaults to CYBERTECT_REPLAY_BUNDLE
+ * @returns {Promise<object|null>} - Replay handler, or null when replay is off
+ */
+async function attachFixtureReplay(target, bundleDir = process.env.CYBERTECT_REPLAY_BUNDLE) {
+  if (!bundleDir) return null;
+  const handler = createReplayHandler(loadFixtureBundle(bundleDir));
+  await target.route('**/*', handler.handle);
+  console.log(`[Fixture Replay] Serving requests from ${bundleDir}`);
+  return handler;
+}
+
+/**
+ * Record a live visit into a fixture bundle
+ * @param {string} url - Page to record
+ * @param {string} bundleDir - Output directory
+ * @param {object} options
+ * @param {number} options.waitMs - Settle time after load
+ * @param {boolean} options.scroll - Scroll to the bottom to trigger lazy tags
+ * @returns {Promise<object>} - Bundle metadata
+ */
+async function recordFixture(url, bundleDir, options = {}) {
+  const { chromium } = require('playwright');
+  const { waitMs = 5000, scroll = true, timeoutMs = 30000 } = options;
+
+  fs.mkdirSync(bundleDir, { recursive: true });
+  const harPath = path.join(bundleDir, BUNDLE_FILES.har);
+
+  const browser = await chromium.launch({ headless: true, args: ['--no-sandbox', '--disable-dev-shm-usage'] });
+  try {
+    const context = await browser.newContext({
+      recordHar: { path: harPath, mode: 'full', content: 'embed' }
+    });
+    const page = await context.newPage();
+    await page.goto(url, { waitUntil: 'domcontentloaded', timeout: timeoutMs });
+    await page.waitForTimeout(waitMs);
+    if (scroll) {
+      await page.evaluate(async () => {
+        for (let y = 0; y < document.body.scrollHeight; y += window.innerHeight) {
+          window.scrollTo(0, y);
+          await new Promise(r => setTimeout(r, 250));
+        }
+      });
+      await page.waitForTimeout(1000);
+    }
+
+    fs.writeFileSync(path.join(bundleDir, BUNDLE_FILES.dom), await page.content());
+    const meta = {
+      version: BUNDLE_VERSION,
+      url,
+      finalUrl: page.url(),
+      recordedAt: new Date().toISOString(),
+      userAgent: await page.evaluate(() => navigator.userAgent),
+      viewport: page.viewportSize(),
+      source: 'recorded'
+    };
+    // Closing the context flushes the HAR to disk
+    await context.close();
+    fs.writeFileSync(path.join(bundleDir, BUNDLE_FILES.meta), JSON.stringify(meta, null, 2));
+    return meta;
+  } finally {
+    await browser.close();
+  }
+}
+
+function escapeAttr(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+function harEntry(url, mimeType, text, status = 200) {
+  return {
+    startedDateTime: new Date(0).toISOString(),
+    time: 0,
+    request: { method: 'GET', url, httpVersion: 'HTTP/1.1', headers: [], queryString: [], cookies: [], headersSize: -1, bodySize: 0 },
+    response: {
+      status,
+      statusText: status === 200 ? 'OK' : '',
+      httpVersion: 'HTTP/1.1',
+      headers: [{ name: 'content-type', value: mimeType }],
+      cookies: [],
+      content: { size: text.length, mimeType, text },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: text.length
+    },
+    cache: {},
+    timings: { send: 0, wait: 0, receive: 0 }
+  };
+}
+
+/**
+ * Seed fixture bundles from a CMS monitor evidence directory
+ * (data/cms-monitor/evidence/<scanId>). Each page result becomes a bundle
+ * whose document re-creates the recorded script and pixel inventory, with
+ * external scripts stubbed out. Inline script bodies are not kept in CMS
+ * evidence, so only external scripts and pixels are reproduced.
+ * @param {string} evidenceDir - CMS evidence directory
+ * @param {string} outRoot - Directory to write bundles into
+ * @returns {string[]} - Created bundle directories
+ */
+function seedFromCmsEvidence(evidenceDir, outRoot) {
+  const pagesDir = path.join(evidenceDir, 'pages');
+  if (!fs.existsSync(pagesDir)) {
+    throw new Error(`No pages/ directory in ${evidenceDir}`);
+  }
+
+  return fs.readdirSync(pagesDir)
+    .filter(f => f.endsWith('.json'))
+    .map(file => {
+      const pageResult = JSON.parse(fs.readFileSync(path.join(pagesDir, file), 'utf8'));
+      const externalScripts = (pageResult.scripts || []).filter(s => s.type === 'external' && s.src);
+      const pixels = (pageResult.pixels || []).filter(p => p.src);
+
+      const dom = [
+        '<!DOCTYPE html>',
+        '<html><head><meta charset="utf-8"><title>Seeded fixture</title>',
+        ...externalScripts.map(s => `<script src="${escapeAttr(s.src)}"></script>`),
+        '</head><body>',
+        ...pixels.map(p => `<img src="${escapeAttr(p.src)}" width="1" height="1" alt="">`),
+        '</body></html>'
+      ].join('\n');
+
+      const entries = [harEntry(pageResult.url, 'text/html', dom)];
+      externalScripts.forEach(s => entries.push(harEntry(s.src, 'application/javascript', '/* stubbed by fixture seed */')));
+
+      const bundleDir = path.join(outRoot, path.basename(file, '.json'));
+      fs.mkdirSync(bundleDir, { recursive: true });
+      fs.writeFileSync(path.join(bundleDir, BUNDLE_FILES.dom), dom);
+      fs.writeFileSync(path.join(bundleDir, BUNDLE_FILES.har), JSON.stringify({
+        log: { version: '1.2', creator: { name: 'cybertect-fixture-seed', version: String(BUNDLE_VERSION) }, entries }
+      }, null, 2));
+      fs.writeFileSync(path.join(bundleDir, BUNDLE_FILES.meta), JSON.stringify({
+        version: BUNDLE_VERSION,
+        url: pageResult.url,
+        recordedAt: pageResult.scanTimestamp || null,
+        userAgent: null,
+        viewport: null,
+        source: `cms-monitor:${path.basename(evidenceDir)}`
+      }, null, 2));
+      return bundleDir;
+    });
+}
+
+module.exports = {
+  BUNDLE_FILES,
+  loadFixtureBundle,
+  createReplayHandler,
+  attachFixtureReplay,
+  recordFixture,
+  seedFromCmsEvidence
+};
+
+if (require.main === module) {
+  const [command, ...args] = process.argv.slice(2);
+  (async () => {
+    if (command === 'record' && args.length === 2) {
+      const meta = await recordFixture(args[0], args[1]);
+      console.log(`Recorded ${meta.url} into ${args[1]}`);
+    } else if (command === 'seed-cms' && args.length === 2) {
+      const bundles = seedFromCmsEvidence(args[0], args[1]);
+      console.log(`Seeded ${bundles.length} bundle(s) into ${args[1]}`);
+    } else {
+      console.log('Usage:');
+      console.log('  node replay/fixture-replay.cjs record <url> <bundleDir>');
+      console.log('  node replay/fixture-replay.cjs seed-cms <cmsEvidenceDir> <outRoot>');
+      console.log('Replay with: CYBERTECT_REPLAY_BUNDLE=<bundleDir> <any scanner>');
+      process.exitCode = 1;
+    }
+  })().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,228 @@
+/**
+ * robots.txt support (RFC 9309)
+ * Parses robots.txt into user-agent groups, picks the group for our crawler,
+ * and evaluates Allow/Disallow with `*` and `$` patterns using longest-match
+ * precedence. Crawl-delay is exposed so callers can feed it into their
+ * per-host rate limiting. Fetched files are cached per origin and shared by
+ * the CLI (src/scan.ts), diagnosis.cjs and the CMS monitor.
+ */
+
+const DEFAULT_USER_AGENT = 'CybertectCMSMonitor/1.0';
+const CACHE_TTL_MS = 60 * 60 * 1000;
+const MAX_ROBOTS_BYTES = 500 * 1024;
+const FETCH_TIMEOUT_MS = 5000;
+
+const cache = new Map();
+
+/**
+ * Parse robots.txt text into groups.
+ * Consecutive User-agent lines share one group; the first rule line closes
+ * the agent list, so a later User-agent line starts a new group. Lines the
+ * spec does not define for groups (Sitemap, unknown keys) never break one.
+ * @param {string} text - robots.txt body
+ * @returns {object} - { groups: [{ agents, rules: [{ allow, pattern }], crawlDelay }], sitemaps }
+ */
+function parseRobots(text) {
+  const groups = [];
+  const sitemaps = [];
+  let current = null;
+  let collectingAgents = false;
+
+  String(text || '').split(/\r\n|\r|\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    if (!line) return;
+    const sep = line.indexOf(':');
+    if (sep === -1) return;
+    const key = line.slice(0, sep).trim().toLowerCase();
+    const value = line.slice(sep + 1).trim();
+
+    if (key === 'user-agent') {
+      if (!current || !collectingAgents) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+        collectingAgents = true;
+      }
+      current.agents.push(value.toLowerCase());
+      return;
+    }
+
+    if (key === 'sitemap') {
+      if (value) sitemaps.push(value);
+      return;
+    }
+
+    if (!current) return;
+    if (key === 'allow' || key === 'disallow') {
+      collectingAgents = false;
+      // An empty Disallow means "allow everything" and adds no rule
+      if (value) current.rules.push({ allow: key === 'allow', pattern: value });
+    } else if (key === 'crawl-delay') {
+      collectingAgents = false;
+      const seconds = parseFloat(value);
+      if (Number.isFinite(seconds) && seconds >= 0) current.crawlDelay = seconds;
+    }
+  });
+
+  return { groups, sitemaps };
+}
+
+/**
+ * Product token used for group matching: "CybertectCMSMonitor/1.0" ->
+ * "cybertectcmsmonitor".
+ */
+function productToken(userAgent) {
+  return String(userAgent || DEFAULT_USER_AGENT).split(/[\/\s]/)[0].toLowerCase();
+}
+
+/**
+ * Merge every group whose agent equals our product token (case-insensitive);
+ * fall back to the `*` groups when none do.
+ * @returns {object} - { rules, crawlDelay }
+ */
+function selectGroup(parsed, userAgent) {
+  const token = productToken(userAgent);
+  const matches = agent => agent !== '*' && productToken(agent) === token;
+
+  let selected = parsed.groups.filter(group => group.agents.some(matches));
+  if (selected.length === 0) {
+    selected = parsed.groups.filter(group => group.agents.includes('*'));
+  }
+
+  const rules = [];
+  let crawlDelay = null;
+  selected.forEach(group => {
+    rules.push(...group.rules);
+    if (group.crawlDelay !== null) {
+      crawlDelay = crawlDelay === null ? group.crawlDelay : Math.max(crawlDelay, group.crawlDelay);
+    }
+  });
+  return { rules, crawlDelay };
+}
+
+function normalizePercentEncoding(value) {
+  // Compare in one canonical form: uppercase escapes, and decode nothing else
+  return value.replace(/%[0-9a-f]{2}/gi, match => match.toUpperCase());
+}
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = anchored ? pattern.slice(0, -1) : pattern;
+  const escaped = normalizePercentEncoding(body)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Longest matching rule wins; on a tie Allow wins.
+ * @param {Array} rules - [{ allow, pattern }]
+ * @param {string} pathWithQuery - e.g. "/news/a?page=2"
+ * @returns {boolean}
+ */
+function isPathAllowed(rules, pathWithQuery) {
+  if (pathWithQuery === '/robots.txt') return true;
+  const target = normalizePercentEncoding(pathWithQuery);
+  let best = null;
+  rules.forEach(rule => {
+    if (!patternToRegExp(rule.pattern).test(target)) return;
+    const length = rule.pattern.length;
+    if (!best || length > best.length || (length === best.length && rule.allow && !best.allow)) {
+      best = { length, allow: rule.allow };
+    }
+  });
+  return best ? best.allow : true;
+}
+
+/**
+ * Build a policy object for one origin
+ * @param {string|null} text - robots.txt body (null when unavailable)
+ * @param {object} options
+ * @param {string} options.userAgent - Our configured user agent
+ * @param {string} options.status - 'ok' | 'unavailable' | 'unreachable'
+ */
+function createRobotsPolicy(text, { userAgent = DEFAULT_USER_AGENT, status = 'ok' } = {}) {
+  const parsed = parseRobots(status === 'ok' ? text : '');
+  const group = selectGroup(parsed, userAgent);
+  return {
+    status,
+    sitemaps: parsed.sitemaps,
+    crawlDelayMs: group.crawlDelay === null ? null : Math.round(group.crawlDelay * 1000),
+    /**
+     * @param {string} url - Absolute URL on this origin
+     * @returns {boolean}
+     */
+    isAllowed(url) {
+      // RFC 9309: a server error means "assume complete disallow"
+      if (status === 'unreachable') return false;
+      const parsedUrl = new URL(url);
+      return isPathAllowed(group.rules, `${parsedUrl.pathname}${parsedUrl.search}`);
+    }
+  };
+}
+
+async function fetchRobots(origin, userAgent, fetchImpl) {
+  try {
+    const res = await fetchImpl(`${origin}/robots.txt`, {
+      method: 'GET',
+      redirect: 'follow',
+      headers: { 'User-Agent': userAgent },
+      signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+    });
+    if (res.status >= 500) return createRobotsPolicy(null, { userAgent, status: 'unreachable' });
+    // 4xx: no usable robots.txt, everything may be crawled
+    if (!res.ok) return createRobotsPolicy(null, { userAgent, status: 'unavailable' });
+    const body = (await res.text()).slice(0, MAX_ROBOTS_BYTES);
+    return createRobotsPolicy(body, { userAgent, status: 'ok' });
+  } catch (error) {
+    // DNS/connection failures: the site itself is unlikely to load either, so
+    // do not block the scan on robots.txt alone
+    return createRobotsPolicy(null, { userAgent, status: 'unavailable' });
+  }
+}
+
+/**
+ * Robots policy for a URL's origin, fetched once per origin and user agent
+ * and cached for an hour.
+ * @param {string} url - Any URL on the origin
+ * @param {object} [options]
+ * @param {string} [options.userAgent]
+ * @param {Function} [options.fetchImpl] - Defaults to global fetch
+ * @returns {Promise<object>} - Policy from createRobotsPolicy()
+ */
+function getRobotsPolicy(url, options = {}) {
+  const userAgent = options.userAgent || DEFAULT_USER_AGENT;
+  const fetchImpl = options.fetchImpl || fetch;
+  const origin = new URL(url).origin;
+  const key = `${origin}|${productToken(userAgent)}`;
+
+  const cached = cache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.policy;
+
+  const policy = fetchRobots(origin, userAgent, fetchImpl);
+  cache.set(key, { policy, expiresAt: Date.now() + CACHE_TTL_MS });
+  return policy;
+}
+
+/**
+ * @returns {Promise<boolean>} - Whether our crawler may fetch `url`
+ */
+async function isAllowedByRobots(url, options = {}) {
+  const policy = await getRobotsPolicy(url, options);
+  return policy.isAllowed(url);
+}
+
+function clearRobotsCache() {
+  cache.clear();
+}
+
+module.exports = {
+  DEFAULT_USER_AGENT,
+  parseRobots,
+  selectGroup,
+  isPathAllowed,
+  createRobotsPolicy,
+  getRobotsPolicy,
+  isAllowedByRobots,
+  clearRobotsCache
+};
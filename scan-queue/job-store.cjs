@@ -0,0 +1,181 @@
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+
+// Scan jobs live in the same SQLite file as ai_validation_jobs so a single
+// data/ directory holds all durable job state.
+const DATA_DIR = path.join(process.cwd(), 'data');
+const DB_PATH = process.env.CYBERTECT_JOBS_DB || path.join(DATA_DIR, 'ai-validation.db');
+
+if (!fs.existsSync(path.dirname(DB_PATH))) {
+  fs.mkdirSync(path.dirname(DB_PATH), { recursive: true });
+}
+
+const db = new Database(DB_PATH);
+db.pragma('journal_mode = WAL');
+
+db.exec(`
+  CREATE TABLE IF NOT EXISTS scan_jobs (
+    id TEXT PRIMARY KEY,
+    status TEXT NOT NULL,
+    optionsJson TEXT,
+    error TEXT,
+    createdAt TEXT NOT NULL,
+    updatedAt TEXT NOT NULL,
+    startedAt TEXT,
+    finishedAt TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS scan_job_urls (
+    jobId TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    url TEXT NOT NULL,
+    status TEXT NOT NULL,
+    resultJson TEXT,
+    error TEXT,
+    startedAt TEXT,
+    finishedAt TEXT,
+    PRIMARY KEY (jobId, position)
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_scan_jobs_status ON scan_jobs(status);
+  CREATE INDEX IF NOT EXISTS idx_scan_job_urls_status ON scan_job_urls(status);
+`);
+
+function createJob({ id, urls, options }) {
+  const now = new Date().toISOString();
+  const insertJob = db.prepare(`
+    INSERT INTO scan_jobs (id, status, optionsJson, createdAt, updatedAt)
+    VALUES (?, 'queued', ?, ?, ?)
+  `);
+  const insertUrl = db.prepare(`
+    INSERT INTO scan_job_urls (jobId, position, url, status)
+    VALUES (?, ?, ?, 'pending')
+  `);
+  db.transaction(() => {
+    insertJob.run(id, JSON.stringify(options || {}), now, now);
+    urls.forEach((url, position) => insertUrl.run(id, position, url));
+  })();
+  return getJob(id);
+}
+
+function updateJob(id, patch) {
+  const existing = db.prepare(`SELECT * FROM scan_jobs WHERE id = ?`).get(id);
+  if (!existing) return null;
+  const merged = { ...existing, ...patch, updatedAt: new Date().toISOString() };
+  db.prepare(`
+    UPDATE scan_jobs
+    SET status=@status,
+        error=@error,
+        updatedAt=@updatedAt,
+        startedAt=@startedAt,
+        finishedAt=@finishedAt
+    WHERE id=@id
+  `).run({
+    ...merged,
+    error: merged.error || null,
+    startedAt: merged.startedAt || null,
+    finishedAt: merged.finishedAt || null
+  });
+  return getJob(id);
+}
+
+function updateJobUrl(jobId, position, patch) {
+  const existing = db.prepare(`SELECT * FROM scan_job_urls WHERE jobId = ? AND position = ?`).get(jobId, position);
+  if (!existing) return;
+  const merged = { ...existing, ...patch };
+  db.prepare(`
+    UPDATE scan_job_urls
+    SET status=@status,
+        resultJson=@resultJson,
+        error=@error,
+        startedAt=@startedAt,
+        finishedAt=@finishedAt
+    WHERE jobId=@jobId AND position=@position
+  `).run({
+    ...merged,
+    resultJson: merged.resultJson || null,
+    error: merged.error || null,
+    startedAt: merged.startedAt || null,
+    finishedAt: merged.finishedAt || null
+  });
+}
+
+function cancelPendingUrls(jobId) {
+  db.prepare(`
+    UPDATE scan_job_urls SET status = 'canceled', finishedAt = ?
+    WHERE jobId = ? AND status = 'pending'
+  `).run(new Date().toISOString(), jobId);
+}
+
+/**
+ * Oldest pending URL belonging to a job that has not been canceled or finished.
+ */
+function nextPendingUrl() {
+  return db.prepare(`
+    SELECT u.jobId, u.position, u.url
+    FROM scan_job_urls u
+    JOIN scan_jobs j ON j.id = u.jobId
+    WHERE u.status = 'pending' AND j.status IN ('queued', 'running')
+    ORDER BY j.createdAt ASC, u.position ASC
+    LIMIT 1
+  `).get() || null;
+}
+
+/**
+ * Put URLs that were mid-scan when the process died back in the queue.
+ * @returns {number} - Number of URLs re-queued
+ */
+function requeueInterrupted() {
+  const result = db.prepare(`
+    UPDATE scan_job_urls SET status = 'pending', startedAt = NULL
+    WHERE status = 'running'
+      AND jobId IN (SELECT id FROM scan_jobs WHERE status IN ('queued', 'running'))
+  `).run();
+  return result.changes;
+}
+
+function getJob(id) {
+  const row = db.prepare(`SELECT * FROM scan_jobs WHERE id = ?`).get(id);
+  if (!row) return null;
+  const urls = db.prepare(`SELECT * FROM scan_job_urls WHERE jobId = ? ORDER BY position ASC`).all(id);
+  const counts = { pending: 0, running: 0, completed: 0, failed: 0, canceled: 0 };
+  urls.forEach(u => { counts[u.status] = (counts[u.status] || 0) + 1; });
+
+  return {
+    id: row.id,
+    status: row.status,
+    options: row.optionsJson ? JSON.parse(row.optionsJson) : {},
+    error: row.error,
+    createdAt: row.createdAt,
+    updatedAt: row.updatedAt,
+    startedAt: row.startedAt,
+    finishedAt: row.finishedAt,
+    progress: { total: urls.length, ...counts },
+    urls: urls.map(u => ({
+      url: u.url,
+      status: u.status,
+      error: u.error,
+      startedAt: u.startedAt,
+      finishedAt: u.finishedAt,
+      result: u.resultJson ? JSON.parse(u.resultJson) : null
+    }))
+  };
+}
+
+function listJobs(limit = 20) {
+  return db.prepare(`SELECT id FROM scan_jobs ORDER BY createdAt DESC LIMIT ?`)
+    .all(limit)
+    .map(row => getJob(row.id));
+}
+
+module.exports = {
+  createJob,
+  updateJob,
+  updateJobUrl,
+  cancelPendingUrls,
+  nextPendingUrl,
+  requeueInterrupted,
+  getJob,
+  listJobs
+};
@@ -0,0 +1,198 @@
+/**
+ * Background Scan Queue
+ * Runs submitted scan jobs on a bounded worker pool. Every URL in a job is a
+ * separate unit of work, so a 20-URL batch is spread across all workers.
+ * Job state is persisted through job-store.cjs; progress events are pushed to
+ * in-process subscribers (the SSE endpoint in server.cjs).
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const store = require('./job-store.cjs');
+
+const TERMINAL_STATUSES = new Set(['completed', 'failed', 'canceled']);
+const DEFAULT_CONCURRENCY = 2;
+
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+let scanFn = null;
+let concurrency = DEFAULT_CONCURRENCY;
+let activeWorkers = 0;
+
+function buildJobId() {
+  const rand = crypto.randomBytes(4).toString('hex');
+  return `scan-${Date.now()}-${rand}`;
+}
+
+function publish(jobId, type, data = {}) {
+  events.emit(jobId, { type, jobId, at: new Date().toISOString(), ...data });
+}
+
+/**
+ * Start the worker pool. Jobs left running by a previous process are
+ * re-queued so they survive a server restart.
+ * @param {object} options
+ * @param {Function} options.scan - async (url, onProgress, jobOptions) => result
+ * @param {number} [options.concurrency] - Max URLs scanned in parallel
+ * @returns {number} - Number of interrupted URLs that were re-queued
+ */
+function startScanWorkers(options) {
+  if (typeof options.scan !== 'function') {
+    throw new Error('startScanWorkers requires a scan function');
+  }
+  scanFn = options.scan;
+  const requested = Number(options.concurrency);
+  concurrency = Number.isInteger(requested) && requested > 0 ? requested : DEFAULT_CONCURRENCY;
+
+  const requeued = store.requeueInterrupted();
+  if (requeued > 0) {
+    console.log(`[Scan Queue] Re-queued ${requeued} interrupted URL(s)`);
+  }
+  pump();
+  return requeued;
+}
+
+/**
+ * Submit URLs as a new scan job.
+ * @param {string[]} urls - URLs to scan
+ * @param {object} [options] - Passed through to the scan function
+ * @returns {object} - The persisted job
+ */
+function submitScanJob(urls, options = {}) {
+  if (!Array.isArray(urls) || urls.length === 0) {
+    throw new Error('At least one URL is required');
+  }
+  const job = store.createJob({ id: buildJobId(), urls, options });
+  publish(job.id, 'queued', { progress: job.progress });
+  setImmediate(pump);
+  return job;
+}
+
+/**
+ * Cancel a job. Pending URLs are dropped; URLs already being scanned run to
+ * completion but their results are discarded.
+ * @param {string} jobId
+ * @returns {object|null} - Updated job, or null if unknown
+ */
+function cancelScanJob(jobId) {
+  const job = store.getJob(jobId);
+  if (!job) return null;
+  if (TERMINAL_STATUSES.has(job.status)) return job;
+
+  store.cancelPendingUrls(jobId);
+  const updated = store.updateJob(jobId, { status: 'canceled', finishedAt: new Date().toISOString() });
+  publish(jobId, 'canceled', { progress: updated.progress });
+  return updated;
+}
+
+function getScanJob(jobId) {
+  return store.getJob(jobId);
+}
+
+/**
+ * Subscribe to a job's events.
+ * @param {string} jobId
+ * @param {Function} listener - Receives { type, jobId, at, ... }
+ * @returns {Function} - Unsubscribe
+ */
+function subscribeToScanJob(jobId, listener) {
+  events.on(jobId, listener);
+  return () => events.off(jobId, listener);
+}
+
+/**
+ * Resolve once a job reaches a terminal status.
+ * @param {string} jobId
+ * @returns {Promise<object>} - Final job
+ */
+function waitForScanJob(jobId) {
+  return new Promise((resolve, reject) => {
+    const current = store.getJob(jobId);
+    if (!current) return reject(new Error(`Scan job not found: ${jobId}`));
+    if (TERMINAL_STATUSES.has(current.status)) return resolve(current);
+
+    const unsubscribe = subscribeToScanJob(jobId, event => {
+      if (TERMINAL_STATUSES.has(event.type)) {
+        unsubscribe();
+        resolve(store.getJob(jobId));
+      }
+    });
+  });
+}
+
+function isTerminal(status) {
+  return TERMINAL_STATUSES.has(status);
+}
+
+function pump() {
+  if (!scanFn) return;
+  while (activeWorkers < concurrency) {
+    const task = store.nextPendingUrl();
+    if (!task) return;
+    // Claim synchronously so the next loop iteration cannot pick it again.
+    store.updateJobUrl(task.jobId, task.position, { status: 'running', startedAt: new Date().toISOString() });
+    activeWorkers++;
+    runTask(task).finally(() => {
+      activeWorkers--;
+      pump();
+    });
+  }
+}
+
+async function runTask(task) {
+  const { jobId, position, url } = task;
+  let job = store.getJob(jobId);
+  if (job.status === 'queued') {
+    job = store.updateJob(jobId, { status: 'running', startedAt: new Date().toISOString() });
+    publish(jobId, 'started', { progress: job.progress });
+  }
+  publish(jobId, 'url_started', { url, position });
+
+  const onProgress = payload => publish(jobId, 'progress', { url, position, payload });
+
+  let patch;
+  try {
+    const result = await scanFn(url, onProgress, job.options);
+    patch = { status: 'completed', resultJson: JSON.stringify(result ?? null) };
+  } catch (error) {
+    console.error(`[Scan Queue] ${jobId} failed for ${url}:`, error.message);
+    patch = { status: 'failed', error: error.message };
+  }
+
+  if (store.getJob(jobId).status === 'canceled') {
+    patch = { status: 'canceled' };
+  }
+  store.updateJobUrl(jobId, position, { ...patch, finishedAt: new Date().toISOString() });
+  publish(jobId, 'url_finished', { url, position, status: patch.status, error: patch.error || null });
+
+  finalizeIfDone(jobId);
+}
+
+function finalizeIfDone(jobId) {
+  const job = store.getJob(jobId);
+  if (!job || job.status === 'canceled') return;
+  if (job.progress.pending > 0 || job.progress.running > 0) {
+    publish(jobId, 'job_progress', { progress: job.progress });
+    return;
+  }
+
+  const allFailed = job.progress.failed === job.progress.total;
+  const finished = store.updateJob(jobId, {
+    status: allFailed ? 'failed' : 'completed',
+    error: allFailed ? 'All URLs failed to scan' : null,
+    finishedAt: new Date().toISOString()
+  });
+  publish(jobId, finished.status, { progress: finished.progress });
+}
+
+module.exports = {
+  startScanWorkers,
+  submitScanJob,
+  cancelScanJob,
+  getScanJob,
+  listScanJobs: store.listJobs,
+  subscribeToScanJob,
+  waitForScanJob,
+  isTerminal
+};
@@ -3,6 +3,14 @@ const fs = require('fs');
 const path = require('path');
 const { runTagParityDetection } = require('./tagAssistantParity.cjs');
 const { indexTelemetryFromScan } = require('./src/index-telemetry.cjs');
+const { attachFixtureReplay } = require('./replay/fixture-replay.cjs');
+const { attachConsentState } = require('./consent/consent-state.cjs');
+const { createStorageRecorder } = require('./storage/storage-inventory.cjs');
+const { decodeBeacon, createBeaconTracker } = require('./beacons/beacon-decoders.cjs');
+const { splitGaRequest, createGaSessionTracker } = require('./beacons/ga4-session.cjs');
+const { createSoftNavigationDetector } = require('./beacons/soft-navigation.cjs');
+const { openBrowserSession } = require('./browser/browser-session.cjs');
+const scoringEngine = require('./scoring/rules-engine.cjs');
 
 // Debug logging helper
 function debugLog(location, message, data, hypothesisId) {
@@ -67,8 +75,9 @@ const GTM_REGEX = /(GTM-[A-Z0-9]{4,10})/gi;
 const FBQ_REGEX = /fbq\(['"]init['"],\s*['"]?(\d{8,18})/gi;
 const FB_PIXEL_URL_REGEX = /facebook\.com\/tr\?[^"'\\s]*[?&]id=(\d{8,18})/gi;
 
-async function scanWebsite(url, onProgress) {
+async function scanWebsite(url, onProgress, options = {}) {
   const progressEmitter = createProgressEmitter(onProgress);
+  const scoringRules = scoringEngine.loadScoringRules(options.scoringRules);
   const startTime = Date.now();
 
   const metrics = createEmptyMetrics();
@@ -108,8 +117,12 @@ async function scanWebsite(url, onProgress) {
   let currentNavigationStart = Date.now();
   const pageViewsPerNavigation = new Map(); // Track pageviews per navigation: { navigationId: { [tid]: count } }
   let navigationId = 0;
+  // Same per-ID counts for every decoded vendor: { ['vendor:accountId']: { total, events, samples, ... } }
+  const beacons = createBeaconTracker();
+  // GA4 sid/sct/seg/_et per measurement ID
+  const gaSessions = createGaSessionTracker();
 
-  let browser;
+  let session;
   let page;
   let currentStage = 'A';
   let isScannerScrolling = false;
@@ -117,14 +130,20 @@ async function scanWebsite(url, onProgress) {
   let stageADeltas = { adImpressions: 0 };
   let finalScore = 0;
   let signals = [];
+  let consentState = null;
+  let softNavigation = null;
   const networkRequests = []; // Track network requests for telemetry indexing
 
   try {
-    browser = await chromium.launch({
-      headless: true,
-      args: ['--no-sandbox', '--disable-dev-shm-usage']
-    });
-    const context = await browser.newContext();
+    // options.browser shares a browser between scans; options.signal aborts this one
+    session = await openBrowserSession(options);
+    const { context } = session;
+    await attachFixtureReplay(context);
+    consentState = await attachConsentState(context, options.consentState);
+    const storage = createStorageRecorder(context);
+    await storage.attach();
+    softNavigation = createSoftNavigationDetector(context);
+    await softNavigation.attach();
     page = await context.newPage();
 
     page.on('framenavigated', frame => {
@@ -243,15 +262,23 @@ async function scanWebsite(url, onProgress) {
         });
       }
 
+      const beaconEvents = decodeBeacon({ url: reqUrl, method: request.method(), postData: request.postData() });
+      if (beaconEvents) {
+        beacons.record(beaconEvents, navigationId);
+      }
+
       if (isGaEndpoint(reqUrl)) {
         // #region agent log
         debugLog('scanner.cjs:157', 'GA endpoint detected', { url: reqUrl.substring(0, 200) }, 'A');
         // #endregion
-        const gaEvent = await parseGaHit(request);
+        // GA4 batches several events per request, one per POST body line
+        const gaHits = parseGaHits(request, diagnostics);
         // #region agent log
-        debugLog('scanner.cjs:159', 'GA event parsed', { hasEvent: !!gaEvent, tid: gaEvent?.tid || null }, 'A');
+        debugLog('scanner.cjs:159', 'GA events parsed', { count: gaHits.length, tid: gaHits[0]?.tid || null }, 'A');
         // #endregion
-        if (gaEvent) {
+        gaHits.forEach(gaEvent => {
+          gaSessions.record(gaEvent.__params, gaEvent.timestamp);
+          if (softNavigation && isGaPageView(gaEvent)) softNavigation.recordPageView(gaEvent);
           processGaHit(gaEvent, {
             metrics,
             measurementIds,
@@ -268,13 +295,14 @@ async function scanWebsite(url, onProgress) {
             navigationId,
             pageViewsPerNavigation
           });
-
+        });
+        if (gaHits.length) {
           progressEmitter({
             stage: `${currentStage}_PROGRESS`,
             url,
             metrics: cloneMetrics(metrics),
             riskScore: finalScore,
-            verdict: verdictFromScore(finalScore),
+            verdict: verdictFromScore(finalScore, scoringRules),
             signals,
             advertisers: mapAdvertisers(advertisers)
           });
@@ -282,14 +310,17 @@ async function scanWebsite(url, onProgress) {
       }
     });
 
+    await storage.checkpoint(page, 'start');
     await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 30_000 });
     await page.waitForTimeout(2000);
+    await storage.checkpoint(page, 'page_load');
     await collectDomTagInventory(page, tagInventory, tagInventoryDetailed);
 
     // Run Tag Assistant parity detection
     let tagParityResult = null;
     try {
-      tagParityResult = await runTagParityDetection(page);
+      // A fixed consent state already decided the banner; don't override it with an accept click
+      tagParityResult = await runTagParityDetection(page, { handleConsent: !consentState });
       console.log(`[Scanner] Tag Parity Detection: GA4=${tagParityResult.ga4_ids.length}, GTM=${tagParityResult.gtm_containers.length}, AW=${tagParityResult.gads_aw_ids.length}, FB=${tagParityResult.fb_pixel_ids.length}`);
       
       // Merge detected IDs into tagInventory
@@ -345,47 +376,45 @@ async function scanWebsite(url, onProgress) {
       console.error(`[Scanner] Tag Parity Detection failed: ${error.message}`);
     }
 
+    await storage.checkpoint(page, 'tag_parity');
+
     await page.waitForTimeout(STAGE_A_MS);
+    await storage.checkpoint(page, 'stage_a');
     stageADeltas = { adImpressions: metrics.adImpressionCount };
     updateDerivedMetrics(metrics, measurementIds, queryIds, STAGE_A_MS / 1000, contextEventCounts);
-    ({ score: finalScore, signals } = scoreSignals(metrics, [], hitsById));
+    ({ score: finalScore, signals } = scoreSignals(metrics, [], hitsById, scoringRules));
     progressEmitter({
       stage: 'A_DONE',
       url,
       metrics: cloneMetrics(metrics),
-      verdict: verdictFromScore(finalScore),
+      verdict: verdictFromScore(finalScore, scoringRules),
       riskScore: finalScore,
       signals,
       advertisers: mapAdvertisers(advertisers)
     }, true);
 
-    if (finalScore >= 30) {
+    if (finalScore >= scoringRules.escalation.stageB) {
       currentStage = 'B';
       await performHalfScroll(page);
       await page.waitForTimeout(STAGE_B_MS);
+      await storage.checkpoint(page, 'stage_b');
       const delta = metrics.adImpressionCount - stageADeltas.adImpressions;
       updateDerivedMetrics(metrics, measurementIds, queryIds, (STAGE_A_MS + STAGE_B_MS) / 1000, contextEventCounts);
-      ({ score: finalScore, signals } = scoreSignals(metrics, signals, hitsById));
-      if (delta >= 3 && !metrics.hasViewabilityParams) {
-        signals.push({
-          id: 'post_scroll_burst',
-          severity: 'med',
-          detail: 'Ad impressions continued at high rate after scroll without viewability checks.'
-        });
-        finalScore = Math.min(100, finalScore + 10);
-      }
+      ({ score: finalScore, signals } = scoreSignals(metrics, signals, hitsById, scoringRules, {
+        postScrollImpressionDelta: delta
+      }));
       progressEmitter({
         stage: 'B_DONE',
         url,
         metrics: cloneMetrics(metrics),
-        verdict: verdictFromScore(finalScore),
+        verdict: verdictFromScore(finalScore, scoringRules),
         riskScore: finalScore,
         signals,
         advertisers: mapAdvertisers(advertisers)
       }, true);
     }
 
-    if (finalScore >= 60) {
+    if (finalScore >= scoringRules.escalation.stageC) {
       currentStage = 'C';
       isScannerScrolling = true;
       await autoScroll(page);
@@ -393,11 +422,12 @@ async function scanWebsite(url, onProgress) {
       await analyzeFrames(page, fraudWarnings);
       screenshotPath = await takeScreenshot(page);
       await harvestStaticTags(page, tagInventory, tagInventoryDetailed);
+      await storage.checkpoint(page, 'stage_c');
       progressEmitter({
         stage: 'C_DONE',
         url,
         metrics: cloneMetrics(metrics),
-        verdict: verdictFromScore(finalScore),
+        verdict: verdictFromScore(finalScore, scoringRules),
         riskScore: finalScore,
         signals,
         advertisers: mapAdvertisers(advertisers)
@@ -407,12 +437,56 @@ async function scanWebsite(url, onProgress) {
     const observed = {
       stageASeconds: STAGE_A_MS / 1000
     };
-    if (finalScore >= 30) observed.stageBSeconds = STAGE_B_MS / 1000;
+    if (finalScore >= scoringRules.escalation.stageB) observed.stageBSeconds = STAGE_B_MS / 1000;
 
     diagnostics.topHostnames = getTopHostnames(adHostCounts);
 
     const detailedOutput = formatDetailedInventory(tagInventoryDetailed);
 
+    // Storage inventory: duplicated or competing cookies split analytics sessions
+    const storageInventory = storage.inventory(url);
+    storageInventory.findings.forEach(finding => {
+      pushWarningOnce(warningSet, fraudWarnings, {
+        type: finding.title,
+        details: finding.details,
+        url: 'storage-inventory',
+        risk: finding.severity === 'high' ? 'High' : 'Medium'
+      });
+    });
+
+    // SPA routers firing page_view from both gtag config and a GTM History Change trigger
+    const softNavigationReport = softNavigation.report();
+    softNavigationReport.findings.forEach(finding => {
+      pushWarningOnce(warningSet, fraudWarnings, {
+        type: finding.title,
+        details: finding.details,
+        url: finding.evidence.route,
+        risk: 'High'
+      });
+    });
+
+    // GA4 session sequences a real browser cannot produce
+    gaSessions.findings().forEach(finding => {
+      pushWarningOnce(warningSet, fraudWarnings, {
+        type: finding.title,
+        details: finding.details,
+        url: 'google-analytics.com',
+        risk: 'High'
+      });
+    });
+
+    // Duplicate beacons from non-GA vendors (GA duplicates are reported by processGaHit)
+    beacons.findings()
+      .filter(finding => finding.vendor !== 'google_analytics')
+      .forEach(finding => {
+        pushWarningOnce(warningSet, fraudWarnings, {
+          type: finding.title,
+          details: finding.details,
+          url: finding.evidence.endpoint,
+          risk: 'High'
+        });
+      });
+
     // Inflation detection: Multiple GA4 properties firing page_view
     // Requirement: "if multiple GA4 tids each send page_view at least once => issue 'Multiple GA4 properties firing page_view' and set risk at least Medium"
     const ga4TidsWithPageView = Object.keys(hitsById).filter(tid => {
@@ -461,23 +535,20 @@ async function scanWebsite(url, onProgress) {
       console.log(`[Scanner] Set default pageview count to 1 (analytics IDs detected: ${measurementIds.size} network, ${tagInventory?.analyticsIds?.length || 0} DOM)`);
     }
 
-    // Update risk score if flags indicate issues
-    if (tagParityResult && tagParityResult.flags.length > 0) {
-      const hasMultipleFlags = tagParityResult.flags.some(f => f.startsWith('MULTIPLE_'));
-      if (hasMultipleFlags && finalScore < 30) {
-        finalScore = Math.max(finalScore, 30); // At least Medium risk
-        if (finalScore >= 30 && verdictFromScore(finalScore) !== 'SUSPICIOUS') {
-          // Update verdict if needed
-        }
-      }
-    }
+    // Update risk score if flags indicate issues (score floors from the rules file)
+    ({ score: finalScore } = scoringEngine.applyScoreFloors(finalScore, {
+      tagParityMultiple: Boolean(tagParityResult && tagParityResult.flags.some(f => f.startsWith('MULTIPLE_')))
+    }, scoringRules));
 
     const output = {
       url,
       scanTimestamp: new Date().toISOString(),
+      consentState: consentState ? consentState.id : null,
+      emulation: session ? session.emulation : null,
       observed,
-      verdict: verdictFromScore(finalScore),
+      verdict: verdictFromScore(finalScore, scoringRules),
       riskScore: finalScore,
+      scoringRules: scoringEngine.rulesReference(scoringRules),
       metrics: cloneMetrics(metrics),
       signals,
       tagInventory: {
@@ -508,6 +579,7 @@ async function scanWebsite(url, onProgress) {
       },
       // #endregion
       tagInventoryDetailed: detailedOutput,
+      storageInventory,
       advertisers: mapAdvertisers(advertisers),
       evidence: {
         sampleGaHits: gaEvents.slice(0, 10),
@@ -518,6 +590,9 @@ async function scanWebsite(url, onProgress) {
       diagnostics,
       // Tag Assistant-style Hits Sent data
       hitsById: hitsById,
+      beaconsById: beacons.byId,
+      gaSessions: gaSessions.summary(),
+      softNavigation: softNavigationReport,
       pageviewsPerNavigation: pageviewsPerNavigationTotal
     };
 
@@ -540,9 +615,12 @@ async function scanWebsite(url, onProgress) {
     return {
       url,
       scanTimestamp: new Date().toISOString(),
+      consentState: consentState ? consentState.id : null,
+      emulation: session ? session.emulation : null,
       observed: { stageASeconds: 0 },
       verdict: 'PASS',
       riskScore: 0,
+      scoringRules: scoringEngine.rulesReference(scoringRules),
       metrics: cloneMetrics(metrics),
       signals,
       tagInventory: {
@@ -561,6 +639,9 @@ async function scanWebsite(url, onProgress) {
       fraudWarnings,
       diagnostics,
       hitsById: hitsById,
+      beaconsById: beacons.byId,
+      gaSessions: gaSessions.summary(),
+      softNavigation: softNavigation ? softNavigation.report() : null,
       pageviewsPerNavigation: 0,
       error: {
         message: error.message || 'Scan failed',
@@ -568,7 +649,7 @@ async function scanWebsite(url, onProgress) {
       }
     };
   } finally {
-    if (browser) await browser.close();
+    if (session) await session.close();
   }
 }
 
@@ -604,60 +685,80 @@ function createProgressEmitter(cb) {
   };
 }
 
-async function parseGaHit(request) {
+function parseGaHits(request, diagnostics) {
   try {
-    const parsedUrl = new URL(request.url());
-    const event = {
-      timestamp: Date.now(),
-      tid: null,
-      en: null,
-      t: null, // UA event type (pageview, event, transaction, item, etc.)
-      dl: null,
-      dr: null,
-      dt: null,
-      sid: null,
-      _p: null,
-      ep: {},
-      __hasViewability: false,
-      __uaPageView: false
-    };
+    const timestamp = Date.now();
+    const { hits, truncated } = splitGaRequest(request.url(), request.postData());
+    if (truncated && diagnostics) {
+      diagnostics.notes.push({
+        type: 'ga_body_truncated',
+        url: request.url().substring(0, 200),
+        ...truncated,
+        message: `GA request body of ${truncated.bodyLength} characters read only up to ${truncated.readLength}; ${truncated.droppedLines} event line(s) not counted.`
+      });
+    }
+    return hits.map(params => parseGaHit(params, timestamp));
+  } catch (error) {
+    return [];
+  }
+}
 
-    const absorbParams = params => {
-      for (const [key, value] of params.entries()) {
-        if (typeof value !== 'string' || value === '') continue;
-        if (key === 'tid') event.tid = value;
-        else if (key === 'en') event.en = value;
-        else if (key === 't') {
-          // Capture all UA event types (pageview, event, transaction, item, etc.)
-          event.t = value;
-          if (value === 'pageview') event.__uaPageView = true;
-        }
-        else if (key === 'dl') event.dl = value;
-        else if (key === 'dr') event.dr = value;
-        else if (key === 'dt') event.dt = value;
-        else if (key === 'sid') event.sid = value;
-        else if (key === '_p') event._p = value;
-        else if (key.startsWith('ep.')) {
-          const epKey = key.slice(3);
-          event.ep[epKey] = value;
-          if (VIEWABILITY_KEYWORDS.some(term => epKey.toLowerCase().includes(term) || value.toLowerCase().includes(term))) {
-            event.__hasViewability = true;
-          }
-        } else if (VIEWABILITY_KEYWORDS.some(term => key.toLowerCase().includes(term))) {
-          event.__hasViewability = true;
-        }
+function parseGaHit(params, timestamp) {
+  const event = {
+    timestamp,
+    tid: null,
+    en: null,
+    t: null, // UA event type (pageview, event, transaction, item, etc.)
+    dl: null,
+    dr: null,
+    dt: null,
+    sid: null,
+    sct: null,
+    seg: null,
+    _s: null,
+    _et: null,
+    _p: null,
+    ep: {},
+    __hasViewability: false,
+    __uaPageView: false
+  };
+  // Kept for the session tracker; not serialized into samples
+  Object.defineProperty(event, '__params', { value: params, enumerable: false });
+
+  for (const [key, value] of params.entries()) {
+    if (typeof value !== 'string' || value === '') continue;
+    if (key === 'tid') event.tid = value;
+    else if (key === 'en') event.en = value;
+    else if (key === 't') {
+      // Capture all UA event types (pageview, event, transaction, item, etc.)
+      event.t = value;
+      if (value === 'pageview') event.__uaPageView = true;
+    }
+    else if (key === 'dl') event.dl = value;
+    else if (key === 'dr') event.dr = value;
+    else if (key === 'dt') event.dt = value;
+    else if (key === 'sid') event.sid = value;
+    else if (key === 'sct') event.sct = value;
+    else if (key === 'seg') event.seg = value;
+    else if (key === '_s') event._s = value;
+    else if (key === '_et') event._et = value;
+    else if (key === '_p') event._p = value;
+    else if (key.startsWith('ep.')) {
+      const epKey = key.slice(3);
+      event.ep[epKey] = value;
+      if (VIEWABILITY_KEYWORDS.some(term => epKey.toLowerCase().includes(term) || value.toLowerCase().includes(term))) {
+        event.__hasViewability = true;
       }
-    };
-
-    absorbParams(parsedUrl.searchParams);
-    const body = request.postData();
-    if (body && body.length < 5000) {
-      absorbParams(new URLSearchParams(body));
+    } else if (VIEWABILITY_KEYWORDS.some(term => key.toLowerCase().includes(term))) {
+      event.__hasViewability = true;
     }
-    return event;
-  } catch (error) {
-    return null;
   }
+  return event;
+}
+
+// GA4 en=page_view, UA t=pageview, or a GA4 automatic pageview (dl but no en/t)
+function isGaPageView(event) {
+  return event.en === 'page_view' || event.t === 'pageview' || Boolean(event.tid && event.dl && !event.en && !event.t);
 }
 
 function processGaHit(event, context) {
@@ -863,87 +964,35 @@ function updateDerivedMetrics(metrics, measurementIds, queryIds, observedSeconds
   metrics.repeatedContextEvents = repeated;
 }
 
-function scoreSignals(metrics, existingSignals = [], hitsById = {}) {
-  let score = 0;
-  const signals = [...existingSignals];
-
-  if (metrics.adImpressionCount >= 5) {
-    score += 30;
-    signals.push({
-      id: 'rapid_ad_impressions',
-      severity: 'high',
-      detail: '5+ ad_impression events within 12 seconds.'
-    });
-  }
-
-  if (metrics.uniqueQueryIds >= 3) {
-    score += 20;
-    signals.push({
-      id: 'query_id_churn',
-      severity: 'med',
-      detail: 'Multiple unique query_id values detected.'
-    });
-  }
+/**
+ * Map scanner metrics onto the facts the scoring rules reference
+ * (see scoring/rules/default.yaml)
+ */
+function buildScoringFacts(metrics, hitsById = {}, extraFacts = {}) {
+  const pageviewsByMeasurementId = Object.entries(hitsById).map(([tid, hitData]) => ({
+    tid,
+    count: (hitData.events['page_view'] || 0) + (hitData.events['pageview'] || 0)
+  }));
 
-  if (
-    metrics.adImpressionCount > 0 &&
-    metrics.queryIdUniquenessRatio >= 0.8
-  ) {
-    score += 15;
-    signals.push({
-      id: 'query_id_ratio',
-      severity: 'med',
-      detail: 'High ratio of unique ad_impression query IDs.'
-    });
-  }
-
-  if (metrics.adImpressionCount > 0 && !metrics.hasViewabilityParams) {
-    score += 15;
-    signals.push({
-      id: 'missing_viewability',
-      severity: 'med',
-      detail: 'No viewability parameters found in GA telemetry.'
-    });
-  }
-
-  if (metrics.uniqueMeasurementIds.length > 1) {
-    score += 10;
-    signals.push({
-      id: 'multiple_measurement_ids',
-      severity: 'low',
-      detail: 'Multiple GA measurement IDs observed simultaneously.'
-    });
-  }
-
-  if (metrics.selfReferrer) {
-    score += 5;
-    signals.push({
-      id: 'self_referrer',
-      severity: 'low',
-      detail: 'GA hits reference same domain as referrer.'
-    });
-  }
-  
-  // Check for duplicate pageviews in hitsById
-  for (const [tid, hitData] of Object.entries(hitsById)) {
-    const pageViewCount = (hitData.events['page_view'] || 0) + (hitData.events['pageview'] || 0);
-    if (pageViewCount > 1) {
-      score += 20;
-      signals.push({
-        id: 'duplicate_pageview',
-        severity: 'high',
-        detail: `Measurement ID ${tid} sent ${pageViewCount} page_view hits.`
-      });
-    }
-  }
+  return {
+    adImpressionCount: metrics.adImpressionCount,
+    uniqueQueryIds: metrics.uniqueQueryIds,
+    queryIdUniquenessRatio: metrics.queryIdUniquenessRatio,
+    hasViewabilityParams: Boolean(metrics.hasViewabilityParams),
+    measurementIdCount: metrics.uniqueMeasurementIds.length,
+    selfReferrer: Boolean(metrics.selfReferrer),
+    pageviewsByMeasurementId,
+    ...extraFacts
+  };
+}
 
-  return { score: Math.min(score, 100), signals };
+function scoreSignals(metrics, existingSignals = [], hitsById = {}, rules, extraFacts = {}) {
+  const { score, signals } = scoringEngine.scoreSignals(buildScoringFacts(metrics, hitsById, extraFacts), rules, existingSignals);
+  return { score, signals };
 }
 
-function verdictFromScore(score) {
-  if (score >= 60) return 'HIGH_RISK';
-  if (score >= 30) return 'SUSPICIOUS';
-  return 'PASS';
+function verdictFromScore(score, rules) {
+  return scoringEngine.verdictFromScore(score, rules);
 }
 
 async function performHalfScroll(page) {
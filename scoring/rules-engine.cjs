@@ -0,0 +1,275 @@
+/**
+ * Scoring Rules Engine
+ * Loads declarative, versioned scoring rules (YAML or JSON) and evaluates
+ * them against the facts a scanner collected. Signal weights, thresholds,
+ * severities, verdict bands and stage escalation all live in the rules file
+ * so each client contract can tune sensitivity without code changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const RULES_DIR = path.join(__dirname, 'rules');
+const DEFAULT_RULES = 'default';
+const OPERATORS = {
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+  eq: (a, b) => a === b,
+  ne: (a, b) => a !== b
+};
+const SEVERITIES = new Set(['low', 'med', 'high']);
+
+const cache = new Map();
+
+/**
+ * Names of the rule sets shipped in scoring/rules/
+ * @returns {string[]} - Bare names, e.g. ["default"]
+ */
+function listScoringRules() {
+  return fs.readdirSync(RULES_DIR)
+    .filter(file => /\.(ya?ml|json)$/i.test(file))
+    .map(file => file.replace(/\.(ya?ml|json)$/i, ''))
+    .sort();
+}
+
+/**
+ * Validation message for a rules reference from an untrusted caller (the API),
+ * or null when it is absent or names a rule set in scoring/rules/. File paths
+ * are only accepted from the CLI and CYBERTECT_SCORING_RULES.
+ * @param {*} ref - Requested rules
+ * @returns {string|null}
+ */
+function scoringRulesNameError(ref) {
+  if (ref === undefined || ref === null) return null;
+  const names = listScoringRules();
+  if (typeof ref === 'string' && names.includes(ref)) return null;
+  return `scoringRules must be the name of a rule set in scoring/rules: ${names.join(', ')}`;
+}
+
+/**
+ * Resolve a rules reference to a file path. Bare names (e.g. "default",
+ * "acme-strict") map to scoring/rules/<name>.yaml|.yml|.json.
+ * @param {string} ref - Rules name or path
+ * @returns {string} - Absolute file path
+ */
+function resolveRulesPath(ref) {
+  if (/^[\w.-]+$/.test(ref) && !/\.(ya?ml|json)$/i.test(ref)) {
+    for (const ext of ['.yaml', '.yml', '.json']) {
+      const candidate = path.join(RULES_DIR, `${ref}${ext}`);
+      if (fs.existsSync(candidate)) return candidate;
+    }
+    throw new Error(`Scoring rules "${ref}" not found in ${RULES_DIR}`);
+  }
+  const resolved = path.resolve(ref);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Scoring rules file not found: ${resolved}`);
+  }
+  return resolved;
+}
+
+function validateConditions(when, where) {
+  if (when === undefined) return {};
+  if (!when || typeof when !== 'object' || Array.isArray(when)) {
+    throw new Error(`${where}: "when" must be a map of fact -> { operator: value }`);
+  }
+  Object.entries(when).forEach(([fact, test]) => {
+    if (!test || typeof test !== 'object') {
+      throw new Error(`${where}: condition on "${fact}" must be an object such as { gte: 5 }`);
+    }
+    Object.keys(test).forEach(op => {
+      if (!OPERATORS[op]) {
+        throw new Error(`${where}: unknown operator "${op}" on "${fact}" (use ${Object.keys(OPERATORS).join(', ')})`);
+      }
+    });
+  });
+  return when;
+}
+
+/**
+ * Validate and normalize a parsed rules document
+ * @param {object} doc - Parsed YAML/JSON
+ * @param {string} source - File path or label for error messages
+ * @returns {object} - Normalized rules
+ */
+function normalizeRules(doc, source = 'rules') {
+  if (!doc || typeof doc !== 'object') {
+    throw new Error(`${source}: rules document must be an object`);
+  }
+  if (!doc.id || doc.version === undefined || doc.version === null) {
+    throw new Error(`${source}: "id" and "version" are required`);
+  }
+  if (!Array.isArray(doc.verdicts) || doc.verdicts.length === 0) {
+    throw new Error(`${source}: "verdicts" must list at least one band`);
+  }
+  const verdicts = doc.verdicts.map((band, i) => {
+    if (!band.verdict || typeof band.min !== 'number') {
+      throw new Error(`${source}: verdicts[${i}] needs "verdict" and numeric "min"`);
+    }
+    return { verdict: band.verdict, min: band.min };
+  }).sort((a, b) => b.min - a.min);
+
+  const signals = (doc.signals || []).map((rule, i) => {
+    const where = `${source}: signals[${i}]${rule && rule.id ? ` (${rule.id})` : ''}`;
+    if (!rule.id) throw new Error(`${where}: "id" is required`);
+    if (!SEVERITIES.has(rule.severity)) {
+      throw new Error(`${where}: severity must be one of ${Array.from(SEVERITIES).join(', ')}`);
+    }
+    if (typeof rule.points !== 'number') throw new Error(`${where}: numeric "points" is required`);
+    return {
+      id: rule.id,
+      severity: rule.severity,
+      points: rule.points,
+      forEach: rule.forEach || null,
+      when: validateConditions(rule.when, where),
+      detail: rule.detail || rule.id
+    };
+  });
+
+  const floors = (doc.floors || []).map((floor, i) => {
+    const where = `${source}: floors[${i}]`;
+    if (typeof floor.minScore !== 'number') throw new Error(`${where}: numeric "minScore" is required`);
+    return { id: floor.id || `floor_${i}`, minScore: floor.minScore, when: validateConditions(floor.when, where) };
+  });
+
+  // Without explicit escalation, the deeper stages start at the lowest
+  // non-passing band and at the top band respectively.
+  const ascendingMins = verdicts.map(b => b.min).reverse();
+  const escalation = {
+    stageB: ascendingMins.find(min => min > 0) ?? verdicts[0].min,
+    stageC: verdicts[0].min,
+    ...(doc.escalation || {})
+  };
+
+  return {
+    id: String(doc.id),
+    version: String(doc.version),
+    maxScore: typeof doc.maxScore === 'number' ? doc.maxScore : 100,
+    escalation,
+    verdicts,
+    signals,
+    floors,
+    source
+  };
+}
+
+/**
+ * Load scoring rules by name or path (cached per file)
+ * @param {string|object} [ref] - Rules name, path, or an already-parsed document.
+ *   Defaults to CYBERTECT_SCORING_RULES, then "default".
+ * @returns {object} - Normalized rules
+ */
+function loadScoringRules(ref) {
+  if (ref && typeof ref === 'object') {
+    return ref.signals && ref.verdicts && ref.source ? ref : normalizeRules(ref, 'inline rules');
+  }
+  const filePath = resolveRulesPath(ref || process.env.CYBERTECT_SCORING_RULES || DEFAULT_RULES);
+  if (cache.has(filePath)) return cache.get(filePath);
+
+  const raw = fs.readFileSync(filePath, 'utf8');
+  let doc;
+  try {
+    doc = /\.json$/i.test(filePath) ? JSON.parse(raw) : yaml.load(raw);
+  } catch (error) {
+    throw new Error(`${filePath}: ${error.message}`);
+  }
+  const rules = normalizeRules(doc, filePath);
+  cache.set(filePath, rules);
+  return rules;
+}
+
+function conditionsHold(when, facts) {
+  return Object.entries(when).every(([fact, test]) => {
+    const actual = facts[fact];
+    if (actual === undefined || actual === null) return false;
+    return Object.entries(test).every(([op, expected]) => OPERATORS[op](actual, expected));
+  });
+}
+
+function renderDetail(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? String(values[key]) : match));
+}
+
+/**
+ * Score scanner facts against a rules set
+ * @param {object} facts - Flat map of fact name -> value
+ * @param {object} rules - Normalized rules from loadScoringRules()
+ * @param {Array} existingSignals - Signals from an earlier stage; re-raised
+ *   signals are not duplicated
+ * @returns {object} - { score, verdict, signals }
+ */
+function scoreSignals(facts, rules, existingSignals = []) {
+  let score = 0;
+  const signals = [...existingSignals];
+  const seen = new Set(signals.map(s => `${s.id}|${s.detail}`));
+
+  const raise = (rule, values) => {
+    score += rule.points;
+    const signal = {
+      id: rule.id,
+      severity: rule.severity,
+      detail: renderDetail(rule.detail, values),
+      points: rule.points
+    };
+    const key = `${signal.id}|${signal.detail}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      signals.push(signal);
+    }
+  };
+
+  rules.signals.forEach(rule => {
+    if (rule.forEach) {
+      (facts[rule.forEach] || []).forEach(item => {
+        if (conditionsHold(rule.when, item)) raise(rule, item);
+      });
+    } else if (conditionsHold(rule.when, facts)) {
+      raise(rule, facts);
+    }
+  });
+
+  const capped = Math.min(score, rules.maxScore);
+  return { score: capped, verdict: verdictFromScore(capped, rules), signals };
+}
+
+/**
+ * Raise a score to any floor whose conditions hold
+ * @returns {object} - { score, floorsApplied }
+ */
+function applyScoreFloors(score, facts, rules) {
+  const floorsApplied = [];
+  let result = score;
+  rules.floors.forEach(floor => {
+    if (conditionsHold(floor.when, facts) && result < floor.minScore) {
+      result = floor.minScore;
+      floorsApplied.push(floor.id);
+    }
+  });
+  return { score: Math.min(result, rules.maxScore), floorsApplied };
+}
+
+function verdictFromScore(score, rules) {
+  const band = rules.verdicts.find(b => score >= b.min);
+  return band ? band.verdict : rules.verdicts[rules.verdicts.length - 1].verdict;
+}
+
+/**
+ * Reference embedded in scan results so a verdict can be traced back to the
+ * exact rules version that produced it
+ */
+function rulesReference(rules) {
+  return { id: rules.id, version: rules.version };
+}
+
+module.exports = {
+  listScoringRules,
+  scoringRulesNameError,
+  loadScoringRules,
+  normalizeRules,
+  scoreSignals,
+  applyScoreFloors,
+  verdictFromScore,
+  rulesReference
+};
@@ -7,6 +7,10 @@ const archiver = require('archiver');
 const OpenAI = require('openai');
 require('dotenv').config();
 const { createClient } = require('@supabase/supabase-js');
+const { parseConsentStates } = require('./consent/consent-state.cjs');
+const { resolveEmulation } = require('./browser/emulation.cjs');
+const { scoringRulesNameError } = require('./scoring/rules-engine.cjs');
+const { compactEvidence, tokenBudgetFor } = require('./ai-validation/compaction.cjs');
 
 // --- SUPABASE SETUP ---
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -23,7 +27,8 @@ if (supabaseUrl && supabaseKey) {
 }
 
 // --- MODULE LOADING ---
-let scanWebsite, scanInjectedTelemetry, diagnoseAnalytics, scanAdImpressions, generateEvidencePack;
+let scanWebsite, scanInjectedTelemetry, diagnoseAnalytics, scanAdImpressions, parseViewabilityStandards, parseJourney, scanCMSOutput, runConsentMatrix, toConsentCaseBrief;
+let generateAdEvidencePack, generateCmsEvidencePack, diffBaseline, saveBaseline, findLatestBaseline;
 function loadScannerModules() {
   if (!scanWebsite) {
     try {
@@ -31,12 +36,47 @@ function loadScannerModules() {
         ({ scanInjectedTelemetry } = require('./injected-telemetry-scanner.cjs'));
         ({ diagnoseAnalytics } = require('./diagnosis.cjs'));
         ({ scanAdImpressions } = require('./ad-impression-verification/scanner.cjs'));
+        ({ parseViewabilityStandards } = require('./ad-impression-verification/viewability.cjs'));
+        ({ parseJourney } = require('./ad-impression-verification/journey.cjs'));
+        ({ generateEvidencePack: generateAdEvidencePack } = require('./ad-impression-verification/export.cjs'));
+        ({ scanCMSOutput } = require('./cms-monitor/scanner.cjs'));
+        ({ generateEvidencePack: generateCmsEvidencePack, diffBaseline } = require('./cms-monitor/export.cjs'));
+        ({ saveBaseline, findLatestBaseline } = require('./cms-monitor/baselines.cjs'));
+        ({ runConsentMatrix, toConsentCaseBrief } = require('./consent/consent-matrix.cjs'));
     } catch (e) {
         console.warn("⚠️ Scanner modules missing. Ensure files exist.", e.message);
     }
   }
 }
 
+// SQLite-backed modules are required on first use so the API still boots
+// when better-sqlite3 has not been built for this platform.
+let telemetryIndex, affectedVendorsDb, videotect, aiValidation;
+function loadTelemetryIndex() {
+  if (!telemetryIndex) telemetryIndex = require('./src/index-telemetry.cjs');
+  return telemetryIndex;
+}
+function loadAffectedVendorsDb() {
+  if (!affectedVendorsDb) affectedVendorsDb = require('./src/db/affected-ad-vendors.cjs');
+  return affectedVendorsDb;
+}
+async function loadVideotect() {
+  if (!videotect) videotect = require('./src/videotect/videotect.cjs');
+  await videotect.ensureLoaded();
+  return videotect;
+}
+function loadAiValidation() {
+  if (!aiValidation) {
+    aiValidation = {
+      ...require('./ai-validation/orchestrator.cjs'),
+      ...require('./ai-validation/templates/registry.cjs'),
+      ...require('./ai-validation/providers/provider-factory.cjs'),
+      ...require('./ai-validation/consensus.cjs')
+    };
+  }
+  return aiValidation;
+}
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
@@ -73,6 +113,100 @@ async function saveVendorRisks(scanId, flags) {
   await supabase.from('vendor_risks').insert(risks);
 }
 
+// Every API error goes out in the same envelope so the React components and
+// the static tool pages can read `data.error` regardless of the route.
+function sendError(res, status, error) {
+  const message = error instanceof Error ? error.message : String(error);
+  return res.status(status).json({ success: false, error: message });
+}
+
+function requireUrl(value) {
+  if (!value || typeof value !== 'string' || !value.trim()) return null;
+  const trimmed = value.trim();
+  return /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+}
+
+// Validation message for a consentState option, or null when it is absent or valid
+function consentStateError(consentState) {
+  if (!consentState) return null;
+  try {
+    parseConsentStates([consentState]);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+// Validation message for an emulation option, or null when it is absent or valid
+function emulationOptionError(emulation) {
+  try {
+    resolveEmulation(emulation);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function normalizePublisherId(domain) {
+  return String(domain || '').trim().toLowerCase().replace(/^www\./, '');
+}
+
+/**
+ * Scan one URL and record it in Supabase. This is the unit of work the scan
+ * queue runs; failures are recorded and re-thrown so the job marks the URL failed.
+ */
+async function scanAndPersist(url, onProgress, jobOptions = {}) {
+  loadScannerModules();
+  if (!scanWebsite) throw new Error('Scanner module unavailable');
+  try {
+    console.log(`Scanning: ${url}`);
+    const result = await scanWebsite(url, onProgress, {
+      scoringRules: jobOptions.scoringRules,
+      consentState: jobOptions.consentState,
+      emulation: jobOptions.emulation
+    });
+
+    if (result && supabase) {
+      const risk = (result.fraudWarnings?.length > 0) ? 100 : 0;
+      const { data: scanData } = await supabase.from('scans').insert({
+        url: url, status: 'completed', risk_score: risk, metadata: result, findings_summary: result.findings || []
+      }).select().single();
+
+      if (scanData) {
+        console.log('💾 Scan saved with ID:', scanData.id);
+
+        // CRITICAL FIX: Send the REAL DB ID back to the client!
+        result.id = scanData.id;
+
+        const inventory = result.tagInventory || {};
+        const analyticsFindings = [];
+        const addFinding = (type, id) => analyticsFindings.push({ type, id, status: 'detected' });
+        (inventory.analyticsIds || []).forEach(id => addFinding('GA4', id));
+        (inventory.gtmContainers || []).forEach(id => addFinding('GTM', id));
+        (inventory.facebookPixels || []).forEach(id => addFinding('FB Pixel', id));
+        await saveAnalyticsEntries(scanData.id, analyticsFindings);
+      }
+    }
+    return result;
+  } catch (e) {
+    console.error(`Scan failed for ${url}:`, e);
+    if (supabase) await supabase.from('scans').insert({ url, status: 'failed', metadata: { error: e.message } });
+    throw e;
+  }
+}
+
+let scanQueue;
+function ensureScanWorkers() {
+  if (!scanQueue) {
+    scanQueue = require('./scan-queue/queue.cjs');
+    scanQueue.startScanWorkers({
+      scan: scanAndPersist,
+      concurrency: process.env.SCAN_CONCURRENCY || 2
+    });
+  }
+  return scanQueue;
+}
+
 // --- 🤖 AI PRODUCTION ENGINE (OpenAI) ---
 async function performAIAnalysis(jobId, evidenceData) {
   const apiKey = process.env.OPENAI_API_KEY;
@@ -89,13 +223,20 @@ Analyze the provided evidence JSON for:
 2. **High Risk Score Indicators** – Interpret risk_score, fraudWarnings, and verdict fields. Flag anything that suggests inflation, stacking, pixel stuffing, or measurement fraud.
 3. **Discrepancies in findings_summary** – Identify inconsistencies, contradictions, or patterns that indicate wasted ad spend, inflated metrics, or compliance issues.
 
+If the evidence has a \`compaction\` block with omitted rows, lower-ranked rows were left out to fit the context window and are summarized there. Treat those summaries as counts, not as individual rows, and mention the omission in the report.
+
 Respond with a structured report in markdown. Include:
 - **Executive Summary** (2–3 sentences)
 - **Key Findings** (bulleted list of anomalies)
 - **Risk Assessment** (High/Medium/Low with rationale)
 - **Recommendations** (actionable next steps)`;
 
-  const userMessage = `Analyze this ad-tech forensic scan evidence:\n\n${JSON.stringify(evidenceData, null, 2)}`;
+  // Large scans are ranked and trimmed to the model's token budget; the evidence records what was omitted
+  const { evidence, compaction } = compactEvidence(evidenceData, { tokenBudget: tokenBudgetFor('openai') });
+  if (compaction.omitted_rows > 0) {
+    console.log(`🗜️ Evidence for Job ${jobId} compacted: ${compaction.omitted_rows} rows omitted (~${compaction.estimated_tokens_after} tokens)`);
+  }
+  const userMessage = `Analyze this ad-tech forensic scan evidence:\n\n${JSON.stringify(evidence, null, 2)}`;
 
   console.log(`🤖 AI Production analysis started for Job: ${jobId}`);
 
@@ -147,60 +288,133 @@ async function processAIJob(jobId, evidenceData) {
 }
 
 // --- ENDPOINTS ---
-app.get('/', (req, res) => res.json({ message: 'Cybertect API', endpoints: ['/api/scan', '/api/ai-validation/run'] }));
-
+app.get('/', (req, res) => res.json({
+  message: 'Cybertect API',
+  endpoints: [
+    '/api/scan',
+    '/api/jobs',
+    '/api/jobs/:id',
+    '/api/jobs/:id/events',
+    '/api/jobs/:id/cancel',
+    '/api/diagnose',
+    '/api/injected-telemetry-scan',
+    '/api/ad-impression-verification/scan',
+    '/api/ad-impression-verification/export',
+    '/api/cms-monitor/run',
+    '/api/cms-monitor/evidence/:scanId',
+    '/api/consent-matrix',
+    '/api/reverse-search',
+    '/api/videotect/*',
+    '/api/scans/:scanId/publishers/:domain/affected-vendors',
+    '/api/ai-validation/upload',
+    '/api/ai-validation/run',
+    '/api/ai-validation/result/:runId',
+    '/api/ai-validation/templates',
+    '/api/ai-validation/providers'
+  ]
+}));
+
+// Scans run on the background worker pool (scan-queue/). /api/scan keeps its
+// original request/response contract by submitting a job and waiting for it.
 app.post('/api/scan', async (req, res) => {
   try {
-    loadScannerModules(); 
-    const { urls } = req.body;
-    if (!urls || !urls.length) return res.status(400).json({ error: 'URLs required' });
+    const { urls, options } = req.body;
+    if (!urls || !urls.length) return sendError(res, 400, 'URLs required');
+    const consentError = consentStateError(options && options.consentState);
+    if (consentError) return sendError(res, 400, consentError);
+    const emulationError = emulationOptionError(options && options.emulation);
+    if (emulationError) return sendError(res, 400, emulationError);
+    const rulesError = scoringRulesNameError(options && options.scoringRules);
+    if (rulesError) return sendError(res, 400, rulesError);
 
     console.log(`\n🔍 Starting scan for ${urls.length} URL(s)`);
-    const results = [];
-    
-    for (const url of urls) {
-      try {
-        console.log(`Scanning: ${url}`);
-        const result = await scanWebsite(url);
-        
-        if (result && supabase) {
-             const risk = (result.fraudWarnings?.length > 0) ? 100 : 0;
-             const { data: scanData, error } = await supabase.from('scans').insert({
-               url: url, status: 'completed', risk_score: risk, metadata: result, findings_summary: result.findings || []
-             }).select().single();
-
-             if (scanData) {
-                console.log('💾 Scan saved with ID:', scanData.id);
-                
-                // CRITICAL FIX: Send the REAL DB ID back to the client!
-                result.id = scanData.id; 
-
-                const inventory = result.tagInventory || {};
-                const analyticsFindings = [];
-                const addFinding = (type, id) => analyticsFindings.push({ type, id, status: 'detected' });
-                (inventory.analyticsIds || []).forEach(id => addFinding('GA4', id));
-                (inventory.gtmContainers || []).forEach(id => addFinding('GTM', id));
-                (inventory.facebookPixels || []).forEach(id => addFinding('FB Pixel', id));
-                await saveAnalyticsEntries(scanData.id, analyticsFindings);
-             }
-             results.push(result);
-        }
-      } catch (e) {
-        console.error(`Scan failed for ${url}:`, e);
-        if(supabase) await supabase.from('scans').insert({ url, status: 'failed', metadata: { error: e.message }});
-        results.push({ url, error: e.message });
-      }
+    const { submitScanJob, waitForScanJob } = ensureScanWorkers();
+    const job = await waitForScanJob(submitScanJob(urls, options || {}).id);
+    const results = job.urls.map(entry => entry.result || { url: entry.url, error: entry.error || entry.status });
+    res.json({ jobId: job.id, results });
+  } catch (error) { sendError(res, 500, error); }
+});
+
+app.post('/api/jobs', (req, res) => {
+  try {
+    const { urls, options } = req.body;
+    if (!Array.isArray(urls) || urls.length === 0) return sendError(res, 400, 'URLs required');
+    const consentError = consentStateError(options && options.consentState);
+    if (consentError) return sendError(res, 400, consentError);
+    const emulationError = emulationOptionError(options && options.emulation);
+    if (emulationError) return sendError(res, 400, emulationError);
+    const rulesError = scoringRulesNameError(options && options.scoringRules);
+    if (rulesError) return sendError(res, 400, rulesError);
+
+    const job = ensureScanWorkers().submitScanJob(urls, options || {});
+    res.status(202).json({ success: true, jobId: job.id, job });
+  } catch (error) { sendError(res, 500, error); }
+});
+
+app.get('/api/jobs', (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+    res.json({ success: true, jobs: ensureScanWorkers().listScanJobs(limit) });
+  } catch (error) { sendError(res, 500, error); }
+});
+
+app.get('/api/jobs/:id', (req, res) => {
+  try {
+    const job = ensureScanWorkers().getScanJob(req.params.id);
+    if (!job) return sendError(res, 404, `Scan job not found: ${req.params.id}`);
+    res.json({ success: true, job });
+  } catch (error) { sendError(res, 500, error); }
+});
+
+app.get('/api/jobs/:id/events', (req, res) => {
+  const queue = ensureScanWorkers();
+  const job = queue.getScanJob(req.params.id);
+  if (!job) return sendError(res, 404, `Scan job not found: ${req.params.id}`);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (event) => res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  send({ type: 'snapshot', jobId: job.id, at: new Date().toISOString(), job: { ...job, urls: undefined }, progress: job.progress });
+  if (queue.isTerminal(job.status)) return res.end();
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const unsubscribe = queue.subscribeToScanJob(job.id, event => {
+    send(event);
+    if (queue.isTerminal(event.type)) {
+      cleanup();
+      res.end();
     }
-    res.json({ results });
-  } catch (error) { res.status(500).json({ error: error.message }); }
+  });
+  function cleanup() {
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+  req.on('close', cleanup);
+});
+
+app.post('/api/jobs/:id/cancel', (req, res) => {
+  try {
+    const job = ensureScanWorkers().cancelScanJob(req.params.id);
+    if (!job) return sendError(res, 404, `Scan job not found: ${req.params.id}`);
+    res.json({ success: true, job });
+  } catch (error) { sendError(res, 500, error); }
 });
 
 app.post('/api/ai-validation/run', async (req, res) => {
     try {
+        // Evidence-pack uploads from the AI Validation page run through the
+        // local orchestrator; everything else is a Supabase-tracked job.
+        if (req.body.uploadId) return runUploadedValidation(req, res);
+
         const { scanId, evidenceData } = req.body;
         console.log("🤖 Received AI Request for scanId:", scanId);
 
-        if (!supabase) return res.status(503).json({ error: "Database not connected" });
+        if (!supabase) return sendError(res, 503, "Database not connected");
 
         // CRITICAL FIX: Sanitize the ID. If it's not a real UUID, set it to NULL.
         let validScanId = scanId;
@@ -225,17 +439,472 @@ app.post('/api/ai-validation/run', async (req, res) => {
 
     } catch (error) {
         console.error("AI Dispatch Error:", error);
-        res.status(500).json({ error: error.message });
+        sendError(res, 500, error);
     }
 });
 
 app.get('/api/ai-validation/status/:jobId', async (req, res) => {
-    if (!supabase) return res.status(503).json({ error: "No DB" });
+    if (!supabase) return sendError(res, 503, "No DB");
     const { data, error } = await supabase.from('ai_jobs').select('*').eq('id', req.params.jobId).single();
-    if (error) return res.status(404).json({ error: "Job not found" });
+    if (error) return sendError(res, 404, "Job not found");
     res.json(data);
 });
 
+// --- TOOL ENDPOINTS ---
+app.post('/api/diagnose', async (req, res) => {
+  try {
+    loadScannerModules();
+    const url = requireUrl(req.body.url);
+    if (!url) return sendError(res, 400, 'url is required');
+    if (!diagnoseAnalytics) return sendError(res, 503, 'Diagnosis module unavailable');
+    const consentError = consentStateError(req.body.options && req.body.options.consentState);
+    if (consentError) return sendError(res, 400, consentError);
+    const emulationError = emulationOptionError(req.body.options && req.body.options.emulation);
+    if (emulationError) return sendError(res, 400, emulationError);
+
+    const result = await diagnoseAnalytics(url, req.body.options || {});
+    res.json(result);
+  } catch (error) {
+    console.error('Diagnosis failed:', error);
+    sendError(res, 500, error);
+  }
+});
+
+app.post('/api/injected-telemetry-scan', async (req, res) => {
+  try {
+    loadScannerModules();
+    const url = requireUrl(req.body.url);
+    if (!url) return sendError(res, 400, 'url is required');
+    if (!scanInjectedTelemetry) return sendError(res, 503, 'Injected telemetry module unavailable');
+    const consentError = consentStateError(req.body.options && req.body.options.consentState);
+    if (consentError) return sendError(res, 400, consentError);
+    const emulationError = emulationOptionError(req.body.options && req.body.options.emulation);
+    if (emulationError) return sendError(res, 400, emulationError);
+
+    const result = await scanInjectedTelemetry(url, req.body.options || {});
+    res.json(result);
+  } catch (error) {
+    console.error('Injected telemetry scan failed:', error);
+    sendError(res, 500, error);
+  }
+});
+
+app.post('/api/ad-impression-verification/scan', async (req, res) => {
+  try {
+    loadScannerModules();
+    const url = requireUrl(req.body.url);
+    if (!url) return sendError(res, 400, 'url is required');
+    if (!scanAdImpressions) return sendError(res, 503, 'Ad impression verification module unavailable');
+
+    const { campaignLabel, viewabilityRule, viewabilityStandards, journey, consentState, emulation, discrepancyThreshold, deliveryTotals } = req.body;
+    try {
+      if (viewabilityStandards) parseViewabilityStandards(viewabilityStandards);
+      if (journey) parseJourney(journey);
+      if (consentState) parseConsentStates([consentState]);
+      resolveEmulation(emulation);
+    } catch (error) {
+      return sendError(res, 400, error);
+    }
+    const result = await scanAdImpressions({
+      url,
+      campaignLabel: campaignLabel || null,
+      viewabilityRule: viewabilityRule || undefined,
+      viewabilityStandards: viewabilityStandards || undefined,
+      journey: journey || undefined,
+      consentState: consentState || undefined,
+      emulation: emulation || undefined,
+      discrepancyThreshold: discrepancyThreshold !== undefined ? Number(discrepancyThreshold) : undefined,
+      deliveryTotals: deliveryTotals || null
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Ad impression scan failed:', error);
+    sendError(res, 500, error);
+  }
+});
+
+app.get('/api/ad-impression-verification/export', async (req, res) => {
+  try {
+    loadScannerModules();
+    const { runId } = req.query;
+    if (!runId || !/^[\w-]+$/.test(runId)) return sendError(res, 400, 'Valid runId is required');
+
+    const { zipPath, filename } = await generateAdEvidencePack(runId);
+    res.download(zipPath, filename);
+  } catch (error) {
+    const status = /not found/i.test(error.message) ? 404 : 500;
+    sendError(res, status, error);
+  }
+});
+
+app.post('/api/cms-monitor/run', async (req, res) => {
+  try {
+    loadScannerModules();
+    const baseUrl = requireUrl(req.body.baseUrl);
+    if (!baseUrl) return sendError(res, 400, 'baseUrl is required');
+    if (!scanCMSOutput) return sendError(res, 503, 'CMS monitor module unavailable');
+
+    const {
+      buildLabel,
+      crawlDepth,
+      samplePages,
+      authHeader,
+      authCookie,
+      allowedPartners,
+      publisher,
+      environment,
+      consentState,
+      emulation
+    } = req.body;
+    const consentError = consentStateError(consentState);
+    if (consentError) return sendError(res, 400, consentError);
+    const emulationError = emulationOptionError(emulation);
+    if (emulationError) return sendError(res, 400, emulationError);
+    const scanResult = await scanCMSOutput({
+      baseUrl,
+      buildLabel: buildLabel || 'unlabeled',
+      crawlDepth: crawlDepth !== undefined ? Number(crawlDepth) : undefined,
+      samplePages: Array.isArray(samplePages) ? samplePages : [],
+      authHeader: authHeader || null,
+      authCookie: authCookie || null,
+      allowedPartners: Array.isArray(allowedPartners) ? allowedPartners : [],
+      consentState: consentState || undefined,
+      emulation: emulation || undefined
+    });
+
+    // Diff against the previous build for this publisher/environment before
+    // recording the current build as the new baseline.
+    let baselineDiff = null;
+    if (publisher && environment) {
+      baselineDiff = diffBaseline(scanResult, findLatestBaseline(publisher, environment));
+      saveBaseline(publisher, environment, scanResult.buildLabel, scanResult);
+    }
+
+    await generateCmsEvidencePack(scanResult, baselineDiff);
+    res.json({ ...scanResult, baselineDiff });
+  } catch (error) {
+    console.error('CMS monitor scan failed:', error);
+    sendError(res, 500, error);
+  }
+});
+
+app.post('/api/consent-matrix', async (req, res) => {
+  try {
+    loadScannerModules();
+    const url = requireUrl(req.body.url);
+    if (!url) return sendError(res, 400, 'url is required');
+    if (!runConsentMatrix) return sendError(res, 503, 'Consent matrix module unavailable');
+
+    const { states, actionDelayMs, observeMs, emulation } = req.body;
+    try {
+      if (states) parseConsentStates(states);
+    } catch (error) {
+      return sendError(res, 400, error);
+    }
+    const emulationError = emulationOptionError(emulation);
+    if (emulationError) return sendError(res, 400, emulationError);
+    const result = await runConsentMatrix(url, {
+      states: states || undefined,
+      actionDelayMs: actionDelayMs !== undefined ? Number(actionDelayMs) : undefined,
+      observeMs: observeMs !== undefined ? Number(observeMs) : undefined,
+      emulation: emulation || undefined
+    });
+    // Ready to pass as findingsJson to /api/ai-validation/run for the consent-tag-governance template
+    res.json({ ...result, findingsJson: { consent_matrix: toConsentCaseBrief(result) } });
+  } catch (error) {
+    console.error('Consent matrix scan failed:', error);
+    sendError(res, 500, error);
+  }
+});
+
+app.get('/api/cms-monitor/evidence/:scanId', (req, res) => {
+  const { scanId } = req.params;
+  if (!/^cms_\d+$/.test(scanId)) return sendError(res, 400, 'Invalid scanId');
+
+  const zipPath = path.join(__dirname, 'data', 'cms-monitor', 'evidence', scanId, `evidence-pack-${scanId}.zip`);
+  if (!fs.existsSync(zipPath)) return sendError(res, 404, `Evidence pack not found: ${scanId}`);
+  res.download(zipPath, `cms-monitor-evidence-${scanId}.zip`);
+});
+
+app.get('/api/reverse-search', (req, res) => {
+  try {
+    const idType = String(req.query.type || '').toUpperCase();
+    const rawId = String(req.query.id || '').trim();
+    const { REVERSE_SEARCH_TYPES, reverseSearch } = loadTelemetryIndex();
+    if (!REVERSE_SEARCH_TYPES.includes(idType)) {
+      return sendError(res, 400, `type must be one of ${REVERSE_SEARCH_TYPES.join(', ')}`);
+    }
+    if (!rawId) return sendError(res, 400, 'id is required');
+
+    const idValue = idType === 'FBP' ? rawId : rawId.toUpperCase();
+    const results = reverseSearch(idType, idValue);
+    res.json({ success: true, query: { type: idType, id: idValue }, hits: results.length, results });
+  } catch (error) {
+    console.error('Reverse search failed:', error);
+    sendError(res, 500, error);
+  }
+});
+
+// --- VIDEOTECT ENDPOINTS ---
+app.post('/api/videotect/import', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) return sendError(res, 400, 'CSV file is required');
+    const vt = await loadVideotect();
+
+    const rows = vt.parsePlacementCSV(req.file.buffer.toString('utf8'));
+    if (rows.length === 0) return sendError(res, 400, 'No placement rows found in CSV');
+
+    const scored = vt.scoreAggregatedItems(vt.aggregateRows(rows));
+    const importId = vt.createImport({ filename: req.file.originalname, row_count: rows.length });
+    const summary = {
+      id: importId,
+      rowsProcessed: rows.length,
+      channelsFound: 0,
+      videosFound: 0,
+      flaggedCount: 0,
+      totalCostFlagged: 0
+    };
+
+    for (const item of scored.values()) {
+      vt.createItem({
+        import_id: importId,
+        type: item.type,
+        canonical_url: item.canonicalUrl,
+        original_url: item.originalUrl,
+        score: item.score,
+        reasons: item.reasons,
+        metrics: item.metrics,
+        aggregated_from_count: item.aggregatedFromCount
+      });
+      if (item.type === 'channel') summary.channelsFound++;
+      if (item.type === 'video') summary.videosFound++;
+      if (item.score >= 70) {
+        summary.flaggedCount++;
+        summary.totalCostFlagged += item.metrics.cost || 0;
+      }
+    }
+    summary.totalCostFlagged = Math.round(summary.totalCostFlagged * 100) / 100;
+
+    res.json({ success: true, summary });
+  } catch (error) {
+    console.error('Videotect import failed:', error);
+    sendError(res, 500, error);
+  }
+});
+
+app.post('/api/videotect/manual', async (req, res) => {
+  try {
+    const { urls } = req.body;
+    if (!Array.isArray(urls) || urls.length === 0) return sendError(res, 400, 'urls array is required');
+    const vt = await loadVideotect();
+
+    const normalized = urls
+      .map(url => vt.normalizeYouTubeUrl(String(url)))
+      .filter(n => n.canonicalUrl);
+    const allUrls = normalized.map(n => n.canonicalUrl);
+
+    normalized.forEach(n => {
+      const { score, reasons } = vt.scorePlacement(n.canonicalUrl, {}, allUrls);
+      vt.createItem({
+        import_id: null,
+        type: n.type,
+        canonical_url: n.canonicalUrl,
+        original_url: n.originalUrl,
+        score,
+        reasons,
+        metrics: {},
+        aggregated_from_count: 1
+      });
+    });
+
+    res.json({ success: true, itemsCreated: normalized.length });
+  } catch (error) {
+    console.error('Videotect manual analysis failed:', error);
+    sendError(res, 500, error);
+  }
+});
+
+app.get('/api/videotect/items', async (req, res) => {
+  try {
+    const vt = await loadVideotect();
+    const { minScore, type, status, q, sort, importId, limit, offset } = req.query;
+    const items = vt.queryItems({
+      minScore: minScore !== undefined ? Number(minScore) : undefined,
+      importId: importId !== undefined ? Number(importId) : undefined,
+      type: type || undefined,
+      status: status || undefined,
+      q: q || undefined,
+      sort: sort || undefined,
+      limit: limit ? Number(limit) : undefined,
+      offset: offset ? Number(offset) : undefined
+    });
+    res.json({ success: true, items });
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+app.patch('/api/videotect/items/:id', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const { status } = req.body;
+    if (!['new', 'reviewed', 'excluded'].includes(status)) {
+      return sendError(res, 400, 'status must be one of new, reviewed, excluded');
+    }
+    const vt = await loadVideotect();
+    if (!vt.getItem(id)) return sendError(res, 404, `Item not found: ${req.params.id}`);
+
+    vt.updateItemStatus({ id, status });
+    res.json({ success: true, item: vt.getItem(id) });
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+app.get('/api/videotect/export', async (req, res) => {
+  try {
+    const type = req.query.type;
+    const minScore = req.query.minScore !== undefined ? Number(req.query.minScore) : 70;
+    if (!['channel', 'video'].includes(type)) return sendError(res, 400, 'type must be channel or video');
+    const vt = await loadVideotect();
+
+    const urls = vt.getItemsForExport(type, minScore);
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="videotect-${type}-exclusions-${minScore}.csv"`);
+    res.send(['url', ...urls].join('\n'));
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+// --- AFFECTED AD VENDORS ---
+app.get('/api/scans/:scanId/publishers/:domain/affected-vendors', (req, res) => {
+  try {
+    const { listAggregates, getVerdict } = loadAffectedVendorsDb();
+    const { scanId } = req.params;
+    const publisherId = normalizePublisherId(req.params.domain);
+    const rows = listAggregates(scanId, publisherId, req.query.sort, req.query.direction);
+    res.json({ success: true, scanId, publisher: publisherId, rows, verdict: getVerdict(scanId, publisherId) });
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+// --- AI VALIDATION (evidence pack uploads) ---
+const AI_UPLOADS_DIR = path.join(__dirname, 'runs', 'ai-validation-uploads');
+const AI_DOWNLOADABLE_FILES = {
+  caseBrief: 'case_brief.json',
+  aiValidation: 'ai_validation.json',
+  pdf: 'evidence_summary.pdf'
+};
+
+app.post('/api/ai-validation/upload', upload.single('evidencePack'), (req, res) => {
+  try {
+    if (!req.file) return sendError(res, 400, 'evidencePack ZIP file is required');
+    if (!/\.zip$/i.test(req.file.originalname)) return sendError(res, 400, 'evidencePack must be a ZIP file');
+
+    const uploadId = `ai-validation-${Date.now()}`;
+    fs.mkdirSync(AI_UPLOADS_DIR, { recursive: true });
+    fs.writeFileSync(path.join(AI_UPLOADS_DIR, `${uploadId}.zip`), req.file.buffer);
+
+    res.json({ success: true, uploadId, filename: req.file.originalname, size: req.file.size });
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+async function runUploadedValidation(req, res) {
+  const { uploadId, provider = 'openai', providers, template, redaction, findingsJson } = req.body;
+  if (!/^ai-validation-\d+$/.test(uploadId)) return sendError(res, 400, 'Invalid uploadId');
+
+  const zipPath = path.join(AI_UPLOADS_DIR, `${uploadId}.zip`);
+  if (!fs.existsSync(zipPath)) return sendError(res, 404, `Upload not found: ${uploadId}`);
+
+  const { runValidation, isValidTemplate, listProviders, parseProviderList } = loadAiValidation();
+  if (!template || !isValidTemplate(template)) return sendError(res, 400, `Invalid template: ${template}`);
+
+  // Consensus mode: the same case brief goes to every listed provider
+  let consensusProviders = null;
+  if (providers !== undefined) {
+    consensusProviders = parseProviderList(providers);
+    const known = listProviders().map(p => p.id);
+    const unknown = consensusProviders.filter(p => !known.includes(p));
+    if (unknown.length) return sendError(res, 400, `Unknown providers: ${unknown.join(', ')} (expected ${known.join(', ')})`);
+    if (consensusProviders.length < 2) return sendError(res, 400, 'Consensus mode needs at least two providers');
+  }
+
+  let parsedFindings = null;
+  if (findingsJson) {
+    try {
+      parsedFindings = typeof findingsJson === 'string' ? JSON.parse(findingsJson) : findingsJson;
+    } catch (e) {
+      return sendError(res, 400, `findingsJson is not valid JSON: ${e.message}`);
+    }
+  }
+
+  res.json({ success: true, runId: uploadId, status: 'processing' });
+
+  // Failures are written to the run's error.json by the orchestrator and
+  // surface through /api/ai-validation/result.
+  runValidation({
+    zipBuffer: fs.readFileSync(zipPath),
+    uploadId,
+    provider,
+    providers: consensusProviders,
+    template,
+    findingsJson: parsedFindings,
+    redactionMode: !!redaction
+  }).catch(error => console.error(`❌ AI validation ${uploadId} failed:`, error.message));
+}
+
+app.get('/api/ai-validation/result/:runId', (req, res) => {
+  const { runId } = req.params;
+  if (!/^ai-validation-\d+$/.test(runId)) return sendError(res, 400, 'Invalid runId');
+
+  let result;
+  try {
+    result = loadAiValidation().getValidationResult(runId);
+  } catch (error) {
+    // No metadata yet means the run is still processing.
+    return sendError(res, 404, error);
+  }
+  if (!result.success) return sendError(res, 500, result.error);
+
+  const files = {};
+  Object.entries(AI_DOWNLOADABLE_FILES).forEach(([key, filename]) => {
+    files[key] = `/api/ai-validation/download/${runId}/${filename}`;
+  });
+  res.json({ success: true, runId, metadata: result.metadata, files });
+});
+
+app.get('/api/ai-validation/download/:runId/:filename', (req, res) => {
+  const { runId, filename } = req.params;
+  if (!/^ai-validation-\d+$/.test(runId) || !Object.values(AI_DOWNLOADABLE_FILES).includes(filename)) {
+    return sendError(res, 400, 'Invalid download request');
+  }
+
+  const filePath = path.join(__dirname, 'runs', 'ai-validation', runId, filename);
+  if (!fs.existsSync(filePath)) return sendError(res, 404, `File not found: ${filename}`);
+  res.download(filePath, filename);
+});
+
+app.get('/api/ai-validation/templates', (req, res) => {
+  try {
+    res.json({ success: true, templates: loadAiValidation().listTemplates() });
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
+app.get('/api/ai-validation/providers', (req, res) => {
+  try {
+    const { listProviders, isMockMode } = loadAiValidation();
+    res.json({ success: true, mockMode: isMockMode(), providers: listProviders() });
+  } catch (error) {
+    sendError(res, 500, error);
+  }
+});
+
 app.get('/api/results', async (req, res) => {
     if (!supabase) return res.json([]);
     const { data } = await supabase.from('scans').select('*').order('created_at', { ascending: false }).limit(20);
@@ -245,6 +914,8 @@ app.get('/api/results', async (req, res) => {
 app.get('/api/health', (req, res) => res.json({ status: 'ok', db: !!supabase }));
 
 if (require.main === module) {
+  // Start workers at boot so jobs interrupted by a restart resume immediately.
+  ensureScanWorkers();
   app.listen(PORT, '0.0.0.0', () => {
     console.log(`\n🚀 Cybertect API running on http://localhost:${PORT}`);
     console.log(`💾 Database: ${supabase ? 'Connected' : 'Missing Credentials'}`);
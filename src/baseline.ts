@@ -0,0 +1,189 @@
+import type { Artifact } from './report.js';
+import { applyPolicyOverrides } from './rules.js';
+import type { Finding } from './rules.js';
+import { policyForUrl } from './policy.js';
+import type { Policy } from './policy.js';
+import type { ScanResult } from './scan.js';
+import { requireRoot } from './require-root.js';
+
+interface DiffableScript {
+  src?: string;
+  hash?: string;
+}
+
+interface ScriptDiffModule {
+  diffScripts<T extends DiffableScript>(
+    current: T[],
+    baseline: T[],
+  ): { added: T[]; removed: T[]; changed: { current: T; baseline: T }[] };
+}
+
+// Script diffing is shared with the CMS monitor's diffBaseline() in
+// cms-monitor/export.cjs.
+const { diffScripts } = requireRoot('cms-monitor/script-diff.cjs') as ScriptDiffModule;
+
+/** A beacon count change is reported once it moves by this ratio and at least MIN_BEACON_DELTA requests. */
+const BEACON_DELTA_RATIO = 0.5;
+const MIN_BEACON_DELTA = 2;
+
+/**
+ * Key a page URL so reruns of the same page line up: scheme, `www.`,
+ * fragment, default port, `utm_*` parameters, query order and a trailing
+ * slash do not matter.
+ */
+export function normalizeBaselineUrl(url: string): string {
+  try {
+    const parsed = new URL(url);
+    const host = parsed.host.toLowerCase().replace(/^www\./, '');
+    const params = [...parsed.searchParams.entries()]
+      .filter(([key]) => !key.toLowerCase().startsWith('utm_'))
+      .sort(([a, av], [b, bv]) => a.localeCompare(b) || av.localeCompare(bv));
+    const query = new URLSearchParams(params).toString();
+    const pathname = parsed.pathname.length > 1 ? parsed.pathname.replace(/\/+$/, '') : '';
+    return `${host}${pathname}${query ? `?${query}` : ''}`;
+  } catch {
+    return url;
+  }
+}
+
+/** Iframe and pixel URLs usually carry per-load parameters, so compare origin + path. */
+function resourceKey(url: string): string {
+  try {
+    const parsed = new URL(url);
+    return `${parsed.origin}${parsed.pathname}`;
+  } catch {
+    return url.split(/[?#]/)[0];
+  }
+}
+
+function scriptsOf(result: ScanResult): DiffableScript[] {
+  return result.artifacts
+    .filter((artifact) => artifact.type === 'external-script' || artifact.type === 'inline-script')
+    .map((artifact) => ({ src: artifact.url, hash: artifact.fingerprint }));
+}
+
+function describeScript(script: DiffableScript): string {
+  return script.src ?? `inline script ${script.hash?.slice(0, 12) ?? ''}`.trim();
+}
+
+function hostOf(url: string): string | undefined {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return undefined;
+  }
+}
+
+function addedResources(current: Artifact[], previous: Artifact[], type: 'iframe' | 'pixel'): string[] {
+  const known = new Set(previous.filter((a) => a.type === type && a.url).map((a) => resourceKey(a.url!)));
+  const added = new Map<string, string>();
+  current
+    .filter((a) => a.type === type && a.url)
+    .forEach((a) => {
+      const key = resourceKey(a.url!);
+      if (!known.has(key) && !added.has(key)) added.set(key, a.url!);
+    });
+  return [...added.values()];
+}
+
+function isSignificantDelta(before: number, after: number): boolean {
+  if (before === 0 || after === 0) return before !== after;
+  const delta = Math.abs(after - before);
+  return delta >= MIN_BEACON_DELTA && delta / before >= BEACON_DELTA_RATIO;
+}
+
+/**
+ * Compare one page against its baseline snapshot, one finding per change.
+ * Baselines written before vendorIds was recorded skip the ID comparison.
+ */
+export function diffAgainstBaseline(current: ScanResult, previous: ScanResult): Finding[] {
+  const findings: Finding[] = [];
+
+  if (current.vendorIds && previous.vendorIds) {
+    const vendors = new Set([...Object.keys(current.vendorIds), ...Object.keys(previous.vendorIds)]);
+    for (const vendor of vendors) {
+      const now = current.vendorIds[vendor] ?? [];
+      const before = previous.vendorIds[vendor] ?? [];
+      now
+        .filter((id) => !before.includes(id))
+        .forEach((id) =>
+          findings.push({ type: 'id_added', severity: 'medium', detail: `Vendor ${vendor} added ID ${id} since baseline`, vendor, id }),
+        );
+      before
+        .filter((id) => !now.includes(id))
+        .forEach((id) =>
+          findings.push({ type: 'id_removed', severity: 'low', detail: `Vendor ${vendor} no longer uses ID ${id}`, vendor, id }),
+        );
+    }
+  }
+
+  const scripts = diffScripts(scriptsOf(current), scriptsOf(previous));
+  scripts.added.forEach((script) =>
+    findings.push({ type: 'script_added', severity: 'medium', detail: `New script since baseline: ${describeScript(script)}`, evidence: script.hash }),
+  );
+  scripts.changed.forEach(({ current: now, baseline: before }) =>
+    findings.push({
+      type: 'script_changed',
+      severity: 'medium',
+      detail: `Script changed since baseline: ${describeScript(now)}`,
+      evidence: before.src !== now.src ? `${before.src} -> ${now.src}` : `${before.hash} -> ${now.hash}`,
+    }),
+  );
+  scripts.removed.forEach((script) =>
+    findings.push({ type: 'script_removed', severity: 'info', detail: `Script removed since baseline: ${describeScript(script)}`, evidence: script.hash }),
+  );
+
+  addedResources(current.artifacts, previous.artifacts, 'iframe').forEach((url) =>
+    findings.push({ type: 'iframe_added', severity: 'medium', detail: `New iframe since baseline: ${url}`, domain: hostOf(url) }),
+  );
+  addedResources(current.artifacts, previous.artifacts, 'pixel').forEach((url) =>
+    findings.push({ type: 'pixel_added', severity: 'medium', detail: `New pixel since baseline: ${url}`, domain: hostOf(url) }),
+  );
+
+  const beaconVendors = new Set([...Object.keys(current.beaconCounts), ...Object.keys(previous.beaconCounts)]);
+  for (const vendor of beaconVendors) {
+    const before = previous.beaconCounts[vendor] ?? 0;
+    const after = current.beaconCounts[vendor] ?? 0;
+    if (!isSignificantDelta(before, after)) continue;
+    const delta = after - before;
+    findings.push({
+      type: 'beacon_delta',
+      severity: delta > 0 ? 'medium' : 'low',
+      detail: `Telemetry requests for ${vendor} went from ${before} to ${after} (${delta > 0 ? '+' : ''}${delta})`,
+      vendor,
+    });
+  }
+
+  Object.keys(current.partnerDomains)
+    .filter((domain) => !previous.partnerDomains[domain])
+    .forEach((domain) =>
+      findings.push({ type: 'partner_added', severity: 'low', detail: `New partner domain since baseline: ${domain}`, domain }),
+    );
+
+  return findings;
+}
+
+/**
+ * Append baseline drift findings to every result that has a baseline entry
+ * for the same normalized URL. Pages missing from the baseline, and pages that
+ * could not be scanned, are skipped. With a policy, drift findings get the
+ * same exceptions and severity overrides as the page's other findings.
+ */
+export function compareWithBaseline(results: ScanResult[], baseline: ScanResult[], policy?: Policy): void {
+  const byUrl = new Map(baseline.map((entry) => [normalizeBaselineUrl(entry.url), entry]));
+  for (const result of results) {
+    if (result.error) continue;
+    const previous = byUrl.get(normalizeBaselineUrl(result.url));
+    if (!previous) continue;
+    const drift = diffAgainstBaseline(result, previous);
+    result.findings.push(...(policy ? applyPolicyOverrides(drift, policyForUrl(policy, result.url), pagePathOf(result.url)) : drift));
+  }
+}
+
+function pagePathOf(url: string): string | undefined {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return undefined;
+  }
+}
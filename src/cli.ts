@@ -1,20 +1,30 @@
 #!/usr/bin/env node
-import { Command } from 'commander';
+import { Command, InvalidArgumentError } from 'commander';
 import fs from 'node:fs';
 import chalk from 'chalk';
 import pino from 'pino';
-import { scanUrls, handleBaseline, writeReports } from './scan.js';
+import { scanSites, handleBaseline, writeReports } from './scan.js';
+import { PolicyError, loadPolicy } from './policy.js';
+import { REPORT_FORMATS, exitCodeFor } from './formats.js';
+import type { ReportFormat } from './formats.js';
+import { Cybertect } from './client.js';
+import type { CybertectFinding, CybertectResult, EmulationOptions } from './client.js';
+import { writeToolReport } from './tool-reports.js';
+import { requireRoot } from './require-root.js';
 
 const logger = pino({ level: process.env.LOG_LEVEL ?? 'info' });
 
+const DEFAULT_FORMATS: ReportFormat[] = ['json', 'html'];
+
 const program = new Command();
 program.name('cybertect-scan').description('Cybertect CMS telemetry monitor');
 
-program
-  .command('scan')
+withEmulationOptions(program.command('scan'))
   .option('--url <url...>', 'One or more URLs to scan')
   .option('--urls <file>', 'File with URLs (one per line)')
   .option('--follow-links', 'Follow intra-domain links', false)
+  .option('--max-depth <n>', 'Link hops to follow from each URL', (v) => parseInt(v, 10), 1)
+  .option('--max-pages <n>', 'Page budget per site when following links', (v) => parseInt(v, 10), 25)
   .option('--maxConcurrency <n>', 'Maximum concurrency', (v) => parseInt(v, 10), 1)
   .option('--rateLimitPerHost <n>', 'Requests per minute per host', (v) => parseInt(v, 10), 15)
   .option('--timeoutMs <n>', 'Timeout per URL', (v) => parseInt(v, 10), 60000)
@@ -22,9 +32,11 @@ program
   .option('--fire', 'Allow telemetry beacons to fire', false)
   .option('--user-agent <ua>', 'Custom user agent', 'CybertectCMSMonitor/1.0')
   .option('--policy <file>', 'Policy YAML file')
+  .option('--env <name>', 'Policy environment to apply (e.g. staging, live)')
   .option('--baseline <file>', 'Baseline JSON to diff')
   .option('--write-baseline <file>', 'Write baseline to file')
   .option('--report-dir <dir>', 'Directory for reports', 'reports')
+  .option('--format <formats>', `Report formats, comma-separated (${REPORT_FORMATS.join(', ')})`, parseFormats, DEFAULT_FORMATS)
   .option('--beacon-threshold <n>', 'Telemetry burst threshold', (v) => parseInt(v, 10), 8)
   .action(async (cmd) => {
     try {
@@ -36,6 +48,8 @@ program
       const options = {
         urls,
         followLinks: cmd.followLinks ?? false,
+        maxDepth: cmd.maxDepth,
+        maxPages: cmd.maxPages,
         maxConcurrency: cmd.maxConcurrency,
         rateLimitPerHost: cmd.rateLimitPerHost,
         timeoutMs: cmd.timeoutMs,
@@ -43,19 +57,167 @@ program
         noFire: !cmd.fire,
         userAgent: cmd.userAgent,
         policyPath: cmd.policy,
+        policyEnv: cmd.env,
         baselinePath: cmd.baseline,
         writeBaselinePath: cmd.writeBaseline,
         reportDir: cmd.reportDir,
         beaconThreshold: cmd.beaconThreshold,
+        emulation: emulationFrom(cmd),
       };
-      const results = await scanUrls(options);
-      await handleBaseline(results, cmd.baseline, cmd.writeBaseline);
-      await writeReports(results, cmd.reportDir);
-
-      const findings = results.flatMap((r) => r.findings);
-      const highestSeverity = severityScore(findings);
-      if (highestSeverity >= 4) process.exit(5);
-      if (highestSeverity >= 2) process.exit(2);
+      const { results, sites } = await scanSites(options);
+      await handleBaseline(results, cmd.baseline, cmd.writeBaseline, loadPolicy(cmd.policy, cmd.env));
+      await writeReports(results, cmd.reportDir, options.followLinks ? sites : undefined, cmd.format);
+
+      process.exit(exitCodeFor(results.flatMap((r) => r.findings)));
+    } catch (err) {
+      if (err instanceof PolicyError) {
+        console.error(chalk.red(err.message));
+        process.exit(1);
+      }
+      logger.error(err);
+      process.exit(1);
+    }
+  });
+
+// The scanners behind the HTTP tool endpoints. Each command takes the same
+// inputs as its endpoint, writes its evidence to --report-dir and exits with
+// the same severity convention as `scan`.
+
+withEmulationOptions(program.command('diagnose'))
+  .description('Analytics integrity diagnosis (POST /api/diagnose)')
+  .argument('<url>', 'Site to diagnose')
+  .option('--max-pages <n>', 'Pages to sample', parseInteger)
+  .option('--no-include-telemetry-replay', 'Skip replaying captured GA4 hits through the inflation scanner')
+  .option('--page-sample-strategy <strategy>', 'sitemap, links or none', parseSampleStrategy)
+  .option('--timeout-ms <n>', 'Timeout per page', parseInteger)
+  .option('--no-respect-robots', 'Ignore robots.txt')
+  .option('--user-agent <ua>', 'Custom user agent')
+  .option('--consent-state <state>', 'Consent state to scan under', parseConsentState)
+  .option('--report-dir <dir>', 'Directory for reports', 'reports')
+  .action((url: string, cmd) =>
+    runTool('diagnosis', url, cmd.reportDir, async (client) => ({
+      result: await client.diagnose(toUrl(url), {
+        maxPages: cmd.maxPages,
+        includeTelemetryReplay: cmd.includeTelemetryReplay,
+        pageSampleStrategy: cmd.pageSampleStrategy,
+        timeoutMs: cmd.timeoutMs,
+        respectRobots: cmd.respectRobots,
+        userAgent: cmd.userAgent,
+        consentState: cmd.consentState,
+        emulation: emulationFrom(cmd),
+      }),
+    })),
+  );
+
+withEmulationOptions(program.command('inject'))
+  .description('Injected telemetry scan (POST /api/injected-telemetry-scan)')
+  .argument('<url>', 'Page to scan')
+  .option('--max-wait-ms <n>', 'Longest wait for the page to load', parseInteger)
+  .option('--idle-wait-ms <n>', 'Network idle time before the scan ends', parseInteger)
+  .option('--consent-state <state>', 'Consent state to scan under', parseConsentState)
+  .option('--report-dir <dir>', 'Directory for reports', 'reports')
+  .action((url: string, cmd) =>
+    runTool('injected_telemetry', url, cmd.reportDir, async (client) => ({
+      result: await client.scanInjectedTelemetry(toUrl(url), {
+        maxWaitMs: cmd.maxWaitMs,
+        idleWaitMs: cmd.idleWaitMs,
+        consentState: cmd.consentState,
+        emulation: emulationFrom(cmd),
+      }),
+    })),
+  );
+
+withEmulationOptions(program.command('ads'))
+  .description('Ad impression verification (POST /api/ad-impression-verification/scan)')
+  .argument('<url>', 'Page to verify')
+  .option('--campaign-label <label>', 'Campaign label for the evidence pack')
+  .option('--viewability-rule <rule>', 'Primary viewability rule, e.g. 50%/1s')
+  .option('--viewability-standards <list>', 'Comma-separated standards, e.g. mrc_display,40%/3s', parseStandards)
+  .option('--journey <steps>', 'Journey DSL, steps separated by ";"', parseJourneyOption)
+  .option('--discrepancy-threshold <percent>', 'Delivery discrepancy that raises a flag', parseNumber)
+  .option('--delivery-totals <file>', 'Ad server delivery totals (JSON or CSV)')
+  .option('--consent-state <state>', 'Consent state to scan under', parseConsentState)
+  .option('--report-dir <dir>', 'Directory for reports', 'reports')
+  .action((url: string, cmd) =>
+    runTool('ad_impressions', url, cmd.reportDir, async (client) => {
+      const result = await client.scanAdImpressions(toUrl(url), {
+        campaignLabel: cmd.campaignLabel ?? null,
+        viewabilityRule: cmd.viewabilityRule,
+        viewabilityStandards: cmd.viewabilityStandards,
+        journey: cmd.journey,
+        discrepancyThreshold: cmd.discrepancyThreshold,
+        deliveryTotals: cmd.deliveryTotals ? fs.readFileSync(cmd.deliveryTotals, 'utf-8') : null,
+        consentState: cmd.consentState,
+        emulation: emulationFrom(cmd),
+      });
+      const { generateEvidencePack } = requireRoot('ad-impression-verification/export.cjs');
+      const { zipPath } = await generateEvidencePack(result.raw.runId);
+      return { result, evidencePack: zipPath };
+    }),
+  );
+
+withEmulationOptions(program.command('cms'))
+  .description('CMS output monitor (POST /api/cms-monitor/run)')
+  .argument('<baseUrl>', 'Site to crawl')
+  .option('--build-label <label>', 'Release or build being checked', 'unlabeled')
+  .option('--crawl-depth <n>', 'Link hops to follow', parseInteger)
+  .option('--sample-page <url...>', 'Extra pages to include')
+  .option('--auth-header <header>', 'Authorization header for protected previews')
+  .option('--auth-cookie <cookie>', 'Cookie header for protected previews')
+  .option('--allowed-partner <domain...>', 'Partner domains allowed to load')
+  .option('--publisher <id>', 'Publisher for baseline tracking (with --environment)')
+  .option('--environment <name>', 'Environment for baseline tracking (with --publisher)')
+  .option('--consent-state <state>', 'Consent state to scan under', parseConsentState)
+  .option('--report-dir <dir>', 'Directory for reports', 'reports')
+  .action((baseUrl: string, cmd) =>
+    runTool('cms', baseUrl, cmd.reportDir, async (client) => {
+      const result = await client.scanCms(toUrl(baseUrl), {
+        buildLabel: cmd.buildLabel,
+        crawlDepth: cmd.crawlDepth,
+        samplePages: cmd.samplePage ?? [],
+        authHeader: cmd.authHeader ?? null,
+        authCookie: cmd.authCookie ?? null,
+        allowedPartners: cmd.allowedPartner ?? [],
+        consentState: cmd.consentState,
+        emulation: emulationFrom(cmd),
+      });
+      const { generateEvidencePack, diffBaseline } = requireRoot('cms-monitor/export.cjs');
+      const { saveBaseline, findLatestBaseline } = requireRoot('cms-monitor/baselines.cjs');
+      // As in the endpoint: diff against the previous build, then record this one
+      let baselineDiff = null;
+      if (cmd.publisher && cmd.environment) {
+        baselineDiff = diffBaseline(result.raw, findLatestBaseline(cmd.publisher, cmd.environment));
+        saveBaseline(cmd.publisher, cmd.environment, result.raw.buildLabel, result.raw);
+      }
+      const zipPath: string = await generateEvidencePack(result.raw, baselineDiff);
+      return { result: { ...result, raw: { ...result.raw, baselineDiff } }, evidencePack: zipPath };
+    }),
+  );
+
+program
+  .command('reverse')
+  .description('Reverse analytics ID lookup (GET /api/reverse-search)')
+  .argument('<type>', 'ID type (UA, GA4, GTM, FBP or AW)')
+  .argument('<id>', 'ID to look up')
+  .option('--report-dir <dir>', 'Directory for reports', 'reports')
+  .action((type: string, id: string, cmd) => {
+    try {
+      const { REVERSE_SEARCH_TYPES, reverseSearch } = requireRoot('src/index-telemetry.cjs');
+      const idType = type.toUpperCase();
+      if (!REVERSE_SEARCH_TYPES.includes(idType)) {
+        console.error(chalk.red(`type must be one of ${REVERSE_SEARCH_TYPES.join(', ')}`));
+        process.exit(1);
+      }
+      const idValue = idType === 'FBP' ? id.trim() : id.trim().toUpperCase();
+      const results = reverseSearch(idType, idValue);
+      const dir = writeToolReport(cmd.reportDir, {
+        tool: 'reverse',
+        target: `${idType}_${idValue}`,
+        startedAt: new Date().toISOString(),
+        findings: [],
+        result: { query: { type: idType, id: idValue }, hits: results.length, results },
+      });
+      console.log(`${idType} ${idValue}: seen on ${results.length} domain(s). Report: ${dir}`);
       process.exit(0);
     } catch (err) {
       logger.error(err);
@@ -79,7 +241,138 @@ function gatherUrls(cliUrls: string[], filePath?: string): string[] {
   return Array.from(new Set(urls));
 }
 
-function severityScore(findings: { severity: string }[]): number {
-  const order: Record<string, number> = { info: 0, low: 1, medium: 2, high: 3, critical: 4 };
-  return findings.reduce((acc, f) => Math.max(acc, order[f.severity] ?? 0), 0);
+function parseFormats(value: string, previous: ReportFormat[]): ReportFormat[] {
+  const formats = value
+    .split(',')
+    .map((f) => f.trim().toLowerCase())
+    .filter(Boolean);
+  const unknown = formats.filter((f) => !REPORT_FORMATS.includes(f as ReportFormat));
+  if (unknown.length) {
+    throw new InvalidArgumentError(`Unknown format ${unknown.join(', ')} (expected ${REPORT_FORMATS.join(', ')})`);
+  }
+  // Repeating --format adds to the list rather than resetting it
+  const base = previous === DEFAULT_FORMATS ? [] : previous;
+  return Array.from(new Set([...base, ...(formats as ReportFormat[])]));
+}
+
+/**
+ * Run one scanner through the client, write its report and exit with the
+ * severity of its findings. A scan that throws exits 1.
+ */
+async function runTool(
+  tool: string,
+  target: string,
+  reportDir: string,
+  run: (client: Cybertect) => Promise<{ result: CybertectResult<unknown>; evidencePack?: string }>,
+): Promise<void> {
+  const client = new Cybertect();
+  let exitCode = 1;
+  try {
+    const { result, evidencePack } = await run(client);
+    const dir = writeToolReport(reportDir, {
+      tool,
+      target,
+      startedAt: result.startedAt,
+      findings: result.findings,
+      result: result.raw,
+      evidencePack,
+    });
+    console.log(summarize(result.findings, dir));
+    exitCode = exitCodeFor(result.findings);
+  } catch (err) {
+    logger.error(err);
+  } finally {
+    await client.close().catch(() => {});
+  }
+  process.exit(exitCode);
+}
+
+function summarize(findings: CybertectFinding[], dir: string): string {
+  const line = `${findings.length} finding(s). Report: ${dir}`;
+  const code = exitCodeFor(findings);
+  if (code === 5) return chalk.red(line);
+  if (code === 2) return chalk.yellow(line);
+  return chalk.green(line);
+}
+
+// Bare hosts get https://, as the HTTP endpoints do
+function toUrl(value: string): string {
+  const trimmed = value.trim();
+  return /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+}
+
+function parseInteger(value: string): number {
+  const n = parseInt(value, 10);
+  if (Number.isNaN(n)) throw new InvalidArgumentError('Not a number.');
+  return n;
+}
+
+function parseNumber(value: string): number {
+  const n = Number(value);
+  if (Number.isNaN(n)) throw new InvalidArgumentError('Not a number.');
+  return n;
+}
+
+function parseSampleStrategy(value: string): string {
+  if (!['sitemap', 'links', 'none'].includes(value)) {
+    throw new InvalidArgumentError('Expected sitemap, links or none.');
+  }
+  return value;
+}
+
+// The scanner modules validate their own inputs; surface their messages as usage errors
+function validateWith(modulePath: string, fn: string) {
+  return (value: string): string => {
+    try {
+      requireRoot(modulePath)[fn](value);
+    } catch (err) {
+      throw new InvalidArgumentError((err as Error).message);
+    }
+    return value;
+  };
+}
+
+// Device and network emulation (browser/emulation.cjs), on every command that opens a browser
+function withEmulationOptions(command: Command): Command {
+  return command
+    .option('--device <profile>', 'Emulate a device: iphone, android, tablet or desktop-1080p', emulationOption('profile'))
+    .option('--locale <tag>', 'Browser locale and Accept-Language, e.g. de-DE', emulationOption('locale'))
+    .option('--timezone <zone>', 'IANA timezone, e.g. Europe/Berlin', emulationOption('timezoneId'))
+    .option('--geolocation <lat,lon>', 'Geolocation granted to the page', emulationOption('geolocation'))
+    .option('--network <profile>', 'Throttle the network: slow-3g, fast-3g or 4g', emulationOption('network'));
+}
+
+function emulationOption(key: keyof EmulationOptions) {
+  return (value: string): string => {
+    try {
+      requireRoot('browser/emulation.cjs').resolveEmulation({ [key]: value });
+    } catch (err) {
+      throw new InvalidArgumentError((err as Error).message);
+    }
+    return value;
+  };
+}
+
+// Undefined when no flag is set, so CYBERTECT_EMULATION still applies
+function emulationFrom(cmd: Record<string, string | undefined>): EmulationOptions | undefined {
+  if (![cmd.device, cmd.locale, cmd.timezone, cmd.geolocation, cmd.network].some(Boolean)) return undefined;
+  return {
+    profile: cmd.device as EmulationOptions['profile'],
+    locale: cmd.locale,
+    timezoneId: cmd.timezone,
+    geolocation: cmd.geolocation,
+    network: cmd.network as EmulationOptions['network'],
+  };
+}
+
+function parseConsentState(value: string): string {
+  return validateWith('consent/consent-state.cjs', 'parseConsentStates')(value);
+}
+
+function parseStandards(value: string): string {
+  return validateWith('ad-impression-verification/viewability.cjs', 'parseViewabilityStandards')(value);
+}
+
+function parseJourneyOption(value: string): string {
+  return validateWith('ad-impression-verification/journey.cjs', 'parseJourney')(value);
 }
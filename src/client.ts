@@ -0,0 +1,382 @@
+import type { Browser, LaunchOptions } from 'playwright';
+import type { Severity } from './rules.js';
+import type { Emulation } from './evidence/pack-writer.js';
+import { requireRoot } from './require-root.js';
+
+export type ScannerName = 'website' | 'diagnosis' | 'ad_impressions' | 'cms' | 'injected_telemetry';
+
+/** One finding, whichever scanner raised it. */
+export interface CybertectFinding {
+  scanner: ScannerName;
+  type: string;
+  severity: Severity;
+  title: string;
+  detail: string;
+  vendor?: string;
+  url?: string;
+  evidence?: unknown;
+}
+
+export interface CybertectResult<Raw> {
+  scanner: ScannerName;
+  url: string;
+  startedAt: string;
+  finishedAt: string;
+  consentState: string | null;
+  /** Device and network the scan emulated, null for the browser defaults */
+  emulation: Emulation | null;
+  findings: CybertectFinding[];
+  /** The scanner's own output, unchanged. */
+  raw: Raw;
+}
+
+export type EmulationProfile = 'iphone' | 'android' | 'tablet' | 'desktop-1080p';
+export type NetworkProfile = 'slow-3g' | 'fast-3g' | '4g';
+
+/** Device profile plus overrides (see browser/emulation.cjs). */
+export interface EmulationOptions {
+  profile?: EmulationProfile;
+  userAgent?: string;
+  viewport?: { width: number; height: number };
+  locale?: string;
+  timezoneId?: string;
+  /** "latitude,longitude" or an object */
+  geolocation?: string | { latitude: number; longitude: number; accuracy?: number };
+  network?: NetworkProfile | { downloadKbps: number; uploadKbps: number; latencyMs?: number };
+}
+
+export interface CybertectOptions {
+  /** Browser shared by every scan; close() leaves it running. */
+  browser?: Browser;
+  /** Used when the client launches its own browser. */
+  launchOptions?: LaunchOptions;
+  /** Consent state for scans that do not set one (see consent/consent-state.cjs). */
+  consentState?: string;
+  /** Emulation for scans that do not set one; null turns off CYBERTECT_EMULATION. */
+  emulation?: EmulationProfile | EmulationOptions | null;
+}
+
+export interface CallOptions {
+  signal?: AbortSignal;
+  consentState?: string;
+  emulation?: EmulationProfile | EmulationOptions | null;
+}
+
+export interface WebsiteScanProgress {
+  stage: string;
+  url: string;
+  riskScore: number;
+  verdict: string;
+  [key: string]: unknown;
+}
+
+export interface WebsiteScanOptions extends CallOptions {
+  /** Rules file path or inline rules (see scoring/rules/default.yaml). */
+  scoringRules?: string | Record<string, unknown>;
+  onProgress?: (progress: WebsiteScanProgress) => void;
+}
+
+export interface DiagnoseOptions extends CallOptions {
+  maxPages?: number;
+  includeTelemetryReplay?: boolean;
+  pageSampleStrategy?: 'sitemap' | 'links' | 'none';
+  timeoutMs?: number;
+  respectRobots?: boolean;
+  userAgent?: string;
+}
+
+export interface AdImpressionScanOptions extends CallOptions {
+  viewabilityRule?: string;
+  viewabilityStandards?: string | string[];
+  journey?: string | unknown[];
+  discrepancyThreshold?: number;
+  deliveryTotals?: unknown;
+  campaignLabel?: string | null;
+}
+
+export interface CmsScanOptions extends CallOptions {
+  buildLabel?: string;
+  authHeader?: string | null;
+  authCookie?: string | null;
+  crawlDepth?: number;
+  samplePages?: string[];
+  allowedPartners?: string[];
+  timeout?: number;
+  respectRobots?: boolean;
+  userAgent?: string;
+}
+
+export interface InjectedTelemetryScanOptions extends CallOptions {
+  maxWaitMs?: number;
+  idleWaitMs?: number;
+}
+
+export interface FraudWarning {
+  type: string;
+  details: string;
+  url?: string;
+  risk?: 'Low' | 'Medium' | 'High';
+}
+
+export interface WebsiteScanOutput {
+  url: string;
+  scanTimestamp: string;
+  consentState: string | null;
+  verdict: string;
+  riskScore: number;
+  fraudWarnings: FraudWarning[];
+  error?: { message: string; stage: string };
+  [key: string]: unknown;
+}
+
+export interface DiagnosisFinding {
+  severity: Severity;
+  type: string;
+  vendor?: string;
+  title: string;
+  details: string;
+  evidence?: unknown;
+}
+
+export interface DiagnosisOutput {
+  url: string;
+  scannedAt: string;
+  consentState: string | null;
+  pagesScanned: string[];
+  findings: DiagnosisFinding[];
+  [key: string]: unknown;
+}
+
+export interface AdImpressionOutput {
+  runId: string;
+  url: string;
+  consentState: string | null;
+  flags: { creativeId: string; placement?: string; discrepancy: number; message: string }[];
+  adStackingFindings?: { findings: { iframeId?: string; reason: string; src?: string }[] };
+  [key: string]: unknown;
+}
+
+export interface CmsOutput {
+  scanId: string;
+  baseUrl: string;
+  consentState: string | null;
+  duplicates: { duplicateIds: Record<string, number>; duplicateScripts: Record<string, number>; duplicateLibraries: Record<string, number> };
+  unauthorized: { type: string; url: string; domain: string; page: string; reason: string }[];
+  injectedScripts: { src?: string; page: string; reason: string }[];
+  [key: string]: unknown;
+}
+
+export interface InjectedTelemetryFinding {
+  type: string;
+  vendor: string;
+  artifactKind: string;
+  url?: string;
+  injectionPhase?: string;
+  injected?: boolean;
+  evidence?: unknown;
+}
+
+export interface InjectedTelemetryOutput {
+  url: string;
+  consentState?: string | null;
+  findings: InjectedTelemetryFinding[];
+  [key: string]: unknown;
+}
+
+interface BrowserSessionModule {
+  launchBrowser(launchOptions?: LaunchOptions): Promise<Browser>;
+  throwIfAborted(signal?: AbortSignal): void;
+}
+
+const SEVERITIES: Severity[] = ['info', 'low', 'medium', 'high', 'critical'];
+const RISK_SEVERITY: Record<string, Severity> = { Low: 'low', Medium: 'medium', High: 'high' };
+
+function asSeverity(value: unknown, fallback: Severity = 'medium'): Severity {
+  return SEVERITIES.includes(value as Severity) ? (value as Severity) : fallback;
+}
+
+function slug(text: string): string {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+}
+
+/** Map a scanner's own output onto the common finding shape. */
+export function toFindings(scanner: ScannerName, raw: unknown): CybertectFinding[] {
+  switch (scanner) {
+    case 'website':
+      return ((raw as WebsiteScanOutput).fraudWarnings ?? []).map((w) => ({
+        scanner,
+        type: slug(w.type),
+        severity: RISK_SEVERITY[w.risk ?? ''] ?? 'medium',
+        title: w.type,
+        detail: w.details,
+        url: w.url,
+      }));
+    case 'diagnosis':
+      return ((raw as DiagnosisOutput).findings ?? []).map((f) => ({
+        scanner,
+        type: f.type,
+        severity: asSeverity(f.severity),
+        title: f.title,
+        detail: f.details,
+        vendor: f.vendor,
+        evidence: f.evidence,
+      }));
+    case 'ad_impressions': {
+      const output = raw as AdImpressionOutput;
+      const gaps = (output.flags ?? []).map((flag) => ({
+        scanner,
+        type: 'viewability_gap',
+        severity: 'medium' as Severity,
+        title: 'Viewability gap',
+        detail: flag.message,
+        evidence: flag,
+      }));
+      const stacking = (output.adStackingFindings?.findings ?? []).map((f) => ({
+        scanner,
+        type: 'ad_stacking',
+        severity: 'high' as Severity,
+        title: 'Stacked or hidden ad iframe',
+        detail: `${f.iframeId || 'iframe'}: ${f.reason}`,
+        url: f.src,
+        evidence: f,
+      }));
+      return [...gaps, ...stacking];
+    }
+    case 'cms': {
+      const output = raw as CmsOutput;
+      const duplicates = Object.entries(output.duplicates?.duplicateIds ?? {}).map(([id, count]) => ({
+        scanner,
+        type: 'duplicate_id',
+        severity: 'medium' as Severity,
+        title: 'Duplicate measurement ID',
+        detail: `${id} appears ${count} times`,
+      }));
+      const unauthorized = (output.unauthorized ?? []).map((u) => ({
+        scanner,
+        type: 'unauthorized_partner',
+        severity: 'high' as Severity,
+        title: 'Unauthorized partner',
+        detail: `${u.domain} on ${u.page}: ${u.reason}`,
+        url: u.url,
+      }));
+      const injected = (output.injectedScripts ?? []).map((s) => ({
+        scanner,
+        type: 'injected_script',
+        severity: 'medium' as Severity,
+        title: 'Injected script',
+        detail: `${s.src || 'inline script'} on ${s.page}: ${s.reason}`,
+        url: s.src,
+      }));
+      return [...duplicates, ...unauthorized, ...injected];
+    }
+    case 'injected_telemetry':
+      return ((raw as InjectedTelemetryOutput).findings ?? []).map((f) => ({
+        scanner,
+        type: f.injected ? 'injected_telemetry' : 'telemetry',
+        severity: (f.injected ? 'medium' : 'info') as Severity,
+        title: `${f.vendor} ${f.artifactKind}`,
+        detail: `${f.vendor} ${f.type} ${f.injected ? 'injected' : 'present'}${f.injectionPhase ? ` (${f.injectionPhase})` : ''}`,
+        vendor: f.vendor,
+        url: f.url,
+        evidence: f.evidence,
+      }));
+    default:
+      return [];
+  }
+}
+
+/**
+ * Programmatic access to every scanner. Scans share one browser, launched on
+ * first use (or passed in), and each scan runs in its own context.
+ */
+export class Cybertect {
+  private browser: Browser | null;
+  private launching: Promise<Browser> | null = null;
+  private readonly ownsBrowser: boolean;
+
+  constructor(private readonly options: CybertectOptions = {}) {
+    this.browser = options.browser ?? null;
+    this.ownsBrowser = !options.browser;
+  }
+
+  scanWebsite(url: string, options: WebsiteScanOptions = {}): Promise<CybertectResult<WebsiteScanOutput>> {
+    const { scanWebsite } = requireRoot('scanner.cjs');
+    return this.run('website', url, options, (shared) =>
+      scanWebsite(url, options.onProgress, { scoringRules: options.scoringRules, ...shared }),
+    );
+  }
+
+  diagnose(url: string, options: DiagnoseOptions = {}): Promise<CybertectResult<DiagnosisOutput>> {
+    const { diagnoseAnalytics } = requireRoot('diagnosis.cjs');
+    return this.run('diagnosis', url, options, (shared) => diagnoseAnalytics(url, { ...options, ...shared }));
+  }
+
+  scanAdImpressions(url: string, options: AdImpressionScanOptions = {}): Promise<CybertectResult<AdImpressionOutput>> {
+    const { scanAdImpressions } = requireRoot('ad-impression-verification/scanner.cjs');
+    return this.run('ad_impressions', url, options, (shared) => scanAdImpressions({ ...options, url, ...shared }));
+  }
+
+  scanCms(baseUrl: string, options: CmsScanOptions = {}): Promise<CybertectResult<CmsOutput>> {
+    const { scanCMSOutput } = requireRoot('cms-monitor/scanner.cjs');
+    return this.run('cms', baseUrl, options, (shared) => scanCMSOutput({ ...options, baseUrl, ...shared }));
+  }
+
+  scanInjectedTelemetry(url: string, options: InjectedTelemetryScanOptions = {}): Promise<CybertectResult<InjectedTelemetryOutput>> {
+    const { scanInjectedTelemetry } = requireRoot('injected-telemetry-scanner.cjs');
+    return this.run('injected_telemetry', url, options, (shared) => scanInjectedTelemetry(url, { ...options, ...shared }));
+  }
+
+  /** Close the browser the client launched. A browser passed in is left running. */
+  async close(): Promise<void> {
+    const browser = this.browser;
+    this.browser = this.ownsBrowser ? null : browser;
+    this.launching = null;
+    if (browser && this.ownsBrowser) await browser.close();
+  }
+
+  private async acquireBrowser(): Promise<Browser> {
+    if (this.browser) return this.browser;
+    if (!this.launching) {
+      const { launchBrowser } = requireRoot('browser/browser-session.cjs') as BrowserSessionModule;
+      this.launching = launchBrowser(this.options.launchOptions);
+    }
+    this.browser = await this.launching;
+    return this.browser;
+  }
+
+  private async run<Raw>(
+    scanner: ScannerName,
+    url: string,
+    options: CallOptions,
+    scan: (shared: {
+      browser: Browser;
+      signal?: AbortSignal;
+      consentState?: string;
+      emulation?: EmulationProfile | EmulationOptions | null;
+    }) => Promise<Raw>,
+  ): Promise<CybertectResult<Raw>> {
+    const { throwIfAborted } = requireRoot('browser/browser-session.cjs') as BrowserSessionModule;
+    const { signal } = options;
+    throwIfAborted(signal);
+    const startedAt = new Date().toISOString();
+    const browser = await this.acquireBrowser();
+    const consentState = options.consentState ?? this.options.consentState;
+    const emulation = options.emulation !== undefined ? options.emulation : this.options.emulation;
+    const raw = await scan({ browser, signal, consentState, emulation });
+    // Some scanners report a failed page instead of throwing; an abort still rejects
+    throwIfAborted(signal);
+    return {
+      scanner,
+      url,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      consentState: ((raw as { consentState?: string | null }).consentState ?? null) as string | null,
+      emulation: (raw as { emulation?: Emulation | null }).emulation ?? null,
+      findings: toFindings(scanner, raw),
+      raw,
+    };
+  }
+}
@@ -7,6 +7,8 @@ function AIValidation() {
   const [findingsJson, setFindingsJson] = useState(null);
   const [template, setTemplate] = useState('ad-impression-inflation');
   const [provider, setProvider] = useState('openai');
+  const [consensusMode, setConsensusMode] = useState(false);
+  const [consensusProviders, setConsensusProviders] = useState([]);
   const [redactionMode, setRedactionMode] = useState(false);
   const [loading, setLoading] = useState(false);
   const [uploadId, setUploadId] = useState(null);
@@ -57,6 +59,12 @@ function AIValidation() {
     }
   };
 
+  const toggleConsensusProvider = (id) => {
+    setConsensusProviders((selected) =>
+      selected.includes(id) ? selected.filter((p) => p !== id) : [...selected, id]
+    );
+  };
+
   const handleEvidencePackChange = (e) => {
     const file = e.target.files[0];
     if (file) {
@@ -115,6 +123,9 @@ function AIValidation() {
         template,
         redaction: redactionMode
       };
+      if (consensusMode) {
+        runPayload.providers = consensusProviders;
+      }
 
       // If findings JSON is provided, read and include it
       if (findingsJson) {
@@ -317,18 +328,60 @@ function AIValidation() {
                 <label className="block text-sm font-medium text-gray-700 mb-2">
                   AI Provider *
                 </label>
-                <select
-                  value={provider}
-                  onChange={(e) => setProvider(e.target.value)}
-                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
-                  disabled={loading}
-                >
-                  {providers.map((p) => (
-                    <option key={p.id} value={p.id}>
-                      {p.name} ({p.defaultModel})
-                    </option>
-                  ))}
-                </select>
+                {consensusMode ? (
+                  <div className="space-y-2">
+                    {providers.map((p) => (
+                      <label key={p.id} className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={consensusProviders.includes(p.id)}
+                          onChange={() => toggleConsensusProvider(p.id)}
+                          className="w-4 h-4 text-purple-600 border-gray-300 rounded focus:ring-purple-500 mr-2"
+                          disabled={loading}
+                        />
+                        {p.name} ({p.defaultModel})
+                      </label>
+                    ))}
+                  </div>
+                ) : (
+                  <select
+                    value={provider}
+                    onChange={(e) => setProvider(e.target.value)}
+                    className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                    disabled={loading}
+                  >
+                    {providers.map((p) => (
+                      <option key={p.id} value={p.id}>
+                        {p.name} ({p.defaultModel})
+                      </option>
+                    ))}
+                  </select>
+                )}
+                {!consensusMode && providers.find(p => p.id === provider && p.local) && (
+                  <p className="text-xs text-gray-500 mt-1">
+                    Self-hosted at {providers.find(p => p.id === provider).baseUrl}; evidence is not sent to a third-party AI.
+                  </p>
+                )}
+              </div>
+
+              {/* Consensus Mode Toggle */}
+              <div>
+                <div className="flex items-center">
+                  <input
+                    type="checkbox"
+                    id="consensus-mode"
+                    checked={consensusMode}
+                    onChange={(e) => setConsensusMode(e.target.checked)}
+                    className="w-4 h-4 text-purple-600 border-gray-300 rounded focus:ring-purple-500"
+                    disabled={loading}
+                  />
+                  <label htmlFor="consensus-mode" className="ml-2 text-sm text-gray-700">
+                    Consensus Mode (ask several providers and report where they disagree)
+                  </label>
+                </div>
+                {consensusMode && consensusProviders.length < 2 && (
+                  <p className="text-xs text-gray-500 mt-1">Select at least two providers.</p>
+                )}
               </div>
 
               {/* Redaction Mode Toggle */}
@@ -359,7 +412,7 @@ function AIValidation() {
               {/* Submit Button */}
               <button
                 onClick={handleUpload}
-                disabled={loading || !evidencePack}
+                disabled={loading || !evidencePack || (consensusMode && consensusProviders.length < 2)}
                 className="w-full bg-purple-600 text-white py-3 px-6 rounded-lg font-medium hover:bg-purple-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors flex items-center justify-center"
               >
                 {loading ? (
@@ -397,6 +450,38 @@ function AIValidation() {
               </div>
             </div>
 
+            {/* Per-provider Breakdown (consensus mode) */}
+            {result.metadata.consensus && (
+              <div className="bg-white rounded-lg shadow-lg p-6">
+                <h3 className="text-xl font-bold text-gray-900 mb-1">Provider Consensus</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  {result.metadata.consensus.agreementScore}% agreement
+                </p>
+                <div className="space-y-2 text-sm">
+                  {result.metadata.consensus.providers.map((p) => (
+                    <div key={p.id} className="flex justify-between">
+                      <span className="font-medium text-gray-700">{p.provider} ({p.model})</span>
+                      {p.error ? (
+                        <span className="text-red-600">No result: {p.error}</span>
+                      ) : (
+                        <span className="text-gray-600">{p.verdict} at {p.confidence}%</span>
+                      )}
+                    </div>
+                  ))}
+                </div>
+                {result.metadata.consensus.disagreements.length > 0 && (
+                  <div className="mt-4">
+                    <p className="font-medium text-gray-700 text-sm mb-1">Providers disagree on:</p>
+                    <ul className="list-disc list-inside text-sm text-amber-700">
+                      {result.metadata.consensus.disagreements.map((title) => (
+                        <li key={title}>{title}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </div>
+            )}
+
             {/* Download Links */}
             <div className="bg-white rounded-lg shadow-lg p-6">
               <h3 className="text-xl font-bold text-gray-900 mb-4">Download Results</h3>
@@ -440,6 +525,33 @@ function AIValidation() {
                   <span className="font-medium text-gray-700">Template:</span>
                   <span className="ml-2 text-gray-600">{result.metadata.template}</span>
                 </div>
+                {result.metadata.groundingScore !== undefined && (
+                  <div>
+                    <span className="font-medium text-gray-700">Evidence Grounding:</span>
+                    <span className="ml-2 text-gray-600">
+                      {result.metadata.groundingScore}%
+                      {result.metadata.removedFindingsCount > 0 && ` (${result.metadata.removedFindingsCount} unverifiable removed)`}
+                    </span>
+                  </div>
+                )}
+                {result.metadata.omittedRows > 0 && (
+                  <div>
+                    <span className="font-medium text-gray-700">Compaction:</span>
+                    <span className="ml-2 text-gray-600">
+                      {result.metadata.omittedRows} rows omitted ({result.metadata.tokenBudget}-token budget)
+                    </span>
+                  </div>
+                )}
+                {result.metadata.rulesVerdict && (
+                  <div>
+                    <span className="font-medium text-gray-700">Deterministic Rules:</span>
+                    <span className="ml-2 text-gray-600">
+                      {result.metadata.rulesVerdict}
+                      {result.metadata.verdictSource === 'rules' ? ' (rules-only verdict)' : ' (model verdict checked)'}
+                      {result.metadata.rejectedOutputs > 0 && `, ${result.metadata.rejectedOutputs} model answer(s) rejected`}
+                    </span>
+                  </div>
+                )}
                 <div>
                   <span className="font-medium text-gray-700">Redaction:</span>
                   <span className="ml-2 text-gray-600">{result.metadata.redactionMode ? 'Enabled' : 'Disabled'}</span>
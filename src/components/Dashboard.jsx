@@ -121,6 +121,11 @@ const Dashboard = () => {
       Object.entries(row.telemetry || {}).forEach(([id, entry]) => {
         lines.push([row.domain, 'telemetry', id, `total:${entry.total}`, '', flags].map((c) => `"${String(c ?? '').replace(/"/g, '""')}"`).join(','));
       });
+      const duplicatedCookies = new Set((row.storage?.findings || []).map((f) => f.evidence?.cookie));
+      (row.storage?.cookies || []).forEach((cookie) => {
+        const severity = duplicatedCookies.has(cookie.name) ? 'duplicate' : '';
+        lines.push([row.domain, 'storage', `cookie:${cookie.name}`, `${cookie.domain} ${cookie.vendor}`, severity, flags].map((c) => `"${String(c ?? '').replace(/"/g, '""')}"`).join(','));
+      });
     });
     return lines.join('\n');
   };
@@ -248,10 +253,12 @@ const Dashboard = () => {
             risk_score: scanResult.riskScore || 0,
             analytics: { ga4_ids: ga4Ids, gtm_containers: gtmIds, gads_aw_ids: awIds, fb_pixel_ids: fbIds },
             telemetry: hitsById,
+            beacons: normalizeHits(scanResult.beaconsById || {}),
             flags,
             waste: wasteFactor,
             duplicates: newResult.duplicateIds,
             tag_parity: tagParity,
+            storage: scanResult.storageInventory || null,
             timestamp: scanStartedAt
           };
 
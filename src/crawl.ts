@@ -0,0 +1,98 @@
+import type { Finding } from './rules.js';
+import type { ScanSummary } from './report.js';
+
+const NON_HTML_EXTENSIONS = /\.(pdf|jpe?g|png|gif|webp|svg|ico|css|js|json|xml|rss|zip|gz|mp[34]|webm|mov|avi|docx?|xlsx?|pptx?|woff2?|ttf)$/i;
+
+export interface SiteSummary {
+  site: string;
+  pagesScanned: number;
+  pages: string[];
+  skippedByRobots: string[];
+  findings: (Finding & { pages: string[] })[];
+  beaconCounts: Record<string, number>;
+  partnerDomains: Record<string, number>;
+}
+
+/** Drop the fragment so /a and /a#top count as the same page. */
+export function normalizeCrawlUrl(url: string): string | null {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    parsed.hash = '';
+    return parsed.toString();
+  } catch {
+    return null;
+  }
+}
+
+export function siteOf(url: string): string {
+  return new URL(url).origin;
+}
+
+/** Same-origin, HTML-looking links from a page, normalized and deduplicated. */
+export function sameOriginLinks(pageUrl: string, links: string[]): string[] {
+  const origin = siteOf(pageUrl);
+  const out = new Set<string>();
+  for (const link of links) {
+    const normalized = normalizeCrawlUrl(link);
+    if (!normalized) continue;
+    const parsed = new URL(normalized);
+    if (parsed.origin !== origin) continue;
+    if (NON_HTML_EXTENSIONS.test(parsed.pathname)) continue;
+    out.add(normalized);
+  }
+  return Array.from(out);
+}
+
+function addCounts(target: Record<string, number>, source: Record<string, number>) {
+  for (const [key, count] of Object.entries(source)) {
+    target[key] = (target[key] ?? 0) + count;
+  }
+}
+
+/**
+ * Roll page results up per site. Identical findings raised on several pages
+ * are reported once with the list of pages they were seen on.
+ */
+export function aggregateBySite(
+  results: (ScanSummary & { site?: string })[],
+  skippedByRobots: Record<string, string[]> = {},
+): SiteSummary[] {
+  const sites = new Map<string, SiteSummary>();
+  const findingIndex = new Map<string, Finding & { pages: string[] }>();
+
+  for (const result of results) {
+    const site = result.site ?? siteOf(result.url);
+    let summary = sites.get(site);
+    if (!summary) {
+      summary = {
+        site,
+        pagesScanned: 0,
+        pages: [],
+        skippedByRobots: skippedByRobots[site] ?? [],
+        findings: [],
+        beaconCounts: {},
+        partnerDomains: {},
+      };
+      sites.set(site, summary);
+    }
+    summary.pagesScanned++;
+    summary.pages.push(result.url);
+    addCounts(summary.beaconCounts, result.beaconCounts);
+    addCounts(summary.partnerDomains, result.partnerDomains);
+
+    for (const finding of result.findings) {
+      const key = `${site}|${finding.type}|${finding.severity}|${finding.detail}`;
+      const existing = findingIndex.get(key);
+      if (existing) {
+        existing.pages.push(result.url);
+      } else {
+        const entry = { ...finding, pages: [result.url] };
+        findingIndex.set(key, entry);
+        summary.findings.push(entry);
+      }
+    }
+  }
+
+  return Array.from(sites.values());
+}
@@ -6,14 +6,31 @@ export interface Viewport {
   height: number;
 }
 
+/** Device, locale and network a run emulated (see browser/emulation.cjs). */
+export interface Emulation {
+  profile: string | null;
+  label: string;
+  userAgent: string | null;
+  viewport: Viewport | null;
+  deviceScaleFactor: number | null;
+  isMobile: boolean | null;
+  hasTouch: boolean | null;
+  locale: string | null;
+  timezoneId: string | null;
+  geolocation: { latitude: number; longitude: number; accuracy?: number } | null;
+  network: { id: string; downloadKbps: number; uploadKbps: number; latencyMs: number } | null;
+}
+
 export interface RunMetadata {
   runId: string;
   url: string;
   startedAt: number;
   finishedAt: number;
+  /** As reported by the page, so they reflect the emulation when one was applied */
   userAgent: string;
   viewport: Viewport;
   locale?: string;
+  emulation?: Emulation | null;
   template?: string;
   crawlerVersion: string;
   featureFlags?: Record<string, boolean>;
@@ -61,6 +78,28 @@ export interface GptEvent {
   payload?: Record<string, unknown>;
 }
 
+export type StorageArea = 'cookies' | 'localStorage' | 'sessionStorage' | 'indexedDB';
+
+/** Written by storage/storage-inventory.cjs during scanWebsite and diagnoseAnalytics. */
+export interface StorageInventory {
+  phases: {
+    phase: string;
+    at: number;
+    counts: Record<StorageArea, number>;
+    added: Record<StorageArea, string[]>;
+    changed: Record<StorageArea, string[]>;
+    removed: Record<StorageArea, string[]>;
+    writes: number;
+  }[];
+  cookies: { name: string; domain: string; path: string; value: string; vendor: string; firstSeenPhase: string | null; firstParty: boolean; writer: string | null }[];
+  localStorage: { origin: string; key: string; size: number; vendor: string; firstSeenPhase: string | null; writer: string | null }[];
+  sessionStorage: { origin: string; key: string; size: number; vendor: string; firstSeenPhase: string | null; writer: string | null }[];
+  indexedDB: { origin: string; name: string; vendor: string; firstSeenPhase: string | null; writer: string | null }[];
+  writes: { api: string; op: string; key: string; script: string | null; origin: string; phase: string; vendor: string }[];
+  byVendor: Record<string, Record<StorageArea, number>>;
+  findings: { severity: string; type: string; vendor: string; title: string; details: string; evidence: Record<string, unknown> }[];
+}
+
 export interface EvidencePackInput {
   runId: string;
   metadata: RunMetadata;
@@ -77,6 +116,7 @@ export interface EvidencePackInput {
   iframes?: IframeRecord[];
   tags?: TagRecord[];
   gptEvents?: GptEvent[];
+  storage?: StorageInventory;
 }
 
 function ensureDir(dir: string) {
@@ -119,6 +159,7 @@ export interface EvidencePackPaths {
   iframes: string;
   tags: string;
   gptEvents: string;
+  storage: string;
 }
 
 export function getPackPaths(baseDir: string, runId: string): EvidencePackPaths {
@@ -134,7 +175,8 @@ export function getPackPaths(baseDir: string, runId: string): EvidencePackPaths
     fullScreenshot: path.join(root, 'screenshots', 'full.png'),
     iframes: path.join(root, 'iframes.json'),
     tags: path.join(root, 'tags.json'),
-    gptEvents: path.join(root, 'gpt_events.json')
+    gptEvents: path.join(root, 'gpt_events.json'),
+    storage: path.join(root, 'storage.json')
   };
 }
 
@@ -174,6 +216,9 @@ export function writeEvidencePack(baseDir: string, pack: EvidencePackInput): Evi
   if (pack.gptEvents) {
     writeJson(paths.gptEvents, { events: pack.gptEvents });
   }
+  if (pack.storage) {
+    writeJson(paths.storage, pack.storage);
+  }
 
   return paths;
 }
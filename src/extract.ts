@@ -95,3 +95,8 @@ export async function extractDomArtifacts(page: Page): Promise<DomArtifacts> {
 
   return { scripts, frames, pixels, noscripts };
 }
+
+export async function extractLinks(page: Page): Promise<string[]> {
+  // Anchor .href is already resolved against the document base URL
+  return page.$$eval('a[href]', (anchors) => anchors.map((a) => (a as HTMLAnchorElement).href));
+}
@@ -0,0 +1,187 @@
+import crypto from 'node:crypto';
+import { FINDING_TYPES } from './rules.js';
+import type { Finding, FindingType, Severity } from './rules.js';
+import type { ScanSummary } from './report.js';
+import { requireRoot } from './require-root.js';
+
+const { version: TOOL_VERSION } = requireRoot('package.json') as { version: string };
+
+export const REPORT_FORMATS = ['json', 'html', 'sarif', 'junit'] as const;
+export type ReportFormat = (typeof REPORT_FORMATS)[number];
+
+const SEVERITY_ORDER: Record<Severity, number> = { info: 0, low: 1, medium: 2, high: 3, critical: 4 };
+
+const RULE_DESCRIPTIONS: Record<FindingType, string> = {
+  cloned_tag: 'Tag or container ID cloned from another property',
+  duplicate_container: 'Multiple configurations loaded for one vendor',
+  beacon_burst: 'Telemetry requests above the burst threshold',
+  unauthorized_partner: 'Third-party domain not allowed by policy',
+  id_mismatch: 'Vendor ID not approved by policy',
+  obfuscation: 'Obfuscated inline script',
+  scan_failed: 'Page could not be loaded or scanned',
+  id_added: 'Vendor ID added since baseline',
+  id_removed: 'Vendor ID removed since baseline',
+  script_added: 'Script added since baseline',
+  script_removed: 'Script removed since baseline',
+  script_changed: 'Script changed since baseline',
+  iframe_added: 'Iframe added since baseline',
+  pixel_added: 'Tracking pixel added since baseline',
+  beacon_delta: 'Telemetry volume changed since baseline',
+  partner_added: 'Partner domain added since baseline',
+};
+
+/**
+ * Exit code the CLI uses to gate deploys: 5 when anything is critical, 2 for
+ * medium or high, 0 otherwise. Every subcommand uses it, so findings from any
+ * scanner qualify.
+ */
+export function exitCodeFor(findings: readonly { severity: Severity }[]): number {
+  const highest = findings.reduce((acc, f) => Math.max(acc, SEVERITY_ORDER[f.severity] ?? 0), 0);
+  if (highest >= SEVERITY_ORDER.critical) return 5;
+  if (highest >= SEVERITY_ORDER.medium) return 2;
+  return 0;
+}
+
+function sarifLevel(severity: Severity): 'error' | 'warning' | 'note' {
+  if (severity === 'critical' || severity === 'high') return 'error';
+  if (severity === 'medium') return 'warning';
+  return 'note';
+}
+
+function fingerprint(url: string, finding: Finding): string {
+  return crypto.createHash('sha256').update([url, finding.type, finding.detail].join('\n')).digest('hex');
+}
+
+/**
+ * One SARIF 2.1.0 run covering every scanned page. Each finding type is a
+ * rule; each finding is a result located at the page URL.
+ */
+export function toSarif(results: ScanSummary[]): object {
+  const rules = FINDING_TYPES.map((type) => ({
+    id: type,
+    shortDescription: { text: RULE_DESCRIPTIONS[type] },
+  }));
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: { driver: { name: 'cybertect-scan', version: TOOL_VERSION, rules } },
+        results: results.flatMap((result) =>
+          result.findings.map((finding) => ({
+            ruleId: finding.type,
+            ruleIndex: FINDING_TYPES.indexOf(finding.type),
+            level: sarifLevel(finding.severity),
+            message: { text: finding.detail },
+            locations: [{ physicalLocation: { artifactLocation: { uri: result.url } } }],
+            partialFingerprints: { 'cybertectFinding/v1': fingerprint(result.url, finding) },
+            properties: {
+              severity: finding.severity,
+              ...(finding.evidence !== undefined && { evidence: finding.evidence }),
+              ...(finding.vendor !== undefined && { vendor: finding.vendor }),
+              ...(finding.id !== undefined && { id: finding.id }),
+              ...(finding.domain !== undefined && { domain: finding.domain }),
+            },
+          })),
+        ),
+      },
+    ],
+  };
+}
+
+function xmlEscape(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // XML 1.0 has no escape for most control characters, so drop them
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+}
+
+function describeFinding(finding: Finding): string {
+  return `[${finding.severity}] ${finding.detail}${finding.evidence ? `\n  evidence: ${finding.evidence}` : ''}`;
+}
+
+/**
+ * JUnit XML with one testsuite per page and one testcase per finding type,
+ * so dashboards track the same checks from run to run. A check fails when it
+ * has findings above info; info-only findings go to system-out.
+ */
+export function toJUnit(results: ScanSummary[]): string {
+  let totalFailures = 0;
+  const suites = results.map((result) => {
+    let failures = 0;
+    const cases = FINDING_TYPES.map((type) => {
+      const matching = result.findings.filter((f) => f.type === type);
+      const failing = matching.filter((f) => f.severity !== 'info');
+      const name = `name="${xmlEscape(type)}" classname="${xmlEscape(result.url)}"`;
+      if (!matching.length) return `    <testcase ${name}/>`;
+
+      const body: string[] = [];
+      if (failing.length) {
+        failures += 1;
+        const worst = failing.reduce((a, b) => (SEVERITY_ORDER[b.severity] > SEVERITY_ORDER[a.severity] ? b : a));
+        const message = failing.length === 1 ? worst.detail : `${failing.length} findings, first: ${failing[0].detail}`;
+        body.push(
+          `      <failure message="${xmlEscape(message)}" type="${worst.severity}">${xmlEscape(failing.map(describeFinding).join('\n'))}</failure>`,
+        );
+      }
+      const infos = matching.filter((f) => f.severity === 'info');
+      if (infos.length) body.push(`      <system-out>${xmlEscape(infos.map(describeFinding).join('\n'))}</system-out>`);
+      return `    <testcase ${name}>\n${body.join('\n')}\n    </testcase>`;
+    });
+
+    totalFailures += failures;
+    return [
+      `  <testsuite name="${xmlEscape(result.url)}" tests="${FINDING_TYPES.length}" failures="${failures}" errors="0" skipped="0" timestamp="${xmlEscape(result.startedAt)}" time="${(result.durationMs / 1000).toFixed(3)}">`,
+      ...cases,
+      '  </testsuite>',
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="cybertect-scan" tests="${results.length * FINDING_TYPES.length}" failures="${totalFailures}">`,
+    ...suites,
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+export interface RunSummary {
+  generatedAt: string;
+  exitCode: number;
+  pagesScanned: number;
+  findingsBySeverity: Record<Severity, number>;
+  pages: {
+    url: string;
+    exitCode: number;
+    findings: number;
+    findingsBySeverity: Record<Severity, number>;
+  }[];
+}
+
+function countBySeverity(findings: Finding[]): Record<Severity, number> {
+  const counts: Record<Severity, number> = { info: 0, low: 0, medium: 0, high: 0, critical: 0 };
+  findings.forEach((f) => (counts[f.severity] += 1));
+  return counts;
+}
+
+/** Combined roll-up for multi-URL runs, including the exit code the CLI returns. */
+export function summarizeRun(results: ScanSummary[]): RunSummary {
+  const all = results.flatMap((r) => r.findings);
+  return {
+    generatedAt: new Date().toISOString(),
+    exitCode: exitCodeFor(all),
+    pagesScanned: results.length,
+    findingsBySeverity: countBySeverity(all),
+    pages: results.map((r) => ({
+      url: r.url,
+      exitCode: exitCodeFor(r.findings),
+      findings: r.findings.length,
+      findingsBySeverity: countBySeverity(r.findings),
+    })),
+  };
+}
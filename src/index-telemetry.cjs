@@ -373,6 +373,49 @@ function getDistinctDomains(idType, idValue) {
   return rows.map(r => r.domain);
 }
 
+const REVERSE_SEARCH_TYPES = ['UA', 'GA4', 'GTM', 'FBP', 'AW'];
+
+/**
+ * Every domain an ID was seen on, newest first, with the other IDs seen on
+ * each domain. Shared by GET /api/reverse-search and `cybertect-scan reverse`.
+ */
+function reverseSearch(idType, idValue) {
+  const byDomain = new Map();
+
+  queryById(idType, idValue).forEach(row => {
+    const entry = byDomain.get(row.domain) || {
+      domain: row.domain,
+      first_seen_at: row.first_seen_at,
+      last_seen_at: row.last_seen_at,
+      seen_count: 0,
+      sources: [],
+      evidence: []
+    };
+    if (row.first_seen_at < entry.first_seen_at) entry.first_seen_at = row.first_seen_at;
+    if (row.last_seen_at > entry.last_seen_at) entry.last_seen_at = row.last_seen_at;
+    entry.seen_count += row.seen_count;
+    if (!entry.sources.includes(row.source)) entry.sources.push(row.source);
+    entry.evidence.push({ source: row.source, url: row.url, evidence: row.evidence, confidence: row.confidence });
+    byDomain.set(row.domain, entry);
+  });
+
+  return Array.from(byDomain.values())
+    .sort((a, b) => (a.last_seen_at < b.last_seen_at ? 1 : -1))
+    .map(entry => {
+      const seen = new Set();
+      entry.also_seen_ids = queryByDomain(entry.domain, 50)
+        .filter(row => !(row.id_type === idType && row.id_value === idValue))
+        .filter(row => {
+          const key = `${row.id_type}:${row.id_value}`;
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        })
+        .map(row => ({ id_type: row.id_type, id_value: row.id_value }));
+      return entry;
+    });
+}
+
 function closeDb() {
   if (db) {
     db.close();
@@ -388,5 +431,7 @@ module.exports = {
   queryById,
   queryByDomain,
   getDistinctDomains,
+  REVERSE_SEARCH_TYPES,
+  reverseSearch,
 };
 
@@ -0,0 +1,33 @@
+// Package entry point ("main": "dist/index.js"). Services embed the scanners
+// through the Cybertect client instead of the CLI or the HTTP server.
+export { Cybertect, toFindings } from './client.js';
+export type {
+  ScannerName,
+  CybertectFinding,
+  CybertectResult,
+  CybertectOptions,
+  CallOptions,
+  EmulationOptions,
+  EmulationProfile,
+  NetworkProfile,
+  WebsiteScanOptions,
+  WebsiteScanProgress,
+  WebsiteScanOutput,
+  FraudWarning,
+  DiagnoseOptions,
+  DiagnosisOutput,
+  DiagnosisFinding,
+  AdImpressionScanOptions,
+  AdImpressionOutput,
+  CmsScanOptions,
+  CmsOutput,
+  InjectedTelemetryScanOptions,
+  InjectedTelemetryOutput,
+  InjectedTelemetryFinding,
+} from './client.js';
+
+// CMS telemetry monitor, as run by `cybertect-scan scan`
+export { scanSites, scanUrls, writeReports } from './scan.js';
+export type { ScanOptions, ScanResult, SiteScanResult } from './scan.js';
+export type { Finding, FindingType, Severity } from './rules.js';
+export type { Emulation, RunMetadata } from './evidence/pack-writer.js';
@@ -97,6 +97,7 @@ export function loadEvidencePack(packPath: string): LoadedPack | undefined {
     t6: maybeReadText(path.join(packPath, 'dom_t6.html'))
   };
   const networkHar = parseHarMaybe(path.join(packPath, 'network.har'));
+  const storage = safeReadJson(path.join(packPath, 'storage.json'));
 
   return {
     metadata: meta,
@@ -104,7 +105,8 @@ export function loadEvidencePack(packPath: string): LoadedPack | undefined {
     tags,
     gptEvents,
     domSnapshots,
-    networkHar
+    networkHar,
+    storage
   };
 }
 
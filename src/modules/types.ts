@@ -3,6 +3,7 @@ import type {
   GptEvent,
   IframeRecord,
   RunMetadata,
+  StorageInventory,
   TagRecord
 } from '../evidence/pack-writer';
 
@@ -51,5 +52,6 @@ export type LoadedPack = {
   iframes?: IframeRecord[];
   tags?: TagRecord[];
   gptEvents?: GptEvent[];
+  storage?: StorageInventory;
 };
 
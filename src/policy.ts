@@ -1,12 +1,65 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import yaml from 'js-yaml';
+import { FINDING_TYPES } from './rules.js';
+import type { FindingType, Severity } from './rules.js';
 
-export interface Policy {
-  env: string;
+export interface PolicyRules {
   allowedVendors: string[];
   allowedIds: Record<string, string[]>;
+  /** Exact hosts, `*.example.com` (subdomains only) or `.example.com` (apex and subdomains). */
   allowedDomains: string[];
+  deniedVendors: string[];
+  deniedIds: Record<string, string[]>;
+  deniedDomains: string[];
+  /** Severity overrides per finding type. */
+  severity: Partial<Record<FindingType, Severity>>;
+}
+
+/** Suppresses matching findings until `expires`. Every given field must match. */
+export interface PolicyException {
+  type?: FindingType;
+  vendor?: string;
+  id?: string;
+  domain?: string;
+  path?: string;
+  reason?: string;
+  expires?: string;
+}
+
+/** Extra allowances for pages whose path matches `match` (a `*` glob). */
+export interface PathScope extends Partial<PolicyRules> {
+  match: string;
+}
+
+export interface Policy extends PolicyRules {
+  env: string;
+  exceptions: PolicyException[];
+  paths: PathScope[];
+}
+
+type EnvironmentOverride = Partial<PolicyRules> & {
+  exceptions?: PolicyException[];
+  paths?: PathScope[];
+};
+
+export interface PolicyIssue {
+  path: string;
+  line?: number;
+  message: string;
+}
+
+export class PolicyError extends Error {
+  constructor(
+    readonly file: string,
+    readonly issues: PolicyIssue[],
+  ) {
+    super(
+      `Invalid policy ${file}:\n` +
+        issues.map((issue) => `  ${file}${issue.line ? `:${issue.line}` : ''}: ${issue.path || '(root)'} ${issue.message}`).join('\n'),
+    );
+    this.name = 'PolicyError';
+  }
 }
 
 const DEFAULT_POLICY: Policy = {
@@ -14,11 +67,23 @@ const DEFAULT_POLICY: Policy = {
   allowedVendors: [],
   allowedIds: {},
   allowedDomains: [],
+  deniedVendors: [],
+  deniedIds: {},
+  deniedDomains: [],
+  severity: {},
+  exceptions: [],
+  paths: [],
 };
 
-export function loadPolicy(policyPath?: string): Policy {
+const SEVERITIES: Severity[] = ['info', 'low', 'medium', 'high', 'critical'];
+const LIST_KEYS = ['allowedVendors', 'allowedDomains', 'deniedVendors', 'deniedDomains'] as const;
+const ID_MAP_KEYS = ['allowedIds', 'deniedIds'] as const;
+const RULE_KEYS = [...LIST_KEYS, ...ID_MAP_KEYS, 'severity'];
+const EXCEPTION_KEYS = ['type', 'vendor', 'id', 'domain', 'path', 'reason', 'expires'];
+
+export function loadPolicy(policyPath?: string, envName?: string): Policy {
   if (!policyPath) {
-    return DEFAULT_POLICY;
+    return { ...DEFAULT_POLICY, env: envName ?? DEFAULT_POLICY.env };
   }
 
   const full = path.resolve(policyPath);
@@ -26,11 +91,327 @@ export function loadPolicy(policyPath?: string): Policy {
     throw new Error(`Policy file not found: ${full}`);
   }
   const content = fs.readFileSync(full, 'utf-8');
-  const raw = yaml.load(content) as Partial<Policy>;
-  return {
-    env: raw?.env ?? DEFAULT_POLICY.env,
-    allowedVendors: raw?.allowedVendors ?? DEFAULT_POLICY.allowedVendors,
-    allowedIds: raw?.allowedIds ?? DEFAULT_POLICY.allowedIds,
-    allowedDomains: raw?.allowedDomains ?? DEFAULT_POLICY.allowedDomains,
+  return parsePolicy(content, policyPath, envName);
+}
+
+/**
+ * Parse and validate policy YAML, then apply the selected environment's
+ * overrides. Throws PolicyError listing every problem with its line number.
+ */
+export function parsePolicy(content: string, file = 'policy.yaml', envName?: string): Policy {
+  let raw: unknown;
+  let lines: Map<string, number>;
+  try {
+    ({ value: raw, lines } = loadWithLines(content));
+  } catch (err) {
+    const mark = (err as { mark?: { line: number } }).mark;
+    throw new PolicyError(file, [{ path: '', line: mark ? mark.line + 1 : undefined, message: (err as Error).message.split('\n')[0] }]);
+  }
+  if (raw === undefined || raw === null) raw = {};
+
+  const issues: PolicyIssue[] = [];
+  const report = (at: string, message: string) => issues.push({ path: at, line: lines.get(at), message });
+
+  if (!isPlainObject(raw)) {
+    report('', 'must be a mapping');
+    throw new PolicyError(file, issues);
+  }
+
+  const known = ['env', ...RULE_KEYS, 'exceptions', 'paths', 'environments'];
+  Object.keys(raw).forEach((key) => {
+    if (!known.includes(key)) report(key, `is not a known policy key (expected one of ${known.join(', ')})`);
+  });
+  if (raw.env !== undefined && typeof raw.env !== 'string') report('env', 'must be a string');
+
+  const base = validateRules(raw, '', report);
+  const exceptions = validateExceptions(raw.exceptions, 'exceptions', report);
+  const paths = validatePaths(raw.paths, 'paths', report);
+
+  const environments: Record<string, EnvironmentOverride> = {};
+  if (raw.environments !== undefined) {
+    if (!isPlainObject(raw.environments)) {
+      report('environments', 'must be a mapping of environment name to overrides');
+    } else {
+      Object.entries(raw.environments).forEach(([name, override]) => {
+        const at = `environments.${name}`;
+        if (!isPlainObject(override)) {
+          report(at, 'must be a mapping');
+          return;
+        }
+        Object.keys(override).forEach((key) => {
+          if (![...RULE_KEYS, 'exceptions', 'paths'].includes(key)) report(`${at}.${key}`, 'cannot be overridden per environment');
+        });
+        environments[name] = {
+          ...validateRules(override, `${at}.`, report),
+          exceptions: validateExceptions(override.exceptions, `${at}.exceptions`, report),
+          paths: validatePaths(override.paths, `${at}.paths`, report),
+        };
+      });
+    }
+  }
+
+  if (issues.length) throw new PolicyError(file, issues);
+
+  const env = envName ?? (raw.env as string | undefined) ?? DEFAULT_POLICY.env;
+  if (envName && raw.environments !== undefined && !environments[envName]) {
+    throw new PolicyError(file, [{ path: 'environments', line: lines.get('environments'), message: `has no entry for environment "${envName}"` }]);
+  }
+
+  const policy: Policy = { ...DEFAULT_POLICY, ...base, env, exceptions, paths };
+  const override = environments[env];
+  return override ? applyEnvironment(policy, override) : policy;
+}
+
+/**
+ * Environment values replace the base lists; ID maps and severity overrides
+ * merge per key; exceptions and path scopes are appended.
+ */
+function applyEnvironment(policy: Policy, override: EnvironmentOverride): Policy {
+  const merged: Policy = { ...policy };
+  LIST_KEYS.forEach((key) => {
+    if (override[key]) merged[key] = override[key] as string[];
+  });
+  ID_MAP_KEYS.forEach((key) => {
+    if (override[key]) merged[key] = { ...policy[key], ...override[key] };
+  });
+  if (override.severity) merged.severity = { ...policy.severity, ...override.severity };
+  merged.exceptions = [...policy.exceptions, ...(override.exceptions ?? [])];
+  merged.paths = [...policy.paths, ...(override.paths ?? [])];
+  return merged;
+}
+
+/**
+ * Effective policy for one page: path scopes whose glob matches the URL path
+ * add their allow/deny entries and severity overrides.
+ */
+export function policyForUrl(policy: Policy, url: string): Policy {
+  let pathname: string;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    return policy;
+  }
+  return policy.paths
+    .filter((scope) => globMatches(scope.match, pathname))
+    .reduce<Policy>((effective, scope) => {
+      const next: Policy = { ...effective };
+      LIST_KEYS.forEach((key) => {
+        if (scope[key]) next[key] = [...effective[key], ...(scope[key] as string[])];
+      });
+      ID_MAP_KEYS.forEach((key) => {
+        const extra = scope[key];
+        if (!extra) return;
+        const map = { ...effective[key] };
+        Object.entries(extra).forEach(([vendor, ids]) => {
+          map[vendor] = [...(map[vendor] ?? []), ...ids];
+        });
+        next[key] = map;
+      });
+      if (scope.severity) next.severity = { ...effective.severity, ...scope.severity };
+      return next;
+    }, policy);
+}
+
+/** `*.example.com` matches subdomains, `.example.com` the apex too, `*` everything. */
+export function domainMatches(pattern: string, host: string): boolean {
+  const p = pattern.toLowerCase();
+  const h = host.toLowerCase();
+  if (p === '*') return true;
+  if (p.startsWith('*.')) return h.endsWith(p.slice(1));
+  if (p.startsWith('.')) return h === p.slice(1) || h.endsWith(p);
+  return h === p;
+}
+
+export function matchesAnyDomain(patterns: string[], host: string): boolean {
+  return patterns.some((pattern) => domainMatches(pattern, host));
+}
+
+export function globMatches(glob: string, value: string): boolean {
+  const escaped = glob
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${escaped}$`).test(value);
+}
+
+/** Exception expiry is inclusive of the whole expiry day (UTC). */
+export function isExpired(exception: PolicyException, now: Date = new Date()): boolean {
+  if (!exception.expires) return false;
+  const end = new Date(exception.expires);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(exception.expires)) end.setUTCHours(23, 59, 59, 999);
+  return now.getTime() > end.getTime();
+}
+
+type Report = (at: string, message: string) => void;
+
+function isPlainObject(value: unknown): value is Record<string, any> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function validateStringList(value: unknown, at: string, report: Report): string[] | undefined {
+  if (value === undefined) return undefined;
+  if (!Array.isArray(value)) {
+    report(at, 'must be a list of strings');
+    return undefined;
+  }
+  value.forEach((item, i) => {
+    if (typeof item !== 'string' || !item.trim()) report(`${at}[${i}]`, 'must be a non-empty string');
+  });
+  return value as string[];
+}
+
+function validateIdMap(value: unknown, at: string, report: Report): Record<string, string[]> | undefined {
+  if (value === undefined) return undefined;
+  if (!isPlainObject(value)) {
+    report(at, 'must map vendor names to lists of IDs');
+    return undefined;
+  }
+  Object.entries(value).forEach(([vendor, ids]) => {
+    const list = validateStringList(ids, `${at}.${vendor}`, report);
+    if (list) value[vendor] = list.map((id) => String(id).toUpperCase());
+  });
+  return value as Record<string, string[]>;
+}
+
+function validateSeverityMap(value: unknown, at: string, report: Report): PolicyRules['severity'] | undefined {
+  if (value === undefined) return undefined;
+  if (!isPlainObject(value)) {
+    report(at, 'must map finding types to severities');
+    return undefined;
+  }
+  Object.entries(value).forEach(([type, severity]) => {
+    if (!FINDING_TYPES.includes(type as FindingType)) {
+      report(`${at}.${type}`, `is not a finding type (expected one of ${FINDING_TYPES.join(', ')})`);
+    } else if (!SEVERITIES.includes(severity as Severity)) {
+      report(`${at}.${type}`, `must be one of ${SEVERITIES.join(', ')}`);
+    }
+  });
+  return value as PolicyRules['severity'];
+}
+
+function validateRules(raw: Record<string, any>, prefix: string, report: Report): Partial<PolicyRules> {
+  const rules: Partial<PolicyRules> = {};
+  LIST_KEYS.forEach((key) => {
+    const list = validateStringList(raw[key], `${prefix}${key}`, report);
+    if (list) rules[key] = list;
+  });
+  ID_MAP_KEYS.forEach((key) => {
+    const map = validateIdMap(raw[key], `${prefix}${key}`, report);
+    if (map) rules[key] = map;
+  });
+  const severity = validateSeverityMap(raw.severity, `${prefix}severity`, report);
+  if (severity) rules.severity = severity;
+  return rules;
+}
+
+function validateExceptions(value: unknown, at: string, report: Report): PolicyException[] {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) {
+    report(at, 'must be a list');
+    return [];
+  }
+  return value.map((entry, i) => {
+    const where = `${at}[${i}]`;
+    if (!isPlainObject(entry)) {
+      report(where, 'must be a mapping');
+      return {};
+    }
+    Object.keys(entry).forEach((key) => {
+      if (!EXCEPTION_KEYS.includes(key)) report(`${where}.${key}`, `is not a known exception field (expected one of ${EXCEPTION_KEYS.join(', ')})`);
+    });
+    if (!['type', 'vendor', 'id', 'domain', 'path'].some((key) => entry[key] !== undefined)) {
+      report(where, 'must match on at least one of type, vendor, id, domain, path');
+    }
+    if (entry.type !== undefined && !FINDING_TYPES.includes(entry.type)) {
+      report(`${where}.type`, `is not a finding type (expected one of ${FINDING_TYPES.join(', ')})`);
+    }
+    // js-yaml turns unquoted dates into Date objects
+    let expires: string | undefined;
+    if (entry.expires instanceof Date) {
+      expires = entry.expires.toISOString().slice(0, 10);
+    } else if (entry.expires !== undefined) {
+      if (typeof entry.expires !== 'string' || Number.isNaN(Date.parse(entry.expires))) {
+        report(`${where}.expires`, 'must be a date such as 2025-06-30');
+      } else {
+        expires = entry.expires;
+      }
+    }
+    return {
+      ...entry,
+      id: entry.id !== undefined ? String(entry.id).toUpperCase() : undefined,
+      expires,
+    } as PolicyException;
+  });
+}
+
+function validatePaths(value: unknown, at: string, report: Report): PathScope[] {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) {
+    report(at, 'must be a list');
+    return [];
+  }
+  return value.map((entry, i) => {
+    const where = `${at}[${i}]`;
+    if (!isPlainObject(entry)) {
+      report(where, 'must be a mapping');
+      return { match: '' };
+    }
+    if (typeof entry.match !== 'string' || !entry.match.startsWith('/')) {
+      report(`${where}.match`, 'must be a path glob starting with "/", e.g. /checkout/*');
+    }
+    Object.keys(entry).forEach((key) => {
+      if (key !== 'match' && !RULE_KEYS.includes(key)) report(`${where}.${key}`, 'is not allowed in a path scope');
+    });
+    return { match: entry.match, ...validateRules(entry, `${where}.`, report) };
+  });
+}
+
+interface YamlNode {
+  line: number;
+  result: unknown;
+  children: YamlNode[];
+}
+
+/**
+ * Load YAML and record the 1-based line of every key and list item, keyed by
+ * a path such as `paths[1].match`, using js-yaml's node listener.
+ */
+function loadWithLines(content: string): { value: unknown; lines: Map<string, number> } {
+  const stack: { line: number; children: YamlNode[] }[] = [];
+  let root: YamlNode | undefined;
+  const value = yaml.load(content, {
+    listener(event: string, state: { line: number; result: unknown }) {
+      if (event === 'open') {
+        stack.push({ line: state.line, children: [] });
+        return;
+      }
+      const frame = stack.pop()!;
+      const node: YamlNode = { line: frame.line, result: state.result, children: frame.children };
+      if (stack.length) stack[stack.length - 1].children.push(node);
+      else root = node;
+    },
+  });
+
+  const lines = new Map<string, number>();
+  const unwrap = (node: YamlNode): YamlNode =>
+    node.children.length === 1 && node.children[0].result === node.result ? unwrap(node.children[0]) : node;
+  const walk = (node: YamlNode, at: string) => {
+    const current = unwrap(node);
+    if (Array.isArray(current.result)) {
+      current.children.forEach((child, i) => {
+        const childPath = `${at}[${i}]`;
+        lines.set(childPath, unwrap(child).line + 1);
+        walk(child, childPath);
+      });
+    } else if (isPlainObject(current.result)) {
+      for (let i = 0; i + 1 < current.children.length; i += 2) {
+        const key = String(unwrap(current.children[i]).result);
+        const childPath = at ? `${at}.${key}` : key;
+        lines.set(childPath, unwrap(current.children[i]).line + 1);
+        walk(current.children[i + 1], childPath);
+      }
+    }
   };
+  if (root) walk(root, '');
+  return { value, lines };
 }
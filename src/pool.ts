@@ -0,0 +1,79 @@
+/**
+ * Shared host rate limiter. Slots are reserved synchronously, so concurrent
+ * workers hitting the same host queue up behind each other instead of all
+ * seeing the same "last request" timestamp.
+ */
+export class HostRateLimiter {
+  private readonly nextSlot = new Map<string, number>();
+  private readonly hostIntervals = new Map<string, number>();
+
+  constructor(private readonly minIntervalMs: number) {}
+
+  /** Raise the interval for one host (e.g. from a robots.txt Crawl-delay). */
+  setHostInterval(host: string, intervalMs: number) {
+    this.hostIntervals.set(host, Math.max(intervalMs, this.minIntervalMs));
+  }
+
+  intervalFor(host: string): number {
+    return this.hostIntervals.get(host) ?? this.minIntervalMs;
+  }
+
+  async wait(host: string): Promise<void> {
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot.get(host) ?? 0);
+    this.nextSlot.set(host, slot + this.intervalFor(host));
+    if (slot > now) {
+      await new Promise((resolve) => setTimeout(resolve, slot - now));
+    }
+  }
+}
+
+/**
+ * Run `worker` over a queue with at most `concurrency` items in flight.
+ * Workers may enqueue more items while the pool runs (link crawling).
+ * Results are returned in enqueue order.
+ */
+export async function runQueue<T, R>(
+  initial: T[],
+  concurrency: number,
+  worker: (item: T, enqueue: (next: T) => void) => Promise<R>,
+): Promise<R[]> {
+  const queue: { item: T; seq: number }[] = [];
+  const results: { seq: number; value: R }[] = [];
+  const size = Math.max(1, Math.floor(concurrency) || 1);
+  let seq = 0;
+  let active = 0;
+  const enqueue = (item: T) => {
+    queue.push({ item, seq: seq++ });
+  };
+  initial.forEach(enqueue);
+
+  await new Promise<void>((resolve, reject) => {
+    let failed = false;
+    const launch = () => {
+      if (failed) return;
+      if (queue.length === 0 && active === 0) {
+        resolve();
+        return;
+      }
+      while (active < size && queue.length > 0) {
+        const next = queue.shift()!;
+        active++;
+        worker(next.item, enqueue).then(
+          (value) => {
+            results.push({ seq: next.seq, value });
+            active--;
+            launch();
+          },
+          (err) => {
+            failed = true;
+            reject(err);
+          },
+        );
+      }
+    };
+    launch();
+  });
+
+  return results.sort((a, b) => a.seq - b.seq).map((r) => r.value);
+}
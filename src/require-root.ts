@@ -0,0 +1,11 @@
+import { createRequire } from 'node:module';
+
+// The scanners and shared engines are CommonJS modules at the repo root.
+// Resolved relative to this file, which sits one level below the root in both
+// src/ and dist/.
+const require = createRequire(import.meta.url);
+
+/** Load a repo-root CommonJS module by its path from the root, e.g. 'robots/robots.cjs'. */
+export function requireRoot<T = any>(path: string): T {
+  return require(`../${path}`) as T;
+}
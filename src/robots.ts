@@ -0,0 +1,21 @@
+import { requireRoot } from './require-root.js';
+
+export interface RobotsPolicy {
+  status: 'ok' | 'unavailable' | 'unreachable';
+  sitemaps: string[];
+  crawlDelayMs: number | null;
+  isAllowed(url: string): boolean;
+}
+
+interface RobotsModule {
+  DEFAULT_USER_AGENT: string;
+  getRobotsPolicy(url: string, options?: { userAgent?: string; fetchImpl?: typeof fetch }): Promise<RobotsPolicy>;
+  createRobotsPolicy(text: string | null, options?: { userAgent?: string; status?: RobotsPolicy['status'] }): RobotsPolicy;
+  clearRobotsCache(): void;
+}
+
+// The parser lives in robots/robots.cjs so diagnosis.cjs and the CMS monitor
+// share the same implementation and per-origin cache.
+const robots = requireRoot('robots/robots.cjs') as RobotsModule;
+
+export const { DEFAULT_USER_AGENT, getRobotsPolicy, createRobotsPolicy, clearRobotsCache } = robots;
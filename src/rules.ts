@@ -1,19 +1,41 @@
-import type { Policy } from './policy.js';
+import type { Policy, PolicyException } from './policy.js';
+import { isExpired, matchesAnyDomain, domainMatches, globMatches } from './policy.js';
 import type { VendorMatch } from './classify.js';
 
 export type Severity = 'info' | 'low' | 'medium' | 'high' | 'critical';
 
+export const FINDING_TYPES = [
+  'cloned_tag',
+  'duplicate_container',
+  'beacon_burst',
+  'unauthorized_partner',
+  'id_mismatch',
+  'obfuscation',
+  // The page could not be loaded, see scan.ts
+  'scan_failed',
+  // Baseline drift, see baseline.ts
+  'id_added',
+  'id_removed',
+  'script_added',
+  'script_removed',
+  'script_changed',
+  'iframe_added',
+  'pixel_added',
+  'beacon_delta',
+  'partner_added',
+] as const;
+
+export type FindingType = (typeof FINDING_TYPES)[number];
+
 export interface Finding {
-  type:
-    | 'cloned_tag'
-    | 'duplicate_container'
-    | 'beacon_burst'
-    | 'unauthorized_partner'
-    | 'id_mismatch'
-    | 'obfuscation';
+  type: FindingType;
   severity: Severity;
   detail: string;
   evidence?: string;
+  /** Structured subject of the finding, used for policy exceptions. */
+  vendor?: string;
+  id?: string;
+  domain?: string;
 }
 
 export interface RuleInputs {
@@ -23,10 +45,17 @@ export interface RuleInputs {
   inlineScriptPreviews: string[];
   policy: Policy;
   beaconThreshold: number;
+  /** Path of the scanned page, for path-scoped exceptions. */
+  pagePath?: string;
+  now?: Date;
 }
 
 export function runRules(input: RuleInputs): Finding[] {
   const findings: Finding[] = [];
+  const { policy } = input;
+  const deniedVendors = policy.deniedVendors ?? [];
+  const deniedIds = policy.deniedIds ?? {};
+  const deniedDomains = policy.deniedDomains ?? [];
 
   for (const match of input.vendorMatches) {
     const counts = input.beaconCounts[match.vendor] || 0;
@@ -35,6 +64,7 @@ export function runRules(input: RuleInputs): Finding[] {
         type: 'duplicate_container',
         severity: 'medium',
         detail: `Multiple configurations detected for ${match.vendor}: ${match.ids.join(', ')}`,
+        vendor: match.vendor,
       });
     }
     if (counts > input.beaconThreshold) {
@@ -42,34 +72,65 @@ export function runRules(input: RuleInputs): Finding[] {
         type: 'beacon_burst',
         severity: 'high',
         detail: `${counts} telemetry requests for ${match.vendor} exceeds threshold ${input.beaconThreshold}`,
+        vendor: match.vendor,
       });
     }
-    if (input.policy.allowedVendors.length && !input.policy.allowedVendors.includes(match.vendor)) {
+    if (deniedVendors.includes(match.vendor)) {
+      findings.push({
+        type: 'unauthorized_partner',
+        severity: 'high',
+        detail: `Vendor ${match.vendor} is denied by policy`,
+        vendor: match.vendor,
+      });
+    } else if (policy.allowedVendors.length && !policy.allowedVendors.includes(match.vendor)) {
       findings.push({
         type: 'unauthorized_partner',
         severity: 'high',
         detail: `Vendor ${match.vendor} not allowed by policy`,
+        vendor: match.vendor,
       });
     }
-    const allowedIds = input.policy.allowedIds[match.vendor];
+    const denied = (deniedIds[match.vendor] ?? []).map((id) => id.toUpperCase());
+    match.ids
+      .filter((id) => denied.includes(id.toUpperCase()))
+      .forEach((id) => {
+        findings.push({
+          type: 'id_mismatch',
+          severity: 'high',
+          detail: `Vendor ${match.vendor} uses denied ID ${id}`,
+          vendor: match.vendor,
+          id,
+        });
+      });
+    const allowedIds = policy.allowedIds[match.vendor]?.map((id) => id.toUpperCase());
     if (allowedIds?.length) {
-      const unexpected = match.ids.filter((id) => !allowedIds.includes(id));
-      if (unexpected.length) {
+      const unexpected = match.ids.filter((id) => !allowedIds.includes(id.toUpperCase()) && !denied.includes(id.toUpperCase()));
+      unexpected.forEach((id) => {
         findings.push({
           type: 'id_mismatch',
           severity: 'high',
-          detail: `Vendor ${match.vendor} uses unapproved IDs: ${unexpected.join(', ')}`,
+          detail: `Vendor ${match.vendor} uses unapproved ID ${id}`,
+          vendor: match.vendor,
+          id,
         });
-      }
+      });
     }
   }
 
   Object.entries(input.partnerDomains).forEach(([domain, count]) => {
-    if (input.policy.allowedDomains.length && !input.policy.allowedDomains.includes(domain)) {
+    if (matchesAnyDomain(deniedDomains, domain)) {
+      findings.push({
+        type: 'unauthorized_partner',
+        severity: 'high',
+        detail: `Domain ${domain} observed (${count} requests) is denied by policy`,
+        domain,
+      });
+    } else if (policy.allowedDomains.length && !matchesAnyDomain(policy.allowedDomains, domain)) {
       findings.push({
         type: 'unauthorized_partner',
         severity: 'medium',
         detail: `Domain ${domain} observed (${count} requests) is not in policy allowlist`,
+        domain,
       });
     }
   });
@@ -86,5 +147,39 @@ export function runRules(input: RuleInputs): Finding[] {
     }
   });
 
-  return findings;
+  return applyPolicyOverrides(findings, policy, input.pagePath, input.now ?? new Date());
+}
+
+function exceptionMatches(exception: PolicyException, finding: Finding, pagePath?: string): boolean {
+  if (exception.type && exception.type !== finding.type) return false;
+  if (exception.vendor && exception.vendor !== finding.vendor) return false;
+  if (exception.id && exception.id !== finding.id?.toUpperCase()) return false;
+  if (exception.domain && !(finding.domain && domainMatches(exception.domain, finding.domain))) return false;
+  if (exception.path && !(pagePath && globMatches(exception.path, pagePath))) return false;
+  return true;
+}
+
+/**
+ * Drop findings covered by a live exception and apply severity overrides.
+ * Findings whose only matching exception has expired are kept and say so.
+ */
+export function applyPolicyOverrides(
+  findings: Finding[],
+  policy: Policy,
+  pagePath: string | undefined,
+  now: Date = new Date(),
+): Finding[] {
+  const exceptions = policy.exceptions ?? [];
+  const severity = policy.severity ?? {};
+  return findings.flatMap((finding) => {
+    const matching = exceptions.filter((exception) => exceptionMatches(exception, finding, pagePath));
+    if (matching.some((exception) => !isExpired(exception, now))) return [];
+
+    const result: Finding = { ...finding, severity: severity[finding.type] ?? finding.severity };
+    const expired = matching.find((exception) => isExpired(exception, now));
+    if (expired) {
+      result.detail = `${result.detail} (policy exception expired ${expired.expires}${expired.reason ? `: ${expired.reason}` : ''})`;
+    }
+    return [result];
+  });
 }
@@ -1,17 +1,38 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import { chromium } from 'playwright';
-import { extractDomArtifacts } from './extract.js';
+import type { Browser, BrowserContext, BrowserContextOptions } from 'playwright';
+import { extractDomArtifacts, extractLinks } from './extract.js';
 import { classifyFromText, vendorFromDomain } from './classify.js';
-import { loadPolicy } from './policy.js';
+import { loadPolicy, policyForUrl } from './policy.js';
 import type { Policy } from './policy.js';
 import { runRules } from './rules.js';
 import { writeHtmlReport, writeJsonReport } from './report.js';
 import type { Artifact, ScanSummary } from './report.js';
+import { HostRateLimiter, runQueue } from './pool.js';
+import { getRobotsPolicy } from './robots.js';
+import { compareWithBaseline } from './baseline.js';
+import { summarizeRun, toJUnit, toSarif } from './formats.js';
+import type { ReportFormat } from './formats.js';
+import { aggregateBySite, normalizeCrawlUrl, sameOriginLinks, siteOf } from './crawl.js';
+import type { SiteSummary } from './crawl.js';
+import type { EmulationOptions, EmulationProfile } from './client.js';
+import type { Emulation } from './evidence/pack-writer.js';
+import { requireRoot } from './require-root.js';
+
+const { resolveEmulation, emulationContextOptions, attachEmulation } = requireRoot('browser/emulation.cjs') as {
+  resolveEmulation(input: unknown): Emulation | null;
+  emulationContextOptions(emulation: Emulation | null): BrowserContextOptions;
+  attachEmulation(context: BrowserContext, emulation: Emulation | null): Promise<void>;
+};
 
 export interface ScanOptions {
   urls: string[];
   followLinks: boolean;
+  /** Link hops from each seed URL when followLinks is on (seed = 0). */
+  maxDepth?: number;
+  /** Page budget per site when followLinks is on, seed included. */
+  maxPages?: number;
   maxConcurrency: number;
   rateLimitPerHost: number;
   timeoutMs: number;
@@ -19,10 +40,14 @@ export interface ScanOptions {
   noFire: boolean;
   userAgent: string;
   policyPath?: string;
+  /** Environment block of the policy to apply (defaults to the policy's `env`). */
+  policyEnv?: string;
   baselinePath?: string;
   writeBaselinePath?: string;
   reportDir: string;
   beaconThreshold: number;
+  /** Device and network to emulate (defaults to CYBERTECT_EMULATION); the profile's user agent wins over userAgent. */
+  emulation?: EmulationProfile | EmulationOptions | null;
 }
 
 const TELEMETRY_DOMAINS = [
@@ -47,33 +72,20 @@ function redactedUrl(url: string): string {
   }
 }
 
-async function respectRobots(url: string): Promise<boolean> {
+/**
+ * Check robots.txt for our user agent (cached per origin) and feed any
+ * Crawl-delay into the crawl limiter, which spaces page navigations only.
+ */
+async function respectRobots(url: string, userAgent: string, crawlLimiter: HostRateLimiter): Promise<boolean> {
   try {
-    const parsed = new URL(url);
-    const robotsUrl = `${parsed.origin}/robots.txt`;
-    const res = await fetch(robotsUrl, { method: 'GET' });
-    if (!res.ok) return true;
-    const body = await res.text();
-    const lines = body.split(/\r?\n/);
-    let applicable = false;
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (/^user-agent:\s*\*/i.test(trimmed) || /^user-agent:\s*CybertectCMSMonitor/i.test(trimmed)) {
-        applicable = true;
-      } else if (trimmed.startsWith('User-agent')) {
-        applicable = false;
-      }
-      if (applicable && /^disallow:/i.test(trimmed)) {
-        const rule = trimmed.split(':')[1]?.trim() ?? '';
-        if (rule && parsed.pathname.startsWith(rule)) {
-          return false;
-        }
-      }
+    const robots = await getRobotsPolicy(url, { userAgent });
+    if (robots.crawlDelayMs !== null) {
+      crawlLimiter.setHostInterval(new URL(url).hostname, robots.crawlDelayMs);
     }
+    return robots.isAllowed(url);
   } catch {
     return true;
   }
-  return true;
 }
 
 function isTelemetry(url: string): boolean {
@@ -84,181 +96,335 @@ function allowMethod(method: string): boolean {
   return method === 'GET' || method === 'HEAD' || method === 'OPTIONS';
 }
 
-async function handleRateLimit(hostTimer: Map<string, number>, host: string, minIntervalMs: number) {
-  const now = Date.now();
-  const last = hostTimer.get(host) ?? 0;
-  const delta = now - last;
-  if (delta < minIntervalMs) {
-    await new Promise((resolve) => setTimeout(resolve, minIntervalMs - delta));
-  }
-  hostTimer.set(host, Date.now());
+async function handleRateLimit(limiter: HostRateLimiter, host: string) {
+  await limiter.wait(host);
+}
+
+export interface ScanResult extends ScanSummary {
+  /** Origin of the seed URL this page was reached from. */
+  site?: string;
+  /** Link hops from the seed URL. */
+  depth?: number;
+  /** IDs seen per vendor, compared against baselines. */
+  vendorIds?: Record<string, string[]>;
+  /** Device and network the page was scanned with. */
+  emulation?: Emulation;
+  /** Why the page could not be scanned; such pages never enter a written baseline. */
+  error?: string;
+}
+
+export interface SiteScanResult {
+  results: ScanResult[];
+  sites: SiteSummary[];
 }
 
-export interface ScanResult extends ScanSummary {}
+const DEFAULT_MAX_DEPTH = 1;
+const DEFAULT_MAX_PAGES = 25;
+
+/** State shared by every worker in one scanUrls() run. */
+interface ScanContext {
+  browser: Browser;
+  /** Spaces every request to a host by rateLimitPerHost. */
+  limiter: HostRateLimiter;
+  /** Spaces page navigations to a host by its robots.txt Crawl-delay. */
+  crawlLimiter: HostRateLimiter;
+  policy: Policy;
+  emulation: Emulation | null;
+}
+
+interface CrawlItem {
+  url: string;
+  site: string;
+  depth: number;
+}
+
+interface PageScan {
+  result: ScanResult;
+  links: string[];
+  /** URL the page ended up on after redirects; links are resolved against it. */
+  finalUrl: string;
+}
 
 export async function scanUrls(options: ScanOptions): Promise<ScanResult[]> {
-  const policy = loadPolicy(options.policyPath);
-  const results: ScanResult[] = [];
+  const { results } = await scanSites(options);
+  return results;
+}
+
+/**
+ * Scan every seed URL and, with followLinks, the same-origin pages reachable
+ * from it within maxDepth hops and the per-site maxPages budget. Returns
+ * per-page results and a per-site roll-up.
+ */
+export async function scanSites(options: ScanOptions): Promise<SiteScanResult> {
+  const policy = loadPolicy(options.policyPath, options.policyEnv);
+  const limiter = new HostRateLimiter(Math.ceil(60000 / options.rateLimitPerHost));
+  const crawlLimiter = new HostRateLimiter(0);
+  const maxDepth = options.maxDepth ?? DEFAULT_MAX_DEPTH;
+  const maxPages = options.maxPages ?? DEFAULT_MAX_PAGES;
+  const emulation = resolveEmulation(options.emulation !== undefined ? options.emulation : process.env.CYBERTECT_EMULATION);
+
+  const seen = new Set<string>();
+  const budget = new Map<string, number>();
+  const skippedByRobots: Record<string, string[]> = {};
+  const seeds: CrawlItem[] = [];
   for (const url of options.urls) {
-    const res = await scanSingle(url, options, policy);
-    results.push(res);
+    const normalized = normalizeCrawlUrl(url) ?? url;
+    if (seen.has(normalized)) continue;
+    seen.add(normalized);
+    const site = siteOfSafe(url);
+    budget.set(site, (budget.get(site) ?? 0) + 1);
+    seeds.push({ url, site, depth: 0 });
+  }
+
+  // One browser for the whole run; each URL gets its own context so cookies
+  // and storage never leak between pages.
+  const browser = await chromium.launch({ headless: true });
+  try {
+    const shared: ScanContext = { browser, limiter, crawlLimiter, policy, emulation };
+    const results = await runQueue(seeds, options.maxConcurrency, async (item, enqueue) => {
+      const { result, links, finalUrl } = await scanSafely(item.url, options, shared);
+      result.site = item.site;
+      result.depth = item.depth;
+      if (!options.followLinks || item.depth >= maxDepth) return result;
+
+      for (const link of sameOriginLinks(finalUrl, links)) {
+        if ((budget.get(item.site) ?? 0) >= maxPages) break;
+        if (seen.has(link)) continue;
+        seen.add(link);
+        // Reserve the slot before the robots.txt fetch so workers crawling the
+        // same site concurrently cannot overshoot maxPages
+        budget.set(item.site, (budget.get(item.site) ?? 0) + 1);
+        if (options.respectRobots && !(await respectRobots(link, options.userAgent, crawlLimiter))) {
+          budget.set(item.site, (budget.get(item.site) ?? 0) - 1);
+          (skippedByRobots[item.site] ??= []).push(link);
+          continue;
+        }
+        enqueue({ url: link, site: item.site, depth: item.depth + 1 });
+      }
+      return result;
+    });
+    return { results, sites: aggregateBySite(results, skippedByRobots) };
+  } finally {
+    await browser.close();
+  }
+}
+
+function siteOfSafe(url: string): string {
+  try {
+    return siteOf(url);
+  } catch {
+    return url;
   }
-  return results;
 }
 
-async function scanSingle(url: string, options: ScanOptions, policy: Policy): Promise<ScanResult> {
+async function scanSafely(url: string, options: ScanOptions, shared: ScanContext): Promise<PageScan> {
   const startedAt = new Date().toISOString();
   const startTime = Date.now();
-  if (options.respectRobots) {
-    const allowed = await respectRobots(url);
-    if (!allowed) {
-      return {
+  try {
+    return await scanSingle(url, options, shared);
+  } catch (err) {
+    // One unreachable URL must not abort a portfolio-wide run, but it must not
+    // pass the deploy gate either: the high-severity finding sets exit code 2
+    const message = (err as Error).message;
+    return {
+      result: {
         url,
         startedAt,
         durationMs: Date.now() - startTime,
-        findings: [
-          {
-            type: 'unauthorized_partner',
-            severity: 'medium',
-            detail: 'Robots.txt disallows scanning; skipping.',
-          },
-        ],
-        artifacts: [],
+        findings: [{ type: 'scan_failed', severity: 'high', detail: `Scan failed: ${message}` }],
+        artifacts: [{ type: 'navigation', evidence: `Scan failed: ${message}` }],
         beaconCounts: {},
         partnerDomains: {},
+        error: message,
+      },
+      links: [],
+      finalUrl: url,
+    };
+  }
+}
+
+async function scanSingle(url: string, options: ScanOptions, shared: ScanContext): Promise<PageScan> {
+  const { browser, limiter, crawlLimiter, policy, emulation } = shared;
+  const startedAt = new Date().toISOString();
+  const startTime = Date.now();
+  if (options.respectRobots) {
+    const allowed = await respectRobots(url, options.userAgent, crawlLimiter);
+    if (!allowed) {
+      return {
+        result: {
+          url,
+          startedAt,
+          durationMs: Date.now() - startTime,
+          findings: [
+            {
+              type: 'unauthorized_partner',
+              severity: 'medium',
+              detail: 'Robots.txt disallows scanning; skipping.',
+            },
+          ],
+          artifacts: [],
+          beaconCounts: {},
+          partnerDomains: {},
+        },
+        links: [],
+        finalUrl: url,
       };
     }
   }
 
-  const browser = await chromium.launch({ headless: true });
   const context = await browser.newContext({
     userAgent: options.userAgent,
+    ...emulationContextOptions(emulation),
   });
-  const page = await context.newPage();
-  const hostTimer = new Map<string, number>();
-
-  const partnerDomains: Record<string, number> = {};
-  const telemetryCounts: Record<string, number> = {};
-  const artifacts: Artifact[] = [];
-  const inlinePreviews: string[] = [];
-
-  await page.route('**/*', async (route) => {
-    const request = route.request();
-    const reqUrl = request.url();
-    const method = request.method();
-    const host = (() => {
-      try {
-        return new URL(reqUrl).hostname;
-      } catch {
-        return '';
+  try {
+    await attachEmulation(context, emulation);
+    const page = await context.newPage();
+
+    const partnerDomains: Record<string, number> = {};
+    const telemetryCounts: Record<string, number> = {};
+    const artifacts: Artifact[] = [];
+    const inlinePreviews: string[] = [];
+
+    await page.route('**/*', async (route) => {
+      const request = route.request();
+      const reqUrl = request.url();
+      const method = request.method();
+      const host = (() => {
+        try {
+          return new URL(reqUrl).hostname;
+        } catch {
+          return '';
+        }
+      })();
+
+      if (!allowMethod(method)) {
+        artifacts.push({
+          type: 'blocked-request',
+          url: redactedUrl(reqUrl),
+          evidence: `Blocked non-read method ${method}`,
+        });
+        await route.abort();
+        return;
       }
-    })();
 
-    if (!allowMethod(method)) {
-      artifacts.push({
-        type: 'blocked-request',
-        url: redactedUrl(reqUrl),
-        evidence: `Blocked non-read method ${method}`,
-      });
-      await route.abort();
-      return;
-    }
+      if (host) {
+        await handleRateLimit(limiter, host);
+        if (!reqUrl.includes(new URL(url).hostname)) {
+          partnerDomains[host] = (partnerDomains[host] ?? 0) + 1;
+        }
+      }
 
-    if (host) {
-      await handleRateLimit(hostTimer, host, Math.ceil(60000 / options.rateLimitPerHost));
-      if (!reqUrl.includes(new URL(url).hostname)) {
-        partnerDomains[host] = (partnerDomains[host] ?? 0) + 1;
+      if (options.noFire && isTelemetry(reqUrl)) {
+        const vendor = vendorFromDomain(host);
+        telemetryCounts[vendor] = (telemetryCounts[vendor] ?? 0) + 1;
+        artifacts.push({
+          type: 'telemetry',
+          vendor,
+          url: redactedUrl(reqUrl),
+          evidence: `Blocked telemetry request (${request.resourceType()})`,
+        });
+        await route.abort();
+        return;
       }
-    }
 
-    if (options.noFire && isTelemetry(reqUrl)) {
-      const vendor = vendorFromDomain(host);
-      telemetryCounts[vendor] = (telemetryCounts[vendor] ?? 0) + 1;
+      await route.continue();
+    });
+
+    await crawlLimiter.wait(new URL(url).hostname);
+    const response = await page.goto(url, {
+      waitUntil: 'domcontentloaded',
+      timeout: options.timeoutMs,
+    });
+    await page.waitForTimeout(3000);
+    if (!response) {
       artifacts.push({
-        type: 'telemetry',
-        vendor,
-        url: redactedUrl(reqUrl),
-        evidence: `Blocked telemetry request (${request.resourceType()})`,
+        type: 'navigation',
+        evidence: 'No response from server',
       });
-      await route.abort();
-      return;
     }
 
-    await route.continue();
-  });
+    const domArtifacts = await extractDomArtifacts(page);
+    domArtifacts.scripts.forEach((script) => artifacts.push({ type: script.type, url: script.src, fingerprint: script.hash, evidence: script.preview }));
+    domArtifacts.frames.forEach((frame) => artifacts.push({ type: 'iframe', url: frame.src, evidence: `${frame.width}x${frame.height} hidden=${frame.hidden}` }));
+    domArtifacts.pixels.forEach((pixel) => artifacts.push({ type: 'pixel', url: pixel.src, evidence: `${pixel.width}x${pixel.height}` }));
+    domArtifacts.noscripts.forEach((block) => artifacts.push({ type: 'noscript', fingerprint: block.hash, evidence: block.preview }));
+    inlinePreviews.push(...domArtifacts.scripts.filter((s) => s.type === 'inline-script' && s.preview).map((s) => s.preview ?? ''));
 
-  const response = await page.goto(url, {
-    waitUntil: 'domcontentloaded',
-    timeout: options.timeoutMs,
-  });
-  await page.waitForTimeout(3000);
-  if (!response) {
-    artifacts.push({
-      type: 'navigation',
-      evidence: 'No response from server',
-    });
-  }
+    const links = options.followLinks ? await extractLinks(page) : [];
 
-  const domArtifacts = await extractDomArtifacts(page);
-  domArtifacts.scripts.forEach((script) => artifacts.push({ type: script.type, url: script.src, fingerprint: script.hash, evidence: script.preview }));
-  domArtifacts.frames.forEach((frame) => artifacts.push({ type: 'iframe', url: frame.src, evidence: `${frame.width}x${frame.height} hidden=${frame.hidden}` }));
-  domArtifacts.pixels.forEach((pixel) => artifacts.push({ type: 'pixel', url: pixel.src, evidence: `${pixel.width}x${pixel.height}` }));
-  domArtifacts.noscripts.forEach((block) => artifacts.push({ type: 'noscript', fingerprint: block.hash, evidence: block.preview }));
-  inlinePreviews.push(...domArtifacts.scripts.filter((s) => s.type === 'inline-script' && s.preview).map((s) => s.preview ?? ''));
-
-  const domText = domArtifacts.scripts.map((s) => [s.src ?? '', s.preview ?? ''].join('\n')).join('\n');
-  const vendorMatches = classifyFromText(domText);
-
-  const findings = runRules({
-    vendorMatches,
-    beaconCounts: telemetryCounts,
-    partnerDomains,
-    inlineScriptPreviews: inlinePreviews,
-    policy,
-    beaconThreshold: options.beaconThreshold,
-  });
+    const domText = domArtifacts.scripts.map((s) => [s.src ?? '', s.preview ?? ''].join('\n')).join('\n');
+    const vendorMatches = classifyFromText(domText);
 
-  await browser.close();
-
-  return {
-    url,
-    startedAt,
-    durationMs: Date.now() - startTime,
-    findings,
-    artifacts,
-    beaconCounts: telemetryCounts,
-    partnerDomains,
-  };
+    const findings = runRules({
+      vendorMatches,
+      beaconCounts: telemetryCounts,
+      partnerDomains,
+      inlineScriptPreviews: inlinePreviews,
+      policy: policyForUrl(policy, url),
+      pagePath: new URL(url).pathname,
+      beaconThreshold: options.beaconThreshold,
+    });
+
+    return {
+      result: {
+        url,
+        startedAt,
+        durationMs: Date.now() - startTime,
+        findings,
+        artifacts,
+        beaconCounts: telemetryCounts,
+        partnerDomains,
+        vendorIds: Object.fromEntries(vendorMatches.map((match) => [match.vendor, match.ids])),
+        ...(emulation ? { emulation } : {}),
+      },
+      links,
+      finalUrl: page.url(),
+    };
+  } finally {
+    await context.close();
+  }
 }
 
-export async function handleBaseline(results: ScanResult[], baselinePath?: string, writeBaselinePath?: string) {
+export async function handleBaseline(
+  results: ScanResult[],
+  baselinePath?: string,
+  writeBaselinePath?: string,
+  policy?: Policy,
+) {
   if (writeBaselinePath) {
     fs.mkdirSync(path.dirname(writeBaselinePath), { recursive: true });
-    fs.writeFileSync(writeBaselinePath, JSON.stringify(results, null, 2));
+    // A failed page would read as every script and ID removed on the next run
+    fs.writeFileSync(writeBaselinePath, JSON.stringify(results.filter((result) => !result.error), null, 2));
   }
 
   if (!baselinePath || !fs.existsSync(baselinePath)) return;
 
   const baseline: ScanResult[] = JSON.parse(fs.readFileSync(baselinePath, 'utf-8'));
-  results.forEach((result, idx) => {
-    const previous = baseline[idx];
-    if (!previous) return;
-    const addedPartners = Object.keys(result.partnerDomains).filter((domain) => !previous.partnerDomains[domain]);
-    if (addedPartners.length) {
-      result.findings.push({
-        type: 'unauthorized_partner',
-        severity: 'low',
-        detail: `New partner domains since baseline: ${addedPartners.join(', ')}`,
-      });
-    }
-  });
+  compareWithBaseline(results, baseline, policy);
 }
 
-export async function writeReports(results: ScanResult[], dir: string) {
+export async function writeReports(
+  results: ScanResult[],
+  dir: string,
+  sites?: SiteSummary[],
+  formats: readonly ReportFormat[] = ['json', 'html'],
+) {
   fs.mkdirSync(dir, { recursive: true });
   for (const result of results) {
     const safeName = result.url.replace(/[^a-z0-9]+/gi, '_');
-    writeJsonReport(result, path.join(dir, `${safeName}.json`));
-    writeHtmlReport(result, path.join(dir, `${safeName}.html`));
+    if (formats.includes('json')) writeJsonReport(result, path.join(dir, `${safeName}.json`));
+    if (formats.includes('html')) writeHtmlReport(result, path.join(dir, `${safeName}.html`));
+  }
+  if (formats.includes('sarif')) {
+    fs.writeFileSync(path.join(dir, 'cybertect.sarif'), JSON.stringify(toSarif(results), null, 2));
+  }
+  if (formats.includes('junit')) {
+    fs.writeFileSync(path.join(dir, 'junit.xml'), toJUnit(results));
+  }
+  if (results.length > 1) {
+    fs.writeFileSync(path.join(dir, 'summary.json'), JSON.stringify(summarizeRun(results), null, 2));
+  }
+  if (sites) {
+    fs.writeFileSync(path.join(dir, 'sites.json'), JSON.stringify(sites, null, 2));
   }
 }
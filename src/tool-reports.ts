@@ -0,0 +1,34 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import type { CybertectFinding } from './client.js';
+
+export interface ToolReport {
+  /** Scanner name, or `reverse` for the ID lookup */
+  tool: string;
+  /** URL scanned, or the ID looked up */
+  target: string;
+  startedAt: string;
+  findings: CybertectFinding[];
+  result: unknown;
+  /** Zip produced by the scanner's exporter, copied into the report directory */
+  evidencePack?: string | null;
+}
+
+/**
+ * Write one tool run to its own directory under reportDir:
+ * result.json (the scanner output), findings.json and the evidence pack zip.
+ * Returns the directory written.
+ */
+export function writeToolReport(reportDir: string, report: ToolReport): string {
+  const stamp = report.startedAt.replace(/[:.]/g, '-');
+  const safeTarget = report.target.replace(/^https?:\/\//i, '').replace(/[^a-z0-9]+/gi, '_').replace(/^_|_$/g, '');
+  const dir = path.join(reportDir, `${report.tool}-${safeTarget}-${stamp}`);
+  fs.mkdirSync(dir, { recursive: true });
+
+  fs.writeFileSync(path.join(dir, 'result.json'), JSON.stringify(report.result, null, 2));
+  fs.writeFileSync(path.join(dir, 'findings.json'), JSON.stringify(report.findings, null, 2));
+  if (report.evidencePack) {
+    fs.copyFileSync(report.evidencePack, path.join(dir, path.basename(report.evidencePack)));
+  }
+  return dir;
+}
@@ -10,7 +10,7 @@ You are an auditor. You MUST:
 You are given:
 1) FACTS: <FACTS_JSON>
 2) DETERMINISTIC_DECISION: <DECISION_JSON>
-3) EVIDENCE_PACK (trimmed): <EVIDENCE_JSON>
+3) EVIDENCE_PACK (compacted; its compaction block lists omitted rows): <EVIDENCE_JSON>
 
 Required JSON fields:
 - verdict, score, confidence (from deterministic decision)
@@ -2,12 +2,13 @@ import { ValidatorResultSchema } from './schema';
 import { runRules } from './rules';
 import { VALIDATOR_PROMPT } from './prompt';
 import { callModel } from './llm'; // assume existing or mock provider
+import { requireRoot } from '../require-root';
 
-const MAX_EVIDENCE = 10;
-
-function trim(arr: any[] = [], max = MAX_EVIDENCE) {
-  return arr.slice(0, max);
+interface CompactionModule {
+  compactEvidence(evidence: any, options: { tokenBudget: number }): { evidence: any; compaction: any };
+  tokenBudgetFor(provider: string): number;
 }
+const { compactEvidence, tokenBudgetFor } = requireRoot('ai-validation/compaction.cjs') as CompactionModule;
 
 function buildFacts(pack: any, rules: ReturnType<typeof runRules>) {
   return {
@@ -22,7 +23,10 @@ function buildFacts(pack: any, rules: ReturnType<typeof runRules>) {
   };
 }
 
-export async function runValidator(pack: any, { provider = 'chatgpt', model = 'gpt-4o' } = {}) {
+export async function runValidator(
+  pack: any,
+  { provider = 'chatgpt', model = 'gpt-4o', tokenBudget = tokenBudgetFor(provider) } = {}
+) {
   const rules = runRules(pack, true);
 
   const target = {
@@ -54,17 +58,22 @@ export async function runValidator(pack: any, { provider = 'chatgpt', model = 'g
   };
 
   const facts = buildFacts(pack, rules);
-  const trimmedEvidence = {
-    ...pack,
-    dom: {
-      iframes: trim(pack.dom?.iframes || []),
-      scripts: trim(pack.dom?.scripts || []),
-    },
-    network: {
-      requests: trim(pack.network?.requests || []),
+  // Rows are ranked by severity and novelty and trimmed to the budget; the
+  // compaction block tells the model what was omitted
+  const { evidence: compactedEvidence } = compactEvidence(
+    {
+      ...pack,
+      dom: {
+        iframes: pack.dom?.iframes || [],
+        scripts: pack.dom?.scripts || [],
+      },
+      network: {
+        requests: pack.network?.requests || [],
+      },
+      screenshots: pack.screenshots || [],
     },
-    screenshots: trim(pack.screenshots || []),
-  };
+    { tokenBudget }
+  );
 
   const decision = {
     verdict: rules.verdict,
@@ -77,7 +86,7 @@ export async function runValidator(pack: any, { provider = 'chatgpt', model = 'g
   const prompt = VALIDATOR_PROMPT
     .replace('<FACTS_JSON>', JSON.stringify(facts, null, 2))
     .replace('<DECISION_JSON>', JSON.stringify(decision, null, 2))
-    .replace('<EVIDENCE_JSON>', JSON.stringify(trimmedEvidence, null, 2));
+    .replace('<EVIDENCE_JSON>', JSON.stringify(compactedEvidence, null, 2));
 
   async function tryOnce(p: string) {
     const raw = await callModel({ provider, model, prompt: p });
@@ -0,0 +1,384 @@
+/**
+ * Storage Inventory
+ * Records cookies, localStorage, sessionStorage and IndexedDB during a scan.
+ * The scanner takes a checkpoint at the end of each phase (page_load,
+ * scroll, ...); the snapshot at a checkpoint is the "after" of that phase and
+ * the "before" of the next one. Writes are captured as they happen, with the
+ * script that made them, and attributed to a vendor with the injected
+ * telemetry classifier.
+ *
+ *   const storage = createStorageRecorder(context);
+ *   await storage.attach();
+ *   await storage.checkpoint(page, 'start');
+ *   ... phase ...
+ *   await storage.checkpoint(page, 'page_load');
+ *   const inventory = storage.inventory(url);
+ */
+
+const { classifyVendor } = require('../injected-telemetry-scanner.cjs');
+
+const BINDING_NAME = '__cybertectStorageWrite';
+const MAX_WRITES = 500;
+const VALUE_PREVIEW_LENGTH = 100;
+
+// Key names the classifier cannot see in a script URL, mapped to its vendor ids
+const STORAGE_KEY_VENDORS = [
+  [/^_ga($|_)|^_gid$|^_gat/, 'google_analytics'],
+  [/^_gcl_|^IDE$|^DSID$|^__gads$|^__gpi$|^__eoi$/, 'google_ads'],
+  [/^_fbp$|^_fbc$|^fr$/, 'meta'],
+  [/^_ttp$|^_tt_|^tt_/, 'tiktok'],
+  [/^li_|^bcookie$|^lidc$|^UserMatchHistory$/, 'linkedin'],
+  [/^_hj/, 'hotjar'],
+  [/^fs_uid$|^_lr_|^mp_|^ajs_/, 'session_replay']
+];
+
+// Identity cookies where two values on the same page mean competing client IDs
+const IDENTITY_COOKIES = /^(_ga|_gid|_fbp|_fbc|_ttp|_gcl_au)$/;
+
+// Injected before any page script: reports cookie, Web Storage and IndexedDB
+// writes with the first script URL on the call stack
+const WRITE_HOOK_SCRIPT = `
+(function() {
+  if (window.__cybertectStorageHooked) return;
+  window.__cybertectStorageHooked = true;
+  var report = window['${BINDING_NAME}'];
+  if (typeof report !== 'function') return;
+
+  function caller() {
+    var lines = (new Error().stack || '').split('\\n');
+    for (var i = 0; i < lines.length; i++) {
+      var match = lines[i].match(/(https?:\\/\\/[^\\s)]+?):\\d+:\\d+/);
+      if (match) return match[1];
+    }
+    return null;
+  }
+  function record(api, op, key) {
+    try {
+      report({ api: api, op: op, key: String(key).slice(0, 200), script: caller(), origin: location.origin, ts: Date.now() });
+    } catch (e) {}
+  }
+
+  try {
+    var cookie = Object.getOwnPropertyDescriptor(Document.prototype, 'cookie');
+    Object.defineProperty(Document.prototype, 'cookie', {
+      configurable: true,
+      enumerable: cookie.enumerable,
+      get: function() { return cookie.get.call(this); },
+      set: function(value) {
+        var text = String(value);
+        var removed = /expires=thu, 01 jan 1970|max-age=(0|-)/i.test(text);
+        record('document.cookie', removed ? 'remove' : 'set', text.split('=')[0].trim());
+        return cookie.set.call(this, value);
+      }
+    });
+  } catch (e) {}
+
+  function area(storage) {
+    try { return storage === window.sessionStorage ? 'sessionStorage' : 'localStorage'; } catch (e) { return 'localStorage'; }
+  }
+  try {
+    var setItem = Storage.prototype.setItem;
+    var removeItem = Storage.prototype.removeItem;
+    Storage.prototype.setItem = function(key) {
+      record(area(this), 'set', key);
+      return setItem.apply(this, arguments);
+    };
+    Storage.prototype.removeItem = function(key) {
+      record(area(this), 'remove', key);
+      return removeItem.apply(this, arguments);
+    };
+  } catch (e) {}
+
+  try {
+    var open = IDBFactory.prototype.open;
+    IDBFactory.prototype.open = function(name) {
+      record('indexedDB', 'open', name);
+      return open.apply(this, arguments);
+    };
+    ['put', 'add'].forEach(function(method) {
+      var original = IDBObjectStore.prototype[method];
+      IDBObjectStore.prototype[method] = function() {
+        record('indexedDB', method, this.name);
+        return original.apply(this, arguments);
+      };
+    });
+  } catch (e) {}
+})();
+`;
+
+/**
+ * Vendor for a storage key, preferring the script that wrote it
+ * @param {Object} entry - { name|key, domain?, script? }
+ * @returns {Object} - { vendor, attributedBy: 'script'|'name'|'domain'|null }
+ */
+function attributeStorageVendor(entry) {
+  if (entry.script) {
+    const vendor = classifyVendor(entry.script);
+    if (vendor !== 'unknown') return { vendor, attributedBy: 'script' };
+  }
+  const key = entry.name || entry.key || '';
+  const byName = STORAGE_KEY_VENDORS.find(([pattern]) => pattern.test(key));
+  if (byName) return { vendor: byName[1], attributedBy: 'name' };
+  if (entry.domain) {
+    const vendor = classifyVendor(`https://${String(entry.domain).replace(/^\./, '')}/`);
+    if (vendor !== 'unknown') return { vendor, attributedBy: 'domain' };
+  }
+  return { vendor: 'unknown', attributedBy: null };
+}
+
+/**
+ * Snapshot cookies and per-origin storage of every frame
+ * @param {BrowserContext} context
+ * @param {Page} page
+ * @returns {Promise<Object>} - { cookies, origins: [{ origin, localStorage, sessionStorage, indexedDB }] }
+ */
+async function snapshotStorage(context, page) {
+  const cookies = (await context.cookies()).map(cookie => ({
+    name: cookie.name,
+    domain: cookie.domain,
+    path: cookie.path,
+    value: String(cookie.value).substring(0, VALUE_PREVIEW_LENGTH),
+    expires: cookie.expires,
+    httpOnly: cookie.httpOnly,
+    secure: cookie.secure,
+    sameSite: cookie.sameSite
+  }));
+
+  const byOrigin = new Map();
+  for (const frame of page.frames()) {
+    try {
+      const data = await frame.evaluate(async () => {
+        const keys = store => {
+          try {
+            return Object.keys(store).map(key => ({ key, size: (store.getItem(key) || '').length }));
+          } catch (e) {
+            return [];
+          }
+        };
+        let databases = [];
+        try {
+          if (indexedDB.databases) databases = (await indexedDB.databases()).map(db => db.name);
+        } catch (e) {
+          // IndexedDB blocked in this frame
+        }
+        return { origin: location.origin, localStorage: keys(localStorage), sessionStorage: keys(sessionStorage), indexedDB: databases };
+      });
+      if (data.origin && data.origin !== 'null' && !byOrigin.has(data.origin)) byOrigin.set(data.origin, data);
+    } catch (e) {
+      // Detached or cross-process frame that went away mid-snapshot
+    }
+  }
+  return { cookies, origins: Array.from(byOrigin.values()) };
+}
+
+function cookieId(cookie) {
+  return `${cookie.name}|${cookie.domain}|${cookie.path}`;
+}
+
+function flatten(snapshot) {
+  const items = new Map();
+  snapshot.cookies.forEach(cookie => items.set(`cookies|${cookieId(cookie)}`, { store: 'cookies', id: cookieId(cookie), item: cookie }));
+  snapshot.origins.forEach(origin => {
+    ['localStorage', 'sessionStorage'].forEach(store => {
+      origin[store].forEach(entry => items.set(`${store}|${origin.origin}|${entry.key}`, {
+        store, id: `${origin.origin}|${entry.key}`, item: { origin: origin.origin, ...entry }
+      }));
+    });
+    origin.indexedDB.forEach(name => items.set(`indexedDB|${origin.origin}|${name}`, {
+      store: 'indexedDB', id: `${origin.origin}|${name}`, item: { origin: origin.origin, name }
+    }));
+  });
+  return items;
+}
+
+function emptyStores() {
+  return { cookies: [], localStorage: [], sessionStorage: [], indexedDB: [] };
+}
+
+function isFirstPartyCookie(cookie, pageHost) {
+  const domain = String(cookie.domain || '').replace(/^\./, '').toLowerCase();
+  return Boolean(pageHost) && (pageHost === domain || pageHost.endsWith(`.${domain}`));
+}
+
+/**
+ * Cookies with the same name under more than one domain or path
+ * @param {Array} cookies - Final inventory cookies
+ * @returns {Array} - Findings in the diagnosis shape { severity, type, vendor, title, details, evidence }
+ */
+function findCookieDuplication(cookies) {
+  const byName = new Map();
+  cookies.forEach(cookie => {
+    if (!byName.has(cookie.name)) byName.set(cookie.name, []);
+    byName.get(cookie.name).push(cookie);
+  });
+
+  const findings = [];
+  byName.forEach((copies, name) => {
+    if (copies.length < 2) return;
+    const values = new Set(copies.map(cookie => cookie.value));
+    const competing = IDENTITY_COOKIES.test(name) && values.size > 1;
+    const locations = copies.map(cookie => `${cookie.domain}${cookie.path}`);
+    findings.push({
+      severity: competing ? 'high' : 'medium',
+      type: 'cookie_duplication',
+      vendor: copies[0].vendor,
+      title: competing ? `Competing ${name} cookies` : `Duplicated ${name} cookie`,
+      details: competing
+        ? `${name} is set on ${locations.join(', ')} with ${values.size} different values; hits can be split across client IDs`
+        : `${name} is set on ${locations.join(', ')}`,
+      evidence: { cookie: name, copies: copies.map(({ domain, path, value, firstSeenPhase }) => ({ domain, path, value, firstSeenPhase })) }
+    });
+  });
+  return findings;
+}
+
+/**
+ * Build the inventory from checkpoints and captured writes
+ * @param {Object} input
+ * @param {Array} input.checkpoints - [{ phase, at, snapshot }] in order
+ * @param {Array} input.writes - [{ api, op, key, script, origin, domain?, ts, phase }]
+ * @param {string} [input.pageUrl]
+ * @returns {Object} - { phases, cookies, localStorage, sessionStorage, indexedDB, writes, byVendor, findings }
+ */
+function buildStorageInventory({ checkpoints, writes = [], pageUrl }) {
+  let pageHost = null;
+  try {
+    pageHost = new URL(pageUrl).hostname.toLowerCase();
+  } catch (e) {
+    // No first-party detection without a page URL
+  }
+
+  const usable = checkpoints.filter(checkpoint => checkpoint.snapshot);
+  const attributedWrites = writes.slice(0, MAX_WRITES).map(write => ({ ...write, ...attributeStorageVendor({ key: write.key, domain: write.domain, script: write.script }) }));
+  const writerFor = (store, key) => {
+    const api = store === 'cookies' ? ['document.cookie', 'set-cookie'] : [store];
+    const write = attributedWrites.find(w => api.includes(w.api) && w.key === key && w.op !== 'remove');
+    return write ? write.script : null;
+  };
+
+  // Per-phase diff against the previous checkpoint
+  const firstSeen = new Map();
+  const phases = [];
+  let previous = new Map();
+  usable.forEach(checkpoint => {
+    const current = flatten(checkpoint.snapshot);
+    const added = emptyStores();
+    const changed = emptyStores();
+    const removed = emptyStores();
+    current.forEach((entry, key) => {
+      const label = entry.store === 'cookies' ? entry.item.name : entry.item.key || entry.item.name;
+      if (!previous.has(key)) {
+        added[entry.store].push(label);
+        if (!firstSeen.has(key)) firstSeen.set(key, checkpoint.phase);
+      } else if (entry.store === 'cookies' && previous.get(key).item.value !== entry.item.value) {
+        changed.cookies.push(label);
+      }
+    });
+    previous.forEach((entry, key) => {
+      if (!current.has(key)) removed[entry.store].push(entry.store === 'cookies' ? entry.item.name : entry.item.key || entry.item.name);
+    });
+    phases.push({
+      phase: checkpoint.phase,
+      at: checkpoint.at,
+      counts: {
+        cookies: checkpoint.snapshot.cookies.length,
+        localStorage: checkpoint.snapshot.origins.reduce((sum, origin) => sum + origin.localStorage.length, 0),
+        sessionStorage: checkpoint.snapshot.origins.reduce((sum, origin) => sum + origin.sessionStorage.length, 0),
+        indexedDB: checkpoint.snapshot.origins.reduce((sum, origin) => sum + origin.indexedDB.length, 0)
+      },
+      added,
+      changed,
+      removed,
+      writes: attributedWrites.filter(write => write.phase === checkpoint.phase).length
+    });
+    previous = current;
+  });
+
+  // Final state, attributed
+  const stores = emptyStores();
+  previous.forEach((entry, key) => {
+    const item = { ...entry.item, firstSeenPhase: firstSeen.get(key) || null };
+    const lookupKey = entry.store === 'cookies' ? item.name : item.key || item.name;
+    const script = writerFor(entry.store, lookupKey);
+    const attribution = attributeStorageVendor({ name: item.name, key: item.key, domain: item.domain, script });
+    const record = { ...item, ...attribution, writer: script };
+    if (entry.store === 'cookies') record.firstParty = isFirstPartyCookie(item, pageHost);
+    stores[entry.store].push(record);
+  });
+
+  const byVendor = {};
+  Object.entries(stores).forEach(([store, items]) => {
+    items.forEach(item => {
+      if (!byVendor[item.vendor]) byVendor[item.vendor] = { cookies: 0, localStorage: 0, sessionStorage: 0, indexedDB: 0 };
+      byVendor[item.vendor][store] += 1;
+    });
+  });
+
+  return {
+    phases,
+    ...stores,
+    writes: attributedWrites,
+    byVendor,
+    findings: findCookieDuplication(stores.cookies)
+  };
+}
+
+/**
+ * Record storage for one browser context
+ * @param {BrowserContext} context
+ * @returns {Object} - { attach, checkpoint, inventory }
+ */
+function createStorageRecorder(context) {
+  const checkpoints = [];
+  const pending = [];
+  const writes = [];
+
+  const push = write => {
+    if (writes.length + pending.length < MAX_WRITES) pending.push(write);
+  };
+
+  return {
+    async attach() {
+      await context.exposeBinding(BINDING_NAME, (source, write) => push(write));
+      await context.addInitScript({ content: WRITE_HOOK_SCRIPT });
+      // Set-Cookie headers never go through document.cookie (ID syncs, server-set cookies)
+      context.on('response', async response => {
+        try {
+          const headers = await response.headersArray();
+          headers
+            .filter(header => header.name.toLowerCase() === 'set-cookie')
+            .forEach(header => {
+              const url = new URL(response.url());
+              push({ api: 'set-cookie', op: 'set', key: header.value.split('=')[0].trim(), script: response.url(), origin: url.origin, domain: url.hostname, ts: Date.now() });
+            });
+        } catch (e) {
+          // Response disposed before its headers were read
+        }
+      });
+    },
+
+    async checkpoint(page, phase) {
+      let snapshot = null;
+      try {
+        snapshot = await snapshotStorage(context, page);
+      } catch (e) {
+        console.warn(`[Storage] Snapshot at ${phase} failed: ${e.message}`);
+      }
+      checkpoints.push({ phase, at: Date.now(), snapshot });
+      pending.splice(0).forEach(write => writes.push({ ...write, phase }));
+    },
+
+    inventory(pageUrl) {
+      return buildStorageInventory({ checkpoints, writes, pageUrl });
+    }
+  };
+}
+
+module.exports = {
+  WRITE_HOOK_SCRIPT,
+  attributeStorageVendor,
+  snapshotStorage,
+  buildStorageInventory,
+  findCookieDuplication,
+  createStorageRecorder
+};
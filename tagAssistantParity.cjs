@@ -1,6 +1,7 @@
 console.log("[TAG-PARITY] loaded");
 
 const { chromium } = require('playwright');
+const { clickConsentButton } = require('./consent/consent-state.cjs');
 
 // Regex patterns for ID extraction
 // GA4 IDs: G- + 8-12 alphanumerics (validated later by context)
@@ -79,32 +80,20 @@ function extractGa4Configs(text) {
 }
 
 // Consent banner handler
-async function handleConsentBanner(page) {
-  const consentKeywords = [
-    'accept', 'agree', 'allow all', 'aceptar', 'estoy de acuerdo', 'ok',
-    'i agree', 'accept all', 'allow cookies', 'accept cookies'
-  ];
+// Keeps the parity scan's original keyword list (including "ok") for banners
+// that no known consent platform selector matches
+const PARITY_CONSENT_KEYWORDS = [
+  'accept', 'agree', 'allow all', 'aceptar', 'estoy de acuerdo', 'ok',
+  'i agree', 'accept all', 'allow cookies', 'accept cookies'
+];
 
+async function handleConsentBanner(page) {
   try {
-    // Try to find and click consent buttons
-    const buttons = await page.$$('button, a, [role="button"]');
-    for (const button of buttons) {
-      try {
-        const text = await button.textContent();
-        if (!text) continue;
-        const lowerText = text.toLowerCase().trim();
-        if (consentKeywords.some(keyword => lowerText.includes(keyword))) {
-          const isVisible = await button.isVisible();
-          if (isVisible) {
-            await button.click();
-            console.log(`[TagParity] Clicked consent button: ${text.substring(0, 50)}`);
-            await page.waitForTimeout(1000); // Wait for consent to process
-            return true;
-          }
-        }
-      } catch (e) {
-        // Continue to next button
-      }
+    const clicked = await clickConsentButton(page, 'accept', { keywords: PARITY_CONSENT_KEYWORDS });
+    if (clicked) {
+      console.log(`[TagParity] Clicked consent button: ${clicked.matched}`);
+      await page.waitForTimeout(1000); // Wait for consent to process
+      return true;
     }
   } catch (e) {
     // Consent handling failed, continue anyway
@@ -379,7 +368,8 @@ function generateFlags(ga4Ids, gtmIds, awIds, fbIds, hasBeacons) {
 }
 
 // Main detection function
-async function runTagParityDetection(page) {
+// options.handleConsent: false when the caller already put the page in a consent state
+async function runTagParityDetection(page, { handleConsent = true } = {}) {
   const evidence = new EvidenceCollector(50);
   const ga4Tracker = new IdTracker();
   const gtmTracker = new IdTracker();
@@ -414,7 +404,7 @@ async function runTagParityDetection(page) {
   }
 
   // Handle consent banner
-  const consentClicked = await handleConsentBanner(page);
+  const consentClicked = handleConsent && await handleConsentBanner(page);
   if (consentClicked) {
     await page.waitForTimeout(2000);
   }
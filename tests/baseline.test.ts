@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { normalizeBaselineUrl, diffAgainstBaseline, compareWithBaseline } from '../src/baseline.js';
+import { parsePolicy } from '../src/policy.js';
+import { handleBaseline } from '../src/scan.js';
+import type { ScanResult } from '../src/scan.js';
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { diffBaseline } = require('../cms-monitor/export.cjs');
+
+function result(url: string, overrides: Partial<ScanResult> = {}): ScanResult {
+  return {
+    url,
+    startedAt: '2024-06-01T00:00:00Z',
+    durationMs: 0,
+    findings: [],
+    artifacts: [],
+    beaconCounts: {},
+    partnerDomains: {},
+    vendorIds: {},
+    ...overrides,
+  };
+}
+
+describe('baseline URL keys', () => {
+  it('ignores www, fragments, tracking parameters, query order and trailing slashes', () => {
+    const key = normalizeBaselineUrl('https://news.example/world?a=1&b=2');
+    expect(normalizeBaselineUrl('https://WWW.news.example/world/?b=2&utm_source=x&a=1#top')).toBe(key);
+    expect(normalizeBaselineUrl('http://news.example:80/world?b=2&a=1')).toBe(key);
+    expect(normalizeBaselineUrl('https://news.example/')).toBe('news.example');
+    expect(normalizeBaselineUrl('https://news.example/sport')).not.toBe(key);
+  });
+});
+
+describe('baseline diffing', () => {
+  const previous = result('https://news.example/', {
+    artifacts: [
+      { type: 'external-script', url: 'https://cdn.example/app.js?v=1', fingerprint: 'h1' },
+      { type: 'inline-script', fingerprint: 'inline-old' },
+      { type: 'iframe', url: 'https://ads.example/frame?slot=1' },
+    ],
+    beaconCounts: { 'google-analytics': 4, meta: 2 },
+    partnerDomains: { 'ads.example': 1 },
+    vendorIds: { 'google-analytics': ['G-OLD', 'G-KEEP'] },
+  });
+
+  const current = result('https://www.news.example/?utm_campaign=spring', {
+    artifacts: [
+      { type: 'external-script', url: 'https://cdn.example/app.js?v=2', fingerprint: 'h2' },
+      { type: 'external-script', url: 'https://tags.example/new.js', fingerprint: 'h3' },
+      { type: 'iframe', url: 'https://ads.example/frame?slot=2' },
+      { type: 'iframe', url: 'https://sync.example/match' },
+      { type: 'pixel', url: 'https://px.example/p.gif?cb=1' },
+    ],
+    beaconCounts: { 'google-analytics': 9, meta: 3, tiktok: 1 },
+    partnerDomains: { 'ads.example': 1, 'sync.example': 2 },
+    vendorIds: { 'google-analytics': ['G-KEEP', 'G-NEW'] },
+  });
+
+  it('reports each kind of drift as its own typed finding', () => {
+    const findings = diffAgainstBaseline(current, previous);
+    const summary = findings.map((f) => [f.type, f.id ?? f.vendor ?? f.domain ?? f.detail]);
+    expect(summary).toEqual([
+      ['id_added', 'G-NEW'],
+      ['id_removed', 'G-OLD'],
+      ['script_added', 'New script since baseline: https://tags.example/new.js'],
+      ['script_changed', 'Script changed since baseline: https://cdn.example/app.js?v=2'],
+      ['script_removed', 'Script removed since baseline: inline script inline-old'],
+      ['iframe_added', 'sync.example'],
+      ['pixel_added', 'px.example'],
+      ['beacon_delta', 'google-analytics'],
+      ['beacon_delta', 'tiktok'],
+      ['partner_added', 'sync.example'],
+    ]);
+    expect(findings.find((f) => f.vendor === 'google-analytics' && f.type === 'beacon_delta')?.detail).toContain('from 4 to 9 (+5)');
+  });
+
+  it('matches pages by normalized URL rather than position', () => {
+    const other = result('https://news.example/sport', { partnerDomains: { 'new.example': 1 } });
+    const results = [other, result(current.url, { ...current, findings: [] })];
+    compareWithBaseline(results, [previous]);
+    expect(results[0].findings).toEqual([]);
+    expect(results[1].findings.length).toBeGreaterThan(0);
+  });
+
+  it('applies policy exceptions and severity overrides to drift findings', () => {
+    const policy = parsePolicy(
+      [
+        'severity:',
+        '  partner_added: high',
+        'exceptions:',
+        '  - type: pixel_added',
+        '    domain: px.example',
+        '    reason: Approved measurement pixel',
+        '    expires: 2999-01-01',
+      ].join('\n'),
+    );
+    const results = [result(current.url, { ...current, findings: [] })];
+    compareWithBaseline(results, [previous], policy);
+    const types = results[0].findings.map((f) => f.type);
+    expect(types).not.toContain('pixel_added');
+    expect(types).toContain('iframe_added');
+    expect(results[0].findings.find((f) => f.type === 'partner_added')?.severity).toBe('high');
+  });
+
+  it('keeps pages that failed to load out of baselines', async () => {
+    const failed = result(current.url, {
+      findings: [{ type: 'scan_failed', severity: 'high', detail: 'Scan failed: net::ERR_NAME_NOT_RESOLVED' }],
+      error: 'net::ERR_NAME_NOT_RESOLVED',
+    });
+    compareWithBaseline([failed], [previous]);
+    expect(failed.findings.map((f) => f.type)).toEqual(['scan_failed']);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cybertect-baseline-'));
+    try {
+      const file = path.join(dir, 'baseline.json');
+      await handleBaseline([failed, result('https://news.example/sport')], undefined, file);
+      expect(JSON.parse(fs.readFileSync(file, 'utf-8')).map((r: ScanResult) => r.url)).toEqual(['https://news.example/sport']);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('skips the ID comparison for baselines without vendorIds', () => {
+    const legacy = { ...previous, vendorIds: undefined };
+    const types = diffAgainstBaseline(current, legacy).map((f) => f.type);
+    expect(types).not.toContain('id_added');
+    expect(types).not.toContain('id_removed');
+  });
+});
+
+describe('CMS monitor diffBaseline', () => {
+  it('keeps its output shape on top of the shared script diff', () => {
+    const scan = (scripts: object[]) => ({ pageResults: [{ scripts }] });
+    const diff = diffBaseline(
+      scan([{ type: 'external', src: 'https://cdn.example/a.js?v=2', hash: 'b' }, { type: 'inline', hash: 'n' }]),
+      { buildLabel: 'v1', ...scan([{ type: 'external', src: 'https://cdn.example/a.js?v=1', hash: 'a' }, { type: 'inline', hash: 'o' }]) },
+    );
+    expect(diff.baselineLabel).toBe('v1');
+    expect(diff.newScripts.map((s: any) => s.hash)).toEqual(['n']);
+    expect(diff.removedScripts.map((s: any) => s.hash)).toEqual(['o']);
+    expect(diff.changedScripts.map((c: any) => [c.baseline.hash, c.current.hash])).toEqual([['a', 'b']]);
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { decodeBeacon, registerBeaconDecoder, createBeaconTracker } = require('../beacons/beacon-decoders.cjs');
+
+const post = (url: string, body: unknown) => ({
+  url,
+  method: 'POST',
+  postData: typeof body === 'string' ? body : JSON.stringify(body),
+});
+
+describe('beacon decoders', () => {
+  it('ignores requests no decoder claims', () => {
+    expect(decodeBeacon({ url: 'https://news.example/app.js' })).toBeNull();
+    expect(decodeBeacon({ url: 'not a url' })).toBeNull();
+  });
+
+  it('splits batched GA4 hits and merges the shared URL params', () => {
+    const events = decodeBeacon(post(
+      'https://region1.google-analytics.com/g/collect?v=2&tid=G-ABCDEFGH12&dl=https%3A%2F%2Fnews.example%2F',
+      'en=page_view\nen=scroll&epn.percent_scrolled=90'
+    ));
+    expect(events.map((e: any) => [e.vendor, e.accountId, e.eventName, e.batchSize])).toEqual([
+      ['google_analytics', 'G-ABCDEFGH12', 'page_view', 2],
+      ['google_analytics', 'G-ABCDEFGH12', 'scroll', 2],
+    ]);
+    expect(events[1]).toMatchObject({ page: 'https://news.example/', params: { 'epn.percent_scrolled': '90' }, protocol: 'ga4' });
+  });
+
+  it('counts GA4 events past the body limit in the batch size', () => {
+    const line = 'en=scroll&ep.padding=' + 'x'.repeat(1000);
+    const body = ['en=page_view', ...Array(100).fill(line)].join('\n');
+    const events = decodeBeacon(post('https://region1.google-analytics.com/g/collect?v=2&tid=G-ABCDEFGH12', body));
+    expect(events.length).toBeLessThan(101);
+    expect(events[0]).toMatchObject({ eventName: 'page_view', batchSize: 101 });
+  });
+
+  it('normalizes Meta, LinkedIn, Google Ads and Adobe query-string beacons', () => {
+    const decode = (url: string) => decodeBeacon({ url })[0];
+    expect(decode('https://www.facebook.com/tr/?id=123456789012345&ev=Purchase&dl=https%3A%2F%2Fshop.example%2F&cd[value]=10&eid=ord-1'))
+      .toMatchObject({ vendor: 'meta', accountId: '123456789012345', eventName: 'Purchase', page: 'https://shop.example/', params: { 'cd[value]': '10' }, eventId: 'ord-1' });
+    expect(decode('https://px.ads.linkedin.com/collect/?pid=1234567&conversionId=998&fmt=js&url=https%3A%2F%2Fshop.example%2F'))
+      .toMatchObject({ vendor: 'linkedin', accountId: '1234567', eventName: 'conversion:998' });
+    expect(decode('https://www.googleadservices.com/pagead/conversion/1234567890/?label=abcDEF&value=10&oid=ord-1&url=https%3A%2F%2Fshop.example%2F'))
+      .toMatchObject({ vendor: 'google_ads', accountId: 'AW-1234567890', eventName: 'conversion', params: { label: 'abcDEF', value: '10' }, eventId: 'ord-1' });
+    expect(decode('https://googleads.g.doubleclick.net/pagead/viewthroughconversion/1234567890/?url=https%3A%2F%2Fshop.example%2F'))
+      .toMatchObject({ vendor: 'google_ads', eventName: 'remarketing' });
+    expect(decode('https://metrics.shop.example/b/ss/shopprod/1/JS-2.22.0/s123?pageName=home&g=https%3A%2F%2Fshop.example%2F&events=event1&v1=abc'))
+      .toMatchObject({ vendor: 'adobe_analytics', accountId: 'shopprod', eventName: 'page_view', page: 'https://shop.example/', params: { pageName: 'home', events: 'event1', v1: 'abc' } });
+    expect(decode('https://shop.sc.omtrdc.net/b/ss/shopprod/1/JS-2.22.0/s124?pe=lnk_o&pev2=Add%20to%20cart').eventName).toBe('lnk_o:Add to cart');
+  });
+
+  it('unpacks TikTok and Segment JSON batches', () => {
+    const tiktok = decodeBeacon(post('https://analytics.tiktok.com/api/v2/pixel/batch', {
+      batch: [
+        { event: 'Pageview', event_id: 'a', context: { pixel: { code: 'CABC123' }, page: { url: 'https://shop.example/' } } },
+        { event: 'AddToCart', event_id: 'b', context: { pixel: { code: 'CABC123' } }, properties: { value: 5 } },
+      ],
+    }));
+    expect(tiktok.map((e: any) => [e.vendor, e.accountId, e.eventName, e.eventId, e.batchSize])).toEqual([
+      ['tiktok', 'CABC123', 'Pageview', 'a', 2],
+      ['tiktok', 'CABC123', 'AddToCart', 'b', 2],
+    ]);
+
+    const segment = decodeBeacon(post('https://api.segment.io/v1/batch', {
+      writeKey: 'wk_123',
+      batch: [
+        { type: 'page', messageId: 'm1', context: { page: { url: 'https://shop.example/' } } },
+        { type: 'track', event: 'Order Completed', messageId: 'm2', properties: { total: 10 } },
+      ],
+    }));
+    expect(segment.map((e: any) => [e.accountId, e.eventName, e.page])).toEqual([
+      ['wk_123', 'page', 'https://shop.example/'],
+      ['wk_123', 'Order Completed', null],
+    ]);
+    expect(decodeBeacon(post('https://api.segment.io/v1/t', { writeKey: 'wk_123', event: 'Signed Up' }))[0].eventName).toBe('Signed Up');
+  });
+
+  it('lets registered decoders take over an endpoint', () => {
+    registerBeaconDecoder({
+      vendor: 'pinterest',
+      match: (url: URL) => url.hostname === 'ct.pinterest.com',
+      decode: (url: URL) => [{ accountId: url.searchParams.get('tid'), eventName: url.searchParams.get('event') }],
+    });
+    expect(decodeBeacon({ url: 'https://ct.pinterest.com/v3/?tid=2612345&event=checkout' })[0])
+      .toMatchObject({ vendor: 'pinterest', accountId: '2612345', eventName: 'checkout', batchSize: 1, endpoint: 'ct.pinterest.com/v3/' });
+    expect(() => registerBeaconDecoder({ vendor: 'broken' })).toThrow(/needs a vendor/);
+  });
+});
+
+describe('beacon tracker', () => {
+  it('counts events per vendor ID and flags duplicates in one navigation', () => {
+    const tracker = createBeaconTracker();
+    const meta = (query: string) => decodeBeacon({ url: `https://www.facebook.com/tr?id=123456789012345&${query}` });
+
+    tracker.record(meta('ev=PageView'), 1);
+    tracker.record(meta('ev=PageView'), 1);
+    tracker.record(meta('ev=PageView'), 2);
+    tracker.record(meta('ev=Purchase&eid=ord-1'), 2);
+    tracker.record(meta('ev=Purchase&eid=ord-1'), 2);
+    tracker.record(meta('ev=Purchase&eid=ord-1'), 2);
+
+    expect(tracker.byId['meta:123456789012345']).toMatchObject({ total: 6, requests: 6, events: { PageView: 3, Purchase: 3 } });
+    const findings = tracker.findings();
+    expect(findings.map((f: any) => [f.type, f.vendor, f.evidence.count])).toEqual([
+      ['duplicate_page_view', 'meta', 2],
+      ['duplicate_event', 'meta', 3],
+    ]);
+    expect(findings[1].details).toBe('meta 123456789012345 sent Purchase with event id ord-1 3 times.');
+  });
+
+  it('counts a batched request once per ID', () => {
+    const tracker = createBeaconTracker();
+    tracker.record(decodeBeacon(post('https://api.segment.io/v1/batch', {
+      writeKey: 'wk_123',
+      batch: [{ type: 'page' }, { type: 'page' }],
+    })), 1);
+    expect(tracker.byId['segment:wk_123']).toMatchObject({ total: 2, requests: 1, events: { page: 2 } });
+    expect(tracker.findings()[0]).toMatchObject({ type: 'duplicate_page_view', title: 'Duplicate page' });
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect, vi } from 'vitest';
+import { Cybertect, toFindings } from '../src/index.js';
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { openBrowserSession } = require('../browser/browser-session.cjs');
+
+function fakeBrowser() {
+  const contexts: any[] = [];
+  const browser: any = {
+    contexts,
+    close: vi.fn(async () => {}),
+    newContext: vi.fn(async (options: unknown) => {
+      const context = { options, close: vi.fn(async () => {}) };
+      contexts.push(context);
+      return context;
+    }),
+  };
+  return browser;
+}
+
+describe('browser sessions', () => {
+  it('opens a context in a shared browser and closes only that context', async () => {
+    const browser = fakeBrowser();
+    const session = await openBrowserSession({ browser }, { userAgent: 'ua' });
+    expect(session.owned).toBe(false);
+    expect(browser.contexts[0].options).toEqual({ userAgent: 'ua' });
+    await session.close();
+    expect(browser.contexts[0].close).toHaveBeenCalled();
+    expect(browser.close).not.toHaveBeenCalled();
+  });
+
+  it('closes the context when the signal aborts', async () => {
+    const browser = fakeBrowser();
+    const controller = new AbortController();
+    await openBrowserSession({ browser, signal: controller.signal });
+    controller.abort();
+    expect(browser.contexts[0].close).toHaveBeenCalled();
+  });
+
+  it('refuses to start once aborted', async () => {
+    const browser = fakeBrowser();
+    const controller = new AbortController();
+    controller.abort(new Error('cancelled by caller'));
+    await expect(openBrowserSession({ browser, signal: controller.signal })).rejects.toThrow('cancelled by caller');
+    expect(browser.newContext).not.toHaveBeenCalled();
+  });
+});
+
+describe('Cybertect client', () => {
+  it('rejects an aborted scan before touching the browser', async () => {
+    const browser = fakeBrowser();
+    const client = new Cybertect({ browser });
+    const controller = new AbortController();
+    controller.abort();
+    await expect(client.scanWebsite('https://news.example', { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+    expect(browser.newContext).not.toHaveBeenCalled();
+  });
+
+  it('leaves a browser it was given running', async () => {
+    const browser = fakeBrowser();
+    const client = new Cybertect({ browser });
+    await client.close();
+    expect(browser.close).not.toHaveBeenCalled();
+  });
+});
+
+describe('common findings', () => {
+  it('maps website fraud warnings', () => {
+    const findings = toFindings('website', {
+      fraudWarnings: [
+        { type: 'Duplicate page_view', details: 'Measurement ID G-ABCDEFGH12 sent 2 page_view hits during one navigation.', url: 'google-analytics.com', risk: 'High' },
+        { type: 'Phantom Scroll (Telemetry Fraud)', details: 'Scroll telemetry fired while scanner was idle.', url: 'https://news.example/scroll' },
+      ],
+    });
+    expect(findings.map((f) => [f.type, f.severity, f.title])).toEqual([
+      ['duplicate_page_view', 'high', 'Duplicate page_view'],
+      ['phantom_scroll_telemetry_fraud', 'medium', 'Phantom Scroll (Telemetry Fraud)'],
+    ]);
+  });
+
+  it('maps diagnosis, CMS, ad and injected telemetry output', () => {
+    expect(toFindings('diagnosis', {
+      findings: [{ severity: 'critical', type: 'collision', vendor: 'GA4', title: 'Multiple GA4 IDs', details: 'Two IDs', evidence: { pages: 2 } }],
+    })[0]).toMatchObject({ scanner: 'diagnosis', type: 'collision', severity: 'critical', detail: 'Two IDs', vendor: 'GA4' });
+
+    expect(toFindings('cms', {
+      duplicates: { duplicateIds: { 'ga4:G-ABCDEFGH12': 2 }, duplicateScripts: {}, duplicateLibraries: {} },
+      unauthorized: [{ type: 'script', url: 'https://tracker.example/t.js', domain: 'tracker.example', page: 'https://news.example/', reason: 'Not in allowed partners list' }],
+      injectedScripts: [],
+    }).map((f) => [f.type, f.severity])).toEqual([
+      ['duplicate_id', 'medium'],
+      ['unauthorized_partner', 'high'],
+    ]);
+
+    expect(toFindings('ad_impressions', {
+      flags: [{ creativeId: 'c1', discrepancy: 40, message: 'Viewability gap: 40% (3/5 verified)' }],
+      adStackingFindings: { findings: [{ iframeId: 'ad-1', reason: 'stacked' }] },
+    }).map((f) => [f.type, f.detail])).toEqual([
+      ['viewability_gap', 'Viewability gap: 40% (3/5 verified)'],
+      ['ad_stacking', 'ad-1: stacked'],
+    ]);
+
+    expect(toFindings('injected_telemetry', {
+      findings: [{ type: 'pixel', vendor: 'meta', artifactKind: 'dom_img_pixel', injected: true, injectionPhase: 'post_idle' }],
+    })[0]).toMatchObject({ type: 'injected_telemetry', severity: 'medium', detail: 'meta pixel injected (post_idle)' });
+  });
+});
@@ -0,0 +1,103 @@
+import { afterEach, describe, expect, it } from 'vitest';
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { compactEvidence, compactCaseBrief, tokenBudgetFor, estimateTokens } = require('../ai-validation/compaction.cjs');
+
+// A large publisher scan: hundreds of routine rows hiding a few interesting ones
+function largeScan() {
+  const sequences = Array.from({ length: 400 }, (_, i) => ({
+    type: 'GPT_VIEWABLE',
+    ts: 1700000000000 + i * 100,
+    requestUrl: `https://securepubads.g.doubleclick.net/gampad/ads?slot=${i}`,
+  }));
+  sequences[250] = { type: 'SUSPECT_CLICK', ts: 1700000025000, requestUrl: 'https://clicks.rogue.example/r?id=9' };
+  sequences[390] = { type: 'IMPRESSION', ts: 1700000039000, requestUrl: 'https://beacon.adnet.example/imp?id=3' };
+
+  const flags = Array.from({ length: 60 }, (_, i) => ({
+    creativeId: `cr-${i}`,
+    placement: `slot-${i % 6}`,
+    impressions: 10,
+    viewable: 9,
+    discrepancy: 10,
+    message: 'Viewability gap: 10%',
+  }));
+  flags[45] = { creativeId: 'cr-45', placement: 'slot-3', impressions: 50, viewable: 2, discrepancy: 96, message: 'Viewability gap: 96%' };
+
+  return { site: 'https://news.example', sequences, flags, network: { groups: Array.from({ length: 120 }, (_, i) => ({ endpoint: `cdn${i}.static.example/asset.js`, count: 1 })) } };
+}
+
+describe('evidence compaction', () => {
+  afterEach(() => {
+    delete process.env.LOCAL_LLM_TOKEN_BUDGET;
+    delete process.env.AI_TOKEN_BUDGET;
+  });
+
+  it('leaves evidence within budget untouched apart from an empty record', () => {
+    const { evidence, compaction } = compactEvidence({ rows: [1, 2, 3, 4, 5] }, { tokenBudget: 1000 });
+    expect(evidence.rows).toEqual([1, 2, 3, 4, 5]);
+    expect(compaction).toMatchObject({ token_budget: 1000, omitted_rows: 0, omitted: [], over_budget: false });
+  });
+
+  it('fits the budget, keeps severe and novel rows, and records what was omitted', () => {
+    const scan = largeScan();
+    const { evidence, compaction } = compactEvidence(scan, { tokenBudget: 2500 });
+
+    expect(estimateTokens(scan)).toBeGreaterThan(2500);
+    expect(estimateTokens(evidence)).toBeLessThanOrEqual(2500);
+    expect(compaction.over_budget).toBe(false);
+
+    const types = evidence.sequences.map((s: { type: string }) => s.type);
+    expect(types).toContain('SUSPECT_CLICK');
+    expect(types).toContain('IMPRESSION');
+    // Kept rows stay in their original order
+    const timestamps = evidence.sequences.map((s: { ts: number }) => s.ts);
+    expect(timestamps).toEqual([...timestamps].sort((a, b) => a - b));
+    expect(evidence.flags.map((f: { creativeId: string }) => f.creativeId)).toContain('cr-45');
+
+    // Every omitted row is accounted for
+    const byPath = Object.fromEntries(compaction.omitted.map((o: { path: string }) => [o.path, o]));
+    expect(Object.keys(byPath).sort()).toEqual(['flags', 'network.groups', 'sequences']);
+    expect(byPath.sequences.kept + byPath.sequences.omitted).toBe(400);
+    expect(byPath.sequences.kept).toBe(evidence.sequences.length);
+    expect(compaction.omitted_rows).toBe(
+      compaction.omitted.reduce((sum: number, o: { omitted: number }) => sum + o.omitted, 0));
+
+    // The long tail is summarized rather than dropped silently
+    expect(byPath.sequences.summary.by_type).toEqual({ GPT_VIEWABLE: byPath.sequences.omitted });
+    expect(byPath.sequences.summary.top_hosts).toEqual({ 'securepubads.g.doubleclick.net': byPath.sequences.omitted });
+    expect(byPath.flags.summary.discrepancy).toMatchObject({ min: 10, max: 10, median: 10 });
+    expect(byPath['network.groups'].summary.count.sum).toBe(byPath['network.groups'].omitted);
+    expect(evidence.compaction).toEqual(compaction);
+  });
+
+  it('prefers a new host over more rows from a host already kept', () => {
+    const endpoints = Array.from({ length: 40 }, (_, i) => ({ endpoint: `securepubads.g.doubleclick.net/gampad/ads/${i}`, count: 60 - i }));
+    endpoints.push({ endpoint: 'ib.adnxs.com/ut/v3', count: 2 });
+    const { evidence } = compactEvidence({ endpoints }, { tokenBudget: 400 });
+    expect(evidence.endpoints.length).toBeLessThan(20);
+    expect(evidence.endpoints.map((r: { endpoint: string }) => r.endpoint)).toContain('ib.adnxs.com/ut/v3');
+  });
+
+  it('compacts case briefs without touching limitations or the rules facts', () => {
+    const caseBrief = {
+      site: 'https://news.example',
+      endpoints: largeScan().network.groups,
+      deterministic_rules: { verdict: 'WARN', classification: { ruleTrace: [1, 2, 3, 4] } },
+      limitations: ['a', 'b', 'c', 'd'],
+    };
+    const brief = compactCaseBrief(caseBrief, 400);
+    expect(brief.endpoints.length).toBeLessThan(120);
+    expect(brief.deterministic_rules).toEqual(caseBrief.deterministic_rules);
+    expect(brief.limitations.slice(0, 4)).toEqual(['a', 'b', 'c', 'd']);
+    expect(brief.limitations[4]).toMatch(/^Case brief compacted to a 400-token budget: \d+ lower-ranked row\(s\) omitted/);
+    expect(caseBrief.endpoints).toHaveLength(120);
+  });
+
+  it('resolves per-provider token budgets with environment overrides', () => {
+    expect(tokenBudgetFor('chatgpt')).toBe(tokenBudgetFor('openai'));
+    expect(tokenBudgetFor('local')).toBeLessThan(tokenBudgetFor('openai'));
+    process.env.AI_TOKEN_BUDGET = '5000';
+    process.env.LOCAL_LLM_TOKEN_BUDGET = '2000';
+    expect(tokenBudgetFor('ollama')).toBe(2000);
+    expect(tokenBudgetFor('perplexity')).toBe(5000);
+  });
+});
@@ -0,0 +1,118 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { mergeValidations, runConsensusValidation, parseProviderList } = require('../ai-validation/consensus.cjs');
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const BaseProvider = require('../ai-validation/providers/base-provider.cjs');
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { generateEvidencePDF } = require('../ai-validation/pdf/generator.cjs');
+
+const caseBrief = { site: 'https://news.example', timestamp: '2026-01-05T10:00:00Z', input_fingerprint: 'b'.repeat(64) };
+
+function finding(title: string, risk = 'HIGH') {
+  return { title, mechanism: 'Observed in the case brief', evidence: { counts: {}, examples: [] }, risk, recommended_next_steps: [] };
+}
+
+function opinion(id: string, label: string, confidence: number, findings: object[]) {
+  return {
+    id,
+    result: {
+      verdict: { label, confidence, rationale: `${id} rationale for the verdict.` },
+      findings,
+      duplicates: { exact_url_duplicates: 3, top_endpoints: [] },
+      limitations: [`${id} sampled one page`],
+      model_used: { provider: id.toUpperCase(), model: `${id}-model`, run_at: '2026-01-05T10:00:00Z' },
+      prompt_version: 'v1.0.0',
+      input_fingerprint: 'b'.repeat(64),
+      output_fingerprint: 'c'.repeat(64),
+    },
+  };
+}
+
+describe('consensus validation', () => {
+  it('takes the majority verdict and lists findings the providers disagree on', () => {
+    const merged = mergeValidations([
+      opinion('openai', 'FAIL', 90, [finding('Offscreen ad iframes inflate impressions'), finding('Duplicate GA4 properties', 'MEDIUM')]),
+      opinion('gemini', 'FAIL', 80, [finding('Offscreen iframes inflating ad impressions', 'MEDIUM')]),
+      opinion('local', 'WARN', 60, [finding('Offscreen ad iframes')]),
+    ], caseBrief, 'v1.0.0');
+
+    expect(merged.verdict).toMatchObject({ label: 'FAIL', confidence: 85 });
+    expect(merged.verdict.rationale).toMatch(/^2 of 3 providers returned FAIL \(local: WARN\)/);
+    expect(merged.model_used.model).toBe('OPENAI/openai-model, GEMINI/gemini-model, LOCAL/local-model');
+
+    // Similar titles merge, keeping the most severe risk
+    expect(merged.findings).toHaveLength(2);
+    expect(merged.findings[0]).toMatchObject({ risk: 'HIGH', cited_by: ['openai', 'gemini', 'local'] });
+    expect(merged.consensus.disagreements).toEqual([
+      {
+        title: 'Offscreen ad iframes inflate impressions',
+        cited_by: ['openai', 'gemini', 'local'],
+        missing_from: [],
+        risk_by_provider: { openai: 'HIGH', gemini: 'MEDIUM', local: 'HIGH' },
+      },
+      {
+        title: 'Duplicate GA4 properties',
+        cited_by: ['openai'],
+        missing_from: ['gemini', 'local'],
+        risk_by_provider: { openai: 'MEDIUM' },
+      },
+    ]);
+
+    // 0.5 * 2/3 verdict + 0.3 * (3/3 + 1/3)/2 findings + 0.2 * (1 - 30/100) confidence
+    expect(merged.consensus.agreement_score).toBe(67);
+    expect(merged.consensus.votes).toEqual({ PASS: [], WARN: ['local'], FAIL: ['openai', 'gemini'] });
+    expect(merged.consensus.providers.map((p: { verdict: string }) => p.verdict)).toEqual(['FAIL', 'FAIL', 'WARN']);
+
+    const validator = new BaseProvider('Consensus', 'test');
+    expect(validator.validateResponse(merged)).toBe(true);
+  });
+
+  it('breaks verdict ties toward the more severe label and scores full agreement as 100', () => {
+    const tie = mergeValidations([opinion('openai', 'PASS', 70, []), opinion('gemini', 'WARN', 70, [])], caseBrief, 'v1');
+    expect(tie.verdict.label).toBe('WARN');
+
+    const agreed = mergeValidations([
+      opinion('openai', 'PASS', 80, [finding('Clean tag setup', 'LOW')]),
+      opinion('gemini', 'PASS', 80, [finding('Clean tag setup', 'LOW')]),
+    ], caseBrief, 'v1');
+    expect(agreed.consensus.agreement_score).toBe(100);
+    expect(agreed.consensus.disagreements).toEqual([]);
+  });
+
+  it('records failed providers and needs two successful opinions', () => {
+    const failed = { id: 'perplexity', provider: 'Perplexity', model: 'sonar', error: 'timeout of 60000ms exceeded' };
+    const merged = mergeValidations([opinion('openai', 'WARN', 70, []), opinion('gemini', 'WARN', 75, []), failed], caseBrief, 'v1');
+    expect(merged.consensus.providers[2]).toEqual(failed);
+    expect(merged.limitations).toContain('perplexity did not return a result: timeout of 60000ms exceeded');
+
+    expect(() => mergeValidations([opinion('openai', 'WARN', 70, []), failed], caseBrief, 'v1'))
+      .toThrow(/at least 2 successful providers, got 1 \(perplexity: timeout/);
+  });
+
+  it('parses provider lists and rejects a single provider', async () => {
+    expect(parseProviderList('OpenAI, gemini,,openai')).toEqual(['openai', 'gemini']);
+    await expect(runConsensusValidation(['openai'], caseBrief, 't', { systemPrompt: '', promptVersion: 'v1' }))
+      .rejects.toThrow(/at least 2 providers/);
+  });
+
+  describe('PDF breakdown', () => {
+    let tempDir: string;
+    beforeEach(() => { tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'consensus-pdf-')); });
+    afterEach(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+    it('renders the per-provider breakdown', async () => {
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      const merged = mergeValidations([
+        opinion('openai', 'FAIL', 90, [finding('Offscreen ad iframes')]),
+        opinion('gemini', 'WARN', 70, []),
+        { id: 'local', provider: 'Local LLM', model: 'llama3.1', error: 'Local LLM not reachable' },
+      ], caseBrief, 'v1');
+      const outputPath = path.join(tempDir, 'summary.pdf');
+      await generateEvidencePDF(merged, caseBrief, outputPath);
+      expect(fs.readFileSync(outputPath).subarray(0, 5).toString()).toBe('%PDF-');
+    });
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it, expect } from 'vitest';
+import vm from 'node:vm';
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { parseConsentStates, consentSeedScript, clickConsentButton } = require('../consent/consent-state.cjs');
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const {
+  classifyTrackingRequest,
+  summarizeStateRun,
+  findConsentViolations,
+  buildVendorMatrix,
+  toConsentCaseBrief,
+} = require('../consent/consent-matrix.cjs');
+
+describe('consent states', () => {
+  it('resolves built-in ids and custom states, marking refusals', () => {
+    const states = parseConsentStates(['no_interaction', 'gcm_denied', { id: 'tcf_custom', seed: { tcf: { tcString: 'CP123', consent: false } } }, 'no_interaction']);
+    expect(states.map((s: any) => [s.id, s.refusal])).toEqual([
+      ['no_interaction', false],
+      ['gcm_denied', true],
+      ['tcf_custom', true],
+    ]);
+    expect(() => parseConsentStates('accept_some')).toThrow('Unknown consent state "accept_some"');
+    expect(() => parseConsentStates([{ id: 'x', action: 'ignore' }])).toThrow('action must be "accept" or "reject"');
+  });
+
+  it('seeds TCF, GPP and Consent Mode APIs the site cannot overwrite', () => {
+    const window: any = {};
+    vm.runInContext(consentSeedScript({ tcf: 'reject', gpp: 'opt_out', gcm: 'denied' }), vm.createContext({ window, Proxy, Object }));
+
+    window.__tcfapi = () => 'site stub';
+    let tcData: any;
+    window.__tcfapi('getTCData', 2, (data: any) => { tcData = data; });
+    expect(tcData.purpose.consents['1']).toBe(false);
+    expect(tcData.vendor.consents['755']).toBe(false);
+
+    let gpp: any;
+    window.__gpp('ping', (data: any) => { gpp = data; });
+    expect(gpp.parsedSections.usnat[0].SaleOptOut).toBe(1);
+
+    expect(Array.from(window.dataLayer[0])).toEqual(['consent', 'default', {
+      ad_storage: 'denied', ad_user_data: 'denied', ad_personalization: 'denied', analytics_storage: 'denied',
+    }]);
+  });
+
+  it('clicks the reject button of a known platform before falling back to text', async () => {
+    const clicked: string[] = [];
+    const page = {
+      url: () => 'https://news.example/',
+      frames: () => [{
+        url: () => 'https://cmp.example/frame',
+        locator: (selector: string) => ({
+          first: () => ({
+            isVisible: async () => selector === '#onetrust-reject-all-handler',
+            click: async () => clicked.push(selector),
+          }),
+        }),
+      }],
+      $$: async () => [],
+    };
+    expect(await clickConsentButton(page, 'reject')).toEqual({ matched: '#onetrust-reject-all-handler', frameUrl: 'https://cmp.example/frame' });
+    expect(await clickConsentButton(page, 'accept')).toBeNull();
+    expect(clicked).toEqual(['#onetrust-reject-all-handler']);
+  });
+
+  it('never clicks a refusal for accept, even when it comes first', async () => {
+    const clicked: string[] = [];
+    const button = (text: string) => ({
+      textContent: async () => text,
+      isVisible: async () => true,
+      click: async () => clicked.push(text),
+    });
+    const page = {
+      url: () => 'https://news.example/',
+      frames: () => [],
+      $$: async () => [button('Continue without accepting'), button('Disagree'), button('I do not agree'), button('Agree')],
+    };
+    expect(await clickConsentButton(page, 'accept')).toEqual({ matched: 'text:agree', frameUrl: 'https://news.example/' });
+    expect(await clickConsentButton(page, 'reject')).toEqual({ matched: 'text:continue without accepting', frameUrl: 'https://news.example/' });
+    expect(clicked).toEqual(['Agree', 'Continue without accepting']);
+  });
+});
+
+describe('consent matrix', () => {
+  it('classifies tracking requests and ignores first-party and CMP traffic', () => {
+    const at = (url: string, resourceType = 'image') => classifyTrackingRequest({ url, method: 'GET', resourceType }, 'www.news.example');
+    expect(at('https://connect.facebook.net/en_US/fbevents.js', 'script')).toMatchObject({ vendor: 'meta', kind: 'tag' });
+    expect(at('https://www.facebook.com/tr?id=123&ev=PageView')).toMatchObject({ vendor: 'meta', kind: 'beacon' });
+    expect(at('https://match.adsrvr.org/track/cmf/generic?ttd_pid=x')).toMatchObject({ vendor: 'the_trade_desk', kind: 'id_sync' });
+    expect(at('https://region1.google-analytics.com/g/collect?v=2&gcs=G100')).toMatchObject({ vendor: 'google_analytics', cookieless: true });
+    expect(at('https://cdn.cookielaw.org/scripttemplates/otSDKStub.js', 'script')).toBeNull();
+    expect(at('https://static.news.example/app.js', 'script')).toBeNull();
+  });
+
+  const state = (id: string, extra: Record<string, unknown>) => ({ id, label: id, action: null, seed: null, refusal: false, ...extra });
+  const request = (url: string, phase: string, resourceType = 'image') => ({ url, method: 'GET', resourceType, phase });
+
+  const summaries = [
+    summarizeStateRun({
+      state: state('no_interaction', {}),
+      url: 'https://www.news.example/',
+      action: null,
+      requests: [
+        request('https://www.googletagmanager.com/gtm.js?id=GTM-ABC', 'before_action', 'script'),
+        request('https://region1.google-analytics.com/g/collect?v=2&gcs=G100', 'before_action'),
+      ],
+      cookies: { before: [], after: [{ name: '_fbp', domain: '.news.example' }] },
+    }),
+    summarizeStateRun({
+      state: state('reject_all', { action: 'reject', refusal: true }),
+      url: 'https://www.news.example/',
+      action: { choice: 'reject', clicked: true, matched: '#onetrust-reject-all-handler' },
+      requests: [
+        request('https://www.facebook.com/tr?id=123&ev=PageView', 'after_action'),
+        request('https://www.facebook.com/tr?id=123&ev=ViewContent', 'after_action'),
+      ],
+      cookies: { before: [], after: [] },
+    }),
+    summarizeStateRun({
+      state: state('accept_all', { action: 'accept' }),
+      url: 'https://www.news.example/',
+      action: { choice: 'accept', clicked: true, matched: '#onetrust-accept-btn-handler' },
+      requests: [request('https://www.facebook.com/tr?id=123&ev=PageView', 'after_action')],
+      cookies: { before: [], after: [{ name: '_ga', domain: '.news.example' }] },
+    }),
+    summarizeStateRun({
+      state: state('gcm_denied', { seed: { gcm: 'denied' }, refusal: true }),
+      url: 'https://www.news.example/',
+      action: null,
+      requests: [request('https://securepubads.g.doubleclick.net/pagead/ping?e=1', 'before_action')],
+      cookies: { before: [], after: [] },
+    }),
+  ];
+
+  it('flags tracking before consent and after rejection, one finding per vendor', () => {
+    const findings = findConsentViolations(summaries);
+    expect(findings.map((f: any) => [f.type, f.vendor, f.states])).toEqual([
+      ['pre_consent_tracking', 'google_tag_manager', ['no_interaction']],
+      ['pre_consent_tracking', 'meta', ['no_interaction']],
+      ['post_rejection_tracking', 'meta', ['reject_all']],
+      ['post_rejection_tracking', 'google_ads', ['gcm_denied']],
+    ]);
+    expect(findings.every((f: any) => f.severity === 'high')).toBe(true);
+    expect(findings[2].detail).toBe('meta fired 2 tracking request(s) after consent was refused (reject_all)');
+  });
+
+  it('does not treat a state whose reject button was missing as a rejection', () => {
+    const [missing] = [summarizeStateRun({
+      state: state('reject_all', { action: 'reject', refusal: true }),
+      url: 'https://www.news.example/',
+      action: { choice: 'reject', clicked: false, matched: null },
+      requests: [request('https://www.facebook.com/tr?id=123', 'before_action')],
+      cookies: { before: [], after: [] },
+    })];
+    expect(findConsentViolations([missing]).map((f: any) => [f.type, f.severity])).toEqual([
+      ['pre_consent_tracking', 'high'],
+      ['consent_action_unavailable', 'low'],
+    ]);
+  });
+
+  it('builds the vendor matrix and the case brief block', () => {
+    const matrix = buildVendorMatrix(summaries);
+    expect(matrix.find((row: any) => row.vendor === 'meta').states).toEqual({
+      no_interaction: { tags: 0, beacons: 0, idSyncs: 0, cookies: 1 },
+      reject_all: { tags: 0, beacons: 2, idSyncs: 0, cookies: 0 },
+      accept_all: { tags: 0, beacons: 1, idSyncs: 0, cookies: 0 },
+    });
+
+    const brief = toConsentCaseBrief({ url: 'https://www.news.example/', scannedAt: 't', states: summaries, findings: findConsentViolations(summaries) });
+    expect(brief.states[0]).toEqual({
+      state: 'no_interaction',
+      action_taken: null,
+      error: null,
+      vendors_before_action: ['google_analytics', 'google_tag_manager', 'meta'],
+      vendors_after_action: [],
+      tracking_cookies: ['_fbp'],
+    });
+    expect(brief.violations).toHaveLength(4);
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect } from 'vitest';
+import { aggregateBySite, normalizeCrawlUrl, sameOriginLinks } from '../src/crawl.js';
+
+const page = (url: string, extra: Record<string, unknown> = {}) => ({
+  url,
+  startedAt: '2024-01-01T00:00:00.000Z',
+  durationMs: 1,
+  findings: [],
+  artifacts: [],
+  beaconCounts: {},
+  partnerDomains: {},
+  ...extra,
+});
+
+describe('sameOriginLinks', () => {
+  it('keeps same-origin HTML pages, drops fragments, assets and other hosts', () => {
+    const links = sameOriginLinks('https://news.example/', [
+      'https://news.example/article/1#comments',
+      'https://news.example/article/1',
+      'https://news.example/article/2?page=2',
+      'https://cdn.news.example/article/3',
+      'http://news.example/article/4',
+      'https://news.example/media/report.pdf',
+      'mailto:desk@news.example',
+      'javascript:void(0)',
+    ]);
+    expect(links).toEqual(['https://news.example/article/1', 'https://news.example/article/2?page=2']);
+  });
+
+  it('rejects non-http URLs', () => {
+    expect(normalizeCrawlUrl('ftp://news.example/file')).toBeNull();
+    expect(normalizeCrawlUrl('not a url')).toBeNull();
+  });
+});
+
+describe('aggregateBySite', () => {
+  it('rolls up counts and merges identical findings across pages', () => {
+    const finding = { type: 'duplicate_container' as const, severity: 'medium' as const, detail: 'GTM-1 loaded twice' };
+    const sites = aggregateBySite([
+      page('https://news.example/', { site: 'https://news.example', findings: [finding], beaconCounts: { ga4: 2 }, partnerDomains: { 'x.com': 1 } }),
+      page('https://news.example/article/1', { site: 'https://news.example', findings: [finding], beaconCounts: { ga4: 3 } }),
+      page('https://shop.example/'),
+    ], { 'https://news.example': ['https://news.example/private'] });
+
+    expect(sites).toHaveLength(2);
+    const news = sites[0];
+    expect(news.pagesScanned).toBe(2);
+    expect(news.beaconCounts).toEqual({ ga4: 5 });
+    expect(news.partnerDomains).toEqual({ 'x.com': 1 });
+    expect(news.findings).toHaveLength(1);
+    expect(news.findings[0].pages).toEqual(['https://news.example/', 'https://news.example/article/1']);
+    expect(news.skippedByRobots).toEqual(['https://news.example/private']);
+    expect(sites[1].site).toBe('https://shop.example');
+  });
+});
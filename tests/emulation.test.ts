@@ -0,0 +1,93 @@
+import { describe, it, expect, vi } from 'vitest';
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { resolveEmulation, emulationContextOptions, attachEmulation } = require('../browser/emulation.cjs');
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { openBrowserSession } = require('../browser/browser-session.cjs');
+
+function fakeContext() {
+  const cdp = { send: vi.fn(async () => ({})) };
+  const listeners: ((page: unknown) => void)[] = [];
+  const context: any = {
+    cdp,
+    pages: () => [],
+    on: (event: string, listener: (page: unknown) => void) => event === 'page' && listeners.push(listener),
+    newCDPSession: vi.fn(async () => cdp),
+    newPage: async () => {
+      const page = {};
+      listeners.forEach((listener) => listener(page));
+      return page;
+    },
+    close: vi.fn(async () => {}),
+  };
+  return context;
+}
+
+describe('emulation profiles', () => {
+  it('resolves a profile with locale, timezone, geolocation and network overrides', () => {
+    const emulation = resolveEmulation({
+      profile: 'iphone',
+      locale: 'de-de',
+      timezoneId: 'Europe/Berlin',
+      geolocation: '52.52, 13.405',
+      network: 'slow-3g',
+    });
+    expect(emulation).toMatchObject({
+      profile: 'iphone',
+      viewport: { width: 390, height: 664 },
+      isMobile: true,
+      locale: 'de-DE',
+      timezoneId: 'Europe/Berlin',
+      geolocation: { latitude: 52.52, longitude: 13.405 },
+      network: { id: 'slow-3g', downloadKbps: 400, latencyMs: 2000 },
+    });
+    expect(emulation.userAgent).toMatch(/iPhone/);
+    // A resolved emulation resolves to itself, so it can be passed on
+    expect(resolveEmulation(emulation)).toEqual(emulation);
+  });
+
+  it('rejects unknown profiles and invalid overrides', () => {
+    expect(resolveEmulation(null)).toBeNull();
+    expect(() => resolveEmulation('nokia')).toThrow(/Unknown emulation profile "nokia"/);
+    expect(() => resolveEmulation({ network: '5g' })).toThrow(/Unknown network profile/);
+    expect(() => resolveEmulation({ timezoneId: 'Mars/Olympus' })).toThrow(/Invalid timezone/);
+    expect(() => resolveEmulation({ geolocation: '95,10' })).toThrow(/Invalid geolocation/);
+  });
+
+  it('maps to context options, granting geolocation only when set', () => {
+    expect(emulationContextOptions(resolveEmulation('desktop-1080p'))).toEqual({
+      userAgent: expect.stringMatching(/Windows NT/),
+      viewport: { width: 1920, height: 1080 },
+      deviceScaleFactor: 1,
+      isMobile: false,
+      hasTouch: false,
+    });
+    expect(emulationContextOptions(resolveEmulation({ locale: 'fr-FR', geolocation: '48.85,2.35' }))).toEqual({
+      locale: 'fr-FR',
+      geolocation: { latitude: 48.85, longitude: 2.35 },
+      permissions: ['geolocation'],
+    });
+  });
+
+  it('throttles pages before newPage() resolves', async () => {
+    const context = fakeContext();
+    await attachEmulation(context, resolveEmulation({ network: { downloadKbps: 800, uploadKbps: 400, latencyMs: 150 } }));
+    await context.newPage();
+    expect(context.newCDPSession).toHaveBeenCalledTimes(1);
+    expect(context.cdp.send).toHaveBeenCalledWith('Network.emulateNetworkConditions', {
+      offline: false,
+      latency: 150,
+      downloadThroughput: 102400,
+      uploadThroughput: 51200,
+    });
+  });
+
+  it('applies the emulation to browser sessions and reports it', async () => {
+    const context = fakeContext();
+    const browser = { newContext: vi.fn(async () => context), close: vi.fn(async () => {}) };
+    const session = await openBrowserSession({ browser, emulation: 'android' }, { userAgent: 'scanner-default' });
+    const [options] = browser.newContext.mock.calls[0] as unknown as [Record<string, unknown>];
+    expect(options.userAgent).toMatch(/Android 14; Pixel 7/);
+    expect(options.viewport).toEqual({ width: 412, height: 839 });
+    expect(session.emulation.profile).toBe('android');
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, expect, it } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const {
+  loadFixtureBundle,
+  createReplayHandler,
+  attachFixtureReplay,
+  seedFromCmsEvidence
+} = require('../replay/fixture-replay.cjs');
+
+const SEEDED_BUNDLE = path.join(__dirname, 'fixtures/replay/https___www_telebajocero_com');
+
+function fakeRoute(url: string, method = 'GET') {
+  const calls: any[] = [];
+  return {
+    calls,
+    request: () => ({ url: () => url, method: () => method }),
+    fulfill: async (options: any) => { calls.push(options); }
+  };
+}
+
+function harEntry(url: string, text: string, extra: any = {}) {
+  return {
+    request: { method: 'GET', url },
+    response: {
+      status: 200,
+      headers: [{ name: 'Content-Type', value: 'application/javascript' }, { name: 'Content-Length', value: '999' }],
+      content: { mimeType: 'application/javascript', text, ...extra }
+    }
+  };
+}
+
+describe('fixture replay', () => {
+  it('serves exact matches and strips stale transfer headers', async () => {
+    const handler = createReplayHandler({
+      meta: { url: 'https://pub.example/' },
+      entries: [harEntry('https://cdn.example/tag.js?v=1', 'console.log(1)')],
+      dom: null
+    });
+    const route = fakeRoute('https://cdn.example/tag.js?v=1');
+    await handler.handle(route);
+    expect(route.calls[0].body).toBe('console.log(1)');
+    expect(route.calls[0].headers['content-type']).toBe('application/javascript');
+    expect(route.calls[0].headers['content-length']).toBeUndefined();
+    expect(handler.stats.served).toBe(1);
+  });
+
+  it('falls back to query-less matching and replays repeats in order', async () => {
+    const handler = createReplayHandler({
+      meta: { url: 'https://pub.example/' },
+      entries: [
+        harEntry('https://www.google-analytics.com/g/collect?_p=1', 'first'),
+        harEntry('https://www.google-analytics.com/g/collect?_p=2', 'second')
+      ],
+      dom: null
+    });
+    const bodies = [];
+    for (const cacheBuster of ['a', 'b', 'c']) {
+      const route = fakeRoute(`https://www.google-analytics.com/g/collect?_p=${cacheBuster}`);
+      await handler.handle(route);
+      bodies.push(route.calls[0].body);
+    }
+    expect(bodies).toEqual(['first', 'second', 'second']);
+  });
+
+  it('decodes base64 bodies', async () => {
+    const handler = createReplayHandler({
+      meta: {},
+      entries: [harEntry('https://cdn.example/p.gif', Buffer.from('GIF89a').toString('base64'), { encoding: 'base64' })],
+      dom: null
+    });
+    const route = fakeRoute('https://cdn.example/p.gif');
+    await handler.handle(route);
+    expect(Buffer.isBuffer(route.calls[0].body)).toBe(true);
+    expect(route.calls[0].body.toString()).toBe('GIF89a');
+  });
+
+  it('uses the DOM snapshot for the page and never reaches the network', async () => {
+    const handler = createReplayHandler({ meta: { url: 'https://pub.example/article' }, entries: [], dom: '<html></html>' });
+    const page = fakeRoute('https://pub.example/article#top');
+    await handler.handle(page);
+    expect(page.calls[0].body).toBe('<html></html>');
+
+    const unknown = fakeRoute('https://unknown.example/beacon', 'POST');
+    await handler.handle(unknown);
+    expect(unknown.calls[0].status).toBe(204);
+    expect(handler.stats.misses).toEqual(['POST https://unknown.example/beacon']);
+  });
+
+  it('is a no-op without a bundle directory', async () => {
+    const routes: any[] = [];
+    const result = await attachFixtureReplay({ route: async (...args: any[]) => routes.push(args) }, '');
+    expect(result).toBeNull();
+    expect(routes).toHaveLength(0);
+  });
+
+  it('loads the seeded corpus bundle', async () => {
+    const bundle = loadFixtureBundle(SEEDED_BUNDLE);
+    expect(bundle.meta.url).toBe('https://www.telebajocero.com');
+    expect(bundle.entries.length).toBeGreaterThan(1);
+
+    const routes: any[] = [];
+    const handler = await attachFixtureReplay({ route: async (...args: any[]) => routes.push(args) }, SEEDED_BUNDLE);
+    expect(routes[0][0]).toBe('**/*');
+    const doc = fakeRoute('https://www.telebajocero.com');
+    await routes[0][1](doc);
+    expect(doc.calls[0].body).toContain('googlesyndication');
+    expect(handler.stats.served).toBe(1);
+  });
+
+  it('seeds bundles from CMS evidence', () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'cybertect-fixture-'));
+    try {
+      const evidenceDir = path.join(root, 'cms_1');
+      fs.mkdirSync(path.join(evidenceDir, 'pages'), { recursive: true });
+      fs.writeFileSync(path.join(evidenceDir, 'pages', 'page.json'), JSON.stringify({
+        url: 'https://pub.example/',
+        scripts: [{ type: 'external', src: 'https://www.googletagmanager.com/gtag/js?id=G-ABC' }, { type: 'inline', hash: 'x' }],
+        pixels: [{ src: 'https://www.facebook.com/tr?id=1' }]
+      }));
+      const [bundleDir] = seedFromCmsEvidence(evidenceDir, path.join(root, 'out'));
+      const bundle = loadFixtureBundle(bundleDir);
+      expect(bundle.meta.source).toBe('cms-monitor:cms_1');
+      expect(bundle.entries.map((e: any) => e.request.url)).toEqual([
+        'https://pub.example/',
+        'https://www.googletagmanager.com/gtag/js?id=G-ABC'
+      ]);
+      expect(bundle.dom).toContain('<img src="https://www.facebook.com/tr?id=1"');
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import { toSarif, toJUnit, summarizeRun, exitCodeFor } from '../src/formats.js';
+import type { ScanSummary } from '../src/report.js';
+
+function page(url: string, findings: ScanSummary['findings']): ScanSummary {
+  return { url, startedAt: '2024-06-01T00:00:00Z', durationMs: 1500, findings, artifacts: [], beaconCounts: {}, partnerDomains: {} };
+}
+
+const results = [
+  page('https://news.example/', [
+    { type: 'beacon_burst', severity: 'high', detail: '12 telemetry requests for meta exceeds threshold 8', vendor: 'meta' },
+    { type: 'script_removed', severity: 'info', detail: 'Script removed since baseline: <inline>', evidence: 'abc' },
+  ]),
+  page('https://news.example/sport?a=1&b=2', []),
+];
+
+describe('SARIF output', () => {
+  const sarif = toSarif(results) as any;
+
+  it('declares every finding type as a rule and maps findings to results', () => {
+    const run = sarif.runs[0];
+    expect(sarif.version).toBe('2.1.0');
+    expect(run.tool.driver.name).toBe('cybertect-scan');
+    expect(run.tool.driver.rules.map((r: any) => r.id)).toContain('beacon_burst');
+    expect(run.results).toHaveLength(2);
+    const [burst, removed] = run.results;
+    expect(run.tool.driver.rules[burst.ruleIndex].id).toBe('beacon_burst');
+    expect(burst).toMatchObject({
+      level: 'error',
+      message: { text: '12 telemetry requests for meta exceeds threshold 8' },
+      locations: [{ physicalLocation: { artifactLocation: { uri: 'https://news.example/' } } }],
+      properties: { severity: 'high', vendor: 'meta' },
+    });
+    expect(removed).toMatchObject({ level: 'note', properties: { evidence: 'abc' } });
+  });
+
+  it('gives each result a stable fingerprint', () => {
+    const again = toSarif(results) as any;
+    expect(again.runs[0].results[0].partialFingerprints).toEqual(sarif.runs[0].results[0].partialFingerprints);
+  });
+});
+
+describe('JUnit output', () => {
+  const xml = toJUnit(results);
+
+  it('writes a testsuite per page with a testcase per finding type', () => {
+    expect(xml).toMatch(/^<\?xml/);
+    expect(xml.match(/<testsuite /g)).toHaveLength(2);
+    expect(xml).toContain('<testsuite name="https://news.example/sport?a=1&amp;b=2"');
+    expect(xml).toContain('<testcase name="obfuscation" classname="https://news.example/"/>');
+  });
+
+  it('fails checks with findings and escapes their text', () => {
+    expect(xml).toMatch(/<testsuites name="cybertect-scan" tests="\d+" failures="1">/);
+    expect(xml).toContain('<failure message="12 telemetry requests for meta exceeds threshold 8" type="high">');
+    expect(xml).toContain('<system-out>[info] Script removed since baseline: &lt;inline&gt;\n  evidence: abc</system-out>');
+  });
+});
+
+describe('run summary', () => {
+  it('rolls up severities and the exit code per page and overall', () => {
+    const summary = summarizeRun(results);
+    expect(summary.exitCode).toBe(2);
+    expect(summary.pagesScanned).toBe(2);
+    expect(summary.findingsBySeverity).toMatchObject({ high: 1, info: 1 });
+    expect(summary.pages.map((p) => p.exitCode)).toEqual([2, 0]);
+  });
+
+  it('maps severities to the deploy gate exit codes', () => {
+    expect(exitCodeFor([])).toBe(0);
+    expect(exitCodeFor([{ type: 'obfuscation', severity: 'low', detail: '' }])).toBe(0);
+    expect(exitCodeFor([{ type: 'obfuscation', severity: 'medium', detail: '' }])).toBe(2);
+    expect(exitCodeFor([{ type: 'obfuscation', severity: 'critical', detail: '' }])).toBe(5);
+  });
+});
@@ -0,0 +1,70 @@
+import { describe, it, expect } from 'vitest';
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { splitGaHits, splitGaRequest, createGaSessionTracker, MAX_BODY_LENGTH } = require('../beacons/ga4-session.cjs');
+
+const COLLECT = 'https://region1.google-analytics.com/g/collect?v=2&tid=G-ABCDEFGH12&sid=1700000000&sct=1&seg=0&_s=1&dl=https%3A%2F%2Fnews.example%2F';
+
+describe('GA4 batched hits', () => {
+  it('splits the POST body into one event per line over the shared URL params', () => {
+    const hits = splitGaHits(COLLECT, 'en=page_view&_ss=1\r\nen=scroll&_et=1200&seg=1\n');
+    expect(hits).toHaveLength(2);
+    expect(hits.map((h: URLSearchParams) => [h.get('tid'), h.get('en'), h.get('seg'), h.get('_et')])).toEqual([
+      ['G-ABCDEFGH12', 'page_view', '0', null],
+      ['G-ABCDEFGH12', 'scroll', '1', '1200'],
+    ]);
+  });
+
+  it('reads an oversized body up to the limit and records what it did not read', () => {
+    const line = 'en=scroll&_et=10&ep.padding=' + 'x'.repeat(1000);
+    const count = Math.ceil(MAX_BODY_LENGTH / (line.length + 1)) + 5;
+    const body = ['en=page_view&_ss=1', ...Array(count).fill(line)].join('\n');
+    const { hits, truncated } = splitGaRequest(COLLECT, body);
+    expect(hits[0].get('en')).toBe('page_view');
+    expect(hits.length).toBeGreaterThan(1);
+    expect(hits.every((h: URLSearchParams) => h.get('tid') === 'G-ABCDEFGH12')).toBe(true);
+    expect(truncated).toMatchObject({ bodyLength: body.length });
+    expect(truncated.readLength).toBeLessThanOrEqual(MAX_BODY_LENGTH);
+    expect(hits.length + truncated.droppedLines).toBe(count + 1);
+    expect(splitGaRequest(COLLECT, 'en=page_view').truncated).toBeNull();
+  });
+
+  it('treats a request without a body as a single event', () => {
+    const hits = splitGaHits(`${COLLECT}&en=page_view`, null);
+    expect(hits).toHaveLength(1);
+    expect(hits[0].get('en')).toBe('page_view');
+  });
+});
+
+describe('GA4 session tracker', () => {
+  const record = (tracker: any, url: string, body: string | null, at: number) =>
+    splitGaHits(url, body).forEach((params: URLSearchParams) => tracker.record(params, at));
+
+  it('tracks sessions, session counts and engagement per measurement ID', () => {
+    const tracker = createGaSessionTracker(0);
+    record(tracker, COLLECT, 'en=page_view&_ss=1\nen=user_engagement&_et=3000&seg=1', 4000);
+    record(tracker, COLLECT.replace('sid=1700000000', 'sid=1700000999').replace('sct=1', 'sct=2'), 'en=page_view&_ss=1', 5000);
+
+    const summary = tracker.summary()['G-ABCDEFGH12'];
+    expect(summary).toMatchObject({ hits: 3, sessionIds: ['1700000000', '1700000999'], sessionCount: 2, maxSessionCount: 2, engagementMs: 3000 });
+    expect(summary.sessions['1700000000']).toMatchObject({ hits: 2, sessionStarts: 1, engaged: true, engagementMs: 3000, maxHitSequence: 1 });
+    expect(tracker.findings()).toEqual([]);
+  });
+
+  it('flags repeated session_start within one sid', () => {
+    const tracker = createGaSessionTracker(0);
+    record(tracker, COLLECT, 'en=page_view&_ss=1', 1000);
+    record(tracker, COLLECT, 'en=session_start', 2000);
+    expect(tracker.findings()).toEqual([expect.objectContaining({
+      severity: 'high',
+      type: 'repeated_session_start',
+      details: 'Measurement ID G-ABCDEFGH12 started session 1700000000 2 times.',
+    })]);
+  });
+
+  it('flags engagement time outpacing wall-clock time', () => {
+    const tracker = createGaSessionTracker(0);
+    record(tracker, COLLECT, 'en=user_engagement&_et=4000\nen=user_engagement&_et=4000', 5000);
+    const [finding] = tracker.findings();
+    expect(finding).toMatchObject({ type: 'engagement_exceeds_clock', evidence: { engagementMs: 8000, elapsedMs: 5000 } });
+  });
+});
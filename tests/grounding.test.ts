@@ -0,0 +1,161 @@
+import { describe, expect, it } from 'vitest';
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { groundValidation, groundV2Result, resolveEvidenceRef } = require('../ai-validation/grounding.cjs');
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const BaseProvider = require('../ai-validation/providers/base-provider.cjs');
+
+const caseBrief = {
+  site: 'https://news.example',
+  input_fingerprint: 'd'.repeat(64),
+  total_events: 140,
+  endpoints: [{ endpoint: 'https://securepubads.g.doubleclick.net/pcs/view?xai=1', count: 12 }],
+  exact_duplicate_urls_count: 4,
+  iframe_anomalies: {
+    offscreen: [{ iframeId: 'google_ads_iframe_/123/top_0', rect: { x: -1000, y: 0, width: 300, height: 250 } }],
+    tiny: [],
+    hidden: [],
+  },
+  gpt_events: { slotRender: 5, viewable: 3 },
+  analytics_ids: ['G-ABCDEFGHIJ'],
+  limitations: [],
+};
+
+function finding(title: string, evidence: object, risk = 'HIGH', mechanism = 'Observed during the scan') {
+  return { title, mechanism, evidence, risk, recommended_next_steps: [] };
+}
+
+function validation(findings: object[], rationale = 'iframe_anomalies.offscreen holds an ad iframe outside the viewport.') {
+  return {
+    verdict: { label: 'FAIL', confidence: 90, rationale },
+    findings,
+    duplicates: { exact_url_duplicates: 4, top_endpoints: [{ endpoint: 'doubleclick.net/pcs/view', count: 12 }] },
+    limitations: [],
+    model_used: { provider: 'Test', model: 'test', run_at: '2026-01-05T10:00:00Z' },
+    prompt_version: 'v1.0.0',
+    input_fingerprint: 'd'.repeat(64),
+    output_fingerprint: 'e'.repeat(64),
+  };
+}
+
+describe('evidence grounding (case brief)', () => {
+  it('keeps findings whose counts, examples and cited fields exist', () => {
+    const result = groundValidation(validation([
+      finding('Offscreen ad iframe', {
+        counts: { 'iframe_anomalies.offscreen': 1, viewable: 3 },
+        examples: [{ iframeId: 'google_ads_iframe_/123/top_0', rect: { x: -1000, y: 0, width: 300, height: 250 } }],
+      }, 'HIGH', 'gpt_events.slotRender exceeds gpt_events.viewable'),
+    ]), caseBrief);
+
+    expect(result.findings).toHaveLength(1);
+    expect(result.findings[0].risk).toBe('HIGH');
+    expect(result.verdict.confidence).toBe(90);
+    expect(result.grounding).toMatchObject({ score: 100, removed_findings: [], downgraded_findings: [] });
+    // 2 counts, 1 example id, 2 mechanism fields, 1 rationale field and 2 duplicates claims
+    expect(result.grounding.total_refs).toBe(8);
+    expect(new BaseProvider('Test', 'test').validateResponse(result)).toBe(true);
+  });
+
+  it('strips hallucinated findings and downgrades partly grounded ones', () => {
+    const original = validation([
+      finding('Stacked video players', { counts: { stacked_players: 7 }, examples: [{ iframeId: 'video_player_9' }] }),
+      finding('Duplicate GA4 property', {
+        counts: { analytics_ids: 1 },
+        examples: ['G-ABCDEFGHIJ', 'G-ZZZZZZZZZZ', 'Seen on every page view'],
+      }, 'MEDIUM'),
+      finding('Generic concern', { counts: {}, examples: ['Looks suspicious overall'] }),
+    ], 'video_players.stacked shows stacking; iframe_anomalies.offscreen confirms it.');
+
+    const result = groundValidation(original, caseBrief);
+
+    expect(result.findings.map((f: { title: string }) => f.title)).toEqual(['Duplicate GA4 property']);
+    expect(result.findings[0].risk).toBe('LOW');
+    expect(result.findings[0].evidence.examples).toEqual(['G-ABCDEFGHIJ', 'Seen on every page view']);
+    expect(result.verdict.rationale).toBe('[unverified] shows stacking; iframe_anomalies.offscreen confirms it.');
+
+    expect(result.grounding.removed_findings).toEqual([
+      {
+        title: 'Stacked video players',
+        reason: 'none of its references exist in the case brief',
+        unverified_refs: ['counts.stacked_players=7', 'example:video_player_9'],
+      },
+      { title: 'Generic concern', reason: 'cites no evidence from the case brief', unverified_refs: [] },
+    ]);
+    expect(result.grounding.downgraded_findings).toEqual([
+      { title: 'Duplicate GA4 property', risk_from: 'MEDIUM', risk_to: 'LOW', unverified_refs: ['example:G-ZZZZZZZZZZ'] },
+    ]);
+    // 5 verified of 9: analytics_ids, G-ABCDEFGHIJ, iframe_anomalies.offscreen, both duplicates claims
+    expect(result.grounding.score).toBe(56);
+    expect(result.verdict.confidence).toBe(50);
+    expect(result.limitations).toContain('2 finding(s) removed because their evidence could not be found in the case brief');
+    expect(result.output_fingerprint).not.toBe(original.output_fingerprint);
+    // The input is left untouched
+    expect(original.findings).toHaveLength(3);
+  });
+
+  it('matches whole values and URL hosts and paths, not fragments or coincidental numbers', () => {
+    const result = groundValidation(validation([
+      finding('Impression endpoint', {
+        counts: { 'doubleclick.net/pcs/view': 12, viewable: 5, offscreen_frames: 1, beacons: 12 },
+        examples: ['securepubads.g.doubleclick.net/pcs/view', 'doubleclick.net/gampad/ads', 'G-ABCDE', 'top_0'],
+      }),
+    ]), caseBrief);
+
+    expect(result.findings[0].evidence.examples).toEqual(['securepubads.g.doubleclick.net/pcs/view']);
+    // viewable is 3 in the brief, and an unnamed 1 is only the length of some array
+    expect(result.findings[0].evidence.counts).toEqual({ 'doubleclick.net/pcs/view': 12, beacons: 12 });
+    expect(result.grounding.downgraded_findings[0].unverified_refs).toEqual([
+      'counts.viewable=5',
+      'counts.offscreen_frames=1',
+      'example:doubleclick.net/gampad/ads',
+      'example:G-ABCDE',
+      'example:top_0',
+    ]);
+  });
+
+  it('corrects duplicate counts and endpoints that are not in the case brief', () => {
+    const claimed = validation([]);
+    claimed.duplicates = { exact_url_duplicates: 40, top_endpoints: [{ endpoint: 'tracker.invalid/hit', count: 99 }] };
+    const result = groundValidation(claimed, caseBrief);
+    expect(result.duplicates).toEqual({ exact_url_duplicates: 4, top_endpoints: [] });
+  });
+});
+
+describe('evidence grounding (v2 evidence pack)', () => {
+  const evidencePack = {
+    target: { url: 'https://news.example', domain: 'news.example' },
+    findings: [{ id: 'f-1', type: 'stacked_iframe', evidence: [{ kind: 'screenshot', uri: 'artifact:1' }] }],
+    telemetry: { duplicates: 2, beacons: { impression: 14 } },
+    artifacts: [{ kind: 'screenshot', name: 'frame.png', uri: 'artifact:frame.png', sha256: 'abc' }],
+  };
+
+  it('resolves artifact, finding, log and path references', () => {
+    ['artifact:frame.png', 'artifact:abc', 'artifact:1', 'finding:0', 'finding:0-0', 'finding:stacked_iframe',
+      'log:beacons.impression', 'telemetry.duplicates'].forEach((ref) =>
+      expect(resolveEvidenceRef(ref, evidencePack), ref).toBe(true));
+    ['artifact:missing.png', 'finding:3', 'finding:0-2', 'log:beacons.click', 'har:entry-7', ''].forEach((ref) =>
+      expect(resolveEvidenceRef(ref, evidencePack), ref).toBe(false));
+  });
+
+  it('drops unsupported findings and signals and lowers confidence', () => {
+    const result = groundV2Result({
+      verdict: 'likely_inflation',
+      confidence: 0.8,
+      key_findings: [
+        { title: 'Stacked iframe', detail: 'Two frames overlap', confidence: 0.9, evidence_refs: ['finding:0-0', 'artifact:ghost.png'] },
+        { title: 'Bot traffic', detail: 'Invented', confidence: 0.7, evidence_refs: ['log:bots'] },
+      ],
+      duplicate_assessment: { has_duplicates: true, likely_tool_error: false, notes: '' },
+      inflation_signals: [{ signal: 'Beacon surplus', strength: 'strong', evidence_refs: ['log:beacons.impression'] }],
+      recommended_actions: [],
+      missing_data_requests: [],
+    }, evidencePack);
+
+    expect(result.key_findings).toEqual([
+      { title: 'Stacked iframe', detail: 'Two frames overlap', confidence: 0.45, evidence_refs: ['finding:0-0'] },
+    ]);
+    expect(result.inflation_signals[0].strength).toBe('strong');
+    expect(result.grounding).toMatchObject({ score: 50, verified_refs: 2, total_refs: 4 });
+    expect(result.grounding.removed_findings[0]).toMatchObject({ title: 'Bot traffic', unverified_refs: ['log:bots'] });
+    expect(result.confidence).toBe(0.4);
+  });
+});
@@ -0,0 +1,128 @@
+import { afterEach, describe, it, expect, vi } from 'vitest';
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { parseJourney, runJourney, DEFAULT_JOURNEY } = require('../ad-impression-verification/journey.cjs');
+
+describe('journey DSL', () => {
+  it('parses the string form into named, indexed steps', () => {
+    const steps = parseJourney('accept-consent; scroll 50%; wait 1.5s\nclick #load-more; scroll 100%; next-article; idle 5s; scroll 50%');
+    expect(steps.map((s: any) => [s.index, s.name])).toEqual([
+      [1, 'accept_consent'],
+      [2, 'scroll_50'],
+      [3, 'wait_1500ms'],
+      [4, 'click'],
+      [5, 'scroll_100'],
+      [6, 'next_article'],
+      [7, 'idle_5000ms'],
+      [8, 'scroll_50_2'],
+    ]);
+    expect(steps[3]).toMatchObject({ type: 'click', selector: '#load-more' });
+  });
+
+  it('accepts step objects and mixed arrays', () => {
+    const steps = parseJourney([{ type: 'scroll', by: 1200 }, 'wait 500ms', { type: 'acceptConsent', selector: '.agree' }]);
+    expect(steps.map((s: any) => s.name)).toEqual(['scroll_1200px', 'wait_500ms', 'accept_consent']);
+    expect(steps[2].selector).toBe('.agree');
+  });
+
+  it('defaults to the fixed scroll used before journeys', () => {
+    expect(parseJourney(DEFAULT_JOURNEY).map((s: any) => s.name)).toEqual(['scroll_3000px', 'wait_2000ms']);
+  });
+
+  it('rejects malformed steps with their position', () => {
+    expect(() => parseJourney('scroll 50%; jump 3')).toThrow('journey step 2: unknown step "jump"');
+    expect(() => parseJourney('scroll halfway')).toThrow('journey step 1: scroll needs a target');
+    expect(() => parseJourney([{ type: 'scroll', to: 150 }])).toThrow('between 0 and 100');
+    expect(() => parseJourney('click')).toThrow('click needs a selector');
+  });
+
+  it('caps how far one scroll step may go', () => {
+    expect(() => parseJourney('scroll 100000000px')).toThrow('journey step 1: scroll may be at most 50000px');
+    expect(() => parseJourney([{ type: 'scroll', by: 50001 }])).toThrow('journey step 1: scroll may be at most 50000px');
+    expect(parseJourney('scroll 50000px')[0]).toMatchObject({ type: 'scroll', by: 50000 });
+  });
+
+  it('caps the number of steps, each wait and the total wait', () => {
+    expect(() => parseJourney(Array(51).fill('scroll 10%').join('; '))).toThrow('journey has 51 steps; at most 50 are allowed');
+    expect(parseJourney(Array(50).fill('scroll 10%').join('; '))).toHaveLength(50);
+    expect(() => parseJourney('wait 31s')).toThrow('journey step 1: wait may be at most 30s');
+    expect(() => parseJourney([{ type: 'idle', ms: 600000 }])).toThrow('journey step 1: idle may be at most 30s');
+    expect(() => parseJourney(Array(7).fill('wait 30s').join('; '))).toThrow('journey waits 210s in total; at most 180s is allowed');
+  });
+});
+
+describe('running a journey', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  function fakePage(overrides: Record<string, unknown> = {}) {
+    const calls: string[] = [];
+    const page = {
+      calls,
+      evaluate: async (_fn: unknown, arg: any) => {
+        calls.push(`evaluate:${JSON.stringify(arg)}`);
+        return 'https://news.example/article-two';
+      },
+      waitForTimeout: async (ms: number) => calls.push(`wait:${ms}`),
+      waitForLoadState: async (state: string) => calls.push(`load:${state}`),
+      click: async (selector: string) => {
+        if (selector === '#missing') throw new Error('Timeout waiting for #missing');
+        calls.push(`click:${selector}`);
+      },
+      goto: async (url: string) => calls.push(`goto:${url}`),
+      frames: () => [],
+      ...overrides,
+    };
+    return page;
+  }
+
+  it('runs steps in order, reports each to the hooks and keeps going after a failure', async () => {
+    const page = fakePage();
+    const started: string[] = [];
+    const ended: string[] = [];
+    const log = await runJourney(page, parseJourney('click #missing; wait 1s; next-article; accept-consent'), {
+      onStepStart: (step: any) => started.push(step.name),
+      onStepEnd: async (step: any, entry: any) => ended.push(`${step.name}:${entry.ok}`),
+    });
+
+    expect(started).toEqual(['click', 'wait_1000ms', 'next_article', 'accept_consent']);
+    expect(ended).toEqual(['click:false', 'wait_1000ms:true', 'next_article:true', 'accept_consent:false']);
+    expect(log[0].error).toContain('#missing');
+    expect(log[2].navigatedTo).toBe('https://news.example/article-two');
+    expect(log[3].error).toBe('No consent button found');
+    expect(page.calls).toContain('goto:https://news.example/article-two');
+  });
+
+  it('skips the steps left once the journey time limit is reached', async () => {
+    let clock = 0;
+    vi.spyOn(Date, 'now').mockImplementation(() => clock);
+    // Each scroll takes 100s on this page
+    const budgets: number[] = [];
+    const page = fakePage({ evaluate: async (_fn: unknown, arg: any) => { budgets.push(arg.budgetMs); clock += 100000; } });
+    const log = await runJourney(page, parseJourney('scroll 100%; scroll 50%; wait 1s'));
+    expect(log.map((entry: any) => entry.ok)).toEqual([true, true, false]);
+    // Each scroll may only use what is left of the journey's time
+    expect(budgets).toEqual([180000, 80000]);
+    expect(log[2]).toMatchObject({ name: 'wait_1000ms', skipped: true, error: 'Journey time limit reached' });
+    expect(page.calls).not.toContain('wait:1000');
+  });
+
+  it('clicks the first visible consent button in any frame', async () => {
+    const clicked: string[] = [];
+    const frame = (url: string, visible: string[]) => ({
+      url: () => url,
+      locator: (selector: string) => ({
+        first: () => ({
+          isVisible: async () => visible.includes(selector),
+          click: async () => clicked.push(`${url} ${selector}`),
+        }),
+      }),
+    });
+    const page = fakePage({
+      frames: () => [frame('https://news.example/', []), frame('https://cmp.example/frame', ['#didomi-notice-agree-button'])],
+    });
+    const [entry] = await runJourney(page, parseJourney('accept-consent'));
+    expect(entry).toMatchObject({ ok: true, matched: '#didomi-notice-agree-button', frameUrl: 'https://cmp.example/frame' });
+    expect(clicked).toEqual(['https://cmp.example/frame #didomi-notice-agree-button']);
+  });
+});
@@ -0,0 +1,89 @@
+import { afterAll, beforeAll, describe, expect, it, vi } from 'vitest';
+import http from 'node:http';
+import type { AddressInfo } from 'node:net';
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const LocalProvider = require('../ai-validation/providers/local-provider.cjs');
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { createProvider, listProviders } = require('../ai-validation/providers/provider-factory.cjs');
+
+const VALID = {
+  verdict: { label: 'WARN', confidence: 70, rationale: 'Two GA4 properties fire on every page view.' },
+  findings: [],
+  duplicates: { exact_url_duplicates: 0, top_endpoints: [] },
+  limitations: ['Single page sampled'],
+};
+
+// Stub of an OpenAI-compatible server: replies with the queued contents in order
+const replies: string[] = [];
+const requests: { headers: http.IncomingHttpHeaders; body: any }[] = [];
+let server: http.Server;
+let baseUrl: string;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: JSON.parse(raw) });
+      if (req.url !== '/v1/chat/completions') {
+        res.writeHead(404).end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: replies.shift() ?? '' } }] }));
+    });
+  });
+  await new Promise<void>((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}/v1/`;
+});
+
+afterAll(() => new Promise<void>((resolve) => server.close(() => resolve())));
+
+describe('Local LLM provider', () => {
+  const caseBrief = { site: 'https://news.example', input_fingerprint: 'a'.repeat(64) };
+
+  it('sends the template prompt to the configured endpoint and model', async () => {
+    requests.length = 0;
+    replies.push(JSON.stringify(VALID));
+    const provider = new LocalProvider(baseUrl, 'qwen2.5:7b', { apiKey: 'local-secret' });
+
+    const result = await provider.validateCase(caseBrief, 'ad-impression-inflation', 'You are an auditor.', 'v1.0.0');
+
+    expect(result.verdict.label).toBe('WARN');
+    expect(result.model_used).toMatchObject({ provider: 'Local LLM', model: 'qwen2.5:7b' });
+    expect(result.input_fingerprint).toBe('a'.repeat(64));
+    const [{ headers, body }] = requests;
+    expect(headers.authorization).toBe('Bearer local-secret');
+    expect(body.model).toBe('qwen2.5:7b');
+    expect(body.response_format).toEqual({ type: 'json_object' });
+    expect(body.messages[0]).toEqual({ role: 'system', content: 'You are an auditor.' });
+    expect(body.messages[1].content).toContain('https://news.example');
+  });
+
+  it('retries once when the model returns invalid JSON or breaks the schema', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const provider = new LocalProvider(baseUrl, 'llama3.1');
+
+    replies.push('Sure! Here is the analysis:', '```json\n' + JSON.stringify(VALID) + '\n```');
+    const result = await provider.validateCase(caseBrief, 't', 'prompt', 'v1');
+    expect(result.verdict.confidence).toBe(70);
+
+    replies.push(JSON.stringify({ verdict: { label: 'MAYBE' } }), 'still not json');
+    await expect(provider.validateCase(caseBrief, 't', 'prompt', 'v1')).rejects.toThrow(/failed after 2 attempts: Invalid JSON response/);
+  });
+
+  it('explains an unreachable server', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    const provider = new LocalProvider('http://127.0.0.1:1/v1', 'llama3.1');
+    await expect(provider.validateCase(caseBrief, 't', 'prompt', 'v1')).rejects.toThrow(/Local LLM not reachable at http:\/\/127.0.0.1:1\/v1/);
+  });
+
+  it('is listed and created by the factory without a cloud API key', () => {
+    expect(listProviders().find((p: any) => p.id === 'local')).toMatchObject({ local: true, defaultModel: expect.any(String) });
+    const provider = createProvider('local', { baseUrl, model: 'phi3' });
+    expect(provider).toBeInstanceOf(LocalProvider);
+    expect(provider.apiUrl).toBe(`${baseUrl}chat/completions`);
+  });
+});
@@ -0,0 +1,157 @@
+import { describe, it, expect } from 'vitest';
+import { parsePolicy, policyForUrl, domainMatches, PolicyError } from '../src/policy.js';
+import { runRules } from '../src/rules.js';
+
+const POLICY = `
+env: live
+allowedVendors: [google-analytics, gtm]
+allowedIds:
+  google-analytics: [G-LIVE1]
+allowedDomains:
+  - "*.googletagmanager.com"
+  - .google-analytics.com
+deniedDomains:
+  - "*.shady.example"
+severity:
+  beacon_burst: low
+exceptions:
+  - domain: pixel.partner.example
+    reason: Contract 42
+    expires: 2099-12-31
+  - domain: old.partner.example
+    reason: Trial ended
+    expires: 2020-01-31
+paths:
+  - match: /checkout/*
+    allowedDomains: [pay.example]
+environments:
+  staging:
+    allowedIds:
+      google-analytics: [G-STAGE1]
+    allowedDomains: [".example"]
+`;
+
+const baseInputs = {
+  vendorMatches: [],
+  beaconCounts: {},
+  partnerDomains: {},
+  inlineScriptPreviews: [],
+  beaconThreshold: 5,
+};
+
+describe('policy loading', () => {
+  it('applies environment overrides on top of the base policy', () => {
+    const live = parsePolicy(POLICY);
+    expect(live.env).toBe('live');
+    expect(live.allowedIds['google-analytics']).toEqual(['G-LIVE1']);
+
+    const staging = parsePolicy(POLICY, 'policy.yaml', 'staging');
+    expect(staging.env).toBe('staging');
+    expect(staging.allowedIds['google-analytics']).toEqual(['G-STAGE1']);
+    expect(staging.allowedDomains).toEqual(['.example']);
+    expect(staging.deniedDomains).toEqual(['*.shady.example']);
+  });
+
+  it('adds path-scoped allowances only on matching pages', () => {
+    const policy = parsePolicy(POLICY);
+    expect(policyForUrl(policy, 'https://shop.example/checkout/pay').allowedDomains).toContain('pay.example');
+    expect(policyForUrl(policy, 'https://shop.example/home').allowedDomains).not.toContain('pay.example');
+  });
+
+  it('reports schema errors with line numbers', () => {
+    const bad = `env: live
+allowedDomains: analytics.example
+severity:
+  beacon_burst: catastrophic
+exceptions:
+  - reason: no matcher
+    expires: someday
+paths:
+  - match: checkout
+`;
+    let error: PolicyError | undefined;
+    try {
+      parsePolicy(bad, 'bad.yaml');
+    } catch (err) {
+      error = err as PolicyError;
+    }
+    expect(error).toBeInstanceOf(PolicyError);
+    const byPath = Object.fromEntries(error!.issues.map((issue) => [issue.path, issue.line]));
+    expect(byPath).toMatchObject({
+      allowedDomains: 2,
+      'severity.beacon_burst': 4,
+      'exceptions[0]': 6,
+      'exceptions[0].expires': 7,
+      'paths[0].match': 9,
+    });
+    expect(error!.message).toContain('bad.yaml:2: allowedDomains must be a list of strings');
+  });
+
+  it('reports YAML syntax errors with a line number', () => {
+    expect(() => parsePolicy('env: live\nallowedVendors: [a, b\n', 'broken.yaml')).toThrow(/broken\.yaml:\d+/);
+  });
+
+  it('rejects an unknown environment', () => {
+    expect(() => parsePolicy(POLICY, 'policy.yaml', 'qa')).toThrow('has no entry for environment "qa"');
+  });
+});
+
+describe('domain matching', () => {
+  it('supports exact, wildcard-subdomain and suffix patterns', () => {
+    expect(domainMatches('cdn.example', 'cdn.example')).toBe(true);
+    expect(domainMatches('*.example', 'a.example')).toBe(true);
+    expect(domainMatches('*.example', 'example')).toBe(false);
+    expect(domainMatches('.example', 'example')).toBe(true);
+    expect(domainMatches('.example', 'a.b.example')).toBe(true);
+    expect(domainMatches('.example', 'badexample')).toBe(false);
+  });
+});
+
+describe('runRules with policy features', () => {
+  const policy = parsePolicy(POLICY);
+  const now = new Date('2024-06-01T00:00:00Z');
+
+  it('denies listed domains even when nothing else is wrong', () => {
+    const findings = runRules({ ...baseInputs, partnerDomains: { 'x.shady.example': 1, 'www.googletagmanager.com': 2 }, policy, now });
+    expect(findings).toHaveLength(1);
+    expect(findings[0].detail).toContain('denied by policy');
+    expect(findings[0].severity).toBe('high');
+  });
+
+  it('suppresses findings under a live exception and flags expired ones', () => {
+    const findings = runRules({
+      ...baseInputs,
+      partnerDomains: { 'pixel.partner.example': 1, 'old.partner.example': 1 },
+      policy,
+      now,
+    });
+    expect(findings.map((f) => f.domain)).toEqual(['old.partner.example']);
+    expect(findings[0].detail).toContain('policy exception expired 2020-01-31: Trial ended');
+  });
+
+  it('applies severity overrides per finding type', () => {
+    const findings = runRules({
+      ...baseInputs,
+      vendorMatches: [{ vendor: 'google-analytics', ids: ['G-LIVE1'] }],
+      beaconCounts: { 'google-analytics': 10 },
+      policy,
+      now,
+    });
+    expect(findings).toEqual([expect.objectContaining({ type: 'beacon_burst', severity: 'low' })]);
+  });
+
+  it('reports each unapproved or denied ID separately', () => {
+    const strict = parsePolicy('allowedIds:\n  google-analytics: [G-LIVE1]\ndeniedIds:\n  google-analytics: [G-BAD]\n');
+    const findings = runRules({
+      ...baseInputs,
+      vendorMatches: [{ vendor: 'google-analytics', ids: ['G-LIVE1', 'G-BAD', 'G-OTHER'] }],
+      policy: strict,
+      now,
+    });
+    const idFindings = findings.filter((f) => f.type === 'id_mismatch');
+    expect(idFindings.map((f) => [f.id, f.detail])).toEqual([
+      ['G-BAD', 'Vendor google-analytics uses denied ID G-BAD'],
+      ['G-OTHER', 'Vendor google-analytics uses unapproved ID G-OTHER'],
+    ]);
+  });
+});
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import { HostRateLimiter, runQueue } from '../src/pool.js';
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('runQueue', () => {
+  it('honours the concurrency limit and keeps input order', async () => {
+    let active = 0;
+    let peak = 0;
+    const results = await runQueue([30, 10, 20, 5, 15], 2, async (ms) => {
+      active++;
+      peak = Math.max(peak, active);
+      await sleep(ms);
+      active--;
+      return ms;
+    });
+    expect(results).toEqual([30, 10, 20, 5, 15]);
+    expect(peak).toBe(2);
+  });
+
+  it('treats a missing or zero limit as sequential', async () => {
+    let active = 0;
+    let peak = 0;
+    await runQueue([1, 2, 3], 0, async () => {
+      active++;
+      peak = Math.max(peak, active);
+      await sleep(5);
+      active--;
+    });
+    expect(peak).toBe(1);
+  });
+
+  it('keeps running until enqueued work is drained', async () => {
+    const results = await runQueue([0], 3, async (depth, enqueue) => {
+      await sleep(5);
+      if (depth < 2) {
+        enqueue(depth + 1);
+        enqueue(depth + 1);
+      }
+      return depth;
+    });
+    expect(results).toEqual([0, 1, 1, 2, 2, 2, 2]);
+  });
+
+  it('rejects when a worker throws', async () => {
+    await expect(runQueue([1], 1, async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+  });
+});
+
+describe('HostRateLimiter', () => {
+  it('spaces requests to one host even when workers ask at the same time', async () => {
+    const limiter = new HostRateLimiter(40);
+    const start = Date.now();
+    const times: number[] = [];
+    await Promise.all([0, 1, 2].map(async () => {
+      await limiter.wait('a.example');
+      times.push(Date.now() - start);
+    }));
+    times.sort((a, b) => a - b);
+    expect(times[1] - times[0]).toBeGreaterThanOrEqual(35);
+    expect(times[2] - times[1]).toBeGreaterThanOrEqual(35);
+  });
+
+  it('does not delay other hosts and allows per-host overrides', async () => {
+    const limiter = new HostRateLimiter(40);
+    await limiter.wait('a.example');
+    const start = Date.now();
+    await limiter.wait('b.example');
+    expect(Date.now() - start).toBeLessThan(20);
+
+    limiter.setHostInterval('c.example', 10);
+    expect(limiter.intervalFor('c.example')).toBe(40);
+    limiter.setHostInterval('c.example', 500);
+    expect(limiter.intervalFor('c.example')).toBe(500);
+  });
+});
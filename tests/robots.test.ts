@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createRobotsPolicy, getRobotsPolicy, clearRobotsCache } from '../src/robots.js';
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { parseRobots } = require('../robots/robots.cjs');
+
+const ROBOTS = `
+# Comments and blank lines are ignored
+User-agent: Googlebot
+Disallow: /
+
+User-agent: *
+Sitemap: https://news.example/sitemap.xml
+Disallow: /private/
+Allow: /private/press/
+Disallow: /*.pdf$
+Disallow: /search?
+Crawl-delay: 2
+`;
+
+describe('robots.txt parsing', () => {
+  const policy = createRobotsPolicy(ROBOTS, { userAgent: 'CybertectCMSMonitor/1.0' });
+  const allowed = (path: string) => policy.isAllowed(`https://news.example${path}`);
+
+  it('applies longest-match precedence between Allow and Disallow', () => {
+    expect(allowed('/private/notes')).toBe(false);
+    expect(allowed('/private/press/release-1')).toBe(true);
+    expect(allowed('/public')).toBe(true);
+  });
+
+  it('supports * wildcards and $ end anchors', () => {
+    expect(allowed('/reports/2024.pdf')).toBe(false);
+    expect(allowed('/reports/2024.pdf?download=1')).toBe(true);
+    expect(allowed('/search?q=tags')).toBe(false);
+    expect(allowed('/search')).toBe(true);
+  });
+
+  it('exposes Crawl-delay and sitemaps, and never blocks robots.txt itself', () => {
+    expect(policy.crawlDelayMs).toBe(2000);
+    expect(policy.sitemaps).toEqual(['https://news.example/sitemap.xml']);
+    expect(allowed('/robots.txt')).toBe(true);
+  });
+
+  it('prefers the group naming our product token over *', () => {
+    const text = `User-agent: *\nDisallow: /\n\nUser-agent: cybertectcmsmonitor\nAllow: /\nDisallow: /drafts/\n`;
+    const ours = createRobotsPolicy(text, { userAgent: 'CybertectCMSMonitor/1.0' });
+    expect(ours.isAllowed('https://a.example/article')).toBe(true);
+    expect(ours.isAllowed('https://a.example/drafts/x')).toBe(false);
+    const other = createRobotsPolicy(text, { userAgent: 'OtherBot/2.0' });
+    expect(other.isAllowed('https://a.example/article')).toBe(false);
+  });
+
+  it('groups consecutive User-agent lines and starts a new group after rules', () => {
+    const parsed = parseRobots(`User-agent: a\nUser-agent: b\nDisallow: /x\nUser-agent: c\nDisallow: /y\n`);
+    expect(parsed.groups.map((g: any) => g.agents)).toEqual([['a', 'b'], ['c']]);
+  });
+
+  it('treats an empty Disallow as allow-all', () => {
+    const open = createRobotsPolicy('User-agent: *\nDisallow:\n');
+    expect(open.isAllowed('https://a.example/anything')).toBe(true);
+  });
+});
+
+describe('robots.txt fetching', () => {
+  beforeEach(() => clearRobotsCache());
+
+  const fakeFetch = (status: number, body = '') => {
+    const calls: string[] = [];
+    const impl = (async (url: string) => {
+      calls.push(url);
+      return { status, ok: status >= 200 && status < 300, text: async () => body };
+    }) as unknown as typeof fetch;
+    return { impl, calls };
+  };
+
+  it('fetches once per origin and caches the result', async () => {
+    const { impl, calls } = fakeFetch(200, 'User-agent: *\nDisallow: /admin\n');
+    const first = await getRobotsPolicy('https://c.example/a', { fetchImpl: impl });
+    const second = await getRobotsPolicy('https://c.example/b', { fetchImpl: impl });
+    expect(calls).toEqual(['https://c.example/robots.txt']);
+    expect(first).toBe(second);
+    expect(first.isAllowed('https://c.example/admin/users')).toBe(false);
+  });
+
+  it('allows everything on 4xx and nothing on 5xx', async () => {
+    const missing = await getRobotsPolicy('https://d.example/', { fetchImpl: fakeFetch(404).impl });
+    expect(missing.isAllowed('https://d.example/page')).toBe(true);
+    const broken = await getRobotsPolicy('https://e.example/', { fetchImpl: fakeFetch(503).impl });
+    expect(broken.status).toBe('unreachable');
+    expect(broken.isAllowed('https://e.example/page')).toBe(false);
+  });
+});
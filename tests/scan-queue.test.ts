@@ -0,0 +1,83 @@
+import { afterAll, describe, expect, it } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dbDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scan-queue-'));
+process.env.CYBERTECT_JOBS_DB = path.join(dbDir, 'jobs.db');
+
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const queue = require('../scan-queue/queue.cjs');
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const store = require('../scan-queue/job-store.cjs');
+
+const sleep = (ms: number) => new Promise((resolve) => setTimeout(resolve, ms));
+
+afterAll(() => {
+  fs.rmSync(dbDir, { recursive: true, force: true });
+});
+
+describe('scan queue', () => {
+  it('runs URLs on a bounded pool and streams progress', async () => {
+    let running = 0;
+    let peak = 0;
+    queue.startScanWorkers({
+      concurrency: 2,
+      scan: async (url: string, onProgress: (p: unknown) => void) => {
+        running++;
+        peak = Math.max(peak, running);
+        onProgress({ stage: 'A_DONE', url });
+        await sleep(20);
+        running--;
+        if (url.includes('broken')) throw new Error('navigation failed');
+        return { url, riskScore: 10 };
+      }
+    });
+
+    const job = queue.submitScanJob(['https://a.test', 'https://b.test', 'https://broken.test', 'https://c.test']);
+    const events: string[] = [];
+    queue.subscribeToScanJob(job.id, (event: { type: string }) => events.push(event.type));
+
+    const finished = await queue.waitForScanJob(job.id);
+    expect(peak).toBe(2);
+    expect(finished.status).toBe('completed');
+    expect(finished.progress).toMatchObject({ total: 4, completed: 3, failed: 1 });
+    expect(finished.urls[0].result).toEqual({ url: 'https://a.test', riskScore: 10 });
+    expect(finished.urls[2].error).toBe('navigation failed');
+    expect(events.filter((t) => t === 'progress')).toHaveLength(4);
+    expect(events[events.length - 1]).toBe('completed');
+  });
+
+  it('cancels pending URLs and discards in-flight results', async () => {
+    queue.startScanWorkers({
+      concurrency: 1,
+      scan: async (url: string) => {
+        await sleep(30);
+        return { url };
+      }
+    });
+
+    const job = queue.submitScanJob(['https://one.test', 'https://two.test', 'https://three.test']);
+    await sleep(5);
+    const canceled = queue.cancelScanJob(job.id);
+    expect(canceled.status).toBe('canceled');
+
+    await sleep(60);
+    const final = queue.getScanJob(job.id);
+    expect(final.urls.every((u: { status: string }) => u.status === 'canceled')).toBe(true);
+    expect(final.urls.every((u: { result: unknown }) => u.result === null)).toBe(true);
+  });
+
+  it('re-queues URLs interrupted by a restart', async () => {
+    const job = store.createJob({ id: 'scan-restart-test', urls: ['https://resume.test'] });
+    store.updateJob(job.id, { status: 'running' });
+    store.updateJobUrl(job.id, 0, { status: 'running', startedAt: new Date().toISOString() });
+
+    const requeued = queue.startScanWorkers({ concurrency: 1, scan: async (url: string) => ({ url, resumed: true }) });
+    expect(requeued).toBe(1);
+
+    const finished = await queue.waitForScanJob(job.id);
+    expect(finished.status).toBe('completed');
+    expect(finished.urls[0].result).toEqual({ url: 'https://resume.test', resumed: true });
+  });
+});
@@ -0,0 +1,110 @@
+import { describe, expect, it } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const {
+  loadScoringRules,
+  scoringRulesNameError,
+  normalizeRules,
+  scoreSignals,
+  applyScoreFloors,
+  verdictFromScore,
+  rulesReference
+} = require('../scoring/rules-engine.cjs');
+
+const quietFacts = {
+  adImpressionCount: 0,
+  uniqueQueryIds: 0,
+  queryIdUniquenessRatio: 0,
+  hasViewabilityParams: false,
+  measurementIdCount: 1,
+  selfReferrer: false,
+  pageviewsByMeasurementId: []
+};
+
+describe('scoring rules engine', () => {
+  const rules = loadScoringRules('default');
+
+  it('keeps the historical weights and verdict bands in the default rules', () => {
+    expect(rulesReference(rules)).toEqual({ id: 'default', version: '1.0.0' });
+    expect(rules.escalation).toEqual({ stageB: 30, stageC: 60 });
+
+    const result = scoreSignals({
+      ...quietFacts,
+      adImpressionCount: 6,
+      uniqueQueryIds: 6,
+      queryIdUniquenessRatio: 1,
+      pageviewsByMeasurementId: [{ tid: 'G-AAA', count: 3 }, { tid: 'G-BBB', count: 1 }]
+    }, rules);
+
+    expect(result.signals.map((s: any) => s.id)).toEqual([
+      'rapid_ad_impressions',
+      'query_id_churn',
+      'query_id_ratio',
+      'missing_viewability',
+      'duplicate_pageview'
+    ]);
+    expect(result.signals[4].detail).toBe('Measurement ID G-AAA sent 3 page_view hits.');
+    expect(result.score).toBe(100);
+    expect(result.verdict).toBe('HIGH_RISK');
+  });
+
+  it('scores quiet pages as PASS and treats missing facts as not matching', () => {
+    const result = scoreSignals({ adImpressionCount: 0 }, rules);
+    expect(result).toEqual({ score: 0, verdict: 'PASS', signals: [] });
+    expect(verdictFromScore(30, rules)).toBe('SUSPICIOUS');
+    expect(verdictFromScore(29, rules)).toBe('PASS');
+  });
+
+  it('does not duplicate signals carried over from an earlier stage', () => {
+    const stageA = scoreSignals({ ...quietFacts, adImpressionCount: 5 }, rules);
+    const stageB = scoreSignals({ ...quietFacts, adImpressionCount: 5, postScrollImpressionDelta: 4 }, rules, stageA.signals);
+    expect(stageB.signals.filter((s: any) => s.id === 'rapid_ad_impressions')).toHaveLength(1);
+    expect(stageB.signals.map((s: any) => s.id)).toContain('post_scroll_burst');
+    expect(stageB.score).toBe(30 + 15 + 10);
+  });
+
+  it('applies floors only when their conditions hold', () => {
+    expect(applyScoreFloors(10, { tagParityMultiple: true }, rules)).toEqual({ score: 30, floorsApplied: ['multiple_tag_containers'] });
+    expect(applyScoreFloors(10, { tagParityMultiple: false }, rules)).toEqual({ score: 10, floorsApplied: [] });
+  });
+
+  it('loads contract-specific rules from a JSON file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cybertect-rules-'));
+    try {
+      const file = path.join(dir, 'strict.json');
+      fs.writeFileSync(file, JSON.stringify({
+        id: 'acme-strict',
+        version: '2024.2',
+        verdicts: [{ verdict: 'HIGH_RISK', min: 20 }, { verdict: 'SUSPICIOUS', min: 10 }, { verdict: 'PASS', min: 0 }],
+        signals: [{ id: 'rapid_ad_impressions', severity: 'high', points: 25, when: { adImpressionCount: { gte: 2 } } }]
+      }));
+      const strict = loadScoringRules(file);
+      expect(strict.escalation).toEqual({ stageB: 10, stageC: 20 });
+      const result = scoreSignals({ adImpressionCount: 2 }, strict);
+      expect(result.verdict).toBe('HIGH_RISK');
+      expect(scoreSignals({ ...quietFacts, adImpressionCount: 2 }, rules).verdict).toBe('PASS');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('rejects malformed rules with a pointed message', () => {
+    const base = { id: 'x', version: 1, verdicts: [{ verdict: 'PASS', min: 0 }] };
+    expect(() => normalizeRules({ ...base, signals: [{ id: 'a', severity: 'extreme', points: 1 }] }, 'bad.yaml'))
+      .toThrow('bad.yaml: signals[0] (a): severity must be one of low, med, high');
+    expect(() => normalizeRules({ ...base, signals: [{ id: 'a', severity: 'low', points: 1, when: { n: { above: 1 } } }] }, 'bad.yaml'))
+      .toThrow('unknown operator "above"');
+    expect(() => loadScoringRules('no-such-contract')).toThrow('Scoring rules "no-such-contract" not found');
+  });
+
+  it('accepts only shipped rule-set names from untrusted callers', () => {
+    expect(scoringRulesNameError(undefined)).toBeNull();
+    expect(scoringRulesNameError('default')).toBeNull();
+    const message = 'scoringRules must be the name of a rule set in scoring/rules: default';
+    for (const ref of ['../package.json', '/etc/passwd', 'default.yaml', '..', 'no-such-contract', { id: 'inline' }]) {
+      expect(scoringRulesNameError(ref)).toBe(message);
+    }
+  });
+});
@@ -0,0 +1,109 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import type { AddressInfo } from 'net';
+import type { Server } from 'http';
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const app = require('../server.cjs');
+
+let server: Server;
+let baseUrl: string;
+
+beforeAll(async () => {
+  server = await new Promise<Server>((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}`;
+});
+
+afterAll(() => new Promise<void>((resolve) => server.close(() => resolve())));
+
+describe('server.cjs tool API', () => {
+  it('uses the same error envelope for missing scanner inputs', async () => {
+    const routes = [
+      '/api/diagnose',
+      '/api/injected-telemetry-scan',
+      '/api/ad-impression-verification/scan',
+      '/api/cms-monitor/run'
+    ];
+    for (const route of routes) {
+      const res = await fetch(`${baseUrl}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+      });
+      expect(res.status).toBe(400);
+      const body = await res.json();
+      expect(body.success).toBe(false);
+      expect(typeof body.error).toBe('string');
+    }
+  });
+
+  it('rejects unknown emulation profiles before scanning', async () => {
+    const res = await fetch(`${baseUrl}/api/diagnose`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: 'https://example.com', options: { emulation: { profile: 'nokia', network: 'slow-3g' } } })
+    });
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toMatch(/Unknown emulation profile "nokia"/);
+
+    const matrix = await fetch(`${baseUrl}/api/consent-matrix`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: 'https://example.com', emulation: 'nokia' })
+    });
+    expect(matrix.status).toBe(400);
+    expect((await matrix.json()).error).toMatch(/Unknown emulation profile "nokia"/);
+  });
+
+  it('accepts only named scoring rule sets from the API', async () => {
+    for (const scoringRules of ['../package.json', '/etc/hosts', 'no-such-contract']) {
+      const res = await fetch(`${baseUrl}/api/jobs`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ urls: ['https://example.com'], options: { scoringRules } })
+      });
+      expect(res.status).toBe(400);
+      expect((await res.json()).error).toBe('scoringRules must be the name of a rule set in scoring/rules: default');
+    }
+  });
+
+  it('rejects journeys over the step and wait caps', async () => {
+    const res = await fetch(`${baseUrl}/api/ad-impression-verification/scan`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ url: 'https://example.com', journey: 'wait 600s' })
+    });
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toBe('journey step 1: wait may be at most 30s');
+  });
+
+  it('rejects unknown reverse-search id types', async () => {
+    const res = await fetch(`${baseUrl}/api/reverse-search?type=XYZ&id=abc`);
+    expect(res.status).toBe(400);
+    expect((await res.json()).error).toMatch(/type must be one of/);
+  });
+
+  it('rejects path traversal in evidence downloads', async () => {
+    const cms = await fetch(`${baseUrl}/api/cms-monitor/evidence/..%2F..%2Fpackage.json`);
+    expect(cms.status).toBe(400);
+    const aiv = await fetch(`${baseUrl}/api/ad-impression-verification/export?runId=../x`);
+    expect(aiv.status).toBe(400);
+    const ai = await fetch(`${baseUrl}/api/ai-validation/download/ai-validation-1/metadata.json`);
+    expect(ai.status).toBe(400);
+  });
+
+  it('lists AI validation templates and providers', async () => {
+    const templates = await (await fetch(`${baseUrl}/api/ai-validation/templates`)).json();
+    expect(templates.success).toBe(true);
+    expect(templates.templates.length).toBeGreaterThan(0);
+
+    const providers = await (await fetch(`${baseUrl}/api/ai-validation/providers`)).json();
+    expect(providers.success).toBe(true);
+    expect(providers.providers.map((p: { id: string }) => p.id)).toContain('openai');
+  });
+
+  it('reports unknown AI validation runs as still processing', async () => {
+    const res = await fetch(`${baseUrl}/api/ai-validation/result/ai-validation-1`);
+    expect(res.status).toBe(404);
+  });
+});
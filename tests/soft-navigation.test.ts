@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest';
+import vm from 'node:vm';
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { HISTORY_HOOK_SCRIPT, routeOf, buildSoftNavigationReport } = require('../beacons/soft-navigation.cjs');
+
+describe('soft navigation routes', () => {
+  it('keys routes by path, and by hash for hash routers', () => {
+    expect(routeOf('https://shop.example/products?page=2#reviews')).toBe('/products');
+    expect(routeOf('https://shop.example/#/cart')).toBe('/#/cart');
+    expect(routeOf('https://shop.example/#!/cart')).toBe('/#!/cart');
+  });
+});
+
+describe('soft navigation report', () => {
+  const navigations = [
+    { kind: 'document', url: 'https://shop.example/', ts: 1000 },
+    { kind: 'pushState', url: 'https://shop.example/products', ts: 5000 },
+    { kind: 'pushState', url: 'https://shop.example/', ts: 9000 },
+    { kind: 'popstate', url: 'https://shop.example/products', ts: 12000 },
+  ];
+  const hit = (tid: string, timestamp: number, dl = '') => ({ tid, timestamp, dl });
+  const report = buildSoftNavigationReport({
+    navigations,
+    pageViews: [
+      hit('G-ABCDEFGH12', 500),
+      hit('G-ABCDEFGH12', 1200, 'https://shop.example/'),
+      // gtag config and a GTM History Change trigger both fire on each route change
+      hit('G-ABCDEFGH12', 5100, 'https://shop.example/products'),
+      hit('G-ABCDEFGH12', 5150, 'https://shop.example/products'),
+      hit('G-ABCDEFGH12', 9100, 'https://shop.example/'),
+      hit('G-ABCDEFGH12', 12100, 'https://shop.example/products'),
+      hit('G-ABCDEFGH12', 12120, 'https://shop.example/products'),
+      hit('G-ZZZZZZZZ99', 12200, 'https://shop.example/products'),
+    ],
+  });
+
+  it('assigns each page_view to the navigation before it', () => {
+    expect(report.softNavigationCount).toBe(3);
+    expect(report.unassignedPageViews).toBe(1);
+    expect(report.navigations.map((n: any) => [n.kind, n.route, n.pageViews])).toEqual([
+      ['document', '/', { 'G-ABCDEFGH12': 1 }],
+      ['pushState', '/products', { 'G-ABCDEFGH12': 2 }],
+      ['pushState', '/', { 'G-ABCDEFGH12': 1 }],
+      ['popstate', '/products', { 'G-ABCDEFGH12': 2, 'G-ZZZZZZZZ99': 1 }],
+    ]);
+  });
+
+  it('reports the duplication factor per route and measurement ID', () => {
+    const products = report.routes.find((r: any) => r.route === '/products');
+    expect(products).toMatchObject({ navigations: 2, softNavigations: 2, duplicationFactor: { 'G-ABCDEFGH12': 2, 'G-ZZZZZZZZ99': 0.5 } });
+    expect(report.routes.find((r: any) => r.route === '/').duplicationFactor).toEqual({ 'G-ABCDEFGH12': 1 });
+    expect(report.findings).toHaveLength(1);
+    expect(report.findings[0]).toMatchObject({
+      type: 'soft_navigation_page_view_duplication',
+      details: 'Measurement ID G-ABCDEFGH12 sent 4 page_view hits over 2 navigations of /products (2x, 2 via the History API).',
+    });
+    expect(report.findings[0].evidence.samples[0]).toMatchObject({ navigationKind: 'pushState', msAfterNavigation: 100 });
+  });
+});
+
+describe('history hook', () => {
+  it('reports the document, URL-changing history calls and hashchange', () => {
+    const reported: any[] = [];
+    const listeners: Record<string, () => void> = {};
+    const location = { href: 'https://shop.example/' };
+    const history = {
+      pushState(_state: unknown, _title: string, url: string) { location.href = `https://shop.example${url}`; },
+      replaceState(_state: unknown, _title: string, url: string) { location.href = `https://shop.example${url}`; },
+    };
+    const window: any = {
+      __cybertectSoftNavigation: (nav: any) => reported.push(nav),
+      addEventListener: (type: string, fn: () => void) => { listeners[type] = fn; },
+    };
+    window.top = window;
+    vm.runInContext(HISTORY_HOOK_SCRIPT, vm.createContext({ window, history, location, Date }));
+
+    history.pushState({}, '', '/products');
+    history.replaceState({}, '', '/products');
+    location.href = 'https://shop.example/products#/reviews';
+    listeners.hashchange();
+
+    expect(reported.map((n) => [n.kind, n.url])).toEqual([
+      ['document', 'https://shop.example/'],
+      ['pushState', 'https://shop.example/products'],
+      ['hashchange', 'https://shop.example/products#/reviews'],
+    ]);
+  });
+});
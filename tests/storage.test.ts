@@ -0,0 +1,129 @@
+import { describe, it, expect } from 'vitest';
+import vm from 'node:vm';
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const { WRITE_HOOK_SCRIPT, attributeStorageVendor, buildStorageInventory } = require('../storage/storage-inventory.cjs');
+
+const cookie = (name: string, domain: string, value: string) => ({ name, domain, path: '/', value, expires: -1, httpOnly: false, secure: true, sameSite: 'Lax' });
+const origin = (url: string, local: string[] = [], session: string[] = [], idb: string[] = []) => ({
+  origin: url,
+  localStorage: local.map((key) => ({ key, size: 10 })),
+  sessionStorage: session.map((key) => ({ key, size: 10 })),
+  indexedDB: idb,
+});
+
+describe('storage attribution', () => {
+  it('prefers the writing script, then the key name, then the cookie domain', () => {
+    expect(attributeStorageVendor({ name: '_ga', script: 'https://connect.facebook.net/en_US/fbevents.js' })).toEqual({ vendor: 'meta', attributedBy: 'script' });
+    expect(attributeStorageVendor({ name: '_ga', script: 'https://news.example/app.js' })).toEqual({ vendor: 'google_analytics', attributedBy: 'name' });
+    expect(attributeStorageVendor({ name: 'IDE', domain: '.doubleclick.net' })).toEqual({ vendor: 'google_ads', attributedBy: 'name' });
+    expect(attributeStorageVendor({ name: 'sid', domain: '.googletagmanager.com' })).toEqual({ vendor: 'gtm', attributedBy: 'domain' });
+    expect(attributeStorageVendor({ key: 'theme' })).toEqual({ vendor: 'unknown', attributedBy: null });
+  });
+});
+
+describe('storage inventory', () => {
+  const checkpoints = [
+    { phase: 'start', at: 1, snapshot: { cookies: [], origins: [] } },
+    {
+      phase: 'page_load',
+      at: 2,
+      snapshot: {
+        cookies: [cookie('_ga', '.news.example', 'GA1.2.111.1'), cookie('IDE', '.doubleclick.net', 'x')],
+        origins: [origin('https://www.news.example', ['_hjSession'], [], ['firebase-heartbeat'])],
+      },
+    },
+    {
+      phase: 'scroll',
+      at: 3,
+      snapshot: {
+        cookies: [cookie('_ga', '.news.example', 'GA1.2.111.1'), cookie('_ga', 'www.news.example', 'GA1.2.222.2'), cookie('IDE', '.doubleclick.net', 'y')],
+        origins: [origin('https://www.news.example', ['_hjSession'], ['tab'], ['firebase-heartbeat'])],
+      },
+    },
+  ];
+  const writes = [
+    { api: 'document.cookie', op: 'set', key: '_ga', script: 'https://www.googletagmanager.com/gtag/js?id=G-ABCDEFGH12', origin: 'https://www.news.example', ts: 2, phase: 'page_load' },
+    { api: 'set-cookie', op: 'set', key: 'IDE', script: 'https://securepubads.g.doubleclick.net/pagead/ping', origin: 'https://securepubads.g.doubleclick.net', domain: 'securepubads.g.doubleclick.net', ts: 2, phase: 'page_load' },
+    { api: 'sessionStorage', op: 'set', key: 'tab', script: 'https://www.news.example/app.js', origin: 'https://www.news.example', ts: 3, phase: 'scroll' },
+  ];
+  const inventory = buildStorageInventory({ checkpoints, writes, pageUrl: 'https://www.news.example/story' });
+
+  it('diffs each phase against the previous checkpoint', () => {
+    expect(inventory.phases.map((p: any) => [p.phase, p.counts.cookies, p.writes])).toEqual([
+      ['start', 0, 0],
+      ['page_load', 2, 2],
+      ['scroll', 3, 1],
+    ]);
+    expect(inventory.phases[1].added).toEqual({ cookies: ['_ga', 'IDE'], localStorage: ['_hjSession'], sessionStorage: [], indexedDB: ['firebase-heartbeat'] });
+    expect(inventory.phases[2].added.cookies).toEqual(['_ga']);
+    expect(inventory.phases[2].changed.cookies).toEqual(['IDE']);
+    expect(inventory.phases[2].added.sessionStorage).toEqual(['tab']);
+  });
+
+  it('attributes the final state and records where it first appeared', () => {
+    const ide = inventory.cookies.find((c: any) => c.name === 'IDE');
+    expect(ide).toMatchObject({ vendor: 'google_ads', attributedBy: 'script', firstParty: false, firstSeenPhase: 'page_load' });
+    const gaCopies = inventory.cookies.filter((c: any) => c.name === '_ga');
+    expect(gaCopies.map((c: any) => [c.domain, c.firstParty, c.firstSeenPhase, c.vendor])).toEqual([
+      ['.news.example', true, 'page_load', 'google_analytics'],
+      ['www.news.example', true, 'scroll', 'google_analytics'],
+    ]);
+    expect(inventory.localStorage[0]).toMatchObject({ key: '_hjSession', vendor: 'hotjar' });
+    expect(inventory.byVendor.google_analytics.cookies).toBe(2);
+  });
+
+  it('flags competing identity cookies across domains', () => {
+    expect(inventory.findings).toHaveLength(1);
+    expect(inventory.findings[0]).toMatchObject({
+      severity: 'high',
+      type: 'cookie_duplication',
+      vendor: 'google_analytics',
+      title: 'Competing _ga cookies',
+    });
+    expect(inventory.findings[0].details).toContain('.news.example/, www.news.example/ with 2 different values');
+  });
+});
+
+describe('in-page write hook', () => {
+  it('reports cookie, Web Storage and IndexedDB writes with the calling script', () => {
+    const reported: any[] = [];
+    class Document {
+      jar: string[] = [];
+      get cookie() { return this.jar.join('; '); }
+      set cookie(value: string) { this.jar.push(value.split(';')[0]); }
+    }
+    class Storage {
+      data: Record<string, string> = {};
+      setItem(key: string, value: string) { this.data[key] = value; }
+      removeItem(key: string) { delete this.data[key]; }
+    }
+    class IDBFactory { open() { return {}; } }
+    class IDBObjectStore { name = 'events'; put() { return {}; } add() { return {}; } }
+    const window: any = {
+      __cybertectStorageWrite: (write: any) => reported.push(write),
+      localStorage: new Storage(),
+      sessionStorage: new Storage(),
+    };
+    const context = vm.createContext({ window, Document, Storage, IDBFactory, IDBObjectStore, location: { origin: 'https://news.example' }, Error, Date, String, Object });
+    vm.runInContext(WRITE_HOOK_SCRIPT, context);
+
+    const document = new Document();
+    document.cookie = '_fbp=fb.1.123; path=/';
+    document.cookie = '_fbp=; expires=Thu, 01 Jan 1970 00:00:00 GMT';
+    window.sessionStorage.setItem('tab', '1');
+    window.localStorage.removeItem('old');
+    new IDBFactory().open();
+    new IDBObjectStore().put();
+
+    expect(reported.map((w) => [w.api, w.op, w.key])).toEqual([
+      ['document.cookie', 'set', '_fbp'],
+      ['document.cookie', 'remove', '_fbp'],
+      ['sessionStorage', 'set', 'tab'],
+      ['localStorage', 'remove', 'old'],
+      ['indexedDB', 'open', 'undefined'],
+      ['indexedDB', 'put', 'events'],
+    ]);
+    expect(document.cookie).toBe('_fbp=fb.1.123; _fbp=');
+    expect(reported[0].origin).toBe('https://news.example');
+  });
+});
@@ -0,0 +1,55 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { writeToolReport } from '../src/tool-reports.js';
+import { exitCodeFor } from '../src/formats.js';
+import { toFindings } from '../src/client.js';
+
+const dirs: string[] = [];
+function tempDir(): string {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cybertect-tool-'));
+  dirs.push(dir);
+  return dir;
+}
+
+afterEach(() => {
+  dirs.splice(0).forEach((dir) => fs.rmSync(dir, { recursive: true, force: true }));
+});
+
+describe('tool reports', () => {
+  const raw = {
+    url: 'https://news.example/',
+    scannedAt: '2024-06-01T00:00:00Z',
+    consentState: null,
+    pagesScanned: ['https://news.example/'],
+    findings: [{ severity: 'high', type: 'duplicate_ga4', title: 'Duplicate GA4', details: 'G-1 fires twice' }],
+  };
+  const findings = toFindings('diagnosis', raw);
+
+  it('writes the result, the findings and a copy of the evidence pack', () => {
+    const reportDir = tempDir();
+    const zip = path.join(tempDir(), 'evidence-pack-cms_1.zip');
+    fs.writeFileSync(zip, 'zip');
+
+    const dir = writeToolReport(reportDir, {
+      tool: 'diagnosis',
+      target: 'https://news.example/',
+      startedAt: '2024-06-01T00:00:00.000Z',
+      findings,
+      result: raw,
+      evidencePack: zip,
+    });
+
+    expect(path.basename(dir)).toBe('diagnosis-news_example-2024-06-01T00-00-00-000Z');
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'result.json'), 'utf-8'))).toEqual(raw);
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'findings.json'), 'utf-8'))).toEqual(findings);
+    expect(fs.readFileSync(path.join(dir, 'evidence-pack-cms_1.zip'), 'utf-8')).toBe('zip');
+  });
+
+  it('gates on scanner findings the same way as scan findings', () => {
+    expect(exitCodeFor(findings)).toBe(2);
+    expect(exitCodeFor(toFindings('injected_telemetry', { url: 'https://news.example/', findings: [] }))).toBe(0);
+    expect(exitCodeFor([...findings, { severity: 'critical' }])).toBe(5);
+  });
+});
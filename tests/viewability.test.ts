@@ -0,0 +1,109 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import vm from 'node:vm';
+// eslint-disable-next-line @typescript-eslint/no-var-requires
+const {
+  parseViewabilityRule,
+  parseViewabilityStandards,
+  generateViewabilityScript,
+  summarizeViewability,
+} = require('../ad-impression-verification/viewability.cjs');
+
+describe('viewability standards', () => {
+  it('resolves built-in ids, rule strings and objects', () => {
+    const standards = parseViewabilityStandards(['mrc_display', '40%/2.5s', { id: 'client_x', label: 'Client X', percent: 100, duration: 0 }]);
+    expect(standards.map((s: any) => [s.id, s.percent, s.duration])).toEqual([
+      ['mrc_display', 50, 1000],
+      ['custom_40pct_2500ms', 40, 2500],
+      ['client_x', 100, 0],
+    ]);
+  });
+
+  it('maps a custom rule matching a built-in onto that standard and de-duplicates', () => {
+    const standards = parseViewabilityStandards('mrc_video, 50%/2s, large_format');
+    expect(standards.map((s: any) => s.id)).toEqual(['mrc_video', 'large_format']);
+  });
+
+  it('rejects unknown standards', () => {
+    expect(() => parseViewabilityStandards('iab_whatever')).toThrow('Unknown viewability standard "iab_whatever"');
+  });
+
+  it('keeps the lenient single-rule parser', () => {
+    expect(parseViewabilityRule('30%/1s')).toEqual({ percent: 30, duration: 1000 });
+    expect(parseViewabilityRule('nonsense')).toEqual({ percent: 50, duration: 1000 });
+  });
+});
+
+describe('in-page measurement', () => {
+  afterEach(() => vi.useRealTimers());
+
+  /** Run the injected script against a fake DOM with one 300x250 ad slot. */
+  function runScript(standards: unknown) {
+    vi.useFakeTimers();
+    const logs: any[] = [];
+    const observers: { callback: (entries: unknown[]) => void; options: any }[] = [];
+    const slot = { id: 'div-gpt-ad-1', tagName: 'DIV', offsetWidth: 300, offsetHeight: 250, getAttribute: () => null };
+
+    const context = vm.createContext({
+      window: { addEventListener() {}, innerWidth: 1280, innerHeight: 800 },
+      document: {
+        readyState: 'complete',
+        addEventListener() {},
+        querySelectorAll: (selector: string) => (selector === 'iframe' ? [] : [slot]),
+      },
+      console: {
+        log: (tag: string, json: string) => tag === '[CYBERTECT_VIEWABILITY]' && logs.push(JSON.parse(json)),
+        warn() {},
+      },
+      IntersectionObserver: class {
+        constructor(callback: (entries: unknown[]) => void, options: unknown) {
+          observers.push({ callback, options });
+        }
+        observe() {}
+        disconnect() {}
+      },
+      setTimeout,
+      clearTimeout,
+      setInterval,
+      clearInterval,
+      Date,
+    });
+    vm.runInContext(generateViewabilityScript(standards), context);
+
+    const setRatio = (ratio: number) => observers[0].callback([{ isIntersecting: ratio > 0, intersectionRatio: ratio }]);
+    return { logs, observers, setRatio };
+  }
+
+  it('reports each standard a creative meets from one observer', () => {
+    const standards = parseViewabilityStandards(['mrc_display', 'mrc_video', 'large_format']);
+    const { logs, observers, setRatio } = runScript(standards);
+    expect(observers).toHaveLength(1);
+    expect(observers[0].options.threshold).toEqual([0, 0.3, 0.5]);
+
+    setRatio(0.4); // meets only the 30% threshold
+    vi.advanceTimersByTime(1000);
+    setRatio(0.6);
+    vi.advanceTimersByTime(1500); // 1.5s at 50%+: display met, video not yet
+    setRatio(0.1);
+    vi.advanceTimersByTime(5000);
+
+    const met = logs.filter((e) => e.type === 'VIEWABILITY');
+    expect(met.map((e) => e.standard)).toEqual(['large_format', 'mrc_display']);
+    expect(met[1].standardsMet).toEqual(['large_format', 'mrc_display']);
+    expect(logs[0]).toMatchObject({ type: 'VIEWABILITY_TRACKED', creativeId: 'div-gpt-ad-1' });
+
+    const summary = summarizeViewability(logs, standards);
+    expect(summary.creatives).toEqual([{ creativeId: 'div-gpt-ad-1', placement: 'div-gpt-ad-1', standardsMet: ['large_format', 'mrc_display'] }]);
+    expect(summary.byStandard.map((s: any) => [s.id, s.viewableImpressions, s.viewableRate])).toEqual([
+      ['mrc_display', 1, 100],
+      ['mrc_video', 0, 0],
+      ['large_format', 1, 100],
+    ]);
+  });
+
+  it('still accepts a single legacy rule', () => {
+    const { logs, setRatio } = runScript({ percent: 50, duration: 1000 });
+    setRatio(1);
+    vi.advanceTimersByTime(1000);
+    expect(logs.filter((e) => e.type === 'VIEWABILITY').map((e) => e.standard)).toEqual(['mrc_display']);
+  });
+});